@@ -33,5 +33,13 @@ const protect = async (req, res, next) => {
   }
 };
 
-module.exports = { protect };
+// Use after protect
+const admin = (req, res, next) => {
+  if (!req.user || req.user.role !== 'admin') {
+    return res.status(403).json({ message: 'Admin access required' });
+  }
+  next();
+};
+
+module.exports = { protect, admin };
 
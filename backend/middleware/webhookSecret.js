@@ -0,0 +1,23 @@
+const crypto = require('crypto');
+
+// Shared-secret check for public webhooks that relays and scripts post to
+// without a user session. The secret is read from the given environment
+// variable and sent as the X-Webhook-Secret header or ?secret= query param.
+const webhookSecret = (envName) => (req, res, next) => {
+  const expected = process.env[envName];
+  if (!expected) {
+    return res.status(503).json({ message: 'Webhook is not configured' });
+  }
+
+  const provided = String(req.get('x-webhook-secret') || req.query.secret || '');
+  const matches = provided.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(provided), Buffer.from(expected));
+
+  if (!matches) {
+    return res.status(401).json({ message: 'Invalid webhook secret' });
+  }
+
+  next();
+};
+
+module.exports = { webhookSecret };
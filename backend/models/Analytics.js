@@ -20,7 +20,7 @@ const analyticsSchema = new mongoose.Schema({
   },
   event: {
     type: String,
-    enum: ['sent', 'delivered', 'opened', 'clicked', 'bounced', 'failed', 'unsubscribed'],
+    enum: ['sent', 'delivered', 'opened', 'clicked', 'bounced', 'failed', 'unsubscribed', 'complained'],
     required: true
   },
   provider: {
@@ -31,6 +31,12 @@ const analyticsSchema = new mongoose.Schema({
     type: Map,
     of: String
   },
+  // Set on events of test sends and seed-list copies, which are kept out of
+  // campaign stats and analytics
+  proof: {
+    type: String,
+    enum: ['test', 'seed']
+  },
   timestamp: {
     type: Date,
     default: Date.now
@@ -42,6 +48,8 @@ const analyticsSchema = new mongoose.Schema({
 analyticsSchema.index({ campaignId: 1, event: 1 });
 analyticsSchema.index({ campaignId: 1, timestamp: -1 });
 analyticsSchema.index({ userId: 1, timestamp: -1 });
+analyticsSchema.index({ 'metadata.messageId': 1 }, { sparse: true });
+analyticsSchema.index({ email: 1, event: 1, timestamp: -1 });
 
 module.exports = mongoose.model('Analytics', analyticsSchema);
 
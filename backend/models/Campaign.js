@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { isValidTimezone } = require('../utils/deliveryWindow');
 
 const campaignSchema = new mongoose.Schema({
   userId: {
@@ -24,6 +25,16 @@ const campaignSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  // Exact template version the campaign was built from, copied so later
+  // template edits or deletion cannot change what the campaign records
+  template: {
+    templateId: { type: mongoose.Schema.Types.ObjectId, ref: 'Template' },
+    name: String,
+    version: Number,
+    subject: String,
+    body: String,
+    bodyHtml: String
+  },
   attachments: [{
     filename: String,
     path: String,
@@ -44,15 +55,46 @@ const campaignSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['draft', 'scheduled', 'sending', 'completed', 'paused', 'failed'],
+    enum: ['draft', 'scheduled', 'sending', 'completed', 'paused', 'cancelled', 'failed'],
     default: 'draft'
   },
   scheduledAt: {
     type: Date
   },
+  // Hold each email until it is between startHour and endHour in the
+  // recipient's timezone (contacts without one use the window's timezone)
+  deliveryWindow: {
+    enabled: { type: Boolean, default: false },
+    startHour: { type: Number, min: 0, max: 23, default: 9 },
+    endHour: { type: Number, min: 1, max: 24, default: 17 },
+    timezone: {
+      type: String,
+      default: 'UTC',
+      validate: {
+        validator: isValidTimezone,
+        message: 'Invalid timezone'
+      }
+    }
+  },
+  // Why the last send or scheduled dispatch failed to start
+  lastError: {
+    type: String,
+    default: ''
+  },
   contactFilters: {
     tags: [String],
-    status: [String]
+    status: [String],
+    // Only send to contacts with a recorded, non-withdrawn lawful basis
+    requireConsent: { type: Boolean, default: false },
+    // Send to contacts subscribed to any of these lists
+    listIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'List' }],
+    // Saved rule-based segment; combined with the filters above
+    segmentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Segment', set: (value) => value || null }
+  },
+  // Open pixel / click redirect tracking, can be turned off for privacy-sensitive sends
+  tracking: {
+    opens: { type: Boolean, default: true },
+    clicks: { type: Boolean, default: true }
   },
   stats: {
     total: { type: Number, default: 0 },
@@ -61,6 +103,7 @@ const campaignSchema = new mongoose.Schema({
     opened: { type: Number, default: 0 },
     clicked: { type: Number, default: 0 },
     bounced: { type: Number, default: 0 },
+    complained: { type: Number, default: 0 },
     failed: { type: Number, default: 0 }
   },
   startedAt: {
@@ -68,6 +111,12 @@ const campaignSchema = new mongoose.Schema({
   },
   completedAt: {
     type: Date
+  },
+  pausedAt: {
+    type: Date
+  },
+  cancelledAt: {
+    type: Date
   }
 }, {
   timestamps: true
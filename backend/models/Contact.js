@@ -1,4 +1,58 @@
 const mongoose = require('mongoose');
+const { isValidTimezone } = require('../utils/deliveryWindow');
+
+// GDPR Art. 6 lawful bases for processing
+const LAWFUL_BASES = [
+  'consent',
+  'contract',
+  'legal_obligation',
+  'vital_interests',
+  'public_task',
+  'legitimate_interests'
+];
+
+const consentEventSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['requested', 'granted', 'withdrawn', 'updated'],
+    required: true
+  },
+  source: String,
+  lawfulBasis: {
+    type: String,
+    enum: LAWFUL_BASES
+  },
+  formId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SignupForm'
+  },
+  ip: String,
+  userAgent: String,
+  note: String,
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const listMembershipSchema = new mongoose.Schema({
+  listId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'List',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['subscribed', 'unsubscribed'],
+    default: 'subscribed'
+  },
+  source: String,
+  addedAt: {
+    type: Date,
+    default: Date.now
+  },
+  unsubscribedAt: Date
+}, { _id: false });
 
 const contactSchema = new mongoose.Schema({
   userId: {
@@ -26,12 +80,63 @@ const contactSchema = new mongoose.Schema({
   }],
   status: {
     type: String,
-    enum: ['active', 'bounced', 'unsubscribed', 'invalid'],
+    enum: ['active', 'pending', 'bounced', 'unsubscribed', 'invalid'],
     default: 'active'
   },
   metadata: {
     type: Map,
     of: String
+  },
+  // IANA timezone, e.g. Europe/Berlin, used for campaign delivery windows
+  timezone: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: (value) => !value || isValidTimezone(value),
+      message: 'Invalid timezone'
+    }
+  },
+  // Lists this contact belongs to, each with its own subscription status
+  lists: [listMembershipSchema],
+  // Current consent state: why we may email this contact and the evidence for it
+  consent: {
+    source: String,
+    lawfulBasis: {
+      type: String,
+      enum: LAWFUL_BASES
+    },
+    formId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SignupForm'
+    },
+    ip: String,
+    userAgent: String,
+    timestamp: Date,
+    // Last double opt-in email, so repeated signups don't re-mail the address
+    confirmationSentAt: Date,
+    confirmedAt: Date,
+    confirmedIp: String,
+    confirmedUserAgent: String,
+    withdrawnAt: Date
+  },
+  // Append-only audit trail, only written through consentService
+  consentHistory: [consentEventSchema],
+  // Latest bounce seen for this address (bounceService)
+  bounceInfo: {
+    softCount: { type: Number, default: 0 },
+    lastType: {
+      type: String,
+      enum: ['hard', 'soft']
+    },
+    lastStatus: String,
+    lastDiagnostic: String,
+    lastBouncedAt: Date
+  },
+  // Latest open and click, copied from Analytics so segments can filter on
+  // them without loading every engaged contact id (segmentService)
+  engagement: {
+    lastOpenedAt: Date,
+    lastClickedAt: Date
   }
 }, {
   timestamps: true
@@ -41,6 +146,9 @@ const contactSchema = new mongoose.Schema({
 contactSchema.index({ userId: 1, email: 1 }, { unique: true });
 contactSchema.index({ userId: 1, status: 1 });
 contactSchema.index({ userId: 1, tags: 1 });
+contactSchema.index({ userId: 1, 'lists.listId': 1 });
+contactSchema.index({ userId: 1, 'engagement.lastOpenedAt': 1 });
+contactSchema.index({ userId: 1, 'engagement.lastClickedAt': 1 });
 
 module.exports = mongoose.model('Contact', contactSchema);
 
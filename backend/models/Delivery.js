@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// One record per campaign recipient. Workers claim the record before they
+// send, so a retried batch, a re-sent campaign or a restarted worker can never
+// mail the same contact twice for the same campaign.
+const deliverySchema = new mongoose.Schema({
+  campaignId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    required: true
+  },
+  contactId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job'
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  // queued: waiting for a worker; sending: claimed by a worker, outcome unknown
+  // until it finishes; skipped: not sent on purpose (e.g. suppressed)
+  status: {
+    type: String,
+    enum: ['queued', 'sending', 'sent', 'failed', 'skipped'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  provider: String,
+  messageId: String,
+  error: String,
+  reason: String,
+  claimedAt: Date,
+  sentAt: Date,
+  // Set while a failed send waits for its next retry; a failure without it is final
+  retryAt: Date
+}, {
+  timestamps: true
+});
+
+deliverySchema.index({ campaignId: 1, contactId: 1 }, { unique: true });
+deliverySchema.index({ campaignId: 1, status: 1, retryAt: 1 });
+deliverySchema.index({ jobId: 1, status: 1 });
+
+module.exports = mongoose.model('Delivery', deliverySchema);
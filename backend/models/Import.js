@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// A background contact import (see importService); also the import history
+const importSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  fileName: {
+    type: String,
+    required: true
+  },
+  // Uploaded file, removed once the import finishes
+  filePath: String,
+  fileSize: {
+    type: Number,
+    default: 0
+  },
+  columns: [{
+    _id: false,
+    header: { type: String, required: true },
+    target: { type: String, default: '' }
+  }],
+  options: {
+    lawfulBasis: String,
+    consentSource: String,
+    listId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'List'
+    },
+    // Overwrite fields of contacts that already exist instead of leaving them as they are
+    updateExisting: { type: Boolean, default: false }
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+  // Known up front for spreadsheets only; CSV progress is tracked in bytes
+  totalRows: Number,
+  bytesRead: {
+    type: Number,
+    default: 0
+  },
+  progress: {
+    processed: { type: Number, default: 0 },
+    imported: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    unchanged: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    addedToList: { type: Number, default: 0 }
+  },
+  lastError: String,
+  startedAt: Date,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+importSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Import', importSchema);
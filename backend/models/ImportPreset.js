@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// A saved column mapping for recurring contact imports (see importService)
+const importPresetSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Preset name is required'],
+    trim: true
+  },
+  // Target per file header: 'email', 'name', ..., 'metadata:<key>' or '' to skip.
+  // Kept as pairs since headers may contain characters Map keys cannot.
+  columns: [{
+    _id: false,
+    header: { type: String, required: true },
+    target: { type: String, default: '' }
+  }]
+}, {
+  timestamps: true
+});
+
+importPresetSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('ImportPreset', importPresetSchema);
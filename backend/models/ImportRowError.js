@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// A row an import could not use; only the first IMPORT_MAX_ERROR_ROWS per import are kept
+const importRowErrorSchema = new mongoose.Schema({
+  importId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Import',
+    required: true
+  },
+  // Line in the file, the header being line 1
+  row: {
+    type: Number,
+    required: true
+  },
+  email: String,
+  message: {
+    type: String,
+    required: true
+  }
+});
+
+importRowErrorSchema.index({ importId: 1, row: 1 });
+
+module.exports = mongoose.model('ImportRowError', importRowErrorSchema);
@@ -21,18 +21,27 @@ const jobSchema = new mongoose.Schema({
       ref: 'Contact'
     },
     email: String,
-    name: String
+    name: String,
+    timezone: String
   }],
   status: {
     type: String,
-    enum: ['pending', 'processing', 'completed', 'failed'],
+    enum: ['pending', 'processing', 'paused', 'completed', 'cancelled', 'failed'],
     default: 'pending'
   },
   progress: {
     total: { type: Number, default: 0 },
     sent: { type: Number, default: 0 },
-    failed: { type: Number, default: 0 }
+    failed: { type: Number, default: 0 },
+    skipped: { type: Number, default: 0 },
+    cancelled: { type: Number, default: 0 }
   },
+  // Contacts whose emails were taken off the queue while the campaign is
+  // paused; resuming enqueues exactly these again
+  held: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact'
+  }],
   provider: {
     type: String,
     enum: ['smtp'],
@@ -40,9 +49,19 @@ const jobSchema = new mongoose.Schema({
   },
   errorLog: [{
     email: String,
+    contactId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Contact'
+    },
     error: String,
+    responseCode: Number,
+    // 5xx rejections are not retried
+    permanent: { type: Boolean, default: false },
     timestamp: { type: Date, default: Date.now },
-    retryCount: { type: Number, default: 0 }
+    retryCount: { type: Number, default: 0 },
+    nextRetryAt: Date,
+    resolved: { type: Boolean, default: false },
+    resolvedAt: Date
   }],
   startedAt: {
     type: Date
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// A named audience. Membership and per-list subscription status live on
+// Contact.lists, so a contact can leave one list and stay on others.
+const listSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'List name is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+listSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('List', listSchema);
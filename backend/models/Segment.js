@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// A saved audience defined by a rule tree (see segmentService). Membership
+// is evaluated whenever the segment is used, so it follows contact changes.
+const segmentSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Segment name is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  // { op: 'and' | 'or' | 'not', rules: [...] } groups and condition leaves
+  rules: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+segmentSchema.index({ userId: 1, name: 1 });
+
+module.exports = mongoose.model('Segment', segmentSchema);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// An address (type 'email') or a whole domain (type 'domain') a user has
+// proven they control. Campaigns and direct sends may only use From
+// addresses covered by one of the user's verified identities.
+const senderIdentitySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['email', 'domain'],
+    required: true
+  },
+  // The email address or the domain name
+  value: {
+    type: String,
+    required: [true, 'Email or domain is required'],
+    lowercase: true,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'verified'],
+    default: 'pending'
+  },
+  // Domain identities: the value expected in the TXT record
+  verificationToken: String,
+  verificationSentAt: Date,
+  lastCheckedAt: Date,
+  lastError: {
+    type: String,
+    default: ''
+  },
+  verifiedAt: Date,
+  // Domain identities: key outgoing mail from the domain is DKIM-signed with
+  dkim: {
+    selector: String,
+    // Base64 DER (SPKI) public key, as published in the p= tag
+    publicKey: String,
+    // Encrypted PEM, see utils/encryption
+    privateKey: {
+      type: String,
+      select: false
+    },
+    source: {
+      type: String,
+      enum: ['generated', 'uploaded']
+    },
+    createdAt: Date,
+    dnsVerifiedAt: Date,
+    lastCheckedAt: Date,
+    lastError: String
+  }
+}, {
+  timestamps: true
+});
+
+senderIdentitySchema.index({ userId: 1, type: 1, value: 1 }, { unique: true });
+
+module.exports = mongoose.model('SenderIdentity', senderIdentitySchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const signupFormSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Form name is required'],
+    trim: true
+  },
+  tag: {
+    type: String,
+    required: [true, 'Tag is required'],
+    trim: true
+  },
+  title: {
+    type: String,
+    default: 'Subscribe to our newsletter'
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  collectName: {
+    type: Boolean,
+    default: true
+  },
+  fromEmail: {
+    type: String,
+    default: ''
+  },
+  fromName: {
+    type: String,
+    default: ''
+  },
+  confirmationSubject: {
+    type: String,
+    default: 'Please confirm your subscription'
+  },
+  redirectUrl: {
+    type: String,
+    default: ''
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  stats: {
+    submissions: { type: Number, default: 0 },
+    confirmations: { type: Number, default: 0 }
+  }
+}, {
+  timestamps: true
+});
+
+signupFormSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('SignupForm', signupFormSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+const suppressionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true
+  },
+  reason: {
+    type: String,
+    enum: ['unsubscribed', 'bounced', 'complained', 'manual', 'erased'],
+    default: 'manual'
+  },
+  source: {
+    type: String,
+    trim: true,
+    default: 'manual'
+  },
+  suppressedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Kept independently of Contact so deleting a contact never lifts a suppression
+suppressionSchema.index({ userId: 1, email: 1 }, { unique: true });
+suppressionSchema.index({ userId: 1, suppressedAt: -1 });
+
+module.exports = mongoose.model('Suppression', suppressionSchema);
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// Versions are append-only: editing a template's content adds a new version,
+// so campaigns can keep pointing at exactly what they were built from
+const templateVersionSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true
+  },
+  subject: {
+    type: String,
+    default: ''
+  },
+  body: {
+    type: String,
+    required: [true, 'Template body is required']
+  },
+  bodyHtml: {
+    type: String,
+    default: ''
+  },
+  note: {
+    type: String,
+    default: ''
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const templateSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  currentVersion: {
+    type: Number,
+    default: 1
+  },
+  versions: [templateVersionSchema]
+}, {
+  timestamps: true
+});
+
+templateSchema.index({ userId: 1, name: 1 }, { unique: true });
+templateSchema.index({ userId: 1, updatedAt: -1 });
+
+templateSchema.methods.getVersion = function(version) {
+  const wanted = version ? parseInt(version) : this.currentVersion;
+  return this.versions.find(entry => entry.version === wanted) || null;
+};
+
+templateSchema.methods.addVersion = function({ subject, body, bodyHtml, note }) {
+  const version = this.versions.reduce((max, entry) => Math.max(max, entry.version), 0) + 1;
+  this.versions.push({ version, subject, body, bodyHtml, note: note || '' });
+  this.currentVersion = version;
+  return version;
+};
+
+module.exports = mongoose.model('Template', templateSchema);
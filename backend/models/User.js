@@ -25,6 +25,14 @@ const userSchema = new mongoose.Schema({
     emailsLimit: { type: Number, default: 10000 },
     lastReset: { type: Date, default: Date.now }
   },
+  // Addresses that receive a copy of every campaign the user sends
+  seedList: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+  // When contact engagement was first copied from Analytics (segmentService)
+  engagementSyncedAt: Date,
   role: {
     type: String,
     enum: ['user', 'admin'],
@@ -0,0 +1,74 @@
+const express = require('express');
+const User = require('../models/User');
+const quotaService = require('../services/quotaService');
+const { protect, admin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes require an admin
+router.use(protect, admin);
+
+// @route   GET /api/admin/users
+// @desc    List users with their sending quota usage
+// @access  Admin
+router.get('/users', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    // Apply due resets so the listed usage is current
+    await quotaService.resetExpired();
+
+    const users = await User.find()
+      .select('name email role apiUsage createdAt')
+      .skip(skip)
+      .limit(limit)
+      .sort({ createdAt: -1 });
+
+    const total = await User.countDocuments();
+
+    res.json({
+      users,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   PUT /api/admin/users/:id/quota
+// @desc    Override a user's quota { emailsLimit, emailsSent, reset }
+// @access  Admin
+router.put('/users/:id/quota', async (req, res) => {
+  try {
+    const { emailsLimit, emailsSent, reset } = req.body || {};
+
+    if (emailsLimit === undefined && emailsSent === undefined && !reset) {
+      return res.status(400).json({ message: 'Provide emailsLimit, emailsSent or reset' });
+    }
+    if ([emailsLimit, emailsSent].some(value => value !== undefined && (Number.isNaN(parseInt(value)) || parseInt(value) < 0))) {
+      return res.status(400).json({ message: 'emailsLimit and emailsSent must be non-negative numbers' });
+    }
+
+    const user = await quotaService.override(req.params.id, { emailsLimit, emailsSent, reset });
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({
+      _id: user._id,
+      email: user.email,
+      apiUsage: user.apiUsage
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -25,7 +25,7 @@ router.get('/campaign/:campaignId', async (req, res) => {
 
     // Get event counts
     const eventCounts = await Analytics.aggregate([
-      { $match: { campaignId: campaign._id } },
+      { $match: { campaignId: campaign._id, proof: null } },
       {
         $group: {
           _id: '$event',
@@ -36,7 +36,7 @@ router.get('/campaign/:campaignId', async (req, res) => {
 
     // Get timeline data
     const timeline = await Analytics.aggregate([
-      { $match: { campaignId: campaign._id } },
+      { $match: { campaignId: campaign._id, proof: null } },
       {
         $group: {
           _id: {
@@ -51,7 +51,7 @@ router.get('/campaign/:campaignId', async (req, res) => {
 
     // Get provider stats
     const providerStats = await Analytics.aggregate([
-      { $match: { campaignId: campaign._id, event: 'sent' } },
+      { $match: { campaignId: campaign._id, event: 'sent', proof: null } },
       {
         $group: {
           _id: '$provider',
@@ -60,21 +60,57 @@ router.get('/campaign/:campaignId', async (req, res) => {
       }
     ]);
 
+    // Clicks per tracked link
+    const linkStats = await Analytics.aggregate([
+      { $match: { campaignId: campaign._id, event: 'clicked', proof: null } },
+      {
+        $group: {
+          _id: '$metadata.url',
+          clicks: { $sum: 1 },
+          recipients: { $addToSet: '$email' }
+        }
+      },
+      { $project: { _id: 0, url: '$_id', clicks: 1, uniqueClicks: { $size: '$recipients' } } },
+      { $sort: { clicks: -1 } },
+      { $limit: 50 }
+    ]);
+
+    // Test sends and seed-list copies, kept apart from the stats above
+    const proofStats = await Analytics.aggregate([
+      { $match: { campaignId: campaign._id, proof: { $ne: null } } },
+      {
+        $group: {
+          _id: { proof: '$proof', event: '$event' },
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+
     const eventStats = eventCounts.reduce((acc, stat) => {
       acc[stat._id] = stat.count;
       return acc;
     }, {});
 
+    // Complaints per delivered message; mailbox providers start filtering above ~0.1%
+    const sentCount = campaign.stats.sent || eventStats.sent || 0;
+    const complaintRate = sentCount > 0 ? (eventStats.complained || 0) / sentCount : 0;
+
     res.json({
       campaignId: campaign._id,
       stats: {
         ...campaign.stats,
-        events: eventStats
+        events: eventStats,
+        complaintRate: Number(complaintRate.toFixed(6))
       },
       timeline,
+      links: linkStats,
       providers: providerStats.reduce((acc, stat) => {
         acc[stat._id] = stat.count;
         return acc;
+      }, {}),
+      proofs: proofStats.reduce((acc, stat) => {
+        acc[stat._id.proof] = { ...acc[stat._id.proof], [stat._id.event]: stat.count };
+        return acc;
       }, {})
     });
   } catch (error) {
@@ -95,7 +131,8 @@ router.get('/overview', async (req, res) => {
       {
         $match: {
           userId: req.user._id,
-          timestamp: { $gte: startDate, $lte: endDate }
+          timestamp: { $gte: startDate, $lte: endDate },
+          proof: null
         }
       },
       {
@@ -111,7 +148,8 @@ router.get('/overview', async (req, res) => {
       {
         $match: {
           userId: req.user._id,
-          timestamp: { $gte: startDate, $lte: endDate }
+          timestamp: { $gte: startDate, $lte: endDate },
+          proof: null
         }
       },
       {
@@ -3,6 +3,7 @@ const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const { protect } = require('../middleware/auth');
+const quotaService = require('../services/quotaService');
 
 const router = express.Router();
 
@@ -115,5 +116,16 @@ router.get('/me', protect, async (req, res) => {
   }
 });
 
+// @route   GET /api/auth/usage
+// @desc    Get current user's sending quota usage
+// @access  Private
+router.get('/usage', protect, async (req, res) => {
+  try {
+    res.json(await quotaService.getUsage(req.user._id));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 module.exports = router;
 
@@ -0,0 +1,47 @@
+const express = require('express');
+const bounceService = require('../services/bounceService');
+const { webhookSecret } = require('../middleware/webhookSecret');
+
+const router = express.Router();
+
+// Public route authenticated with a shared secret (BOUNCE_WEBHOOK_SECRET),
+// so relays and test scripts can post DSNs without a user session
+const verifySecret = webhookSecret('BOUNCE_WEBHOOK_SECRET');
+
+// Raw MIME bodies (message/rfc822, multipart/report, text/plain) are kept as buffers
+const rawBody = express.raw({
+  type: ['message/*', 'multipart/*', 'text/plain', 'application/octet-stream'],
+  limit: '10mb'
+});
+
+// @route   POST /api/bounces/webhook
+// @desc    Receive a bounce: either a raw RFC 3464 DSN, or JSON
+//          { email, messageId, status, action, diagnosticCode, type } / { bounces: [...] }
+// @access  Public (shared secret)
+router.post('/webhook', verifySecret, rawBody, async (req, res) => {
+  try {
+    if (Buffer.isBuffer(req.body)) {
+      const result = await bounceService.processRaw(req.body, { source: 'webhook' });
+      if (!result.isDsn) {
+        return res.status(422).json({ message: 'Message is not a delivery status notification' });
+      }
+      return res.json({ message: 'DSN processed', processed: result.processed });
+    }
+
+    const bounces = Array.isArray(req.body && req.body.bounces) ? req.body.bounces : [req.body];
+    if (bounces.length === 0 || bounces.some(bounce => !bounce || !bounce.email)) {
+      return res.status(400).json({ message: 'Each bounce requires an email' });
+    }
+
+    const processed = [];
+    for (const bounce of bounces) {
+      processed.push(await bounceService.processBounce(bounce, { source: 'webhook' }));
+    }
+
+    res.json({ message: 'Bounces processed', processed });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
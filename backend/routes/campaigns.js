@@ -1,6 +1,18 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Campaign = require('../models/Campaign');
+const Template = require('../models/Template');
+const Segment = require('../models/Segment');
 const batchProcessor = require('../services/batchProcessor');
+const campaignControlService = require('../services/campaignControlService');
+const retryService = require('../services/retryService');
+const campaignStatsService = require('../services/campaignStatsService');
+const quotaService = require('../services/quotaService');
+const senderIdentityService = require('../services/senderIdentityService');
+const preflightService = require('../services/preflightService');
+const proofService = require('../services/proofService');
+const templateService = require('../services/templateService');
+const listService = require('../services/listService');
 const { protect } = require('../middleware/auth');
 
 const router = express.Router();
@@ -8,6 +20,73 @@ const router = express.Router();
 // All routes require authentication
 router.use(protect);
 
+// Statuses in which the campaign content may still change; once sending
+// starts the content is frozen so it matches what recipients received
+const EDITABLE_STATUSES = ['draft', 'scheduled'];
+const CONTENT_FIELDS = ['subject', 'body', 'bodyHtml', 'templateId', 'templateVersion'];
+
+/**
+ * Error message if a create/update payload targets a segment or list the
+ * user does not own, null otherwise
+ */
+const findForeignAudience = async (payload, userId) => {
+  const filters = (payload && payload.contactFilters) || {};
+
+  if (filters.segmentId &&
+      (!mongoose.Types.ObjectId.isValid(filters.segmentId) || !(await Segment.exists({ _id: filters.segmentId, userId })))) {
+    return 'Segment not found';
+  }
+
+  if (Array.isArray(filters.listIds) && filters.listIds.length > 0) {
+    try {
+      await listService.getOwned(userId, filters.listIds);
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Resolve { templateId, templateVersion } in a create/update payload into a
+ * snapshot of that template version. The campaign's subject and body fall
+ * back to the template's. Returns null if the template version is missing.
+ */
+const applyTemplate = async (payload, userId) => {
+  const { templateId, templateVersion, template: _ignored, ...fields } = payload || {};
+
+  if (templateId === undefined) {
+    return fields;
+  }
+
+  // Explicitly clearing the template detaches the campaign from it
+  if (!templateId) {
+    return { ...fields, template: null };
+  }
+
+  const template = await Template.findOne({ _id: templateId, userId });
+  const version = template && template.getVersion(templateVersion);
+  if (!version) {
+    return null;
+  }
+
+  return {
+    ...fields,
+    subject: fields.subject || version.subject,
+    body: fields.body || version.body,
+    bodyHtml: fields.bodyHtml || version.bodyHtml || version.body,
+    template: {
+      templateId: template._id,
+      name: template.name,
+      version: version.version,
+      subject: version.subject,
+      body: version.body,
+      bodyHtml: version.bodyHtml
+    }
+  };
+};
+
 // @route   GET /api/campaigns
 // @desc    Get all campaigns for user
 // @access  Private
@@ -42,6 +121,32 @@ router.get('/', async (req, res) => {
   }
 });
 
+// @route   GET /api/campaigns/seed-list
+// @desc    Get the addresses that receive a copy of every campaign
+// @access  Private
+router.get('/seed-list', async (req, res) => {
+  try {
+    res.json({ emails: await proofService.getSeedList(req.user._id) });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   PUT /api/campaigns/seed-list
+// @desc    Replace the seed list { emails }
+// @access  Private
+router.put('/seed-list', async (req, res) => {
+  try {
+    const emails = await proofService.setSeedList(req.user._id, (req.body && req.body.emails) || []);
+    res.json({ emails });
+  } catch (error) {
+    if (error.message.startsWith('Please provide')) {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
 // @route   GET /api/campaigns/:id
 // @desc    Get a single campaign
 // @access  Private
@@ -58,25 +163,110 @@ router.get('/:id', async (req, res) => {
 
     // Get batch statuses
     const batchStatuses = await batchProcessor.getAllBatchStatuses(campaign._id);
+    const failures = await retryService.getFailureSummary(campaign._id);
 
     res.json({
       campaign,
-      batches: batchStatuses
+      batches: batchStatuses,
+      failures
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/campaigns/:id/preflight
+// @desc    Pre-send checklist; sending is blocked while any check fails (?links=false skips requesting links)
+// @access  Private
+router.get('/:id/preflight', async (req, res) => {
+  try {
+    const campaign = await Campaign.findOne({ _id: req.params.id, userId: req.user._id });
+
+    if (!campaign) {
+      return res.status(404).json({ message: 'Campaign not found' });
+    }
+
+    res.json(await preflightService.run(campaign, req.user._id, { checkLinks: req.query.links !== 'false' }));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/campaigns/validate
+// @desc    Check merge tags in { subject, body, bodyHtml } for syntax errors and unknown variables
+// @access  Private
+router.post('/validate', async (req, res) => {
+  try {
+    const { subject = '', body = '', bodyHtml = '' } = req.body || {};
+    const metadataKeys = await templateService.getMetadataKeys(req.user._id);
+    const result = templateService.validate({ subject, body, bodyHtml }, metadataKeys);
+
+    res.json({
+      ...result,
+      availableVariables: [
+        ...templateService.knownVariables.filter(variable => variable !== 'metadata'),
+        ...metadataKeys.map(key => `metadata.${key}`)
+      ]
     });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
+// @route   POST /api/campaigns/recompute-stats
+// @desc    Rebuild the stats of all the user's campaigns from delivery records and analytics
+// @access  Private
+router.post('/recompute-stats', async (req, res) => {
+  try {
+    const updated = await campaignStatsService.recomputeForUser(req.user._id);
+    res.json({ message: `Recomputed stats for ${updated} campaigns`, updated });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/campaigns/:id/recompute-stats
+// @desc    Rebuild one campaign's stats from delivery records and analytics
+// @access  Private
+router.post('/:id/recompute-stats', async (req, res) => {
+  try {
+    const campaign = await Campaign.findOne({ _id: req.params.id, userId: req.user._id });
+
+    if (!campaign) {
+      return res.status(404).json({ message: 'Campaign not found' });
+    }
+
+    const stats = await campaignStatsService.recompute(campaign._id);
+    res.json({ campaignId: campaign._id, stats });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 // @route   POST /api/campaigns
 // @desc    Create a new campaign
 // @access  Private
 router.post('/', async (req, res) => {
   try {
+    const fields = await applyTemplate(req.body, req.user._id);
+    if (!fields) {
+      return res.status(404).json({ message: 'Template version not found' });
+    }
+
+    const fromEmail = req.body.fromEmail || req.user.email;
+    if (!(await senderIdentityService.isVerifiedSender(req.user._id, fromEmail))) {
+      return res.status(403).json({ message: `${fromEmail} is not a verified sender`, fromEmail });
+    }
+
+    const foreignAudience = await findForeignAudience(req.body, req.user._id);
+    if (foreignAudience) {
+      return res.status(404).json({ message: foreignAudience });
+    }
+
     const campaign = await Campaign.create({
-      ...req.body,
+      ...fields,
       userId: req.user._id,
-      fromEmail: req.body.fromEmail || req.user.email
+      fromEmail
     });
 
     res.status(201).json(campaign);
@@ -90,16 +280,38 @@ router.post('/', async (req, res) => {
 // @access  Private
 router.put('/:id', async (req, res) => {
   try {
-    const campaign = await Campaign.findOneAndUpdate(
-      { _id: req.params.id, userId: req.user._id },
-      req.body,
-      { new: true, runValidators: true }
-    );
+    const existing = await Campaign.findOne({ _id: req.params.id, userId: req.user._id });
 
-    if (!campaign) {
+    if (!existing) {
       return res.status(404).json({ message: 'Campaign not found' });
     }
 
+    const changesContent = CONTENT_FIELDS.some(field => req.body[field] !== undefined);
+    if (changesContent && !EDITABLE_STATUSES.includes(existing.status)) {
+      return res.status(400).json({ message: 'Content of a campaign that has started sending cannot be changed' });
+    }
+
+    if (req.body.fromEmail !== undefined &&
+        !(await senderIdentityService.isVerifiedSender(req.user._id, req.body.fromEmail))) {
+      return res.status(403).json({ message: `${req.body.fromEmail} is not a verified sender`, fromEmail: req.body.fromEmail });
+    }
+
+    const foreignAudience = await findForeignAudience(req.body, req.user._id);
+    if (foreignAudience) {
+      return res.status(404).json({ message: foreignAudience });
+    }
+
+    const fields = await applyTemplate(req.body, req.user._id);
+    if (!fields) {
+      return res.status(404).json({ message: 'Template version not found' });
+    }
+
+    const campaign = await Campaign.findOneAndUpdate(
+      { _id: existing._id },
+      fields,
+      { new: true, runValidators: true }
+    );
+
     res.json(campaign);
   } catch (error) {
     res.status(500).json({ message: error.message });
@@ -124,48 +336,44 @@ router.post('/:id/send', async (req, res) => {
       return res.status(400).json({ message: 'Campaign is already being sent' });
     }
 
-    // Update campaign status
-    campaign.status = 'sending';
-    campaign.startedAt = new Date();
-    await campaign.save();
-
-    // Notify clients that campaign sending has started
-    try {
-      const io = req.app.get('io') || global.io;
-      if (io) {
-        io.to(`campaign-${campaign._id}`).emit('campaign-started', {
-          campaignId: campaign._id,
-          status: 'sending',
-          startedAt: campaign.startedAt
-        });
-      }
-    } catch (_) {}
-
-    // Create batches
-    const { batches, totalContacts, totalBatches } = await batchProcessor.createBatches(
-      campaign._id,
-      req.user._id,
-      campaign.contactFilters
-    );
+    if (campaign.status === 'paused') {
+      return res.status(400).json({ message: 'Campaign is paused; resume it instead of sending again' });
+    }
 
-    // Prepare campaign data
-    const campaignData = {
+    // Templates are rendered per recipient by the workers, so reject broken ones up front
+    const templateCheck = templateService.validate({
       subject: campaign.subject,
       body: campaign.body,
-      bodyHtml: campaign.bodyHtml || campaign.body,
-      fromEmail: campaign.fromEmail,
-      fromName: campaign.fromName || '',
-      replyTo: campaign.replyTo || campaign.fromEmail,
-      attachments: campaign.attachments || []
-    };
-
-    // Process batches (io is available globally)
-    await batchProcessor.processBatches(
-      campaign._id,
-      req.user._id,
-      campaignData,
-      batches
+      bodyHtml: campaign.bodyHtml
+    });
+    if (!templateCheck.valid) {
+      return res.status(400).json({
+        message: 'Campaign contains invalid merge tags',
+        errors: templateCheck.errors
+      });
+    }
+
+    // Links are only ever warnings, so skip requesting them here
+    const preflight = await preflightService.run(campaign, req.user._id, { checkLinks: false });
+    if (!preflight.canSend) {
+      return res.status(400).json({
+        message: `Preflight checks failed: ${preflightService.describeFailures(preflight)}`,
+        preflight
+      });
+    }
+
+    // Claim the campaign atomically so a concurrent scheduler run cannot send it too
+    const claimed = await Campaign.findOneAndUpdate(
+      { _id: campaign._id, status: { $nin: ['sending', 'paused'] } },
+      { $set: { status: 'sending', startedAt: new Date(), lastError: '' } },
+      { new: true }
     );
+    if (!claimed) {
+      return res.status(400).json({ message: 'Campaign is already being sent' });
+    }
+
+    // Create and enqueue batches (io is available globally)
+    const { batches, totalContacts, totalBatches } = await batchProcessor.dispatchCampaign(claimed);
 
     res.json({
       message: 'Campaign queued for sending',
@@ -187,6 +395,12 @@ router.post('/:id/send', async (req, res) => {
     } catch (_) {}
 
     // Return more specific status codes for common cases
+    if (error && error.code === 'SENDER_NOT_VERIFIED') {
+      return res.status(403).json({ message: error.message, fromEmail: error.email });
+    }
+    if (error && error.code === 'QUOTA_EXCEEDED') {
+      return res.status(429).json({ message: error.message, usage: error.usage, required: error.requested });
+    }
     const msg = (error && error.message) ? String(error.message) : 'Failed to send campaign';
     if (msg.includes('No contacts found')) {
       return res.status(400).json({ message: 'No contacts match the selected filters. Please add contacts or adjust filters.' });
@@ -198,6 +412,204 @@ router.post('/:id/send', async (req, res) => {
   }
 });
 
+// @route   POST /api/campaigns/:id/test
+// @desc    Send a test of the campaign to verified addresses { emails, contactId }
+// @access  Private
+router.post('/:id/test', async (req, res) => {
+  try {
+    const campaign = await Campaign.findOne({ _id: req.params.id, userId: req.user._id });
+
+    if (!campaign) {
+      return res.status(404).json({ message: 'Campaign not found' });
+    }
+
+    const templateCheck = templateService.validate({
+      subject: campaign.subject,
+      body: campaign.body,
+      bodyHtml: campaign.bodyHtml
+    });
+    if (!templateCheck.valid) {
+      return res.status(400).json({
+        message: 'Campaign contains invalid merge tags',
+        errors: templateCheck.errors
+      });
+    }
+
+    const { emails, contactId } = req.body || {};
+    const results = await proofService.sendTest(campaign, req.user._id, { emails, contactId });
+    if (!results) {
+      return res.status(404).json({ message: 'Sample contact not found' });
+    }
+
+    const sent = results.filter(result => result.success).length;
+    res.status(sent > 0 ? 200 : 502).json({
+      message: `Test sent to ${sent} of ${results.length} addresses`,
+      results
+    });
+  } catch (error) {
+    if (error.message.startsWith('Please provide')) {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error.code === 'SENDER_NOT_VERIFIED') {
+      return res.status(403).json({ message: error.message, fromEmail: error.email });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/campaigns/:id/pause
+// @desc    Pause a sending campaign; queued emails are held until it is resumed
+// @access  Private
+router.post('/:id/pause', async (req, res) => {
+  try {
+    const result = await campaignControlService.pause(req.params.id, req.user._id);
+
+    if (!result) {
+      return res.status(400).json({ message: 'Only a campaign that is sending can be paused' });
+    }
+
+    res.json({ message: 'Campaign paused', campaign: result.campaign, held: result.held });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/campaigns/:id/resume
+// @desc    Resume a paused campaign from where it stopped
+// @access  Private
+router.post('/:id/resume', async (req, res) => {
+  try {
+    const usage = await quotaService.getUsage(req.user._id);
+    if (usage.remaining === 0) {
+      return res.status(429).json({ message: 'Sending quota exhausted; it resets or can be raised by an admin', usage });
+    }
+
+    const result = await campaignControlService.resume(req.params.id, req.user._id);
+
+    if (!result) {
+      return res.status(400).json({ message: 'Only a paused campaign can be resumed' });
+    }
+
+    res.json({ message: 'Campaign resumed', campaign: result.campaign, requeued: result.requeued });
+  } catch (error) {
+    const msg = (error && error.message) ? String(error.message) : 'Failed to resume campaign';
+    if (msg.toLowerCase().includes('redis') || msg.toLowerCase().includes('queue')) {
+      return res.status(503).json({ message: 'Queue service unavailable. Ensure Redis is running and reachable.' });
+    }
+    res.status(500).json({ message: msg });
+  }
+});
+
+// @route   POST /api/campaigns/:id/cancel
+// @desc    Cancel a sending or paused campaign; emails not yet sent are dropped
+// @access  Private
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const result = await campaignControlService.cancel(req.params.id, req.user._id);
+
+    if (!result) {
+      return res.status(400).json({ message: 'Only a sending or paused campaign can be cancelled' });
+    }
+
+    res.json({ message: 'Campaign cancelled', campaign: result.campaign, cancelled: result.cancelled });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/campaigns/:id/retry-failed
+// @desc    Retry the campaign's failed emails now (permanent failures are skipped)
+// @access  Private
+router.post('/:id/retry-failed', async (req, res) => {
+  try {
+    const campaign = await Campaign.findOne({ _id: req.params.id, userId: req.user._id });
+
+    if (!campaign) {
+      return res.status(404).json({ message: 'Campaign not found' });
+    }
+
+    if (['paused', 'cancelled'].includes(campaign.status)) {
+      return res.status(400).json({ message: `Failed emails of a ${campaign.status} campaign cannot be retried` });
+    }
+
+    const { jobs, emails } = await retryService.retryCampaign(campaign._id);
+    if (emails === 0) {
+      return res.status(400).json({ message: 'No failed emails can be retried' });
+    }
+
+    res.json({ message: `Retrying ${emails} failed emails`, jobs, emails });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/campaigns/:id/schedule
+// @desc    Schedule or reschedule a campaign { scheduledAt }
+// @access  Private
+router.post('/:id/schedule', async (req, res) => {
+  try {
+    const scheduledAt = new Date(req.body && req.body.scheduledAt);
+    if (!req.body || !req.body.scheduledAt || Number.isNaN(scheduledAt.getTime())) {
+      return res.status(400).json({ message: 'A valid scheduledAt date is required' });
+    }
+    if (scheduledAt.getTime() < Date.now() - 60000) {
+      return res.status(400).json({ message: 'scheduledAt must be in the future' });
+    }
+
+    const campaign = await Campaign.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!campaign) {
+      return res.status(404).json({ message: 'Campaign not found' });
+    }
+
+    const templateCheck = templateService.validate({
+      subject: campaign.subject,
+      body: campaign.body,
+      bodyHtml: campaign.bodyHtml
+    });
+    if (!templateCheck.valid) {
+      return res.status(400).json({
+        message: 'Campaign contains invalid merge tags',
+        errors: templateCheck.errors
+      });
+    }
+
+    // Only drafts and not-yet-dispatched schedules can be (re)scheduled
+    const updated = await Campaign.findOneAndUpdate(
+      { _id: campaign._id, status: { $in: EDITABLE_STATUSES } },
+      { $set: { status: 'scheduled', scheduledAt, lastError: '' } },
+      { new: true }
+    );
+    if (!updated) {
+      return res.status(400).json({ message: `A ${campaign.status} campaign cannot be scheduled` });
+    }
+
+    res.json(updated);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   DELETE /api/campaigns/:id/schedule
+// @desc    Cancel a scheduled campaign (back to draft)
+// @access  Private
+router.delete('/:id/schedule', async (req, res) => {
+  try {
+    const campaign = await Campaign.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user._id, status: 'scheduled' },
+      { $set: { status: 'draft' }, $unset: { scheduledAt: 1 } },
+      { new: true }
+    );
+
+    if (!campaign) {
+      return res.status(400).json({ message: 'Campaign is not scheduled (it may already be sending)' });
+    }
+
+    res.json(campaign);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 // @route   DELETE /api/campaigns/:id
 // @desc    Delete a campaign
 // @access  Private
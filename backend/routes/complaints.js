@@ -0,0 +1,49 @@
+const express = require('express');
+const complaintService = require('../services/complaintService');
+const { webhookSecret } = require('../middleware/webhookSecret');
+
+const router = express.Router();
+
+// Public route authenticated with a shared secret (COMPLAINT_WEBHOOK_SECRET),
+// so feedback loop relays can post ARF reports without a user session
+const verifySecret = webhookSecret('COMPLAINT_WEBHOOK_SECRET');
+
+// Raw MIME bodies (message/rfc822, multipart/report, text/plain) are kept as buffers
+const rawBody = express.raw({
+  type: ['message/*', 'multipart/*', 'text/plain', 'application/octet-stream'],
+  limit: '10mb'
+});
+
+// @route   POST /api/complaints/webhook
+// @desc    Receive a spam complaint: either a raw RFC 5965 ARF report, or JSON
+//          { email, messageId, campaignRef, feedbackType } / { complaints: [...] }
+// @access  Public (shared secret)
+router.post('/webhook', verifySecret, rawBody, async (req, res) => {
+  try {
+    if (Buffer.isBuffer(req.body)) {
+      const result = await complaintService.processRaw(req.body, { source: 'webhook' });
+      if (!result.isArf) {
+        return res.status(422).json({ message: 'Message is not an ARF feedback report' });
+      }
+      return res.json({ message: 'Feedback report processed', processed: result.processed });
+    }
+
+    const complaints = Array.isArray(req.body && req.body.complaints) ? req.body.complaints : [req.body];
+    // An address alone cannot tell which account sent the message
+    const identified = (complaint) => complaint && (complaint.messageId || complaint.campaignRef);
+    if (complaints.length === 0 || !complaints.every(identified)) {
+      return res.status(400).json({ message: 'Each complaint requires a messageId or campaignRef' });
+    }
+
+    const processed = [];
+    for (const complaint of complaints) {
+      processed.push(await complaintService.processComplaint(complaint, { source: 'webhook' }));
+    }
+
+    res.json({ message: 'Complaints processed', processed });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,5 +1,6 @@
 const express = require('express');
 const Contact = require('../models/Contact');
+const consentService = require('../services/consentService');
 const { protect } = require('../middleware/auth');
 
 const router = express.Router();
@@ -7,6 +8,12 @@ const router = express.Router();
 // All routes require authentication
 router.use(protect);
 
+// Consent only changes through consentService and list memberships through /api/lists
+const contactFields = (body) => {
+  const { lists, ...rest } = consentService.stripConsentFields(body);
+  return rest;
+};
+
 // @route   GET /api/contacts
 // @desc    Get all contacts for user
 // @access  Private
@@ -49,7 +56,8 @@ router.get('/', async (req, res) => {
 router.post('/', async (req, res) => {
   try {
     const contact = await Contact.create({
-      ...req.body,
+      ...contactFields(req.body),
+      ...consentService.forNewContact(req.body.consent, 'api'),
       userId: req.user._id
     });
 
@@ -74,7 +82,8 @@ router.post('/bulk', async (req, res) => {
     }
 
     const contactsToInsert = contacts.map(contact => ({
-      ...contact,
+      ...contactFields(contact),
+      ...consentService.forNewContact(contact.consent, 'api'),
       userId: req.user._id
     }));
 
@@ -110,7 +119,7 @@ router.put('/:id', async (req, res) => {
   try {
     const contact = await Contact.findOneAndUpdate(
       { _id: req.params.id, userId: req.user._id },
-      req.body,
+      contactFields(req.body),
       { new: true, runValidators: true }
     );
 
@@ -124,6 +133,75 @@ router.put('/:id', async (req, res) => {
   }
 });
 
+// @route   GET /api/contacts/:id/consent
+// @desc    Get current consent state and full consent history for a contact
+// @access  Private
+router.get('/:id/consent', async (req, res) => {
+  try {
+    const contact = await Contact.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    }).select('email status consent consentHistory');
+
+    if (!contact) {
+      return res.status(404).json({ message: 'Contact not found' });
+    }
+
+    res.json({
+      contactId: contact._id,
+      email: contact.email,
+      status: contact.status,
+      consent: contact.consent,
+      history: contact.consentHistory
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/contacts/:id/consent
+// @desc    Record a consent change (granted, withdrawn or updated)
+// @access  Private
+router.post('/:id/consent', async (req, res) => {
+  try {
+    const { action, lawfulBasis, source, note } = req.body || {};
+
+    if (!['granted', 'withdrawn', 'updated'].includes(action)) {
+      return res.status(400).json({ message: 'Action must be one of: granted, withdrawn, updated' });
+    }
+
+    if (action === 'granted' && !consentService.isValidLawfulBasis(lawfulBasis)) {
+      return res.status(400).json({
+        message: `Lawful basis must be one of: ${consentService.lawfulBases.join(', ')}`
+      });
+    }
+
+    const contact = await consentService.record(
+      { _id: req.params.id, userId: req.user._id },
+      action,
+      {
+        lawfulBasis,
+        source: source || 'manual',
+        note,
+        ip: req.ip,
+        userAgent: req.get('user-agent')
+      }
+    );
+
+    if (!contact) {
+      return res.status(404).json({ message: 'Contact not found' });
+    }
+
+    res.status(201).json({
+      contactId: contact._id,
+      consent: contact.consent,
+      history: contact.consentHistory
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 // @route   DELETE /api/contacts/:id
 // @desc    Delete a contact
 // @access  Private
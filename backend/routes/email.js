@@ -1,12 +1,20 @@
 const express = require('express');
 const { protect } = require('../middleware/auth');
 const emailService = require('../services/emailService');
+const suppressionService = require('../services/suppressionService');
+const quotaService = require('../services/quotaService');
+const senderIdentityService = require('../services/senderIdentityService');
 
 const router = express.Router();
 
 // All routes require authentication
 router.use(protect);
 
+// `to` may be an array or a comma-separated list; commas inside quoted names don't split
+const parseRecipients = (to) => (Array.isArray(to) ? to : String(to).split(/,(?=(?:[^"]*"[^"]*")*[^"]*$)/))
+  .filter(address => address && String(address).trim())
+  .map(address => emailService.parseEmailAddress(address).email);
+
 // @route   POST /api/email/send
 // @desc    Send a direct email to a provided email id
 // @access  Private
@@ -29,7 +37,40 @@ router.post('/send', async (req, res) => {
       });
     }
 
+    const recipients = parseRecipients(to);
+    if (recipients.length === 0) {
+      return res.status(400).json({ message: 'Please provide at least one recipient in to' });
+    }
+
+    // Every recipient is mailed, so every one of them is checked
+    for (const recipient of recipients) {
+      const suppression = await suppressionService.findSuppression(req.user._id, recipient);
+      if (suppression) {
+        return res.status(400).json({
+          message: 'Recipient is on your suppression list',
+          reason: suppression.reason,
+          recipient,
+          to
+        });
+      }
+    }
+
     const senderEmail = fromEmail || req.user.email;
+    if (!(await senderIdentityService.isVerifiedSender(req.user._id, senderEmail))) {
+      return res.status(403).json({
+        message: `${senderEmail} is not a verified sender`,
+        fromEmail: senderEmail
+      });
+    }
+
+    // One email per recipient counts against the quota
+    if (!(await quotaService.reserve(req.user._id, recipients.length))) {
+      return res.status(429).json({
+        message: 'Sending quota exceeded',
+        usage: await quotaService.getUsage(req.user._id),
+        to
+      });
+    }
 
     const emailData = {
       from: fromName ? `${fromName} <${senderEmail}>` : senderEmail,
@@ -38,7 +79,8 @@ router.post('/send', async (req, res) => {
       text: text || undefined,
       html: html || undefined,
       replyTo: replyTo || senderEmail,
-      attachments: Array.isArray(attachments) ? attachments : []
+      attachments: Array.isArray(attachments) ? attachments : [],
+      userId: req.user._id
     };
 
     const result = await emailService.sendEmail(emailData, 3);
@@ -52,6 +94,7 @@ router.post('/send', async (req, res) => {
       });
     }
 
+    await quotaService.release(req.user._id, recipients.length);
     return res.status(502).json({
       message: 'Failed to send email',
       error: result.error,
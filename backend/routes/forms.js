@@ -0,0 +1,129 @@
+const express = require('express');
+const SignupForm = require('../models/SignupForm');
+const subscriptionService = require('../services/subscriptionService');
+const senderIdentityService = require('../services/senderIdentityService');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+const EDITABLE_FIELDS = [
+  'name', 'tag', 'title', 'description', 'collectName',
+  'fromEmail', 'fromName', 'confirmationSubject', 'redirectUrl', 'active'
+];
+
+const pickEditable = (body = {}) => EDITABLE_FIELDS.reduce((acc, field) => {
+  if (body[field] !== undefined) acc[field] = body[field];
+  return acc;
+}, {});
+
+// Confirmation emails may only come from a verified sender
+const checkSender = async (body = {}, userId) => !body.fromEmail ||
+  await senderIdentityService.isVerifiedSender(userId, body.fromEmail);
+
+const withUrls = (form) => ({
+  ...form.toObject(),
+  hostedUrl: subscriptionService.getFormUrl(form._id),
+  embedCode: subscriptionService.buildFormMarkup(form)
+});
+
+// @route   GET /api/forms
+// @desc    Get all signup forms for user
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const forms = await SignupForm.find({ userId: req.user._id }).sort({ createdAt: -1 });
+    res.json(forms.map(withUrls));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/forms/:id
+// @desc    Get a single signup form with its hosted URL and embed code
+// @access  Private
+router.get('/:id', async (req, res) => {
+  try {
+    const form = await SignupForm.findOne({ _id: req.params.id, userId: req.user._id });
+
+    if (!form) {
+      return res.status(404).json({ message: 'Form not found' });
+    }
+
+    res.json(withUrls(form));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/forms
+// @desc    Create a signup form
+// @access  Private
+router.post('/', async (req, res) => {
+  try {
+    if (!(await checkSender(req.body, req.user._id))) {
+      return res.status(403).json({ message: `${req.body.fromEmail} is not a verified sender` });
+    }
+
+    const form = await SignupForm.create({
+      ...pickEditable(req.body),
+      userId: req.user._id
+    });
+
+    res.status(201).json(withUrls(form));
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   PUT /api/forms/:id
+// @desc    Update a signup form
+// @access  Private
+router.put('/:id', async (req, res) => {
+  try {
+    if (!(await checkSender(req.body, req.user._id))) {
+      return res.status(403).json({ message: `${req.body.fromEmail} is not a verified sender` });
+    }
+
+    const form = await SignupForm.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user._id },
+      pickEditable(req.body),
+      { new: true, runValidators: true }
+    );
+
+    if (!form) {
+      return res.status(404).json({ message: 'Form not found' });
+    }
+
+    res.json(withUrls(form));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   DELETE /api/forms/:id
+// @desc    Delete a signup form
+// @access  Private
+router.delete('/:id', async (req, res) => {
+  try {
+    const form = await SignupForm.findOneAndDelete({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!form) {
+      return res.status(404).json({ message: 'Form not found' });
+    }
+
+    res.json({ message: 'Form deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
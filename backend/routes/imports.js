@@ -0,0 +1,156 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Import = require('../models/Import');
+const ImportRowError = require('../models/ImportRowError');
+const importService = require('../services/importService');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// The stored file path is internal
+const IMPORT_FIELDS = '-filePath';
+
+const escapeCsv = (value) => {
+  const str = value === undefined || value === null ? '' : String(value);
+  return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+const findImport = (req) => mongoose.Types.ObjectId.isValid(req.params.id)
+  ? Import.findOne({ _id: req.params.id, userId: req.user._id })
+  : null;
+
+// @route   GET /api/imports
+// @desc    Get the user's contact imports, newest first
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    const query = { userId: req.user._id };
+
+    const [imports, total] = await Promise.all([
+      Import.find(query)
+        .select(IMPORT_FIELDS)
+        .skip(skip)
+        .limit(limit)
+        .sort({ createdAt: -1 }),
+      Import.countDocuments(query)
+    ]);
+
+    res.json({
+      imports,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/imports/:id
+// @desc    Get one import with its progress
+// @access  Private
+router.get('/:id', async (req, res) => {
+  try {
+    const importJob = await findImport(req);
+
+    if (!importJob) {
+      return res.status(404).json({ message: 'Import not found' });
+    }
+
+    const { filePath, ...fields } = importJob.toObject();
+    res.json(fields);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/imports/:id/errors
+// @desc    Get the rows an import could not use (paginated, ?format=csv to download them all)
+// @access  Private
+router.get('/:id/errors', async (req, res) => {
+  try {
+    const importJob = await findImport(req);
+
+    if (!importJob) {
+      return res.status(404).json({ message: 'Import not found' });
+    }
+
+    const query = { importId: importJob._id };
+
+    if (req.query.format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="import-${importJob._id}-errors.csv"`);
+      res.write('row,email,error\n');
+
+      const cursor = ImportRowError.find(query).sort({ row: 1 }).cursor();
+      for await (const entry of cursor) {
+        res.write([entry.row, entry.email, entry.message].map(escapeCsv).join(',') + '\n');
+      }
+
+      return res.end();
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    const [errors, total] = await Promise.all([
+      ImportRowError.find(query)
+        .select('row email message')
+        .skip(skip)
+        .limit(limit)
+        .sort({ row: 1 }),
+      ImportRowError.countDocuments(query)
+    ]);
+
+    res.json({
+      errors,
+      // Only the first IMPORT_MAX_ERROR_ROWS are stored
+      totalFailed: importJob.progress.failed,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    if (!res.headersSent) {
+      return res.status(500).json({ message: error.message });
+    }
+    res.end();
+  }
+});
+
+// @route   POST /api/imports/:id/cancel
+// @desc    Cancel a queued or running import; contacts already imported are kept
+// @access  Private
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const importJob = await findImport(req);
+
+    if (!importJob) {
+      return res.status(404).json({ message: 'Import not found' });
+    }
+
+    const cancelled = await importService.cancel(importJob);
+    if (!cancelled) {
+      return res.status(400).json({ message: `Cannot cancel an import that is ${importJob.status}` });
+    }
+
+    res.json({ message: 'Import cancelled' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,257 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const List = require('../models/List');
+const Contact = require('../models/Contact');
+const Campaign = require('../models/Campaign');
+const listService = require('../services/listService');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Campaigns in these states still resolve their lists when they send
+const PENDING_CAMPAIGN_STATUSES = ['draft', 'scheduled', 'sending', 'paused'];
+const MEMBER_STATUSES = ['subscribed', 'unsubscribed'];
+
+const findList = (req) => mongoose.Types.ObjectId.isValid(req.params.id)
+  ? List.findOne({ _id: req.params.id, userId: req.user._id })
+  : null;
+
+const withCounts = (list, counts) => ({
+  ...list.toObject(),
+  counts: counts.get(String(list._id)) || { subscribed: 0, unsubscribed: 0 }
+});
+
+// @route   GET /api/lists
+// @desc    Get the user's lists with member counts
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const [lists, counts] = await Promise.all([
+      List.find({ userId: req.user._id }).sort({ name: 1 }),
+      listService.getCounts(req.user._id)
+    ]);
+
+    res.json(lists.map(list => withCounts(list, counts)));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/lists
+// @desc    Create a list { name, description }
+// @access  Private
+router.post('/', async (req, res) => {
+  try {
+    const { name, description } = req.body || {};
+    if (!name) {
+      return res.status(400).json({ message: 'Please provide a list name' });
+    }
+
+    const list = await List.create({ userId: req.user._id, name, description });
+    res.status(201).json(list);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A list with this name already exists' });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   PUT /api/lists/:id
+// @desc    Rename a list or change its description
+// @access  Private
+router.put('/:id', async (req, res) => {
+  try {
+    const list = await findList(req);
+
+    if (!list) {
+      return res.status(404).json({ message: 'List not found' });
+    }
+
+    const { name, description } = req.body || {};
+    if (name !== undefined) list.name = name;
+    if (description !== undefined) list.description = description;
+    await list.save();
+
+    res.json(list);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A list with this name already exists' });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   DELETE /api/lists/:id
+// @desc    Delete a list that no unsent campaign targets; its contacts are kept
+// @access  Private
+router.delete('/:id', async (req, res) => {
+  try {
+    const list = await findList(req);
+
+    if (!list) {
+      return res.status(404).json({ message: 'List not found' });
+    }
+
+    const campaigns = await Campaign.find({
+      userId: req.user._id,
+      'contactFilters.listIds': list._id,
+      status: { $in: PENDING_CAMPAIGN_STATUSES }
+    }).select('name');
+    if (campaigns.length > 0) {
+      return res.status(400).json({
+        message: `List is used by ${campaigns.length} campaign(s) that have not finished sending`,
+        campaigns
+      });
+    }
+
+    await listService.deleteList(list);
+    res.json({ message: 'List deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/lists/:id/contacts
+// @desc    Get the members of a list (paginated, ?status=subscribed|unsubscribed)
+// @access  Private
+router.get('/:id/contacts', async (req, res) => {
+  try {
+    const list = await findList(req);
+
+    if (!list) {
+      return res.status(404).json({ message: 'List not found' });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    const membership = { listId: list._id };
+    if (MEMBER_STATUSES.includes(req.query.status)) membership.status = req.query.status;
+    const query = { userId: req.user._id, lists: { $elemMatch: membership } };
+
+    const [contacts, total] = await Promise.all([
+      Contact.find(query)
+        .select('email name status lists')
+        .skip(skip)
+        .limit(limit)
+        .sort({ email: 1 }),
+      Contact.countDocuments(query)
+    ]);
+
+    res.json({
+      contacts: contacts.map(contact => {
+        const { lists, ...fields } = contact.toObject();
+        return { ...fields, membership: lists.find(entry => String(entry.listId) === String(list._id)) };
+      }),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/lists/:id/contacts
+// @desc    Add existing contacts to a list by { contactIds } and/or { emails }
+// @access  Private
+router.post('/:id/contacts', async (req, res) => {
+  try {
+    const list = await findList(req);
+
+    if (!list) {
+      return res.status(404).json({ message: 'List not found' });
+    }
+
+    const contactIds = (Array.isArray(req.body.contactIds) ? req.body.contactIds : [])
+      .filter(id => mongoose.Types.ObjectId.isValid(id));
+    const emails = (Array.isArray(req.body.emails) ? req.body.emails : [])
+      .map(email => String(email).trim().toLowerCase())
+      .filter(Boolean);
+
+    if (contactIds.length === 0 && emails.length === 0) {
+      return res.status(400).json({ message: 'Please provide contactIds or emails' });
+    }
+
+    const filter = { $or: [{ _id: { $in: contactIds } }, { email: { $in: emails } }] };
+    const added = await listService.addContacts(req.user._id, list._id, filter, { source: 'manual' });
+
+    const found = await Contact.find({ userId: req.user._id, email: { $in: emails } }).distinct('email');
+    const notFound = emails.filter(email => !found.includes(email));
+
+    res.json({
+      message: `Added ${added} contacts to ${list.name}`,
+      added,
+      notFound
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   PUT /api/lists/:id/contacts/:contactId
+// @desc    Change a member's subscription status on this list { status }
+// @access  Private
+router.put('/:id/contacts/:contactId', async (req, res) => {
+  try {
+    const list = await findList(req);
+
+    if (!list) {
+      return res.status(404).json({ message: 'List not found' });
+    }
+
+    const { status } = req.body || {};
+    if (!MEMBER_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `Status must be one of: ${MEMBER_STATUSES.join(', ')}` });
+    }
+
+    const contact = mongoose.Types.ObjectId.isValid(req.params.contactId)
+      ? await listService.setStatus(req.user._id, list._id, req.params.contactId, status)
+      : null;
+
+    if (!contact) {
+      return res.status(404).json({ message: 'Contact is not on this list' });
+    }
+
+    res.json({
+      contactId: contact._id,
+      membership: contact.lists.find(entry => String(entry.listId) === String(list._id))
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   DELETE /api/lists/:id/contacts
+// @desc    Remove subscribed contacts from a list { contactIds }; the contacts are kept
+// @access  Private
+router.delete('/:id/contacts', async (req, res) => {
+  try {
+    const list = await findList(req);
+
+    if (!list) {
+      return res.status(404).json({ message: 'List not found' });
+    }
+
+    const contactIds = (Array.isArray(req.body.contactIds) ? req.body.contactIds : [])
+      .filter(id => mongoose.Types.ObjectId.isValid(id));
+    if (contactIds.length === 0) {
+      return res.status(400).json({ message: 'Please provide contactIds' });
+    }
+
+    const removed = await listService.removeContacts(req.user._id, list._id, contactIds);
+    res.json({ message: `Removed ${removed} contacts from ${list.name}`, removed });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,53 @@
+const express = require('express');
+const privacyService = require('../services/privacyService');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// @route   GET /api/privacy/export?email=
+// @desc    Export all data held about an email address (GDPR access request)
+// @access  Private
+router.get('/export', async (req, res) => {
+  try {
+    const email = String(req.query.email || '').trim();
+    if (!EMAIL_PATTERN.test(email)) {
+      return res.status(400).json({ message: 'Please provide a valid email' });
+    }
+
+    const data = await privacyService.exportData(req.user._id, email);
+    res.json(data);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/privacy/erase
+// @desc    Erase an email address (GDPR erasure request), keeps a hashed suppression marker
+// @access  Private
+router.post('/erase', async (req, res) => {
+  try {
+    const { email, confirm } = req.body || {};
+    if (!EMAIL_PATTERN.test(String(email || '').trim())) {
+      return res.status(400).json({ message: 'Please provide a valid email' });
+    }
+
+    if (confirm !== true) {
+      return res.status(400).json({ message: 'Erasure is irreversible, set confirm: true to proceed' });
+    }
+
+    const result = await privacyService.eraseData(req.user._id, email);
+    res.json({
+      message: 'Data erased successfully',
+      ...result
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,158 @@
+const express = require('express');
+const Segment = require('../models/Segment');
+const Campaign = require('../models/Campaign');
+const segmentService = require('../services/segmentService');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Campaigns in these states still resolve their segment when they send
+const PENDING_CAMPAIGN_STATUSES = ['draft', 'scheduled', 'sending', 'paused'];
+
+const isRuleError = (error) => error.code === 'INVALID_SEGMENT' || error.message.startsWith('Please provide');
+
+// @route   GET /api/segments
+// @desc    Get the user's segments
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const segments = await Segment.find({ userId: req.user._id }).sort({ name: 1 });
+    res.json(segments);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/segments/preview
+// @desc    Count the contacts matching { rules } without saving them
+// @access  Private
+router.post('/preview', async (req, res) => {
+  try {
+    const { rules } = req.body || {};
+    if (!rules) {
+      return res.status(400).json({ message: 'Please provide segment rules' });
+    }
+
+    res.json(await segmentService.count(req.user._id, rules));
+  } catch (error) {
+    if (isRuleError(error)) {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/segments/:id
+// @desc    Get a segment with its current contact count
+// @access  Private
+router.get('/:id', async (req, res) => {
+  try {
+    const segment = await Segment.findOne({ _id: req.params.id, userId: req.user._id });
+
+    if (!segment) {
+      return res.status(404).json({ message: 'Segment not found' });
+    }
+
+    const counts = await segmentService.count(req.user._id, segment.rules);
+    res.json({ ...segment.toObject(), counts });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/segments
+// @desc    Create a segment { name, description, rules }
+// @access  Private
+router.post('/', async (req, res) => {
+  try {
+    const { name, description, rules } = req.body || {};
+    if (!name || !rules) {
+      return res.status(400).json({ message: 'Please provide a name and rules' });
+    }
+
+    segmentService.validate(rules);
+
+    const segment = await Segment.create({
+      userId: req.user._id,
+      name,
+      description,
+      rules
+    });
+
+    res.status(201).json(segment);
+  } catch (error) {
+    if (isRuleError(error)) {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   PUT /api/segments/:id
+// @desc    Update a segment
+// @access  Private
+router.put('/:id', async (req, res) => {
+  try {
+    const { name, description, rules } = req.body || {};
+    if (rules !== undefined) {
+      segmentService.validate(rules);
+    }
+
+    const updates = {};
+    if (name !== undefined) updates.name = name;
+    if (description !== undefined) updates.description = description;
+    if (rules !== undefined) updates.rules = rules;
+
+    const segment = await Segment.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user._id },
+      { $set: updates },
+      { new: true, runValidators: true }
+    );
+
+    if (!segment) {
+      return res.status(404).json({ message: 'Segment not found' });
+    }
+
+    res.json(segment);
+  } catch (error) {
+    if (isRuleError(error)) {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   DELETE /api/segments/:id
+// @desc    Delete a segment that no unsent campaign targets
+// @access  Private
+router.delete('/:id', async (req, res) => {
+  try {
+    const segment = await Segment.findOne({ _id: req.params.id, userId: req.user._id });
+
+    if (!segment) {
+      return res.status(404).json({ message: 'Segment not found' });
+    }
+
+    const campaigns = await Campaign.find({
+      userId: req.user._id,
+      'contactFilters.segmentId': segment._id,
+      status: { $in: PENDING_CAMPAIGN_STATUSES }
+    }).select('name');
+    if (campaigns.length > 0) {
+      return res.status(400).json({
+        message: `Segment is used by ${campaigns.length} campaign(s) that have not finished sending`,
+        campaigns
+      });
+    }
+
+    await segment.deleteOne();
+    res.json({ message: 'Segment deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
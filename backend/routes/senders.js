@@ -0,0 +1,201 @@
+const express = require('express');
+const SenderIdentity = require('../models/SenderIdentity');
+const senderIdentityService = require('../services/senderIdentityService');
+const dkimService = require('../services/dkimService');
+const { protect } = require('../middleware/auth');
+const { escapeHtml, renderPage } = require('../utils/publicPage');
+
+const router = express.Router();
+
+const withDnsRecord = (identity) => ({
+  ...identity.toObject(),
+  dnsRecord: identity.type === 'domain' ? senderIdentityService.getTxtRecord(identity) : undefined,
+  dkimRecord: identity.type === 'domain' ? dkimService.getDnsRecord(identity) : undefined
+});
+
+const findDomain = (req) => SenderIdentity.findOne({ _id: req.params.id, userId: req.user._id, type: 'domain' });
+
+// @route   GET /api/senders/confirm/:token
+// @desc    Show the sender verification page (GET never verifies, link scanners follow it)
+// @access  Public
+router.get('/confirm/:token', (req, res) => {
+  const form = `<form method="POST" action="">
+      <button type="submit" style="background: #0284c7; color: #fff; border: 0; padding: 10px 20px; border-radius: 6px; cursor: pointer;">Verify sender</button>
+    </form>`;
+
+  res.send(renderPage('Verify sender address', 'Confirm that you want to allow sending email as this address.', form));
+});
+
+// @route   POST /api/senders/confirm/:token
+// @desc    Verify a sender address from the emailed link
+// @access  Public
+router.post('/confirm/:token', async (req, res) => {
+  try {
+    const identity = await senderIdentityService.confirm(req.params.token);
+
+    if (!identity) {
+      return res.status(400).send(renderPage('Invalid link', 'This verification link is invalid or has expired.'));
+    }
+
+    res.send(renderPage(
+      'Sender verified',
+      `<strong>${escapeHtml(identity.value)}</strong> can now be used as a From address.`
+    ));
+  } catch (error) {
+    res.status(500).send(renderPage('Something went wrong', 'Please try again later.'));
+  }
+});
+
+// All other routes require authentication
+router.use(protect);
+
+// @route   GET /api/senders
+// @desc    Get the user's sender identities
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const filter = { userId: req.user._id };
+    if (req.query.status) filter.status = req.query.status;
+
+    const identities = await SenderIdentity.find(filter).sort({ type: 1, value: 1 });
+    res.json(identities.map(withDnsRecord));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/senders
+// @desc    Add a sender email (mails a verification link) or domain (returns the TXT record to publish)
+// @access  Private
+router.post('/', async (req, res) => {
+  try {
+    const { email, domain } = req.body || {};
+    if (!email === !domain) {
+      return res.status(400).json({ message: 'Provide either an email or a domain' });
+    }
+
+    const identity = email
+      ? await senderIdentityService.addEmail(req.user._id, email)
+      : await senderIdentityService.addDomain(req.user._id, domain);
+
+    res.status(201).json(withDnsRecord(identity));
+  } catch (error) {
+    if (error.message.startsWith('Please provide')) {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/senders/:id/verify
+// @desc    Resend the verification email, or check a domain's TXT record now
+// @access  Private
+router.post('/:id/verify', async (req, res) => {
+  try {
+    const identity = await SenderIdentity.findOne({ _id: req.params.id, userId: req.user._id });
+
+    if (!identity) {
+      return res.status(404).json({ message: 'Sender not found' });
+    }
+
+    if (identity.status === 'verified') {
+      return res.json(withDnsRecord(identity));
+    }
+
+    if (identity.type === 'email') {
+      const sent = await senderIdentityService.sendVerification(identity);
+      if (!sent) {
+        return res.status(429).json({ message: `A verification email was sent to ${identity.value} recently. Please wait a few minutes before requesting another.` });
+      }
+      return res.json({ ...withDnsRecord(identity), message: `Verification email sent to ${identity.value}` });
+    }
+
+    const checked = await senderIdentityService.checkDomain(identity);
+    res.json(withDnsRecord(checked));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/senders/:id/dkim
+// @desc    Generate a DKIM key for a verified domain, or upload one { selector, privateKey }
+// @access  Private
+router.post('/:id/dkim', async (req, res) => {
+  try {
+    const identity = await findDomain(req);
+
+    if (!identity) {
+      return res.status(404).json({ message: 'Domain not found' });
+    }
+
+    const { selector, privateKey } = req.body || {};
+    const updated = await dkimService.setKey(identity, { selector, privateKeyPem: privateKey });
+
+    res.json(withDnsRecord(updated));
+  } catch (error) {
+    if (error.message.startsWith('Please provide') || error.message.startsWith('DKIM keys')) {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/senders/:id/dkim/check
+// @desc    Check that the domain publishes its DKIM public key
+// @access  Private
+router.post('/:id/dkim/check', async (req, res) => {
+  try {
+    const identity = await findDomain(req);
+
+    if (!identity || !dkimService.getDnsRecord(identity)) {
+      return res.status(404).json({ message: 'DKIM key not found' });
+    }
+
+    res.json(withDnsRecord(await dkimService.checkDns(identity)));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   DELETE /api/senders/:id/dkim
+// @desc    Remove a domain's DKIM key; its mail is sent unsigned
+// @access  Private
+router.delete('/:id/dkim', async (req, res) => {
+  try {
+    const identity = await findDomain(req);
+
+    if (!identity) {
+      return res.status(404).json({ message: 'Domain not found' });
+    }
+
+    res.json(withDnsRecord(await dkimService.removeKey(identity)));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   DELETE /api/senders/:id
+// @desc    Remove a sender identity
+// @access  Private
+router.delete('/:id', async (req, res) => {
+  try {
+    const identity = await SenderIdentity.findOneAndDelete({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!identity) {
+      return res.status(404).json({ message: 'Sender not found' });
+    }
+
+    if (identity.type === 'domain') {
+      dkimService.invalidate(identity);
+    }
+
+    res.json({ message: 'Sender deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,138 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const rateLimit = require('express-rate-limit');
+const SignupForm = require('../models/SignupForm');
+const subscriptionService = require('../services/subscriptionService');
+const { escapeHtml, renderPage } = require('../utils/publicPage');
+
+const router = express.Router();
+
+// Public routes: hosted/embedded signup forms and the double opt-in confirm link
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const wantsJson = (req) => req.is('application/json') || (req.get('accept') || '').includes('application/json');
+
+// Every submission may send an email, so each client gets a limited number of them
+const signupLimiter = rateLimit({
+  windowMs: parseInt(process.env.SUBSCRIBE_RATE_WINDOW_MINUTES || '15') * 60 * 1000,
+  limit: parseInt(process.env.SUBSCRIBE_RATE_LIMIT || '5'),
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  handler: (req, res) => (wantsJson(req)
+    ? res.status(429).json({ message: 'Too many signup attempts, please try again later' })
+    : res.status(429).send(renderPage('Too many attempts', 'Please wait a few minutes before trying again.')))
+});
+
+const findActiveForm = async (formId) => {
+  if (!mongoose.Types.ObjectId.isValid(formId)) {
+    return null;
+  }
+  return await SignupForm.findOne({ _id: formId, active: true });
+};
+
+// @route   GET /api/subscribe/confirm/:token
+// @desc    Show the confirmation page (GET never confirms, link scanners follow it)
+// @access  Public
+router.get('/confirm/:token', (req, res) => {
+  const form = `<form method="POST" action="">
+      <button type="submit" style="background: #0284c7; color: #fff; border: 0; padding: 10px 20px; border-radius: 6px; cursor: pointer;">Confirm subscription</button>
+    </form>`;
+
+  res.send(renderPage('Confirm your subscription', 'Click the button below to start receiving our emails.', form));
+});
+
+// @route   POST /api/subscribe/confirm/:token
+// @desc    Confirm a pending subscription
+// @access  Public
+router.post('/confirm/:token', async (req, res) => {
+  try {
+    const result = await subscriptionService.confirm(req.params.token, {
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    if (!result) {
+      return res.status(400).send(renderPage('Invalid link', 'This confirmation link is invalid or has expired.'));
+    }
+
+    if (result.form.redirectUrl) {
+      return res.redirect(result.form.redirectUrl);
+    }
+
+    res.send(renderPage(
+      'Subscription confirmed',
+      `Thanks! <strong>${escapeHtml(result.contact.email)}</strong> is now subscribed.`
+    ));
+  } catch (error) {
+    res.status(500).send(renderPage('Something went wrong', 'Please try again later.'));
+  }
+});
+
+// @route   GET /api/subscribe/:formId
+// @desc    Hosted signup form page
+// @access  Public
+router.get('/:formId', async (req, res) => {
+  try {
+    const form = await findActiveForm(req.params.formId);
+    if (!form) {
+      return res.status(404).send(renderPage('Form not found', 'This signup form does not exist or is no longer active.'));
+    }
+
+    res.send(renderPage(
+      escapeHtml(form.title),
+      escapeHtml(form.description),
+      `<div style="display:flex;justify-content:center;">${subscriptionService.buildFormMarkup(form)}</div>`
+    ));
+  } catch (error) {
+    res.status(500).send(renderPage('Something went wrong', 'Please try again later.'));
+  }
+});
+
+// @route   POST /api/subscribe/:formId
+// @desc    Submit a signup form (creates a pending contact and sends the confirm email)
+// @access  Public
+router.post('/:formId', signupLimiter, async (req, res) => {
+  try {
+    const form = await findActiveForm(req.params.formId);
+    if (!form) {
+      return wantsJson(req)
+        ? res.status(404).json({ message: 'Form not found' })
+        : res.status(404).send(renderPage('Form not found', 'This signup form does not exist or is no longer active.'));
+    }
+
+    const email = String((req.body && req.body.email) || '').trim();
+    if (!EMAIL_PATTERN.test(email)) {
+      return wantsJson(req)
+        ? res.status(400).json({ message: 'Please provide a valid email' })
+        : res.status(400).send(renderPage('Invalid email', 'Please go back and enter a valid email address.'));
+    }
+
+    await subscriptionService.subscribe(form, {
+      email,
+      name: form.collectName ? String(req.body.name || '').trim() : '',
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    // Same response whatever the outcome, so the form can't be used to probe the list
+    const message = 'Check your inbox and click the link we sent to confirm your subscription.';
+    if (wantsJson(req)) {
+      return res.status(202).json({ message });
+    }
+    res.send(renderPage('Almost done', message));
+  } catch (error) {
+    // The owner has no verified From address for the confirmation email
+    if (error.code === 'SENDER_NOT_VERIFIED') {
+      return wantsJson(req)
+        ? res.status(503).json({ message: 'This form is not accepting signups right now' })
+        : res.status(503).send(renderPage('Signups unavailable', 'This form is not accepting signups right now.'));
+    }
+    if (wantsJson(req)) {
+      return res.status(500).json({ message: 'Failed to process signup' });
+    }
+    res.status(500).send(renderPage('Something went wrong', 'Please try again later.'));
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,218 @@
+const express = require('express');
+const multer = require('multer');
+const csv = require('csv-parser');
+const fs = require('fs');
+const path = require('path');
+const Suppression = require('../models/Suppression');
+const suppressionService = require('../services/suppressionService');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+const REASONS = ['unsubscribed', 'bounced', 'complained', 'manual'];
+
+const upload = multer({
+  dest: 'uploads/',
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB
+  },
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() === '.csv') {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only CSV files are allowed.'));
+    }
+  }
+});
+
+const escapeCsv = (value) => {
+  const str = value === undefined || value === null ? '' : String(value);
+  return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+// @route   GET /api/suppressions
+// @desc    Get suppressed addresses for user
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    const query = { userId: req.user._id };
+    if (req.query.reason) query.reason = req.query.reason;
+    if (req.query.search) {
+      const escaped = req.query.search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      query.email = { $regex: escaped, $options: 'i' };
+    }
+
+    const suppressions = await Suppression.find(query)
+      .skip(skip)
+      .limit(limit)
+      .sort({ suppressedAt: -1 });
+
+    const total = await Suppression.countDocuments(query);
+
+    res.json({
+      suppressions,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/suppressions/export
+// @desc    Export the suppression list as CSV
+// @access  Private
+router.get('/export', async (req, res) => {
+  try {
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', 'attachment; filename="suppressions.csv"');
+    res.write('email,reason,source,suppressedAt\n');
+
+    const cursor = Suppression.find({ userId: req.user._id }).sort({ suppressedAt: -1 }).cursor();
+    for await (const entry of cursor) {
+      res.write([
+        entry.email,
+        entry.reason,
+        entry.source,
+        entry.suppressedAt ? entry.suppressedAt.toISOString() : ''
+      ].map(escapeCsv).join(',') + '\n');
+    }
+
+    res.end();
+  } catch (error) {
+    if (!res.headersSent) {
+      return res.status(500).json({ message: error.message });
+    }
+    res.end();
+  }
+});
+
+// @route   POST /api/suppressions
+// @desc    Add an address to the suppression list
+// @access  Private
+router.post('/', async (req, res) => {
+  try {
+    const { email, reason, source } = req.body || {};
+
+    if (!email) {
+      return res.status(400).json({ message: 'Email is required' });
+    }
+
+    if (reason && !REASONS.includes(reason)) {
+      return res.status(400).json({ message: `Reason must be one of: ${REASONS.join(', ')}` });
+    }
+
+    const suppression = await suppressionService.suppress(req.user._id, email, {
+      reason: reason || 'manual',
+      source: source || 'manual'
+    });
+
+    res.status(201).json(suppression);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/suppressions/import
+// @desc    Import suppressed addresses from a CSV file (email[, reason])
+// @access  Private
+router.post('/import', upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'No file uploaded' });
+    }
+
+    const rows = [];
+    await new Promise((resolve, reject) => {
+      fs.createReadStream(req.file.path)
+        .pipe(csv({ mapHeaders: ({ header }) => header.trim().toLowerCase() }))
+        .on('data', (row) => {
+          const email = (row.email || '').trim().toLowerCase();
+          if (email) {
+            rows.push({
+              email,
+              reason: REASONS.includes(row.reason) ? row.reason : 'manual'
+            });
+          }
+        })
+        .on('end', resolve)
+        .on('error', reject);
+    });
+
+    fs.unlinkSync(req.file.path);
+
+    if (rows.length === 0) {
+      return res.status(400).json({ message: 'No email addresses found in file' });
+    }
+
+    const now = new Date();
+    let result;
+    try {
+      result = await Suppression.bulkWrite(rows.map(row => ({
+        updateOne: {
+          filter: {
+            userId: req.user._id,
+            email: row.email,
+            reason: { $in: suppressionService.replaceableReasons(row.reason) }
+          },
+          update: {
+            $set: { reason: row.reason, source: 'import', suppressedAt: now },
+            $setOnInsert: { userId: req.user._id, email: row.email }
+          },
+          upsert: true
+        }
+      })), { ordered: false });
+    } catch (error) {
+      // Duplicate keys are addresses already suppressed for a stronger reason
+      if (!error.writeErrors || error.writeErrors.some(writeError => writeError.code !== 11000)) {
+        throw error;
+      }
+      result = error.result;
+    }
+
+    res.json({
+      message: 'Suppression list imported successfully',
+      imported: result.upsertedCount || 0,
+      updated: result.modifiedCount || 0,
+      total: rows.length
+    });
+  } catch (error) {
+    if (req.file && fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   DELETE /api/suppressions/:id
+// @desc    Remove an address from the suppression list
+// @access  Private
+router.delete('/:id', async (req, res) => {
+  try {
+    const suppression = await Suppression.findOneAndDelete({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!suppression) {
+      return res.status(404).json({ message: 'Suppression not found' });
+    }
+
+    res.json({ message: 'Suppression removed successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,196 @@
+const express = require('express');
+const Template = require('../models/Template');
+const templateService = require('../services/templateService');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+const CONTENT_FIELDS = ['subject', 'body', 'bodyHtml'];
+
+const hasContent = (body = {}) => CONTENT_FIELDS.some(field => body[field] !== undefined);
+
+// Reject templates whose merge tags would fail to render at send time
+const checkMergeTags = ({ subject, body, bodyHtml }) => {
+  const result = templateService.validate({ subject, body, bodyHtml });
+  return result.valid ? null : result.errors;
+};
+
+const handleError = (res, error) => {
+  if (error.code === 11000) {
+    return res.status(400).json({ message: 'A template with this name already exists' });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ message: error.message });
+  }
+  res.status(500).json({ message: error.message });
+};
+
+// @route   GET /api/templates
+// @desc    Get all templates for user with their current version
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const templates = await Template.find({ userId: req.user._id })
+      .select({ versions: { $slice: -1 } })
+      .sort({ updatedAt: -1 });
+
+    res.json(templates.map(template => {
+      const { versions, ...rest } = template.toObject();
+      return { ...rest, current: versions[0] || null };
+    }));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/templates/:id
+// @desc    Get a template with its full version history
+// @access  Private
+router.get('/:id', async (req, res) => {
+  try {
+    const template = await Template.findOne({ _id: req.params.id, userId: req.user._id });
+
+    if (!template) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+
+    res.json(template);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/templates/:id/versions/:version
+// @desc    Get one version of a template
+// @access  Private
+router.get('/:id/versions/:version', async (req, res) => {
+  try {
+    const template = await Template.findOne({ _id: req.params.id, userId: req.user._id });
+    const version = template && template.getVersion(req.params.version);
+
+    if (!version) {
+      return res.status(404).json({ message: 'Template version not found' });
+    }
+
+    res.json({ templateId: template._id, name: template.name, ...version.toObject() });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/templates
+// @desc    Create a template (version 1)
+// @access  Private
+router.post('/', async (req, res) => {
+  try {
+    const { name, description, subject = '', body, bodyHtml, note } = req.body || {};
+
+    const errors = checkMergeTags({ subject, body, bodyHtml });
+    if (errors) {
+      return res.status(400).json({ message: 'Template contains invalid merge tags', errors });
+    }
+
+    const template = new Template({
+      userId: req.user._id,
+      name,
+      description: description || ''
+    });
+    template.addVersion({ subject, body, bodyHtml: bodyHtml || body || '', note });
+    await template.save();
+
+    res.status(201).json(template);
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// @route   PUT /api/templates/:id
+// @desc    Update name/description; changed content is saved as a new version
+// @access  Private
+router.put('/:id', async (req, res) => {
+  try {
+    const template = await Template.findOne({ _id: req.params.id, userId: req.user._id });
+
+    if (!template) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+
+    if (req.body.name !== undefined) template.name = req.body.name;
+    if (req.body.description !== undefined) template.description = req.body.description;
+
+    if (hasContent(req.body)) {
+      const current = template.getVersion();
+      const next = CONTENT_FIELDS.reduce((acc, field) => {
+        acc[field] = req.body[field] !== undefined ? req.body[field] : (current ? current[field] : '');
+        return acc;
+      }, {});
+
+      const errors = checkMergeTags(next);
+      if (errors) {
+        return res.status(400).json({ message: 'Template contains invalid merge tags', errors });
+      }
+
+      const changed = !current || CONTENT_FIELDS.some(field => next[field] !== current[field]);
+      if (changed) {
+        template.addVersion({ ...next, note: req.body.note });
+      }
+    }
+
+    await template.save();
+
+    res.json(template);
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// @route   POST /api/templates/:id/versions/:version/restore
+// @desc    Make an old version current again (saved as a new version)
+// @access  Private
+router.post('/:id/versions/:version/restore', async (req, res) => {
+  try {
+    const template = await Template.findOne({ _id: req.params.id, userId: req.user._id });
+    const version = template && template.getVersion(req.params.version);
+
+    if (!version) {
+      return res.status(404).json({ message: 'Template version not found' });
+    }
+
+    template.addVersion({
+      subject: version.subject,
+      body: version.body,
+      bodyHtml: version.bodyHtml,
+      note: `Restored from version ${version.version}`
+    });
+    await template.save();
+
+    res.json(template);
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// @route   DELETE /api/templates/:id
+// @desc    Delete a template (campaigns keep their own snapshot)
+// @access  Private
+router.delete('/:id', async (req, res) => {
+  try {
+    const template = await Template.findOneAndDelete({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!template) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+
+    res.json({ message: 'Template deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,59 @@
+const express = require('express');
+const trackingService = require('../services/trackingService');
+const { renderPage } = require('../utils/publicPage');
+
+const router = express.Router();
+
+// Public routes: mail clients and recipients are not logged in, the signed token identifies them
+
+// @route   GET /api/track/open/:token.gif
+// @desc    Tracking pixel, records an 'opened' event
+// @access  Public
+router.get('/open/:token.gif', async (req, res) => {
+  try {
+    await trackingService.recordOpen(req.params.token, {
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+  } catch (error) {
+    console.error('[TRACKING ERROR] Failed to record open:', error.message);
+  }
+
+  // Always answer with the pixel so the email renders normally
+  res.set({
+    'Content-Type': 'image/gif',
+    'Content-Length': trackingService.pixel.length,
+    'Cache-Control': 'no-store, no-cache, must-revalidate, private',
+    Pragma: 'no-cache',
+    Expires: '0'
+  });
+  res.end(trackingService.pixel);
+});
+
+// @route   GET /api/track/click/:token
+// @desc    Record a 'clicked' event and redirect to the original link
+// @access  Public
+router.get('/click/:token', async (req, res) => {
+  try {
+    const recipient = await trackingService.recordClick(req.params.token, {
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    if (!recipient) {
+      return res.status(400).send(renderPage('Invalid link', 'This link is invalid or has been tampered with.'));
+    }
+
+    res.redirect(302, recipient.url);
+  } catch (error) {
+    // Still send the recipient on their way if recording failed
+    const recipient = trackingService.decodeClick(req.params.token);
+    if (recipient) {
+      console.error('[TRACKING ERROR] Failed to record click:', error.message);
+      return res.redirect(302, recipient.url);
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,83 @@
+const express = require('express');
+const unsubscribeService = require('../services/unsubscribeService');
+const { escapeHtml, renderPage } = require('../utils/publicPage');
+
+const router = express.Router();
+
+// Public routes: recipients are not logged in, the signed token identifies them
+
+// @route   GET /api/unsubscribe/:token
+// @desc    Show unsubscribe confirmation page (GET never unsubscribes, link scanners follow it)
+// @access  Public
+router.get('/:token', async (req, res) => {
+  try {
+    const recipient = unsubscribeService.decodeToken(req.params.token);
+    if (!recipient) {
+      return res.status(400).send(renderPage('Invalid link', 'This unsubscribe link is invalid or has been tampered with.'));
+    }
+
+    const button = (scope, label, color) => `<form method="POST" action="" style="display: inline-block; margin: 4px;">
+      <input type="hidden" name="scope" value="${scope}">
+      <button type="submit" style="background: ${color}; color: #fff; border: 0; padding: 10px 20px; border-radius: 6px; cursor: pointer;">${label}</button>
+    </form>`;
+
+    const lists = await unsubscribeService.getLists(recipient);
+    if (lists.length) {
+      const names = lists.map(list => `<strong>${escapeHtml(list.name)}</strong>`).join(', ');
+      return res.send(renderPage(
+        'Unsubscribe',
+        `Stop sending ${names} emails to <strong>${escapeHtml(recipient.email)}</strong>?`,
+        button('lists', 'Unsubscribe from this list', '#0284c7') + button('all', 'Unsubscribe from all emails', '#6b7280')
+      ));
+    }
+
+    res.send(renderPage(
+      'Unsubscribe',
+      `Stop sending emails to <strong>${escapeHtml(recipient.email)}</strong>?`,
+      button('all', 'Unsubscribe', '#0284c7')
+    ));
+  } catch (error) {
+    res.status(500).send(renderPage('Something went wrong', 'Please try again later.'));
+  }
+});
+
+// @route   POST /api/unsubscribe/:token
+// @desc    Unsubscribe a recipient (confirmation form and RFC 8058 one-click, which leaves only the campaign's lists)
+// @access  Public
+router.post('/:token', async (req, res) => {
+  try {
+    const oneClick = req.body && req.body['List-Unsubscribe'] === 'One-Click';
+    const result = await unsubscribeService.unsubscribe(req.params.token, {
+      method: oneClick ? 'one-click' : 'link'
+    }, {
+      scope: req.body && req.body.scope === 'all' ? 'all' : 'lists'
+    });
+
+    if (!result) {
+      if (oneClick) {
+        return res.status(400).json({ message: 'Invalid unsubscribe token' });
+      }
+      return res.status(400).send(renderPage('Invalid link', 'This unsubscribe link is invalid or has been tampered with.'));
+    }
+
+    if (oneClick) {
+      return res.json({ message: 'Unsubscribed' });
+    }
+
+    if (result.scope === 'lists') {
+      return res.send(renderPage(
+        'You have been unsubscribed',
+        `<strong>${escapeHtml(result.email)}</strong> will no longer receive ${result.lists.map(name => `<strong>${escapeHtml(name)}</strong>`).join(', ')} emails.`
+      ));
+    }
+
+    res.send(renderPage(
+      'You have been unsubscribed',
+      `<strong>${escapeHtml(result.email)}</strong> will no longer receive these emails.`
+    ));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,11 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const multer = require('multer');
-const csv = require('csv-parser');
-const xlsx = require('xlsx');
 const fs = require('fs');
-const path = require('path');
-const Contact = require('../models/Contact');
+const ImportPreset = require('../models/ImportPreset');
+const consentService = require('../services/consentService');
+const listService = require('../services/listService');
+const importService = require('../services/importService');
 const { protect } = require('../middleware/auth');
 
 const router = express.Router();
@@ -27,15 +28,17 @@ const storage = multer.diskStorage({
   }
 });
 
+// Imports stream the file in the background, so large files are fine
+// (spreadsheets have their own, lower cap: importService.sizeError)
+const MAX_FILE_MB = parseInt(process.env.IMPORT_MAX_FILE_MB || '500');
+
 const upload = multer({
   storage: storage,
   limits: {
-    fileSize: 10 * 1024 * 1024 // 10MB
+    fileSize: MAX_FILE_MB * 1024 * 1024
   },
   fileFilter: (req, file, cb) => {
-    const allowedTypes = ['.csv', '.xlsx', '.xls'];
-    const ext = path.extname(file.originalname).toLowerCase();
-    if (allowedTypes.includes(ext)) {
+    if (importService.isAllowedFile(file.originalname)) {
       cb(null, true);
     } else {
       cb(new Error('Invalid file type. Only CSV and XLSX files are allowed.'));
@@ -43,8 +46,83 @@ const upload = multer({
   }
 });
 
+const removeFile = (filePath) => {
+  if (filePath && fs.existsSync(filePath)) {
+    fs.unlinkSync(filePath);
+  }
+};
+
+// Multipart fields arrive as strings, JSON bodies as objects
+const parseMapping = (mapping) => {
+  if (!mapping || typeof mapping === 'object') {
+    return mapping;
+  }
+  try {
+    return JSON.parse(mapping);
+  } catch (error) {
+    throw new Error('Please provide the column mapping as JSON');
+  }
+};
+
+const toColumns = (mapping) => Object.entries(mapping).map(([header, target]) => ({ header, target: target || '' }));
+
+/**
+ * Check the options shared by both import routes and resolve the mapping:
+ * an explicit one, a saved preset, or the suggestion for these headers.
+ * Returns { error, status } when the request is unusable.
+ */
+const resolveImportOptions = async (req, headers) => {
+  const body = req.body || {};
+
+  if (body.lawfulBasis && !consentService.isValidLawfulBasis(body.lawfulBasis)) {
+    return { status: 400, error: `Lawful basis must be one of: ${consentService.lawfulBases.join(', ')}` };
+  }
+
+  let list = null;
+  if (body.listId) {
+    try {
+      [list] = await listService.getOwned(req.user._id, [body.listId]);
+    } catch (error) {
+      return { status: 404, error: error.message };
+    }
+  }
+
+  let mapping = parseMapping(body.mapping);
+  if (!mapping && body.presetId) {
+    const preset = mongoose.Types.ObjectId.isValid(body.presetId)
+      ? await ImportPreset.findOne({ _id: body.presetId, userId: req.user._id })
+      : null;
+    if (!preset) {
+      return { status: 404, error: 'Import preset not found' };
+    }
+    mapping = Object.fromEntries(preset.columns.map(column => [column.header, column.target]));
+  }
+  if (!mapping) {
+    mapping = importService.suggestMapping(headers);
+  }
+
+  // Presets may name columns this file does not have
+  mapping = Object.fromEntries(Object.entries(mapping).filter(([header]) => headers.includes(header)));
+  importService.validateMapping(mapping);
+
+  return { list, mapping };
+};
+
+// Multipart fields arrive as strings
+const isTrue = (value) => value === true || value === 'true';
+
+const started = (res, importJob) => res.status(202).json({
+  message: 'Import started',
+  import: {
+    _id: importJob._id,
+    fileName: importJob.fileName,
+    fileSize: importJob.fileSize,
+    status: importJob.status
+  }
+});
+
 // @route   POST /api/upload/contacts
-// @desc    Upload contacts from CSV/XLSX file
+// @desc    Import contacts from a CSV/XLSX file in one step (mapping or presetId, else columns are mapped automatically)
 // @access  Private
 router.post('/contacts', upload.single('file'), async (req, res) => {
   try {
@@ -52,100 +130,171 @@ router.post('/contacts', upload.single('file'), async (req, res) => {
       return res.status(400).json({ message: 'No file uploaded' });
     }
 
-    const filePath = req.file.path;
-    const fileExt = path.extname(req.file.originalname).toLowerCase();
-    const contacts = [];
-
-    // Parse CSV file
-    if (fileExt === '.csv') {
-      await new Promise((resolve, reject) => {
-        fs.createReadStream(filePath)
-          .pipe(csv())
-          .on('data', (row) => {
-            // Map common CSV columns to contact fields
-            const contact = {
-              email: row.email || row.Email || row.EMAIL || '',
-              name: row.name || row.Name || row.NAME || row.fullname || row.FullName || '',
-              phone: row.phone || row.Phone || row.PHONE || '',
-              tags: row.tags ? row.tags.split(',').map(t => t.trim()) : []
-            };
-
-            if (contact.email) {
-              contacts.push(contact);
-            }
-          })
-          .on('end', resolve)
-          .on('error', reject);
-      });
-    }
-    // Parse XLSX file
-    else if (fileExt === '.xlsx' || fileExt === '.xls') {
-      const workbook = xlsx.readFile(filePath);
-      const sheetName = workbook.SheetNames[0];
-      const worksheet = workbook.Sheets[sheetName];
-      const data = xlsx.utils.sheet_to_json(worksheet);
-
-      data.forEach(row => {
-        const contact = {
-          email: row.email || row.Email || row.EMAIL || '',
-          name: row.name || row.Name || row.NAME || row.fullname || row.FullName || '',
-          phone: row.phone || row.Phone || row.PHONE || '',
-          tags: row.tags ? (typeof row.tags === 'string' ? row.tags.split(',').map(t => t.trim()) : []) : []
-        };
-
-        if (contact.email) {
-          contacts.push(contact);
-        }
-      });
-    }
-
-    // Clean up uploaded file
-    fs.unlinkSync(filePath);
+    // Spreadsheets over their cap are refused before anything parses them
+    const sizeError = importService.sizeError(req.file.originalname, req.file.size);
+    if (sizeError) {
+      removeFile(req.file.path);
+      return res.status(413).json({ message: sizeError });
+    }
 
-    if (contacts.length === 0) {
-      return res.status(400).json({ message: 'No valid contacts found in file' });
+    const { headers } = await importService.previewFile(req.file.path, req.file.originalname);
+    const options = await resolveImportOptions(req, headers);
+    if (options.error) {
+      removeFile(req.file.path);
+      return res.status(options.status).json({ message: options.error });
     }
 
-    // Import contacts
-    const contactsToInsert = contacts.map(contact => ({
-      ...contact,
-      userId: req.user._id
-    }));
+    const importJob = await importService.createImport(req.user._id, req.file.path, {
+      fileName: req.file.originalname,
+      mapping: options.mapping,
+      lawfulBasis: req.body.lawfulBasis,
+      consentSource: req.body.consentSource,
+      listId: options.list && options.list._id,
+      updateExisting: isTrue(req.body.updateExisting)
+    });
 
-    // Use insertMany with ordered: false to continue on duplicates
-    let result;
-    try {
-      result = await Contact.insertMany(contactsToInsert, {
-        ordered: false
-      });
-    } catch (error) {
-      // Handle partial success
-      if (error.writeErrors) {
-        const imported = error.result.insertedIds ? Object.keys(error.result.insertedIds).length : 0;
-        return res.status(207).json({
-          message: 'Partially imported contacts',
-          imported,
-          total: contacts.length,
-          errors: error.writeErrors.length,
-          duplicateCount: contacts.length - imported
-        });
-      }
-      throw error;
+    started(res, importJob);
+  } catch (error) {
+    removeFile(req.file && req.file.path);
+    if (error.message.startsWith('Please provide')) {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/upload/contacts/preview
+// @desc    Upload a CSV/XLSX file and get its headers, sample rows and a suggested mapping
+// @access  Private
+router.post('/contacts/preview', upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'No file uploaded' });
+    }
+
+    // Spreadsheets over their cap are refused before anything parses them
+    const sizeError = importService.sizeError(req.file.originalname, req.file.size);
+    if (sizeError) {
+      removeFile(req.file.path);
+      return res.status(413).json({ message: sizeError });
+    }
+
+    const preview = await importService.previewFile(req.file.path, req.file.originalname);
+    if (preview.headers.length === 0) {
+      removeFile(req.file.path);
+      return res.status(400).json({ message: 'The file has no header row' });
     }
 
+    const uploadId = importService.stage(req.user._id, req.file, preview.headers);
+
     res.json({
-      message: 'Contacts imported successfully',
-      imported: result.length,
-      total: contacts.length
+      uploadId,
+      fileName: req.file.originalname,
+      fileSize: req.file.size,
+      ...preview
     });
   } catch (error) {
-    // Clean up file if it exists
-    if (req.file && fs.existsSync(req.file.path)) {
-      fs.unlinkSync(req.file.path);
+    removeFile(req.file && req.file.path);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/upload/contacts/import
+// @desc    Start importing a previewed file { uploadId, fileName, mapping | presetId, lawfulBasis, listId, updateExisting, savePresetAs }
+// @access  Private
+router.post('/contacts/import', async (req, res) => {
+  try {
+    const filePath = importService.getStagedPath(req.user._id, req.body.uploadId);
+    const headers = filePath && importService.getStagedHeaders(filePath);
+    if (!headers) {
+      return res.status(404).json({ message: 'Upload not found or expired, please upload the file again' });
+    }
+
+    const options = await resolveImportOptions(req, headers);
+    if (options.error) {
+      return res.status(options.status).json({ message: options.error });
+    }
+
+    if (req.body.savePresetAs) {
+      await ImportPreset.findOneAndUpdate(
+        { userId: req.user._id, name: String(req.body.savePresetAs).trim() },
+        { $set: { columns: toColumns(options.mapping) } },
+        { upsert: true, runValidators: true }
+      );
+    }
+
+    const importJob = await importService.createImport(req.user._id, filePath, {
+      fileName: req.body.fileName || req.body.uploadId,
+      mapping: options.mapping,
+      lawfulBasis: req.body.lawfulBasis,
+      consentSource: req.body.consentSource,
+      listId: options.list && options.list._id,
+      updateExisting: isTrue(req.body.updateExisting)
+    });
+
+    started(res, importJob);
+  } catch (error) {
+    if (error.message.startsWith('Please provide')) {
+      return res.status(400).json({ message: error.message });
     }
     res.status(500).json({ message: error.message });
   }
 });
 
-module.exports = router;
+// @route   GET /api/upload/presets
+// @desc    Get the user's saved column mappings
+// @access  Private
+router.get('/presets', async (req, res) => {
+  try {
+    const presets = await ImportPreset.find({ userId: req.user._id }).sort({ name: 1 });
+    res.json(presets);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/upload/presets
+// @desc    Save a column mapping { name, mapping } (replaces a preset with the same name)
+// @access  Private
+router.post('/presets', async (req, res) => {
+  try {
+    const { name } = req.body || {};
+    const mapping = parseMapping(req.body && req.body.mapping);
+    if (!name) {
+      return res.status(400).json({ message: 'Please provide a preset name' });
+    }
+    importService.validateMapping(mapping);
+
+    const preset = await ImportPreset.findOneAndUpdate(
+      { userId: req.user._id, name: String(name).trim() },
+      { $set: { columns: toColumns(mapping) } },
+      { upsert: true, new: true, runValidators: true }
+    );
+
+    res.status(201).json(preset);
+  } catch (error) {
+    if (error.message.startsWith('Please provide')) {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
 
+// @route   DELETE /api/upload/presets/:id
+// @desc    Delete a saved column mapping
+// @access  Private
+router.delete('/presets/:id', async (req, res) => {
+  try {
+    const preset = await ImportPreset.findOneAndDelete({ _id: req.params.id, userId: req.user._id });
+
+    if (!preset) {
+      return res.status(404).json({ message: 'Import preset not found' });
+    }
+
+    res.json({ message: 'Import preset deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
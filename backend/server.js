@@ -36,6 +36,11 @@ const io = socketIo(server, {
   },
 });
 
+// Trust the reverse proxy so req.ip is the real client IP (recorded as consent evidence)
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -59,6 +64,9 @@ io.on('connection', (socket) => {
   socket.on('join-campaign', (campaignId) => {
     socket.join(`campaign-${campaignId}`);
   });
+  socket.on('join-import', (importId) => {
+    socket.join(`import-${importId}`);
+  });
 });
 
 // Make io available to routes and globally
@@ -68,11 +76,25 @@ global.io = io;
 // Routes
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/contacts', require('./routes/contacts'));
+app.use('/api/segments', require('./routes/segments'));
+app.use('/api/lists', require('./routes/lists'));
+app.use('/api/suppressions', require('./routes/suppressions'));
+app.use('/api/privacy', require('./routes/privacy'));
 app.use('/api/campaigns', require('./routes/campaigns'));
+app.use('/api/templates', require('./routes/templates'));
 app.use('/api/jobs', require('./routes/jobs'));
 app.use('/api/analytics', require('./routes/analytics'));
 app.use('/api/upload', require('./routes/upload'));
+app.use('/api/imports', require('./routes/imports'));
 app.use('/api/email', require('./routes/email'));
+app.use('/api/unsubscribe', require('./routes/unsubscribe'));
+app.use('/api/forms', require('./routes/forms'));
+app.use('/api/subscribe', require('./routes/subscribe'));
+app.use('/api/bounces', require('./routes/bounces'));
+app.use('/api/complaints', require('./routes/complaints'));
+app.use('/api/track', require('./routes/track'));
+app.use('/api/senders', require('./routes/senders'));
+app.use('/api/admin', require('./routes/admin'));
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -84,11 +106,36 @@ server.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
 });
 
+// Inbound SMTP listener for bounce notifications (INBOUND_SMTP_ENABLED=true)
+const inboundSmtpService = require('./services/inboundSmtpService');
+inboundSmtpService.start();
+
+// Dispatch campaigns whose scheduledAt has passed (SCHEDULER_ENABLED=false to turn off)
+const schedulerService = require('./services/schedulerService');
+schedulerService.start();
+
+// Recover jobs left stuck by a crash, at startup and periodically (RECONCILE_ENABLED=false to turn off)
+const reconciliationService = require('./services/reconciliationService');
+reconciliationService.start();
+
+// Retry transient send failures with backoff (RETRY_ENABLED=false to turn off)
+const retryService = require('./services/retryService');
+retryService.start();
+
+// Reset per-user sending quotas when their period ends (QUOTA_RESET_ENABLED=false to turn off)
+const quotaService = require('./services/quotaService');
+quotaService.start();
+
 // Export io for use in routes
 module.exports = { app, server, io };
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
+  inboundSmtpService.stop();
+  schedulerService.stop();
+  reconciliationService.stop();
+  retryService.stop();
+  quotaService.stop();
   server.close(() => {
     mongoose.connection.close();
     console.log('Process terminated');
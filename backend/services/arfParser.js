@@ -0,0 +1,66 @@
+const {
+  getParts,
+  splitMessage,
+  parseFieldGroups,
+  extractAddress,
+  normalizeMessageId
+} = require('../utils/mime');
+
+/**
+ * ARF Parser - Parses RFC 5965 abuse feedback reports sent by mailbox
+ * providers' feedback loops. Pure functions only, so it can be exercised
+ * with locally crafted .eml fixtures.
+ */
+class ArfParser {
+  /**
+   * Parse a raw ARF message
+   * @param {String|Buffer} raw - Full message source
+   * @returns {Object|null} { feedbackType, userAgent, version, originalMailFrom,
+   *   originalRcptTo, arrivalDate, sourceIp, reportedDomain, originalMessageId,
+   *   campaignRef, originalHeaders } or null if not a feedback report
+   */
+  parse(raw) {
+    const parts = getParts(raw);
+    const reportPart = parts.find(part => part.contentType === 'message/feedback-report');
+
+    if (!reportPart) {
+      return null;
+    }
+
+    // The report is a single field group; merge in case a generator added blank lines
+    const fields = Object.assign({}, ...parseFieldGroups(reportPart.body).reverse());
+
+    const originalPart = parts.find(part =>
+      part.contentType === 'message/rfc822' ||
+      part.contentType === 'text/rfc822-headers' ||
+      part.contentType === 'message/global' ||
+      part.contentType === 'message/global-headers'
+    );
+    const originalHeaders = originalPart ? splitMessage(originalPart.body).headers : {};
+
+    const originalRcptTo = fields['original-rcpt-to'] || originalHeaders.to || '';
+
+    return {
+      feedbackType: String(fields['feedback-type'] || 'abuse').trim().toLowerCase(),
+      userAgent: fields['user-agent'] || '',
+      version: fields.version || '',
+      originalMailFrom: fields['original-mail-from'] ? extractAddress(fields['original-mail-from']) : '',
+      originalRcptTo: originalRcptTo ? extractAddress(originalRcptTo) : '',
+      arrivalDate: fields['arrival-date'] || fields['received-date'] || '',
+      sourceIp: fields['source-ip'] || '',
+      reportedDomain: fields['reported-domain'] || '',
+      originalMessageId: normalizeMessageId(originalHeaders['message-id']),
+      campaignRef: (originalHeaders['x-campaign-ref'] || '').replace(/\s+/g, ''),
+      originalHeaders
+    };
+  }
+
+  /**
+   * Whether the report is a complaint; 'not-spam' reports mean the opposite
+   */
+  isComplaint(report) {
+    return !!report && report.feedbackType !== 'not-spam';
+  }
+}
+
+module.exports = new ArfParser();
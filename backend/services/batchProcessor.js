@@ -1,9 +1,21 @@
 const Contact = require('../models/Contact');
 const Job = require('../models/Job');
-const Campaign = require('../models/Campaign');
 const Analytics = require('../models/Analytics');
 const emailService = require('./emailService');
-const { emailQueue } = require('./queueService');
+const unsubscribeService = require('./unsubscribeService');
+const trackingService = require('./trackingService');
+const complaintService = require('./complaintService');
+const templateService = require('./templateService');
+const suppressionService = require('./suppressionService');
+const deliveryService = require('./deliveryService');
+const retryService = require('./retryService');
+const quotaService = require('./quotaService');
+const consentService = require('./consentService');
+const senderIdentityService = require('./senderIdentityService');
+const proofService = require('./proofService');
+const segmentService = require('./segmentService');
+const listService = require('./listService');
+const { emailQueue, batchJobId, holdIfStopped, pauseForQuota, finalizeJobIfDone } = require('./queueService');
 
 // Configurable sync fallback performance knobs (safe defaults)
 const SYNC_SEND_CONCURRENCY = parseInt(process.env.SYNC_SEND_CONCURRENCY || '10');
@@ -14,18 +26,51 @@ class BatchProcessor {
     this.batchSize = parseInt(process.env.MAX_EMAILS_PER_BATCH || '1000');
   }
 
-  async createBatches(campaignId, userId, contactFilters = {}) {
-    const query = { userId, status: 'active' };
+  /**
+   * Contact query for a campaign's filters, before suppressions are applied
+   */
+  async getRecipientQuery(userId, contactFilters = {}) {
+    let query = { userId, status: 'active' };
     
     if (contactFilters.tags && contactFilters.tags.length > 0) {
       query.tags = { $in: contactFilters.tags };
     }
     
     if (contactFilters.status && contactFilters.status.length > 0) {
-      query.status = { $in: contactFilters.status };
+      // Pending contacts have not confirmed their opt-in and are never mailed
+      query.status = { $in: contactFilters.status.filter(status => status !== 'pending') };
     }
 
-    const contacts = await Contact.find(query).select('_id email name');
+    if (contactFilters.requireConsent) {
+      Object.assign(query, consentService.validConsentQuery());
+    }
+
+    // Only members still subscribed to one of the campaign's lists
+    if (contactFilters.listIds && contactFilters.listIds.length > 0) {
+      Object.assign(query, listService.subscribedQuery(contactFilters.listIds));
+    }
+
+    if (contactFilters.segmentId) {
+      query = { $and: [query, await segmentService.getQuery(userId, contactFilters.segmentId)] };
+    }
+
+    return query;
+  }
+
+  /**
+   * Contacts a campaign with these filters would be sent to
+   */
+  async findRecipients(userId, contactFilters = {}) {
+    const query = await this.getRecipientQuery(userId, contactFilters);
+    const matchedContacts = await Contact.find(query).select('_id email name timezone');
+
+    // Never mail suppressed addresses, even if they were re-imported as active contacts
+    const suppressed = await suppressionService.getSuppressedSet(userId);
+    return matchedContacts.filter(contact => !suppressed.has(contact.email));
+  }
+
+  async createBatches(campaignId, userId, contactFilters = {}, recipients = null) {
+    const contacts = recipients || await this.findRecipients(userId, contactFilters);
     const totalContacts = contacts.length;
 
     if (totalContacts === 0) {
@@ -39,7 +84,8 @@ class BatchProcessor {
       const batchContacts = contacts.slice(i, i + this.batchSize).map(contact => ({
         contactId: contact._id,
         email: contact.email,
-        name: contact.name || ''
+        name: contact.name || '',
+        timezone: contact.timezone || ''
       }));
 
       const batchNumber = Math.floor(i / this.batchSize) + 1;
@@ -72,6 +118,76 @@ class BatchProcessor {
     };
   }
 
+  /**
+   * Data every batch needs from the campaign document
+   */
+  getCampaignData(campaign) {
+    return {
+      subject: campaign.subject,
+      body: campaign.body,
+      bodyHtml: campaign.bodyHtml || campaign.body,
+      fromEmail: campaign.fromEmail,
+      fromName: campaign.fromName || '',
+      replyTo: campaign.replyTo || campaign.fromEmail,
+      attachments: campaign.attachments || [],
+      tracking: trackingService.getSettings(campaign.tracking),
+      // Unsubscribe links of list campaigns only leave these lists
+      listIds: ((campaign.contactFilters && campaign.contactFilters.listIds) || []).map(String),
+      deliveryWindow: campaign.deliveryWindow && campaign.deliveryWindow.enabled
+        ? {
+          enabled: true,
+          startHour: campaign.deliveryWindow.startHour,
+          endHour: campaign.deliveryWindow.endHour,
+          timezone: campaign.deliveryWindow.timezone
+        }
+        : null
+    };
+  }
+
+  /**
+   * Create and enqueue the batches for a campaign already marked 'sending'.
+   * Used by the send route and by the scheduler.
+   */
+  async dispatchCampaign(campaign) {
+    // The sender may have been removed since the campaign was created
+    await senderIdentityService.assertVerifiedSender(campaign.userId, campaign.fromEmail);
+
+    const recipients = await this.findRecipients(campaign.userId, campaign.contactFilters);
+
+    // Refuse campaigns that cannot be sent in full within the remaining quota
+    if (recipients.length > 0) {
+      await quotaService.assertAvailable(campaign.userId, recipients.length);
+    }
+
+    // Notify clients that campaign sending has started
+    try {
+      const io = global.io;
+      if (io) {
+        io.to(`campaign-${campaign._id}`).emit('campaign-started', {
+          campaignId: campaign._id,
+          status: 'sending',
+          startedAt: campaign.startedAt
+        });
+      }
+    } catch (_) {}
+
+    const { batches, totalContacts, totalBatches } = await this.createBatches(
+      campaign._id,
+      campaign.userId,
+      campaign.contactFilters,
+      recipients
+    );
+
+    await this.processBatches(campaign._id, campaign.userId, this.getCampaignData(campaign), batches);
+
+    // Seed copies go out alongside the batches and never hold up the send
+    proofService.sendSeedCopies(campaign).catch(error => {
+      console.error(`Failed to send seed copies of campaign ${campaign._id}:`, error.message);
+    });
+
+    return { batches, totalContacts, totalBatches };
+  }
+
   async processBatches(campaignId, userId, campaignData, batches) {
     const jobs = [];
 
@@ -84,6 +200,7 @@ class BatchProcessor {
           contacts: batch.contacts,
           campaignData
         }, {
+          jobId: batchJobId(batch.jobId),
           priority: 1,
           attempts: 1
         });
@@ -109,31 +226,96 @@ class BatchProcessor {
 
   async processBatchSynchronously(batch, campaignId, userId, campaignData) {
     const { jobId, contacts } = batch;
-    // Mark job processing
-    await Job.updateOne({ _id: jobId }, {
+
+    // Without the queue there is nowhere to hold emails until their window
+    // opens, so the batch stays pending; reconciliation queues it once the
+    // queue is reachable again
+    if (campaignData.deliveryWindow) {
+      console.warn('[BATCH WARN] Queue unavailable, holding delivery-window batch until it is back', String(jobId));
+      return;
+    }
+
+    // Mark job processing (a batch paused before it started stays paused)
+    await Job.updateOne({ _id: jobId, status: 'pending' }, {
       status: 'processing',
       startedAt: new Date()
     });
 
     const totalContacts = contacts.length;
 
+    // Register every recipient up front, as the queue path does, so campaign
+    // stats count the whole batch while it is being sent
+    await deliveryService.markQueued(contacts.map(contact => ({
+      userId,
+      campaignId,
+      contactId: contact.contactId,
+      email: contact.email
+    })), jobId);
+
     // Process contacts in parallel chunks for speed, with safe concurrency
     for (let i = 0; i < contacts.length; i += SYNC_SEND_CONCURRENCY) {
+      // Stop here if the campaign was paused or cancelled
+      const stopped = await holdIfStopped(
+        jobId,
+        campaignId,
+        contacts.slice(i).map(contact => contact.contactId),
+        totalContacts
+      );
+      if (stopped) {
+        return;
+      }
+
       const slice = contacts.slice(i, i + SYNC_SEND_CONCURRENCY);
+      const contextFor = await templateService.loadContexts(slice);
       await Promise.all(slice.map(async (contact) => {
+        const content = templateService.renderEmail({
+          subject: campaignData.subject,
+          text: campaignData.body,
+          html: campaignData.bodyHtml || campaignData.body
+        }, contextFor(contact));
+
+        const recipient = {
+          userId,
+          campaignId,
+          contactId: contact.contactId,
+          email: contact.email
+        };
+
         const emailData = {
           from: `${campaignData.fromName} <${campaignData.fromEmail}>`,
           to: contact.email,
-          subject: campaignData.subject,
-          text: campaignData.body,
-          html: campaignData.bodyHtml || campaignData.body,
+          subject: content.subject,
+          text: content.text,
+          html: trackingService.applyTracking(content.html, recipient, campaignData.tracking),
           replyTo: campaignData.replyTo || campaignData.fromEmail,
-          attachments: campaignData.attachments || []
+          attachments: campaignData.attachments || [],
+          unsubscribeUrl: unsubscribeService.getUnsubscribeUrl({ ...recipient, listIds: campaignData.listIds }),
+          campaignRef: complaintService.createReference(recipient),
+          userId
         };
 
+        if (!(await quotaService.reserve(userId))) {
+          await pauseForQuota(jobId, campaignId, [contact.contactId], totalContacts);
+          return;
+        }
+
+        // Same ledger as the queue path, so a sync re-run never mails anyone twice
+        if (!(await deliveryService.claim(recipient, jobId))) {
+          await quotaService.release(userId);
+          await Job.updateOne(
+            { _id: jobId },
+            {
+              $inc: { 'progress.skipped': 1 },
+              $set: { 'progress.total': totalContacts }
+            }
+          );
+          return;
+        }
+
         const result = await emailService.sendEmail(emailData, SYNC_SEND_RETRIES);
 
         if (result.success) {
+          await deliveryService.markSent(recipient, result);
           await Job.updateOne(
             { _id: jobId },
             {
@@ -155,18 +337,12 @@ class BatchProcessor {
             });
           } catch (_) {}
         } else {
+          await deliveryService.markFailed(recipient, result.error);
+          await quotaService.release(userId);
+          await retryService.recordFailure(jobId, recipient, result);
           await Job.updateOne(
             { _id: jobId },
-            {
-              $inc: { 'progress.failed': 1 },
-              $push: {
-                errorLog: {
-                  email: emailData.to,
-                  error: result.error,
-                  retryCount: 0
-                }
-              }
-            }
+            { $inc: { 'progress.failed': 1 } }
           );
 
           try {
@@ -176,7 +352,7 @@ class BatchProcessor {
               contactId: contact.contactId,
               email: emailData.to,
               event: 'failed',
-              metadata: { error: result.error, attempts: result.attempts, sync: true }
+              metadata: { error: result.error, responseCode: result.responseCode, attempts: result.attempts, sync: true }
             });
           } catch (_) {}
         }
@@ -184,59 +360,7 @@ class BatchProcessor {
     }
 
     // Finalize job and update campaign stats
-    const updatedJob = await Job.findById(jobId);
-    const sentCount = updatedJob.progress.sent;
-    const failedCount = updatedJob.progress.failed;
-
-    await Job.updateOne({ _id: jobId }, {
-      status: 'completed',
-      completedAt: new Date()
-    });
-
-    await Campaign.updateOne(
-      { _id: campaignId },
-      {
-        $inc: {
-          'stats.sent': sentCount,
-          'stats.failed': failedCount
-        },
-        $set: {
-          'stats.total': totalContacts
-        }
-      }
-    );
-
-    // Emit events if socket is available
-    try {
-      const io = global.io;
-      if (io) {
-        io.to(`campaign-${campaignId}`).emit('batch-completed', {
-          campaignId,
-          jobId,
-          sent: sentCount,
-          failed: failedCount
-        });
-      }
-    } catch (_) {}
-
-    // If this was the last pending/processing job, mark campaign completed
-    const remaining = await Job.countDocuments({
-      campaignId,
-      status: { $in: ['pending', 'processing'] }
-    });
-    if (remaining === 0) {
-      await Campaign.updateOne(
-        { _id: campaignId },
-        { $set: { status: 'completed', completedAt: new Date() } }
-      );
-
-      try {
-        const io = global.io;
-        if (io) {
-          io.to(`campaign-${campaignId}`).emit('campaign-completed', { campaignId });
-        }
-      } catch (_) {}
-    }
+    await finalizeJobIfDone(jobId, campaignId, totalContacts);
   }
 
   async getBatchStatus(jobId) {
@@ -261,13 +385,17 @@ class BatchProcessor {
     const totalProgress = {
       total: 0,
       sent: 0,
-      failed: 0
+      failed: 0,
+      skipped: 0,
+      cancelled: 0
     };
 
     jobs.forEach(job => {
       totalProgress.total += job.progress.total;
       totalProgress.sent += job.progress.sent;
       totalProgress.failed += job.progress.failed;
+      totalProgress.skipped += job.progress.skipped || 0;
+      totalProgress.cancelled += job.progress.cancelled || 0;
     });
 
     return {
@@ -0,0 +1,175 @@
+const Contact = require('../models/Contact');
+const Analytics = require('../models/Analytics');
+const campaignStatsService = require('./campaignStatsService');
+const dsnParser = require('./dsnParser');
+const suppressionService = require('./suppressionService');
+const { normalizeMessageId } = require('../utils/mime');
+
+const logger = {
+  info: (...args) => console.log('[BOUNCE]', ...args),
+  error: (...args) => console.error('[BOUNCE ERROR]', ...args),
+  warn: (...args) => console.warn('[BOUNCE WARN]', ...args)
+};
+
+// Soft bounces in a row before the address is treated as bounced; a soft
+// bounce more than SOFT_BOUNCE_WINDOW_DAYS after the previous bounce starts
+// the count over, so occasional full mailboxes never add up
+const SOFT_BOUNCE_LIMIT = parseInt(process.env.SOFT_BOUNCE_LIMIT || '3');
+const SOFT_BOUNCE_WINDOW_MS = parseInt(process.env.SOFT_BOUNCE_WINDOW_DAYS || '30') * 24 * 60 * 60 * 1000;
+
+/**
+ * Bounce Service - Applies delivery status notifications received from the
+ * inbound SMTP listener or the bounce webhook: updates the contact, the
+ * suppression list, campaign stats and analytics
+ */
+class BounceService {
+  /**
+   * Find the 'sent' analytics event a bounce refers to. Only a Message-ID we
+   * issued identifies the send (and so the account): the address alone may
+   * have been mailed by any user, and anyone can write a DSN naming it.
+   * @param {String} email - When given, the send must have gone to this address
+   */
+  async findSentEvent(email, messageId) {
+    const id = normalizeMessageId(messageId);
+    if (!id) {
+      return null;
+    }
+
+    return await Analytics.findOne({
+      'metadata.messageId': { $in: [id, `<${id}>`] },
+      ...(email ? { email } : {}),
+      event: 'sent',
+      proof: null
+    });
+  }
+
+  /**
+   * Process a raw DSN message
+   * @param {String|Buffer} raw - Full message source
+   * @param {Object} options - { source } e.g. 'smtp' or 'webhook'
+   */
+  async processRaw(raw, { source = 'smtp' } = {}) {
+    const report = dsnParser.parse(raw);
+    if (!report) {
+      return { isDsn: false, processed: [] };
+    }
+
+    const processed = [];
+    for (const bounce of dsnParser.getBounces(report)) {
+      processed.push(await this.processBounce({
+        ...bounce,
+        messageId: report.originalMessageId
+      }, { source }));
+    }
+
+    return { isDsn: true, processed };
+  }
+
+  /**
+   * Apply a single bounce
+   * @param {Object} bounce - { email, messageId, action, status, diagnosticCode, type }
+   * @param {Object} options - { source }
+   */
+  async processBounce(bounce, { source = 'webhook' } = {}) {
+    const email = String(bounce.email || '').trim().toLowerCase();
+    if (!email) {
+      return { email, matched: false };
+    }
+
+    const type = bounce.type === 'hard' || bounce.type === 'soft'
+      ? bounce.type
+      : dsnParser.classify(bounce.action || 'failed', bounce.status, bounce.diagnosticCode);
+
+    const sent = await this.findSentEvent(email, bounce.messageId);
+    if (!sent) {
+      logger.warn(`Unmatched ${type} bounce for ${email}`);
+      return { email, type, matched: false };
+    }
+
+    const { userId, campaignId } = sent;
+
+    // Only count one bounce per recipient per campaign (DSNs can be redelivered)
+    const alreadyRecorded = await Analytics.exists({ campaignId, email, event: 'bounced' });
+    if (!alreadyRecorded) {
+      await Analytics.create({
+        campaignId,
+        userId,
+        contactId: sent.contactId,
+        email,
+        event: 'bounced',
+        provider: sent.provider,
+        metadata: {
+          type,
+          status: bounce.status || '',
+          diagnosticCode: String(bounce.diagnosticCode || '').slice(0, 500),
+          messageId: normalizeMessageId(bounce.messageId),
+          source
+        }
+      });
+
+      campaignStatsService.schedule(campaignId);
+
+      try {
+        const io = global.io;
+        if (io) {
+          io.to(`campaign-${campaignId}`).emit('email-bounced', { campaignId, email, type });
+        }
+      } catch (_) {}
+    }
+
+    // Pipeline update so the window check and the increment are one atomic write
+    const now = new Date();
+    const softCount = type === 'soft'
+      ? {
+        $cond: [
+          { $gte: ['$bounceInfo.lastBouncedAt', new Date(now.getTime() - SOFT_BOUNCE_WINDOW_MS)] },
+          { $add: [{ $ifNull: ['$bounceInfo.softCount', 0] }, 1] },
+          1
+        ]
+      }
+      : { $ifNull: ['$bounceInfo.softCount', 0] };
+
+    const contact = await Contact.findOneAndUpdate(
+      { userId, email },
+      [{
+        $set: {
+          bounceInfo: {
+            $mergeObjects: ['$bounceInfo', {
+              softCount,
+              lastType: type,
+              // $literal: DSN text starting with '$' must not read as a field path
+              lastStatus: { $literal: String(bounce.status || '') },
+              lastDiagnostic: { $literal: String(bounce.diagnosticCode || '').slice(0, 500) },
+              lastBouncedAt: now
+            }]
+          }
+        }
+      }],
+      { new: true }
+    );
+
+    const softLimitReached = type === 'soft' && contact && contact.bounceInfo.softCount >= SOFT_BOUNCE_LIMIT;
+    if (type === 'hard' || softLimitReached) {
+      if (contact && contact.status !== 'bounced') {
+        await Contact.updateOne({ _id: contact._id }, { $set: { status: 'bounced' } });
+      }
+      await suppressionService.suppress(userId, email, {
+        reason: 'bounced',
+        source: type === 'hard' ? `${source}-hard-bounce` : `${source}-soft-bounce-limit`
+      });
+    }
+
+    logger.info(`Recorded ${type} bounce for ${email} (campaign ${campaignId})`);
+
+    return {
+      email,
+      type,
+      matched: true,
+      campaignId,
+      duplicate: !!alreadyRecorded,
+      suppressed: type === 'hard' || !!softLimitReached
+    };
+  }
+}
+
+module.exports = new BounceService();
@@ -0,0 +1,236 @@
+const Campaign = require('../models/Campaign');
+const Job = require('../models/Job');
+const batchProcessor = require('./batchProcessor');
+const {
+  emailQueue,
+  batchJobId,
+  emailJobId,
+  enqueueEmails,
+  finalizeJobIfDone,
+  ACTIVE_JOB_STATUSES
+} = require('./queueService');
+
+const logger = {
+  info: (...args) => console.log('[CAMPAIGN CONTROL]', ...args),
+  error: (...args) => console.error('[CAMPAIGN CONTROL ERROR]', ...args)
+};
+
+// Bull job states that have not been picked up by a worker yet
+const QUEUED_STATES = ['waiting', 'delayed', 'paused'];
+// Bull lookups sent to Redis at once
+const LOOKUP_CHUNK_SIZE = 200;
+
+const emit = (campaignId, event, payload) => {
+  try {
+    const io = global.io;
+    if (io) {
+      io.to(`campaign-${campaignId}`).emit(event, payload);
+    }
+  } catch (_) {}
+};
+
+/**
+ * Campaign Control Service - Pause, resume and cancel campaigns while they send.
+ *
+ * Pausing takes the campaign's queued Bull jobs off the queue and records the
+ * contacts they were for in Job.held; workers that already picked up an email
+ * check the campaign status first and hold it the same way. Resuming enqueues
+ * exactly the held contacts, so nobody is sent twice. Cancelling removes the
+ * queued jobs and counts them in Job.progress.cancelled, so every batch still
+ * completes and Campaign.stats reflects what was actually sent.
+ */
+class CampaignControlService {
+  /**
+   * Queued (not yet active) Bull jobs belonging to a campaign, looked up by
+   * their deterministic ids rather than by scanning the whole queue
+   */
+  async findQueuedJobs(campaignId) {
+    const jobs = await Job.find({ campaignId, status: { $in: ACTIVE_JOB_STATUSES } }).select('_id contacts.contactId');
+    const queueJobIds = [];
+    jobs.forEach(job => {
+      queueJobIds.push(batchJobId(job._id));
+      job.contacts.forEach(contact => queueJobIds.push(emailJobId(job._id, contact.contactId)));
+    });
+
+    const found = [];
+    for (let i = 0; i < queueJobIds.length; i += LOOKUP_CHUNK_SIZE) {
+      const chunk = await Promise.all(queueJobIds.slice(i, i + LOOKUP_CHUNK_SIZE).map(async (id) => {
+        const queued = await emailQueue.getJob(id);
+        // Finished jobs are kept for a while and must not count as held
+        return queued && QUEUED_STATES.includes(await queued.getState()) ? queued : null;
+      }));
+      found.push(...chunk.filter(Boolean));
+    }
+
+    return found;
+  }
+
+  /**
+   * Remove queued jobs and group the contacts they were for by Job document.
+   * Jobs a worker locked in the meantime are left for the worker, which sees
+   * the new campaign status before sending.
+   */
+  async removeQueuedJobs(campaignId) {
+    const removed = new Map(); // jobId -> [contactId]
+
+    for (const queued of await this.findQueuedJobs(campaignId)) {
+      try {
+        await queued.remove();
+      } catch (error) {
+        continue;
+      }
+
+      const contactIds = queued.name === 'send-batch'
+        ? (queued.data.contacts || []).map(contact => contact.contactId)
+        : [queued.data.contactId];
+      const key = String(queued.data.jobId);
+      removed.set(key, (removed.get(key) || []).concat(contactIds));
+    }
+
+    return removed;
+  }
+
+  /**
+   * Stop sending; queued emails are held until the campaign is resumed
+   */
+  async pause(campaignId, userId) {
+    const campaign = await Campaign.findOneAndUpdate(
+      { _id: campaignId, userId, status: 'sending' },
+      { $set: { status: 'paused', pausedAt: new Date() } },
+      { new: true }
+    );
+    if (!campaign) {
+      return null;
+    }
+
+    await Job.updateMany(
+      { campaignId, status: { $in: ['pending', 'processing'] } },
+      { $set: { status: 'paused' } }
+    );
+
+    const removed = await this.removeQueuedJobs(campaignId);
+    let held = 0;
+    for (const [jobId, contactIds] of removed) {
+      await Job.updateOne({ _id: jobId }, { $addToSet: { held: { $each: contactIds } } });
+      held += contactIds.length;
+    }
+
+    logger.info(`Paused campaign ${campaignId}, ${held} queued emails held`);
+    emit(campaignId, 'campaign-paused', { campaignId, held });
+
+    return { campaign, held };
+  }
+
+  /**
+   * Continue a paused campaign by enqueueing the held contacts of each batch
+   */
+  async resume(campaignId, userId) {
+    const campaign = await Campaign.findOneAndUpdate(
+      { _id: campaignId, userId, status: 'paused' },
+      { $set: { status: 'sending' }, $unset: { pausedAt: 1 } },
+      { new: true }
+    );
+    if (!campaign) {
+      return null;
+    }
+
+    const campaignData = batchProcessor.getCampaignData(campaign);
+    const jobs = await Job.find({ campaignId, status: 'paused' }).select('_id');
+    let requeued = 0;
+
+    for (const { _id } of jobs) {
+      // Take the held list atomically; workers only add to it while the job is paused
+      const job = await Job.findOneAndUpdate(
+        { _id, status: 'paused' },
+        { $set: { status: 'processing', held: [] } }
+      );
+      if (!job) continue;
+
+      const heldIds = new Set(job.held.map(String));
+      const contacts = job.contacts.filter(contact => heldIds.has(String(contact.contactId)));
+      if (!job.startedAt) {
+        await Job.updateOne({ _id }, { $set: { startedAt: new Date() } });
+      }
+
+      if (contacts.length === 0) {
+        await finalizeJobIfDone(_id, campaignId, job.progress.total);
+        continue;
+      }
+
+      try {
+        await enqueueEmails({
+          jobId: _id,
+          campaignId,
+          userId: campaign.userId,
+          contacts,
+          campaignData,
+          total: job.progress.total
+        });
+        requeued += contacts.length;
+      } catch (error) {
+        // Put everything back on hold; anything that did reach the queue is
+        // held again by the worker since the campaign is paused once more
+        logger.error(`Failed to resume campaign ${campaignId}:`, error.message);
+        await Job.updateOne(
+          { _id },
+          { $set: { status: 'paused' }, $addToSet: { held: { $each: contacts.map(contact => contact.contactId) } } }
+        );
+        await Job.updateMany(
+          { campaignId, status: { $in: ['pending', 'processing'] } },
+          { $set: { status: 'paused' } }
+        );
+        await Campaign.updateOne(
+          { _id: campaignId },
+          { $set: { status: 'paused', pausedAt: new Date(), lastError: error.message } }
+        );
+        throw error;
+      }
+    }
+
+    logger.info(`Resumed campaign ${campaignId}, ${requeued} emails re-queued`);
+    emit(campaignId, 'campaign-resumed', { campaignId, requeued });
+
+    return { campaign, requeued };
+  }
+
+  /**
+   * Stop a sending or paused campaign for good. Emails already handed to a
+   * worker finish; everything still queued or held is dropped.
+   */
+  async cancel(campaignId, userId) {
+    const now = new Date();
+    const campaign = await Campaign.findOneAndUpdate(
+      { _id: campaignId, userId, status: { $in: ['sending', 'paused'] } },
+      { $set: { status: 'cancelled', cancelledAt: now, completedAt: now } },
+      { new: true }
+    );
+    if (!campaign) {
+      return null;
+    }
+
+    const removed = await this.removeQueuedJobs(campaignId);
+    const jobs = await Job.find({ campaignId, status: { $in: ACTIVE_JOB_STATUSES } }).select('_id');
+    let cancelled = 0;
+
+    for (const { _id } of jobs) {
+      const job = await Job.findOneAndUpdate(
+        { _id },
+        { $set: { status: 'cancelled', held: [] } }
+      );
+      const dropped = job.held.length + (removed.get(String(_id)) || []).length;
+
+      if (dropped > 0) {
+        await Job.updateOne({ _id }, { $inc: { 'progress.cancelled': dropped } });
+        cancelled += dropped;
+      }
+      await finalizeJobIfDone(_id, campaignId, job.progress.total);
+    }
+
+    logger.info(`Cancelled campaign ${campaignId}, ${cancelled} emails dropped`);
+    emit(campaignId, 'campaign-cancelled', { campaignId, cancelled });
+
+    return { campaign, cancelled };
+  }
+}
+
+module.exports = new CampaignControlService();
@@ -0,0 +1,138 @@
+const Campaign = require('../models/Campaign');
+const Job = require('../models/Job');
+const Delivery = require('../models/Delivery');
+const Analytics = require('../models/Analytics');
+
+const logger = {
+  error: (...args) => console.error('[STATS ERROR]', ...args)
+};
+
+// Coalesce bursts of events (sends, opens, clicks) into one recompute per campaign
+const RECOMPUTE_DELAY_MS = parseInt(process.env.STATS_RECOMPUTE_DELAY_MS || '2000');
+
+// Engagement stats count unique recipients per Analytics event
+const ENGAGEMENT_EVENTS = ['delivered', 'opened', 'clicked', 'bounced', 'complained'];
+
+/**
+ * Campaign Stats Service - Campaign.stats is never incremented directly.
+ * It is rebuilt from the delivery ledger (total/sent/failed) and Analytics
+ * (engagement), so it is the same no matter how many workers finished at
+ * once, and historical campaigns can be repaired by recomputing.
+ */
+class CampaignStatsService {
+  constructor() {
+    this.timers = new Map(); // campaignId -> pending recompute
+  }
+
+  async compute(campaignId) {
+    const campaign = await Campaign.findById(campaignId).select('_id status');
+    if (!campaign) {
+      return null;
+    }
+    const id = campaign._id;
+
+    // Index-only counts over the ledger, one record per recipient. A failure
+    // still waiting for a retry is not counted until no retry is left, unless
+    // the campaign was cancelled and the retry will never run
+    const [total, deliveredSent, finalFailed, retrying] = await Promise.all([
+      Delivery.countDocuments({ campaignId: id }),
+      Delivery.countDocuments({ campaignId: id, status: 'sent' }),
+      Delivery.countDocuments({ campaignId: id, status: 'failed', retryAt: null }),
+      campaign.status === 'cancelled'
+        ? Delivery.countDocuments({ campaignId: id, status: 'failed', retryAt: { $ne: null } })
+        : 0
+    ]);
+
+    let recipients = total;
+    let sent = deliveredSent;
+    let failed = finalFailed + retrying;
+
+    // Campaigns sent before the delivery ledger existed only have Analytics
+    // and their batches
+    if (total === 0) {
+      const [batched] = await Job.aggregate([
+        { $match: { campaignId: id } },
+        { $unwind: '$contacts' },
+        { $group: { _id: '$contacts.contactId' } },
+        { $count: 'total' }
+      ]);
+      const sentEmails = new Set(await Analytics.distinct('email', { campaignId: id, event: 'sent', proof: null }));
+      const failedEmails = await Analytics.distinct('email', { campaignId: id, event: 'failed', proof: null });
+      recipients = batched ? batched.total : 0;
+      sent = sentEmails.size;
+      failed = failedEmails.filter(email => !sentEmails.has(email)).length;
+    }
+
+    const engagement = await Analytics.aggregate([
+      { $match: { campaignId: id, event: { $in: ENGAGEMENT_EVENTS }, proof: null } },
+      { $group: { _id: { event: '$event', email: '$email' } } },
+      { $group: { _id: '$_id.event', count: { $sum: 1 } } }
+    ]);
+    const unique = engagement.reduce((acc, entry) => {
+      acc[entry._id] = entry.count;
+      return acc;
+    }, {});
+
+    return {
+      total: recipients,
+      sent,
+      failed,
+      delivered: unique.delivered || 0,
+      opened: unique.opened || 0,
+      clicked: unique.clicked || 0,
+      bounced: unique.bounced || 0,
+      complained: unique.complained || 0
+    };
+  }
+
+  /**
+   * Rebuild and store a campaign's stats
+   * @returns {Object|null} The new stats, or null if the campaign is gone
+   */
+  async recompute(campaignId) {
+    const stats = await this.compute(campaignId);
+    if (!stats) {
+      return null;
+    }
+
+    const $set = Object.keys(stats).reduce((acc, key) => {
+      acc[`stats.${key}`] = stats[key];
+      return acc;
+    }, {});
+    await Campaign.updateOne({ _id: campaignId }, { $set });
+
+    return stats;
+  }
+
+  /**
+   * Recompute every campaign of a user, e.g. to repair historical counts
+   * @returns {Number} Campaigns updated
+   */
+  async recomputeForUser(userId) {
+    const campaigns = await Campaign.find({ userId }).select('_id');
+    for (const campaign of campaigns) {
+      await this.recompute(campaign._id);
+    }
+    return campaigns.length;
+  }
+
+  /**
+   * Recompute shortly, once, however many events arrive in the meantime
+   */
+  schedule(campaignId) {
+    const key = String(campaignId);
+    if (this.timers.has(key)) return;
+
+    const timer = setTimeout(() => {
+      this.timers.delete(key);
+      this.recompute(key).catch(error => {
+        logger.error(`Failed to recompute stats for campaign ${key}:`, error.message);
+      });
+    }, RECOMPUTE_DELAY_MS);
+    if (timer.unref) timer.unref();
+
+    this.timers.set(key, timer);
+  }
+}
+
+module.exports = new CampaignStatsService();
@@ -0,0 +1,181 @@
+const Contact = require('../models/Contact');
+const Analytics = require('../models/Analytics');
+const campaignStatsService = require('./campaignStatsService');
+const arfParser = require('./arfParser');
+const bounceService = require('./bounceService');
+const tokenService = require('./tokenService');
+const suppressionService = require('./suppressionService');
+const consentService = require('./consentService');
+const { normalizeMessageId } = require('../utils/mime');
+
+const REF_PURPOSE = 'campaign-ref';
+
+const logger = {
+  info: (...args) => console.log('[COMPLAINT]', ...args),
+  warn: (...args) => console.warn('[COMPLAINT WARN]', ...args)
+};
+
+/**
+ * Complaint Service - Applies spam complaints received as ARF feedback
+ * reports: records the 'complained' event, updates campaign stats, and
+ * unsubscribes and suppresses the complainer
+ */
+class ComplaintService {
+  /**
+   * Create the signed reference stamped into the X-Campaign-Ref header, so
+   * feedback reports can be matched even when the provider redacts the
+   * recipient address
+   */
+  createReference({ userId, campaignId, contactId, email }) {
+    return tokenService.sign(REF_PURPOSE, {
+      u: String(userId),
+      m: String(campaignId),
+      c: contactId ? String(contactId) : undefined,
+      e: email
+    });
+  }
+
+  decodeReference(ref) {
+    const payload = ref ? tokenService.verify(REF_PURPOSE, ref) : null;
+    if (!payload || !payload.u || !payload.m || !payload.e) {
+      return null;
+    }
+
+    return {
+      userId: payload.u,
+      campaignId: payload.m,
+      contactId: payload.c,
+      email: payload.e
+    };
+  }
+
+  /**
+   * Match a complaint to its recipient: campaign reference header first,
+   * then the original Message-ID. The reported address alone is never
+   * enough: any user may have mailed it and anyone can forge a report, so
+   * email-only complaints stay unmatched.
+   */
+  async findRecipient({ campaignRef, messageId }) {
+    const fromRef = this.decodeReference(campaignRef);
+    if (fromRef) {
+      return fromRef;
+    }
+
+    if (!messageId) {
+      return null;
+    }
+
+    // The send found by its Message-ID decides the account and the address,
+    // whatever address the report names (providers often redact it)
+    const sent = await bounceService.findSentEvent(null, messageId);
+    if (!sent) {
+      return null;
+    }
+
+    return {
+      userId: sent.userId,
+      campaignId: sent.campaignId,
+      contactId: sent.contactId,
+      email: sent.email
+    };
+  }
+
+  /**
+   * Process a raw ARF message
+   * @param {String|Buffer} raw - Full message source
+   * @param {Object} options - { source } e.g. 'smtp' or 'webhook'
+   */
+  async processRaw(raw, { source = 'smtp' } = {}) {
+    const report = arfParser.parse(raw);
+    if (!report) {
+      return { isArf: false, processed: null };
+    }
+
+    if (!arfParser.isComplaint(report)) {
+      return { isArf: true, processed: { matched: false, ignored: report.feedbackType } };
+    }
+
+    const processed = await this.processComplaint({
+      email: report.originalRcptTo,
+      messageId: report.originalMessageId,
+      campaignRef: report.campaignRef,
+      feedbackType: report.feedbackType,
+      userAgent: report.userAgent
+    }, { source });
+
+    return { isArf: true, processed };
+  }
+
+  /**
+   * Apply a single complaint
+   * @param {Object} complaint - { email, messageId, campaignRef, feedbackType, userAgent }
+   * @param {Object} options - { source }
+   */
+  async processComplaint(complaint, { source = 'webhook' } = {}) {
+    const recipient = await this.findRecipient(complaint);
+    if (!recipient) {
+      logger.warn(`Unmatched complaint (${complaint.email || complaint.messageId || 'no identifiers'})`);
+      return { email: complaint.email || '', matched: false };
+    }
+
+    const { userId, campaignId, contactId } = recipient;
+    const email = String(recipient.email).toLowerCase();
+    const feedbackType = complaint.feedbackType || 'abuse';
+
+    // Only count one complaint per recipient per campaign (reports can be resent)
+    const alreadyRecorded = await Analytics.exists({ campaignId, email, event: 'complained' });
+    if (!alreadyRecorded) {
+      await Analytics.create({
+        campaignId,
+        userId,
+        contactId,
+        email,
+        event: 'complained',
+        metadata: {
+          feedbackType,
+          userAgent: String(complaint.userAgent || '').slice(0, 200),
+          messageId: normalizeMessageId(complaint.messageId),
+          source
+        }
+      });
+
+      campaignStatsService.schedule(campaignId);
+
+      try {
+        const io = global.io;
+        if (io) {
+          io.to(`campaign-${campaignId}`).emit('email-complained', { campaignId, email });
+        }
+      } catch (_) {}
+    }
+
+    // A complaint is an unambiguous withdrawal of consent
+    const contact = await Contact.findOneAndUpdate(
+      { userId, email, status: { $ne: 'unsubscribed' } },
+      { $set: { status: 'unsubscribed' } }
+    );
+    if (contact) {
+      await consentService.record({ _id: contact._id }, 'withdrawn', {
+        source: `${source}-complaint`,
+        note: `Spam complaint (${feedbackType})`
+      });
+    }
+
+    await suppressionService.suppress(userId, email, {
+      reason: 'complained',
+      source: `${source}-complaint`
+    });
+
+    logger.info(`Recorded complaint for ${email} (campaign ${campaignId})`);
+
+    return {
+      email,
+      matched: true,
+      campaignId,
+      duplicate: !!alreadyRecorded,
+      suppressed: true
+    };
+  }
+}
+
+module.exports = new ComplaintService();
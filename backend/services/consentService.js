@@ -0,0 +1,107 @@
+const Contact = require('../models/Contact');
+
+const LAWFUL_BASES = Contact.schema.path('consent.lawfulBasis').enumValues;
+
+/**
+ * Consent Service - Records why we may email a contact. The current state
+ * lives in Contact.consent and every change is appended to
+ * Contact.consentHistory so audits can be answered from the product.
+ */
+class ConsentService {
+  get lawfulBases() {
+    return LAWFUL_BASES;
+  }
+
+  isValidLawfulBasis(lawfulBasis) {
+    return LAWFUL_BASES.includes(lawfulBasis);
+  }
+
+  /**
+   * Build a consent history entry
+   * @param {String} action - requested | granted | withdrawn | updated
+   * @param {Object} details - { source, lawfulBasis, formId, ip, userAgent, note }
+   */
+  buildEvent(action, details = {}) {
+    const event = { action, timestamp: new Date() };
+    ['source', 'lawfulBasis', 'formId', 'ip', 'userAgent', 'note'].forEach(field => {
+      if (details[field] !== undefined && details[field] !== null && details[field] !== '') {
+        event[field] = details[field];
+      }
+    });
+    return event;
+  }
+
+  /**
+   * Consent fields for a contact created through uploads or the API
+   * @param {Object} input - { source, lawfulBasis, timestamp } supplied by the caller
+   * @param {String} defaultSource - Where the contact came from ('import', 'api', ...)
+   * @returns {Object} { consent, consentHistory } ready to spread into a new Contact
+   */
+  forNewContact(input = {}, defaultSource) {
+    const source = input.source || defaultSource;
+    const lawfulBasis = this.isValidLawfulBasis(input.lawfulBasis) ? input.lawfulBasis : undefined;
+    const timestamp = input.timestamp ? new Date(input.timestamp) : new Date();
+
+    const event = this.buildEvent(lawfulBasis ? 'granted' : 'updated', {
+      source,
+      lawfulBasis,
+      note: input.note
+    });
+    event.timestamp = timestamp;
+
+    return {
+      consent: { source, lawfulBasis, timestamp },
+      consentHistory: [event]
+    };
+  }
+
+  /**
+   * Record a consent change on an existing contact
+   * @param {Object} filter - Contact query (must include userId)
+   * @param {String} action - requested | granted | withdrawn | updated
+   * @param {Object} details - { source, lawfulBasis, formId, ip, userAgent, note }
+   */
+  async record(filter, action, details = {}) {
+    const event = this.buildEvent(action, details);
+    const $set = {};
+
+    if (action === 'withdrawn') {
+      $set['consent.withdrawnAt'] = event.timestamp;
+    } else if (action === 'granted' || action === 'updated') {
+      if (details.source) $set['consent.source'] = details.source;
+      if (details.lawfulBasis) $set['consent.lawfulBasis'] = details.lawfulBasis;
+      $set['consent.timestamp'] = event.timestamp;
+      if (action === 'granted') $set['consent.withdrawnAt'] = null;
+    }
+
+    return await Contact.findOneAndUpdate(
+      filter,
+      {
+        ...(Object.keys($set).length > 0 ? { $set } : {}),
+        $push: { consentHistory: event }
+      },
+      { new: true, runValidators: true }
+    );
+  }
+
+  /**
+   * Query fragment matching contacts with a recorded, non-withdrawn lawful basis
+   */
+  validConsentQuery() {
+    return {
+      'consent.lawfulBasis': { $in: LAWFUL_BASES },
+      'consent.withdrawnAt': null
+    };
+  }
+
+  /**
+   * Strip consent fields from generic create/update payloads so the
+   * history can only be appended to through this service
+   */
+  stripConsentFields(body = {}) {
+    const { consent, consentHistory, ...rest } = body;
+    return rest;
+  }
+}
+
+module.exports = new ConsentService();
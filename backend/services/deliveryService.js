@@ -0,0 +1,106 @@
+const Delivery = require('../models/Delivery');
+
+// Only these outcomes may be (re)tried; 'sending' and 'sent' are final for a claim
+const CLAIMABLE_STATUSES = ['queued', 'failed'];
+
+const keyOf = (recipient) => ({
+  campaignId: recipient.campaignId,
+  contactId: recipient.contactId
+});
+
+/**
+ * Delivery Service - Per-recipient ledger keyed by (campaignId, contactId).
+ * Every send path claims the recipient's record before sending; the claim is
+ * a single atomic update, so concurrent or repeated sends of the same
+ * campaign to the same contact cannot both go out.
+ */
+class DeliveryService {
+  /**
+   * Record recipients as queued without touching ones that already have an outcome
+   * @param {Array} recipients - [{ userId, campaignId, contactId, email }]
+   */
+  async markQueued(recipients, jobId) {
+    if (!recipients.length) return;
+
+    await Delivery.bulkWrite(recipients.map(recipient => ({
+      updateOne: {
+        filter: keyOf(recipient),
+        update: {
+          $setOnInsert: {
+            ...keyOf(recipient),
+            userId: recipient.userId,
+            email: recipient.email,
+            status: 'queued',
+            jobId
+          }
+        },
+        upsert: true
+      }
+    })), { ordered: false });
+  }
+
+  /**
+   * Claim a recipient for sending.
+   * @returns {Object|null} The claimed delivery, or null if the recipient was
+   * already sent or is being sent by another worker
+   */
+  async claim(recipient, jobId) {
+    try {
+      return await Delivery.findOneAndUpdate(
+        { ...keyOf(recipient), status: { $in: CLAIMABLE_STATUSES } },
+        {
+          $set: { status: 'sending', claimedAt: new Date(), jobId },
+          $setOnInsert: { userId: recipient.userId, email: recipient.email },
+          $inc: { attempts: 1 }
+        },
+        { upsert: true, new: true }
+      );
+    } catch (error) {
+      // The upsert collides with the unique key when a record exists in a
+      // non-claimable state: someone else owns this recipient
+      if (error.code === 11000) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async markSent(recipient, { provider, messageId } = {}) {
+    await Delivery.updateOne(keyOf(recipient), {
+      $set: { status: 'sent', provider, messageId, sentAt: new Date(), error: '' },
+      $unset: { retryAt: 1 }
+    });
+  }
+
+  /**
+   * Record a failed send
+   * @param {Object} options - { retryAt } when the send will be retried;
+   * without it the failure is final
+   */
+  async markFailed(recipient, error, { retryAt } = {}) {
+    await Delivery.updateOne(keyOf(recipient), {
+      $set: { status: 'failed', error: String(error || ''), ...(retryAt ? { retryAt } : {}) },
+      ...(retryAt ? {} : { $unset: { retryAt: 1 } })
+    });
+  }
+
+  /**
+   * Record a recipient that was deliberately not sent, unless it already was
+   */
+  async markSkipped(recipient, reason) {
+    try {
+      await Delivery.updateOne(
+        { ...keyOf(recipient), status: { $in: CLAIMABLE_STATUSES } },
+        {
+          $set: { status: 'skipped', reason },
+          $setOnInsert: { userId: recipient.userId, email: recipient.email }
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+}
+
+module.exports = new DeliveryService();
@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const SenderIdentity = require('../models/SenderIdentity');
+const { encrypt, decrypt } = require('../utils/encryption');
+
+const logger = {
+  warn: (...args) => console.warn('[DKIM]', ...args)
+};
+
+const DEFAULT_SELECTOR = process.env.DKIM_SELECTOR || 'mail';
+const KEY_BITS = parseInt(process.env.DKIM_KEY_BITS || '2048');
+const MIN_KEY_BITS = 1024;
+const SELECTOR_PATTERN = /^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/;
+
+// Signing keys are looked up for every message, so keep them briefly in memory
+const CACHE_TTL_MS = 60000;
+
+/**
+ * DKIM Service - Per-domain DKIM keys for verified sender domains. Keys are
+ * generated here or uploaded by the user, stored encrypted, and used by
+ * emailService to sign every message sent from the domain.
+ */
+class DkimService {
+  constructor() {
+    this.cache = new Map(); // userId:domain -> { options, expiresAt }
+    // DNS lookups go through this function so tests can replace it
+    this.resolveTxt = (hostname) => dns.promises.resolveTxt(hostname);
+  }
+
+  normalizeSelector(selector) {
+    const normalized = String(selector || DEFAULT_SELECTOR).trim().toLowerCase();
+    if (!SELECTOR_PATTERN.test(normalized)) {
+      throw new Error('Please provide a valid selector (letters, digits and dashes)');
+    }
+    return normalized;
+  }
+
+  /**
+   * The TXT record that publishes the domain's public key
+   */
+  getDnsRecord(identity) {
+    if (!identity.dkim || !identity.dkim.publicKey) {
+      return null;
+    }
+
+    return {
+      type: 'TXT',
+      name: `${identity.dkim.selector}._domainkey.${identity.value}`,
+      value: `v=DKIM1; k=rsa; p=${identity.dkim.publicKey}`
+    };
+  }
+
+  /**
+   * Store a key pair on a verified domain, replacing any previous key
+   * @param {String} privateKeyPem - Uploaded key; a new one is generated if omitted
+   */
+  async setKey(identity, { selector, privateKeyPem } = {}) {
+    if (identity.type !== 'domain' || identity.status !== 'verified') {
+      throw new Error('DKIM keys can only be added to verified domains');
+    }
+
+    let privateKey;
+    if (privateKeyPem) {
+      try {
+        privateKey = crypto.createPrivateKey(String(privateKeyPem));
+      } catch (error) {
+        throw new Error('Please provide a valid PEM private key');
+      }
+      if (privateKey.asymmetricKeyType !== 'rsa') {
+        throw new Error('Please provide an RSA private key');
+      }
+      if (privateKey.asymmetricKeyDetails && privateKey.asymmetricKeyDetails.modulusLength < MIN_KEY_BITS) {
+        throw new Error(`Please provide a key of at least ${MIN_KEY_BITS} bits`);
+      }
+    } else {
+      privateKey = crypto.generateKeyPairSync('rsa', { modulusLength: KEY_BITS }).privateKey;
+    }
+
+    const publicKey = crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'der' }).toString('base64');
+    const pem = privateKey.export({ type: 'pkcs8', format: 'pem' });
+
+    const updated = await SenderIdentity.findOneAndUpdate(
+      { _id: identity._id },
+      {
+        $set: {
+          dkim: {
+            selector: this.normalizeSelector(selector),
+            publicKey,
+            privateKey: encrypt(pem),
+            source: privateKeyPem ? 'uploaded' : 'generated',
+            createdAt: new Date()
+          }
+        }
+      },
+      { new: true }
+    );
+
+    this.invalidate(identity);
+    return updated;
+  }
+
+  async removeKey(identity) {
+    const updated = await SenderIdentity.findOneAndUpdate(
+      { _id: identity._id },
+      { $unset: { dkim: 1 } },
+      { new: true }
+    );
+
+    this.invalidate(identity);
+    return updated;
+  }
+
+  /**
+   * Check whether the domain publishes the expected public key
+   */
+  async checkDns(identity) {
+    const record = this.getDnsRecord(identity);
+    if (!record) {
+      return identity;
+    }
+
+    let lastError = '';
+    try {
+      const records = await this.resolveTxt(record.name);
+      const published = records.map(chunks => [].concat(chunks).join(''));
+      const match = published.some(value => {
+        const key = (value.match(/(?:^|;)\s*p=([^;]*)/) || [])[1];
+        return key && key.replace(/\s+/g, '') === identity.dkim.publicKey;
+      });
+      if (!match) {
+        lastError = `DKIM record with the current public key not found on ${record.name}`;
+      }
+    } catch (error) {
+      lastError = `DNS lookup failed: ${error.code || error.message}`;
+    }
+
+    const now = new Date();
+    const $set = { 'dkim.lastCheckedAt': now, 'dkim.lastError': lastError };
+    if (!lastError && !identity.dkim.dnsVerifiedAt) {
+      $set['dkim.dnsVerifiedAt'] = now;
+    }
+
+    const updated = await SenderIdentity.findOneAndUpdate({ _id: identity._id }, { $set }, { new: true });
+    if ($set['dkim.dnsVerifiedAt']) {
+      // The key may sign from now on
+      this.invalidate(identity);
+    }
+    return updated;
+  }
+
+  cacheKey(userId, domain) {
+    return `${userId}:${domain}`;
+  }
+
+  invalidate(identity) {
+    this.cache.delete(this.cacheKey(identity.userId, identity.value));
+  }
+
+  /**
+   * nodemailer DKIM options for a user's mail from this address, or null if
+   * the user has no key for its domain whose DNS record has been seen. Keys
+   * are per account: another user verifying the same domain never signs
+   * with it.
+   */
+  async getSigningOptions(userId, fromEmail) {
+    const email = String(fromEmail || '').trim().toLowerCase();
+    const domain = email.slice(email.lastIndexOf('@') + 1);
+    if (!userId || !domain || !email.includes('@')) {
+      return null;
+    }
+
+    const key = this.cacheKey(userId, domain);
+    const cached = this.cache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.options;
+    }
+
+    // A key is only used once its selector is published, so a new or
+    // rotated key never produces signatures that fail verification
+    const identity = await SenderIdentity.findOne({
+      userId,
+      type: 'domain',
+      value: domain,
+      status: 'verified',
+      'dkim.publicKey': { $exists: true },
+      'dkim.dnsVerifiedAt': { $exists: true }
+    })
+      .select('+dkim.privateKey');
+
+    let options = null;
+    if (identity && identity.dkim.privateKey) {
+      try {
+        options = {
+          domainName: domain,
+          keySelector: identity.dkim.selector,
+          privateKey: decrypt(identity.dkim.privateKey)
+        };
+      } catch (error) {
+        logger.warn(`Cannot decrypt the DKIM key of ${domain}:`, error.message);
+      }
+    }
+
+    this.cache.set(key, { options, expiresAt: Date.now() + CACHE_TTL_MS });
+    return options;
+  }
+}
+
+module.exports = new DkimService();
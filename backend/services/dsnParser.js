@@ -0,0 +1,103 @@
+const {
+  getParts,
+  splitMessage,
+  parseFieldGroups,
+  extractAddress,
+  normalizeMessageId
+} = require('../utils/mime');
+
+// Permanent (5.x.x) statuses that do not mean the address is bad, so they are
+// treated as soft bounces: mailbox full, message too big, policy/spam blocks
+const SOFT_PERMANENT_STATUSES = [/^5\.2\.2$/, /^5\.3\.4$/, /^5\.7\.\d+$/];
+
+/**
+ * DSN Parser - Parses RFC 3464 delivery status notifications. Pure functions
+ * only, so it can be exercised with locally crafted .eml fixtures.
+ */
+class DsnParser {
+  /**
+   * Classify a bounce as 'hard' or 'soft'
+   * @param {String} action - DSN Action field (failed, delayed, ...)
+   * @param {String} status - Enhanced status code, e.g. 5.1.1
+   * @param {String} diagnosticCode - Diagnostic-Code field, used when Status is missing
+   */
+  classify(action, status, diagnosticCode) {
+    if (String(action || '').toLowerCase() === 'delayed') {
+      return 'soft';
+    }
+
+    let code = String(status || '').trim();
+    if (!/^\d\.\d{1,3}\.\d{1,3}$/.test(code)) {
+      // Fall back to the SMTP reply code, e.g. "smtp; 550 ..."
+      const smtp = String(diagnosticCode || '').match(/\b([245])\d\d\b/);
+      code = smtp ? `${smtp[1]}.0.0` : '';
+    }
+
+    if (code.startsWith('5') && !SOFT_PERMANENT_STATUSES.some(pattern => pattern.test(code))) {
+      return 'hard';
+    }
+
+    return 'soft';
+  }
+
+  /**
+   * Parse a raw DSN message
+   * @param {String|Buffer} raw - Full message source
+   * @returns {Object|null} { reportingMta, originalMessageId, originalHeaders, recipients } or null if not a DSN
+   */
+  parse(raw) {
+    const parts = getParts(raw);
+    const statusPart = parts.find(part =>
+      part.contentType === 'message/delivery-status' ||
+      part.contentType === 'message/global-delivery-status'
+    );
+
+    if (!statusPart) {
+      return null;
+    }
+
+    const [perMessage = {}, ...perRecipient] = parseFieldGroups(statusPart.body);
+
+    const originalPart = parts.find(part =>
+      part.contentType === 'message/rfc822' ||
+      part.contentType === 'text/rfc822-headers' ||
+      part.contentType === 'message/global' ||
+      part.contentType === 'message/global-headers'
+    );
+    const originalHeaders = originalPart ? splitMessage(originalPart.body).headers : {};
+
+    const recipients = perRecipient
+      .filter(fields => fields['final-recipient'] || fields['original-recipient'])
+      .map(fields => {
+        const action = String(fields.action || '').toLowerCase();
+        const status = String(fields.status || '').trim().split(/\s/)[0];
+        const diagnosticCode = fields['diagnostic-code'] || '';
+
+        return {
+          email: extractAddress(fields['final-recipient'] || fields['original-recipient']),
+          action,
+          status,
+          diagnosticCode,
+          type: this.classify(action, status, diagnosticCode)
+        };
+      });
+
+    return {
+      reportingMta: perMessage['reporting-mta'] ? extractAddress(perMessage['reporting-mta']) : '',
+      originalMessageId: normalizeMessageId(originalHeaders['message-id']),
+      originalHeaders,
+      recipients
+    };
+  }
+
+  /**
+   * Recipients that actually bounced (failed or delayed), ignoring
+   * delivered/relayed/expanded notifications
+   */
+  getBounces(report) {
+    if (!report) return [];
+    return report.recipients.filter(recipient => ['failed', 'delayed'].includes(recipient.action));
+  }
+}
+
+module.exports = new DsnParser();
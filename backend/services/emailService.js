@@ -1,6 +1,7 @@
 const nodemailer = require('nodemailer');
 const fs = require('fs');
 const path = require('path');
+const dkimService = require('./dkimService');
 
 // Simple logger (console only)
 const logger = {
@@ -87,7 +88,32 @@ class EmailService {
     };
   }
 
-  
+  /**
+   * Add List-Unsubscribe headers (RFC 2369 / RFC 8058 one-click) and a
+   * visible unsubscribe footer when the message carries an unsubscribe URL
+   */
+  applyUnsubscribe(mailOptions, unsubscribeUrl) {
+    if (!unsubscribeUrl) {
+      return mailOptions;
+    }
+
+    mailOptions.headers = {
+      ...(mailOptions.headers || {}),
+      'List-Unsubscribe': `<${unsubscribeUrl}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    };
+
+    if (mailOptions.html) {
+      mailOptions.html += `<p style="margin-top:24px;font-size:12px;color:#6b7280;">` +
+        `If you no longer wish to receive these emails, <a href="${unsubscribeUrl}">unsubscribe here</a>.</p>`;
+    }
+
+    if (mailOptions.text) {
+      mailOptions.text += `\n\n--\nUnsubscribe: ${unsubscribeUrl}`;
+    }
+
+    return mailOptions;
+  }
 
   async sendWithSMTP(transporter, emailData) {
     const mailOptions = {
@@ -99,6 +125,34 @@ class EmailService {
       replyTo: emailData.replyTo || emailData.from
     };
 
+    this.applyUnsubscribe(mailOptions, emailData.unsubscribeUrl);
+
+    // Reference used to match spam complaint (ARF) reports back to the recipient
+    if (emailData.campaignRef) {
+      mailOptions.headers = {
+        ...(mailOptions.headers || {}),
+        'X-Campaign-Ref': emailData.campaignRef
+      };
+    }
+
+    // Route bounces to the inbound bounce listener via the envelope sender
+    if (process.env.BOUNCE_ADDRESS) {
+      mailOptions.envelope = {
+        from: process.env.BOUNCE_ADDRESS,
+        to: emailData.to
+      };
+    }
+
+    // Sign with the sending user's DKIM key for the From domain, if they have one
+    try {
+      const dkim = await dkimService.getSigningOptions(emailData.userId, this.parseEmailAddress(emailData.from).email);
+      if (dkim) {
+        mailOptions.dkim = dkim;
+      }
+    } catch (error) {
+      logger.warn('Sending without DKIM signature:', error.message);
+    }
+
     if (emailData.attachments && emailData.attachments.length > 0) {
       mailOptions.attachments = emailData.attachments.map(att => ({
         filename: att.filename,
@@ -164,6 +218,8 @@ class EmailService {
     return {
       success: false,
       error: lastError?.message || 'Unknown error',
+      responseCode: lastError?.responseCode,
+      code: lastError?.code,
       attempts: maxRetries
     };
   }
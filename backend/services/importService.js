@@ -0,0 +1,588 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const csv = require('csv-parser');
+const Contact = require('../models/Contact');
+const List = require('../models/List');
+const Import = require('../models/Import');
+const ImportRowError = require('../models/ImportRowError');
+const consentService = require('./consentService');
+const listService = require('./listService');
+const { isValidTimezone } = require('../utils/deliveryWindow');
+const { xlsxToCsv } = require('../utils/xlsxToCsv');
+
+const logger = {
+  info: (...args) => console.log('[IMPORT]', ...args),
+  error: (...args) => console.error('[IMPORT ERROR]', ...args)
+};
+
+const UPLOAD_DIR = 'uploads/';
+const ALLOWED_EXTENSIONS = ['.csv', '.xlsx', '.xls'];
+const FIELDS = ['email', 'name', 'phone', 'tags', 'timezone'];
+const METADATA_PREFIX = 'metadata:';
+const METADATA_KEY_PATTERN = /^[A-Za-z0-9_-]+$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const SAMPLE_ROWS = 5;
+// Files uploaded for a preview but never imported are removed after this long
+const STAGED_TTL_MS = 60 * 60 * 1000;
+
+// Spreadsheets cannot be streamed: a worker thread loads the whole
+// workbook, so they are capped well below CSV files
+const MAX_XLSX_MB = parseInt(process.env.IMPORT_MAX_XLSX_MB || '50');
+
+// Rows written per bulk upsert, and per-import cap on stored row errors
+const CHUNK_SIZE = parseInt(process.env.IMPORT_CHUNK_SIZE || '1000');
+const MAX_ERROR_ROWS = parseInt(process.env.IMPORT_MAX_ERROR_ROWS || '10000');
+
+// Header spellings recognised without a mapping (compared lowercase, without separators)
+const FIELD_ALIASES = {
+  email: ['email', 'emailaddress', 'mail'],
+  name: ['name', 'fullname', 'contactname'],
+  phone: ['phone', 'phonenumber', 'mobile', 'telephone'],
+  tags: ['tags', 'tag', 'labels'],
+  timezone: ['timezone', 'tz', 'timezonename']
+};
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const toColumns = (mapping) => Object.entries(mapping).map(([header, target]) => ({ header, target: target || '' }));
+const fromColumns = (columns) => Object.fromEntries((columns || []).map(column => [column.header, column.target]));
+
+/**
+ * Import Service - Two-step contact imports. A file is staged and its
+ * headers and first rows are shown so each column can be mapped to a
+ * contact field or a custom metadata key. The import itself runs as a
+ * background job: rows are streamed from the file and upserted in chunks,
+ * with progress sent over Socket.io and unusable rows recorded per import.
+ */
+class ImportService {
+  isAllowedFile(originalName) {
+    return ALLOWED_EXTENSIONS.includes(path.extname(originalName).toLowerCase());
+  }
+
+  isSpreadsheet(fileName) {
+    return path.extname(fileName).toLowerCase() !== '.csv';
+  }
+
+  /**
+   * @returns {String|null} Why a file of this size cannot be imported
+   */
+  sizeError(fileName, size) {
+    if (this.isSpreadsheet(fileName) && size > MAX_XLSX_MB * 1024 * 1024) {
+      return `Spreadsheets are limited to ${MAX_XLSX_MB} MB, save larger lists as CSV`;
+    }
+    return null;
+  }
+
+  /**
+   * Stream the rows of a CSV/XLSX file as objects keyed by header. CSV files
+   * are read incrementally; the first sheet of a spreadsheet (only its first
+   * sheetRows rows when given) is converted to CSV in a worker thread first.
+   * @returns {Object} { rows, source, totalRows } - rows emits 'headers' first
+   */
+  async openRowStream(filePath, fileName = filePath, { sheetRows } = {}) {
+    const options = { mapHeaders: ({ header }) => header.trim() };
+
+    if (!this.isSpreadsheet(fileName)) {
+      const source = fs.createReadStream(filePath);
+      const rows = source.pipe(csv(options));
+      source.on('error', error => rows.destroy(error));
+      return { rows, source, totalRows: null };
+    }
+
+    const { csvPath, totalRows } = await xlsxToCsv(filePath, { sheetRows });
+    const source = fs.createReadStream(csvPath);
+    const rows = source.pipe(csv(options));
+    source.on('error', error => rows.destroy(error));
+    // The converted copy is only needed while it is read
+    source.on('close', () => fs.rm(csvPath, { force: true }, () => {}));
+    return { rows, source, totalRows };
+  }
+
+  /**
+   * Headers, first rows and a suggested mapping, without reading the whole
+   * file (spreadsheet rows past the sample are not parsed)
+   */
+  async previewFile(filePath, fileName) {
+    const { rows, source, totalRows } = await this.openRowStream(filePath, fileName, { sheetRows: SAMPLE_ROWS + 1 });
+    let headers = [];
+    rows.on('headers', (parsed) => { headers = parsed.filter(Boolean); });
+
+    const sampleRows = [];
+    try {
+      for await (const row of rows) {
+        sampleRows.push(row);
+        if (sampleRows.length >= SAMPLE_ROWS) break;
+      }
+    } finally {
+      source.destroy();
+    }
+
+    return {
+      headers,
+      sampleRows,
+      totalRows,
+      suggestedMapping: this.suggestMapping(headers)
+    };
+  }
+
+  /**
+   * Guess a mapping: known spellings map to contact fields, other columns to
+   * metadata keys derived from the header
+   */
+  suggestMapping(headers) {
+    const mapping = {};
+    const used = new Set();
+
+    headers.forEach(header => {
+      const normalized = normalizeHeader(header);
+      const field = FIELDS.find(name => FIELD_ALIASES[name].includes(normalized));
+
+      // tags may come from several columns, the other fields from one
+      if (field && (field === 'tags' || !used.has(field))) {
+        mapping[header] = field;
+        used.add(field);
+        return;
+      }
+
+      const key = String(header).trim().replace(/[^A-Za-z0-9_-]+/g, '_').replace(/^_+|_+$/g, '');
+      mapping[header] = key ? `${METADATA_PREFIX}${key}` : '';
+    });
+
+    return mapping;
+  }
+
+  /**
+   * Check a { header: target } mapping
+   * @throws {Error} 'Please provide ...' for an unusable mapping
+   */
+  validateMapping(mapping) {
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+      throw new Error('Please provide a column mapping');
+    }
+
+    const targets = Object.values(mapping).filter(Boolean);
+    targets.forEach(target => {
+      if (target.startsWith(METADATA_PREFIX)) {
+        if (!METADATA_KEY_PATTERN.test(target.slice(METADATA_PREFIX.length))) {
+          throw new Error(`Please provide custom field names using letters, digits, _ and - only (got "${target.slice(METADATA_PREFIX.length)}")`);
+        }
+      } else if (!FIELDS.includes(target)) {
+        throw new Error(`Please provide a valid target for every column (got "${target}")`);
+      }
+    });
+
+    const emailColumns = targets.filter(target => target === 'email').length;
+    if (emailColumns !== 1) {
+      throw new Error('Please provide exactly one column mapped to email');
+    }
+    ['name', 'phone', 'timezone'].forEach(field => {
+      if (targets.filter(target => target === field).length > 1) {
+        throw new Error(`Please provide at most one column mapped to ${field}`);
+      }
+    });
+
+    return true;
+  }
+
+  /**
+   * Build a contact from one row, null if the row has no email
+   */
+  mapRow(row, mapping) {
+    const contact = { tags: [] };
+    const metadata = {};
+
+    Object.entries(mapping).forEach(([header, target]) => {
+      const value = row[header] === undefined || row[header] === null ? '' : String(row[header]).trim();
+      if (!target || !value) return;
+
+      if (target === 'tags') {
+        contact.tags.push(...value.split(',').map(tag => tag.trim()).filter(Boolean));
+      } else if (target.startsWith(METADATA_PREFIX)) {
+        metadata[target.slice(METADATA_PREFIX.length)] = value;
+      } else {
+        contact[target] = value;
+      }
+    });
+
+    if (!contact.email) {
+      return null;
+    }
+    if (Object.keys(metadata).length) {
+      contact.metadata = metadata;
+    }
+    return contact;
+  }
+
+  /**
+   * Move an uploaded file aside until the user confirms the import, with its
+   * headers next to it so confirming does not read the file again
+   * @returns {String} uploadId to pass to getStagedPath
+   */
+  stage(userId, file, headers) {
+    this.cleanupStaged();
+    const uploadId = `${crypto.randomBytes(16).toString('hex')}${path.extname(file.originalname).toLowerCase()}`;
+    const filePath = this.stagedPath(userId, uploadId);
+    fs.renameSync(file.path, filePath);
+    fs.writeFileSync(`${filePath}.json`, JSON.stringify({ headers }));
+    return uploadId;
+  }
+
+  stagedPath(userId, uploadId) {
+    return path.join(UPLOAD_DIR, `import-${userId}-${uploadId}`);
+  }
+
+  /**
+   * Path of a staged file of this user, null if the id is unknown or expired
+   */
+  getStagedPath(userId, uploadId) {
+    if (!/^[a-f0-9]{32}\.(csv|xlsx|xls)$/.test(String(uploadId || ''))) {
+      return null;
+    }
+    const filePath = this.stagedPath(userId, uploadId);
+    return fs.existsSync(filePath) ? filePath : null;
+  }
+
+  /**
+   * Headers read when the file was staged, null if they are missing
+   */
+  getStagedHeaders(filePath) {
+    const headersPath = `${filePath}.json`;
+    if (!fs.existsSync(headersPath)) {
+      return null;
+    }
+    return JSON.parse(fs.readFileSync(headersPath, 'utf8')).headers;
+  }
+
+  cleanupStaged(now = Date.now()) {
+    if (!fs.existsSync(UPLOAD_DIR)) return;
+
+    fs.readdirSync(UPLOAD_DIR)
+      .filter(name => name.startsWith('import-'))
+      .forEach(name => {
+        const filePath = path.join(UPLOAD_DIR, name);
+        try {
+          if (now - fs.statSync(filePath).mtimeMs > STAGED_TTL_MS) {
+            fs.unlinkSync(filePath);
+          }
+        } catch (_) {}
+      });
+  }
+
+  /**
+   * Check a row's mapped contact
+   * @returns {String|null} Why the row cannot be imported
+   */
+  rowError(contact) {
+    if (!contact) return 'Missing email';
+    if (!EMAIL_PATTERN.test(contact.email)) return 'Invalid email';
+    if (contact.timezone && !isValidTimezone(contact.timezone)) return `Invalid timezone ${contact.timezone}`;
+    return null;
+  }
+
+  /**
+   * Upsert for one contact: new addresses are inserted with the import's
+   * consent record, existing ones are left alone unless updateExisting is set
+   */
+  buildUpsert(userId, contact, consent, updateExisting) {
+    const { email, tags, metadata, ...fields } = contact;
+    const filter = { userId, email: email.toLowerCase() };
+
+    if (!updateExisting) {
+      return {
+        updateOne: {
+          filter,
+          update: { $setOnInsert: { ...fields, tags, metadata, status: 'active', ...consent } },
+          upsert: true
+        }
+      };
+    }
+
+    const $set = { ...fields };
+    Object.entries(metadata || {}).forEach(([key, value]) => {
+      $set[`metadata.${key}`] = value;
+    });
+    return {
+      updateOne: {
+        filter,
+        update: {
+          ...(Object.keys($set).length ? { $set } : {}),
+          $addToSet: { tags: { $each: tags } },
+          $setOnInsert: { status: 'active', ...consent }
+        },
+        upsert: true
+      }
+    };
+  }
+
+  /**
+   * Create an import for a staged or uploaded file and queue it
+   * @param {Object} options - { fileName, mapping, lawfulBasis, consentSource, listId, updateExisting }
+   */
+  async createImport(userId, filePath, options) {
+    const importJob = new Import({
+      userId,
+      fileName: options.fileName,
+      fileSize: fs.statSync(filePath).size,
+      columns: toColumns(options.mapping),
+      options: {
+        lawfulBasis: options.lawfulBasis,
+        consentSource: options.consentSource,
+        listId: options.listId || undefined,
+        updateExisting: Boolean(options.updateExisting)
+      }
+    });
+
+    // Out of the staging area so the stale upload cleanup never removes it
+    importJob.filePath = path.join(UPLOAD_DIR, `job-${importJob._id}${path.extname(filePath).toLowerCase()}`);
+    fs.renameSync(filePath, importJob.filePath);
+    fs.rmSync(`${filePath}.json`, { force: true });
+    await importJob.save();
+
+    await this.enqueue(importJob._id);
+    return importJob;
+  }
+
+  /**
+   * Queue an import, or run it in this process if the queue is unavailable
+   */
+  async enqueue(importId) {
+    const { importQueue } = require('./queueService');
+
+    try {
+      await importQueue.add('import-contacts', { importId: String(importId) }, {
+        jobId: `import-${importId}`,
+        attempts: 1,
+        removeOnComplete: true,
+        removeOnFail: true
+      });
+    } catch (error) {
+      this.processImport(importId).catch(err => logger.error(`Import ${importId} failed:`, err.message));
+    }
+  }
+
+  emit(importJob, event) {
+    try {
+      const io = global.io;
+      if (io) {
+        io.to(`import-${importJob._id}`).emit(event, {
+          importId: String(importJob._id),
+          status: importJob.status,
+          totalRows: importJob.totalRows,
+          fileSize: importJob.fileSize,
+          bytesRead: importJob.bytesRead,
+          progress: importJob.progress,
+          lastError: importJob.lastError
+        });
+      }
+    } catch (_) {}
+  }
+
+  /**
+   * Validate and upsert one chunk of rows, then record its outcome
+   * @param {Array} chunk - [{ row, data }]
+   */
+  async writeChunk(importJob, chunk, { mapping, list, bytesRead }) {
+    const userId = importJob.userId;
+    const consentInput = {
+      source: importJob.options.consentSource || 'import',
+      lawfulBasis: importJob.options.lawfulBasis,
+      note: importJob.fileName
+    };
+
+    const errors = [];
+    const ops = [];
+    const opRows = [];
+    const seen = new Set();
+    let unchanged = 0;
+
+    chunk.forEach(({ row, data }) => {
+      const contact = this.mapRow(data, mapping);
+      const error = this.rowError(contact);
+      if (error) {
+        errors.push({ importId: importJob._id, row, email: contact ? contact.email : undefined, message: error });
+        return;
+      }
+
+      // Repeats of an address within the chunk change nothing
+      const email = contact.email.toLowerCase();
+      if (seen.has(email)) {
+        unchanged++;
+        return;
+      }
+      seen.add(email);
+
+      ops.push(this.buildUpsert(userId, contact, consentService.forNewContact(consentInput, 'import'), importJob.options.updateExisting));
+      opRows.push({ row, email });
+    });
+
+    let result = { upsertedCount: 0, matchedCount: 0, modifiedCount: 0 };
+    const failedEmails = new Set();
+    if (ops.length) {
+      try {
+        result = await Contact.bulkWrite(ops, { ordered: false });
+      } catch (error) {
+        if (!error.writeErrors || !error.result) {
+          throw error;
+        }
+        result = error.result;
+        error.writeErrors.forEach(writeError => {
+          const failed = opRows[writeError.index] || {};
+          failedEmails.add(failed.email);
+          errors.push({ importId: importJob._id, row: failed.row, email: failed.email, message: writeError.errmsg || 'Write failed' });
+        });
+      }
+    }
+
+    const written = opRows.map(item => item.email).filter(email => !failedEmails.has(email));
+    const addedToList = list && written.length
+      ? await listService.addContacts(userId, list._id, { email: { $in: written } }, { source: 'import' })
+      : 0;
+
+    // Keep the first MAX_ERROR_ROWS errors; the counter covers all of them
+    const room = Math.max(0, MAX_ERROR_ROWS - importJob.progress.failed);
+    if (errors.length && room > 0) {
+      await ImportRowError.insertMany(errors.slice(0, room));
+    }
+
+    const updated = importJob.options.updateExisting ? (result.modifiedCount || 0) : 0;
+    const increments = {
+      processed: chunk.length,
+      imported: result.upsertedCount || 0,
+      updated,
+      unchanged: unchanged + (result.matchedCount || 0) - updated,
+      failed: errors.length,
+      addedToList
+    };
+
+    return await Import.findByIdAndUpdate(
+      importJob._id,
+      {
+        $inc: Object.fromEntries(Object.entries(increments).map(([key, value]) => [`progress.${key}`, value])),
+        $set: { bytesRead }
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Run an import. Chunks are upserts, so an import interrupted by a crash
+   * picks up after its last recorded row when it runs again.
+   */
+  async processImport(importId) {
+    let importJob = await Import.findOneAndUpdate(
+      { _id: importId, status: { $in: ['queued', 'processing'] } },
+      { $set: { status: 'processing' } },
+      { new: true }
+    );
+    if (!importJob) {
+      return null;
+    }
+    if (!importJob.startedAt) {
+      importJob.startedAt = new Date();
+      await Import.updateOne({ _id: importJob._id }, { $set: { startedAt: importJob.startedAt } });
+    }
+
+    try {
+      if (!importJob.filePath || !fs.existsSync(importJob.filePath)) {
+        throw new Error('The uploaded file is no longer available');
+      }
+
+      const mapping = fromColumns(importJob.columns);
+      // A list deleted since the upload is simply skipped
+      const list = importJob.options.listId
+        ? await List.findOne({ _id: importJob.options.listId, userId: importJob.userId })
+        : null;
+
+      const { rows, source, totalRows } = await this.openRowStream(importJob.filePath);
+      if (totalRows !== null) {
+        importJob.totalRows = totalRows;
+        await Import.updateOne({ _id: importJob._id }, { $set: { totalRows } });
+      }
+      this.emit(importJob, 'import-progress');
+
+      const skip = importJob.progress.processed;
+      const bytesRead = () => source.bytesRead || 0;
+      let rowNumber = 0;
+      let chunk = [];
+      let cancelled = false;
+
+      try {
+        for await (const data of rows) {
+          rowNumber++;
+          if (rowNumber <= skip) continue;
+
+          // Reported as the line of the file, after the header
+          chunk.push({ row: rowNumber + 1, data });
+          if (chunk.length < CHUNK_SIZE) continue;
+
+          importJob = await this.writeChunk(importJob, chunk, { mapping, list, bytesRead: bytesRead() });
+          chunk = [];
+          this.emit(importJob, 'import-progress');
+
+          if (importJob.status === 'cancelled') {
+            cancelled = true;
+            break;
+          }
+        }
+      } finally {
+        source.destroy();
+      }
+
+      if (!cancelled && chunk.length) {
+        importJob = await this.writeChunk(importJob, chunk, { mapping, list, bytesRead: bytesRead() });
+      }
+
+      importJob = await Import.findOneAndUpdate(
+        { _id: importJob._id, status: 'processing' },
+        { $set: { status: 'completed', completedAt: new Date(), bytesRead: importJob.fileSize } },
+        { new: true }
+      ) || await Import.findById(importJob._id);
+
+      logger.info(`Import ${importJob._id} ${importJob.status}: ${importJob.progress.imported} new, ${importJob.progress.failed} failed`);
+      this.emit(importJob, importJob.status === 'completed' ? 'import-completed' : 'import-cancelled');
+    } catch (error) {
+      logger.error(`Import ${importJob._id} failed:`, error.message);
+      importJob = await Import.findByIdAndUpdate(
+        importJob._id,
+        { $set: { status: 'failed', lastError: error.message, completedAt: new Date() } },
+        { new: true }
+      );
+      this.emit(importJob, 'import-failed');
+    } finally {
+      this.removeFile(importJob);
+    }
+
+    return importJob;
+  }
+
+  /**
+   * Stop an import after its current chunk
+   */
+  async cancel(importJob) {
+    const cancelled = await Import.findOneAndUpdate(
+      { _id: importJob._id, status: { $in: ['queued', 'processing'] } },
+      { $set: { status: 'cancelled', completedAt: new Date() } },
+      { new: true }
+    );
+
+    // Queued imports never start, so their file is not needed any more
+    if (cancelled && importJob.status === 'queued') {
+      this.removeFile(cancelled);
+      this.emit(cancelled, 'import-cancelled');
+    }
+    return cancelled;
+  }
+
+  removeFile(importJob) {
+    try {
+      if (importJob && importJob.filePath && fs.existsSync(importJob.filePath)) {
+        fs.unlinkSync(importJob.filePath);
+      }
+    } catch (error) {
+      logger.error(`Failed to remove ${importJob.filePath}:`, error.message);
+    }
+  }
+}
+
+module.exports = new ImportService();
@@ -0,0 +1,114 @@
+const { SMTPServer } = require('smtp-server');
+const bounceService = require('./bounceService');
+const complaintService = require('./complaintService');
+
+const logger = {
+  info: (...args) => console.log('[INBOUND SMTP]', ...args),
+  error: (...args) => console.error('[INBOUND SMTP ERROR]', ...args)
+};
+
+const MAX_MESSAGE_SIZE = parseInt(process.env.INBOUND_SMTP_MAX_SIZE || String(5 * 1024 * 1024));
+
+/**
+ * Inbound SMTP Service - Small SMTP listener that receives bounce
+ * notifications addressed to BOUNCE_ADDRESS (the envelope sender of
+ * outgoing mail) and feedback loop (ARF) reports, and hands them to
+ * bounceService / complaintService
+ */
+class InboundSmtpService {
+  constructor() {
+    this.server = null;
+  }
+
+  isEnabled() {
+    return String(process.env.INBOUND_SMTP_ENABLED || 'false').toLowerCase() === 'true';
+  }
+
+  getDomain() {
+    return (process.env.INBOUND_SMTP_DOMAIN || '').trim().toLowerCase();
+  }
+
+  /**
+   * Only accept mail for the configured bounce domain
+   */
+  acceptsRecipient(address) {
+    const domain = this.getDomain();
+    if (!domain) return false;
+    return String(address || '').toLowerCase().endsWith(`@${domain}`);
+  }
+
+  start() {
+    if (!this.isEnabled() || this.server) {
+      return null;
+    }
+
+    // An open relay for bounces would let anyone post reports to it
+    if (!this.getDomain()) {
+      logger.error('INBOUND_SMTP_DOMAIN is required, the bounce listener was not started');
+      return null;
+    }
+
+    const port = parseInt(process.env.INBOUND_SMTP_PORT || '2525');
+
+    this.server = new SMTPServer({
+      authOptional: true,
+      disabledCommands: ['AUTH', 'STARTTLS'],
+      size: MAX_MESSAGE_SIZE,
+      banner: 'Bounce processor',
+      onRcptTo: (address, session, callback) => {
+        if (!this.acceptsRecipient(address.address)) {
+          return callback(new Error('Recipient not accepted'));
+        }
+        callback();
+      },
+      onData: (stream, session, callback) => {
+        const chunks = [];
+        stream.on('data', chunk => chunks.push(chunk));
+        stream.on('end', async () => {
+          if (stream.sizeExceeded) {
+            const err = new Error('Message exceeds fixed maximum message size');
+            err.responseCode = 552;
+            return callback(err);
+          }
+
+          try {
+            const raw = Buffer.concat(chunks);
+            const complaint = await complaintService.processRaw(raw, { source: 'smtp' });
+            if (!complaint.isArf) {
+              const result = await bounceService.processRaw(raw, { source: 'smtp' });
+              if (!result.isDsn) {
+                logger.info('Ignored message that is neither a DSN nor an ARF report');
+              }
+            }
+          } catch (error) {
+            logger.error('Failed to process inbound message:', error.message);
+          }
+
+          // Always accept so the remote MTA does not retry or bounce the bounce
+          callback();
+        });
+      }
+    });
+
+    this.server.on('error', (error) => {
+      logger.error(error.message);
+    });
+
+    this.server.listen(port, () => {
+      logger.info(`Listening for bounces on port ${port}`);
+    });
+
+    return this.server;
+  }
+
+  stop(callback) {
+    if (!this.server) {
+      if (callback) callback();
+      return;
+    }
+    this.server.close(callback);
+    this.server = null;
+  }
+}
+
+module.exports = new InboundSmtpService();
@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+const Contact = require('../models/Contact');
+const List = require('../models/List');
+
+const toObjectIds = (ids) => (ids || []).map(id => new mongoose.Types.ObjectId(String(id)));
+
+/**
+ * List Service - Membership and per-list subscription status of contacts.
+ * Leaving a list only marks the membership unsubscribed: the contact stays
+ * on the user's other lists, and the entry is kept so that adding the
+ * contact to the same list again (e.g. by a re-import) cannot resubscribe it.
+ */
+class ListService {
+  /**
+   * Load the user's lists with these ids
+   * @throws {Error} if any of them is not the user's
+   */
+  async getOwned(userId, listIds) {
+    const ids = [...new Set((listIds || []).map(String))];
+    if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      throw new Error('List not found');
+    }
+
+    const lists = await List.find({ _id: { $in: ids }, userId });
+    if (lists.length !== ids.length) {
+      throw new Error('List not found');
+    }
+    return lists;
+  }
+
+  /**
+   * Contact query for people subscribed to at least one of the lists
+   */
+  subscribedQuery(listIds) {
+    return {
+      lists: { $elemMatch: { listId: { $in: toObjectIds(listIds) }, status: 'subscribed' } }
+    };
+  }
+
+  /**
+   * Add the user's contacts matching a filter to a list. Contacts that are
+   * already members keep their current status.
+   * @param {Object} filter - e.g. { _id: { $in: ids } } or { email: { $in: emails } }
+   * @returns {Number} Contacts added
+   */
+  async addContacts(userId, listId, filter, { source = 'manual' } = {}) {
+    const result = await Contact.updateMany(
+      { ...filter, userId, 'lists.listId': { $ne: listId } },
+      { $push: { lists: { listId, status: 'subscribed', source, addedAt: new Date() } } }
+    );
+    return result.modifiedCount || 0;
+  }
+
+  /**
+   * Take subscribed contacts off a list. Unsubscribed memberships are kept,
+   * so adding the contact again later cannot resubscribe it.
+   * @returns {Number} Contacts removed
+   */
+  async removeContacts(userId, listId, contactIds) {
+    const result = await Contact.updateMany(
+      { _id: { $in: toObjectIds(contactIds) }, userId },
+      { $pull: { lists: { listId, status: 'subscribed' } } }
+    );
+    return result.modifiedCount || 0;
+  }
+
+  /**
+   * Change one contact's subscription status on a list (owner action)
+   */
+  async setStatus(userId, listId, contactId, status) {
+    return await Contact.findOneAndUpdate(
+      { _id: contactId, userId, 'lists.listId': listId },
+      {
+        $set: {
+          'lists.$.status': status,
+          'lists.$.unsubscribedAt': status === 'unsubscribed' ? new Date() : null
+        }
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Unsubscribe an address from some lists, leaving its other lists alone
+   * @returns {Object|null} The contact, or null if it was on none of them
+   */
+  async unsubscribe(userId, listIds, email) {
+    const ids = toObjectIds(listIds);
+    return await Contact.findOneAndUpdate(
+      { userId, email: email.toLowerCase(), ...this.subscribedQuery(ids) },
+      {
+        $set: {
+          'lists.$[entry].status': 'unsubscribed',
+          'lists.$[entry].unsubscribedAt': new Date()
+        }
+      },
+      {
+        arrayFilters: [{ 'entry.listId': { $in: ids }, 'entry.status': 'subscribed' }],
+        new: true
+      }
+    );
+  }
+
+  /**
+   * Subscribed and unsubscribed member counts of each of the user's lists
+   * @returns {Map} listId => { subscribed, unsubscribed }
+   */
+  async getCounts(userId) {
+    const rows = await Contact.aggregate([
+      { $match: { userId: new mongoose.Types.ObjectId(String(userId)), 'lists.0': { $exists: true } } },
+      { $unwind: '$lists' },
+      { $group: { _id: { listId: '$lists.listId', status: '$lists.status' }, count: { $sum: 1 } } }
+    ]);
+
+    const counts = new Map();
+    rows.forEach(row => {
+      const key = String(row._id.listId);
+      const entry = counts.get(key) || { subscribed: 0, unsubscribed: 0 };
+      entry[row._id.status] = row.count;
+      counts.set(key, entry);
+    });
+    return counts;
+  }
+
+  /**
+   * Delete a list and every membership in it; the contacts are kept
+   */
+  async deleteList(list) {
+    await Contact.updateMany(
+      { userId: list.userId, 'lists.listId': list._id },
+      { $pull: { lists: { listId: list._id } } }
+    );
+    await list.deleteOne();
+  }
+}
+
+module.exports = new ListService();
@@ -0,0 +1,316 @@
+const fs = require('fs');
+const dns = require('dns');
+const net = require('net');
+const Contact = require('../models/Contact');
+const batchProcessor = require('./batchProcessor');
+const templateService = require('./templateService');
+const senderIdentityService = require('./senderIdentityService');
+const dkimService = require('./dkimService');
+const quotaService = require('./quotaService');
+
+const MAX_MESSAGE_BYTES = parseFloat(process.env.PREFLIGHT_MAX_MESSAGE_MB || '10') * 1024 * 1024;
+// Gmail clips message bodies larger than this
+const CLIP_HTML_BYTES = 102 * 1024;
+const LINK_TIMEOUT_MS = parseInt(process.env.PREFLIGHT_LINK_TIMEOUT_MS || '5000');
+const MAX_LINK_CHECKS = parseInt(process.env.PREFLIGHT_MAX_LINK_CHECKS || '20');
+
+const MAX_REDIRECTS = 5;
+
+// Links are requested from the server, so they must never lead to internal
+// hosts: private, loopback, link-local (cloud metadata) and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+const LINK_PATTERN = /<a\b[^>]*?\bhref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/gi;
+const IMG_PATTERN = /<img\b[^>]*>/gi;
+
+const check = (key, label, status, message, details) => ({ key, label, status, message, details });
+
+/**
+ * Preflight Service - Checklist run before a campaign goes out. Each check
+ * passes, warns, or fails; any failure blocks sending.
+ */
+class PreflightService {
+  constructor() {
+    // DNS lookups go through this function so tests can replace it
+    this.lookup = (hostname) => dns.promises.lookup(hostname, { all: true, verbatim: true });
+  }
+
+  /**
+   * Every link in the HTML body: { href, problem } where problem is set for
+   * links that are malformed or point nowhere
+   */
+  extractLinks(html) {
+    const links = [];
+    let match;
+
+    LINK_PATTERN.lastIndex = 0;
+    while ((match = LINK_PATTERN.exec(html || '')) !== null) {
+      const href = (match[1] || match[2] || match[3] || '').trim().replace(/&amp;/g, '&');
+      let problem = null;
+
+      if (!href || href === '#') {
+        problem = 'Empty link';
+      } else if (href.includes('{{')) {
+        // Personalized links can only be checked once rendered
+      } else if (/^(mailto|tel):/i.test(href)) {
+        // Nothing to fetch
+      } else {
+        try {
+          const url = new URL(href);
+          if (!['http:', 'https:'].includes(url.protocol)) {
+            problem = `Unsupported link protocol ${url.protocol}`;
+          }
+        } catch (error) {
+          problem = 'Malformed URL';
+        }
+      }
+
+      links.push({ href, problem });
+    }
+
+    return links;
+  }
+
+  /**
+   * Whether every address the host resolves to is public
+   */
+  async isPublicHost(hostname) {
+    const addresses = await this.lookup(hostname.replace(/^\[|\]$/g, ''));
+    return addresses.length > 0 && addresses.every(({ address, family }) => (
+      !BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4')
+    ));
+  }
+
+  /**
+   * Request a link and report it if it does not answer successfully.
+   * Redirects are followed by hand so every hop's host is checked first.
+   * @returns {String|null} The problem, or null if the link works
+   */
+  async probeLink(href) {
+    const request = async (url, method) => {
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), LINK_TIMEOUT_MS);
+      try {
+        return await fetch(url, { method, redirect: 'manual', signal: controller.signal });
+      } finally {
+        clearTimeout(timer);
+      }
+    };
+
+    try {
+      let url = href;
+      for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+        const { protocol, hostname } = new URL(url);
+        if (!['http:', 'https:'].includes(protocol)) {
+          return `Redirects to an unsupported protocol ${protocol}`;
+        }
+        if (!(await this.isPublicHost(hostname))) {
+          return 'Points to a private or local address';
+        }
+
+        let response = await request(url, 'HEAD');
+        // Plenty of servers do not implement HEAD
+        if (response.status === 405 || response.status === 501) {
+          response = await request(url, 'GET');
+        }
+
+        const location = response.headers.get('location');
+        if (response.status >= 300 && response.status < 400 && location) {
+          url = new URL(location, url).href;
+          continue;
+        }
+        return response.status >= 400 ? `Responded with HTTP ${response.status}` : null;
+      }
+      return 'Too many redirects';
+    } catch (error) {
+      return error.name === 'AbortError' ? 'Timed out' : `Unreachable (${error.cause?.code || error.code || error.message})`;
+    }
+  }
+
+  async checkLinks(html, { probe = true } = {}) {
+    const links = this.extractLinks(html);
+    const broken = links.filter(link => link.problem).map(({ href, problem }) => ({ href, problem }));
+
+    if (probe) {
+      const reported = new Set(broken.map(link => link.href));
+      const toProbe = [...new Set(links
+        .filter(link => !link.problem && /^https?:/i.test(link.href))
+        .map(link => link.href))]
+        .filter(href => !reported.has(href))
+        .slice(0, MAX_LINK_CHECKS);
+
+      const results = await Promise.all(toProbe.map(async href => ({ href, problem: await this.probeLink(href) })));
+      broken.push(...results.filter(result => result.problem));
+    }
+
+    if (links.length === 0) {
+      return check('links', 'Links', 'pass', 'No links in the email');
+    }
+    if (broken.length > 0) {
+      return check('links', 'Links', 'warn', `${broken.length} of ${links.length} links look broken`, broken);
+    }
+    return check('links', 'Links', 'pass', probe
+      ? `${links.length} links checked`
+      : `${links.length} links are well-formed (not requested)`);
+  }
+
+  checkImages(html) {
+    const images = (html || '').match(IMG_PATTERN) || [];
+    const missingAlt = images
+      .filter(tag => !/\balt\s*=/i.test(tag))
+      .map(tag => (tag.match(/\bsrc\s*=\s*["']?([^"'\s>]+)/i) || [])[1] || tag);
+
+    if (missingAlt.length > 0) {
+      return check('images', 'Image alt text', 'warn', `${missingAlt.length} of ${images.length} images have no alt text`, missingAlt);
+    }
+    return check('images', 'Image alt text', 'pass', images.length ? `All ${images.length} images have alt text` : 'No images in the email');
+  }
+
+  async checkSize(campaign) {
+    const htmlBytes = Buffer.byteLength(campaign.bodyHtml || campaign.body || '');
+    const textBytes = Buffer.byteLength(campaign.body || '');
+
+    let attachmentBytes = 0;
+    const missing = [];
+    for (const attachment of campaign.attachments || []) {
+      if (attachment.size) {
+        attachmentBytes += attachment.size;
+        continue;
+      }
+      try {
+        attachmentBytes += (await fs.promises.stat(attachment.path)).size;
+      } catch (error) {
+        missing.push(attachment.filename || attachment.path);
+      }
+    }
+
+    // Attachments are base64 encoded, which adds a third
+    const total = htmlBytes + textBytes + Math.ceil(attachmentBytes * 4 / 3);
+    const size = `${(total / 1024).toFixed(0)} KB`;
+    const details = { htmlBytes, textBytes, attachmentBytes, totalBytes: total };
+
+    if (missing.length > 0) {
+      return check('size', 'Message size', 'fail', `Attachments not found: ${missing.join(', ')}`, details);
+    }
+    if (total > MAX_MESSAGE_BYTES) {
+      return check('size', 'Message size', 'fail', `${size} is over the ${(MAX_MESSAGE_BYTES / 1024 / 1024).toFixed(0)} MB limit`, details);
+    }
+    if (htmlBytes > CLIP_HTML_BYTES) {
+      return check('size', 'Message size', 'warn', `${size}; the HTML body is over 102 KB and Gmail will clip it`, details);
+    }
+    return check('size', 'Message size', 'pass', size, details);
+  }
+
+  checkUnsubscribe(campaign) {
+    const html = campaign.bodyHtml || campaign.body || '';
+    const inBody = /unsubscribe/i.test(html);
+
+    return check('unsubscribe', 'Unsubscribe link', 'pass', inBody
+      ? 'The body mentions unsubscribing; a personal unsubscribe link and List-Unsubscribe header are also added to every email'
+      : 'A personal unsubscribe link and List-Unsubscribe header are added to every email');
+  }
+
+  async checkMergeTags(campaign, userId) {
+    const metadataKeys = await templateService.getMetadataKeys(userId);
+    const result = templateService.validate({
+      subject: campaign.subject,
+      body: campaign.body,
+      bodyHtml: campaign.bodyHtml
+    }, metadataKeys);
+
+    if (!result.valid) {
+      return check('mergeTags', 'Merge tags', 'fail', 'Merge tags have syntax errors', result.errors);
+    }
+    if (result.unknownVariables.length > 0) {
+      return check('mergeTags', 'Merge tags', 'warn',
+        `${result.unknownVariables.length} merge tags no contact can fill; they render empty`, result.unknownVariables);
+    }
+    return check('mergeTags', 'Merge tags', 'pass', result.variables.length
+      ? `${result.variables.length} merge tags resolve`
+      : 'No merge tags');
+  }
+
+  async checkSender(campaign, userId) {
+    const checks = [];
+
+    if (!(await senderIdentityService.isVerifiedSender(userId, campaign.fromEmail))) {
+      checks.push(check('sender', 'From address', 'fail', `${campaign.fromEmail} is not a verified sender`));
+      return checks;
+    }
+    checks.push(check('sender', 'From address', 'pass', `${campaign.fromEmail} is verified`));
+
+    const dkim = await dkimService.getSigningOptions(userId, campaign.fromEmail);
+    checks.push(dkim
+      ? check('dkim', 'DKIM signing', 'pass', `Signed for ${dkim.domainName} (selector ${dkim.keySelector})`)
+      : check('dkim', 'DKIM signing', 'warn', `No DKIM key with a published DNS record for ${senderIdentityService.domainOf(campaign.fromEmail)}; emails are sent unsigned`));
+
+    return checks;
+  }
+
+  /**
+   * Run every check for a campaign
+   * @param {Object} options - { checkLinks } set false to skip requesting each link
+   * @returns {Object} { canSend, recipients, checks }
+   */
+  async run(campaign, userId, { checkLinks = true } = {}) {
+    const checks = [];
+
+    let matched = 0;
+    let recipients = 0;
+    let segmentError = null;
+    try {
+      matched = await Contact.countDocuments(await batchProcessor.getRecipientQuery(userId, campaign.contactFilters || {}));
+      recipients = (await batchProcessor.findRecipients(userId, campaign.contactFilters || {})).length;
+    } catch (error) {
+      // A deleted or broken segment means there is no audience to send to
+      if (error.message !== 'Segment not found' && error.code !== 'INVALID_SEGMENT') throw error;
+      segmentError = error.message;
+    }
+    const suppressed = matched - recipients;
+    checks.push(segmentError
+      ? check('recipients', 'Recipients', 'fail', segmentError, { matched, suppressed, recipients })
+      : recipients > 0
+      ? check('recipients', 'Recipients', 'pass',
+        `${recipients} recipients${suppressed > 0 ? ` (${suppressed} suppressed addresses excluded)` : ''}`,
+        { matched, suppressed, recipients })
+      : check('recipients', 'Recipients', 'fail', 'No contacts match the filters after suppressions', { matched, suppressed, recipients }));
+
+    checks.push(...await this.checkSender(campaign, userId));
+    checks.push(this.checkUnsubscribe(campaign));
+    checks.push(await this.checkMergeTags(campaign, userId));
+    checks.push(await this.checkLinks(campaign.bodyHtml || campaign.body, { probe: checkLinks }));
+    checks.push(this.checkImages(campaign.bodyHtml || campaign.body));
+    checks.push(await this.checkSize(campaign));
+
+    const usage = await quotaService.getUsage(userId);
+    checks.push(recipients <= usage.remaining
+      ? check('quota', 'Sending quota', 'pass', `${usage.remaining} of ${usage.emailsLimit} emails left this period`, usage)
+      : check('quota', 'Sending quota', 'fail',
+        `${recipients} recipients but only ${usage.remaining} emails left until ${usage.nextReset.toISOString()}`, usage));
+
+    return {
+      canSend: !checks.some(item => item.status === 'fail'),
+      recipients,
+      checks
+    };
+  }
+
+  /**
+   * One-line summary of the failed checks of a report
+   */
+  describeFailures(report) {
+    return report.checks
+      .filter(item => item.status === 'fail')
+      .map(item => `${item.label}: ${item.message}`)
+      .join('; ');
+  }
+}
+
+module.exports = new PreflightService();
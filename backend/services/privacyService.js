@@ -0,0 +1,154 @@
+const Contact = require('../models/Contact');
+const Analytics = require('../models/Analytics');
+const Job = require('../models/Job');
+const Delivery = require('../models/Delivery');
+const User = require('../models/User');
+const Import = require('../models/Import');
+const ImportRowError = require('../models/ImportRowError');
+const suppressionService = require('./suppressionService');
+
+/**
+ * Privacy Service - GDPR data subject access (export) and erasure for one
+ * email address within a user's account
+ */
+class PrivacyService {
+  escapeRegex(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  // Analytics rows keep the address as it was sent, so match case-insensitively
+  emailMatcher(email) {
+    return { $regex: `^${this.escapeRegex(email)}$`, $options: 'i' };
+  }
+
+  /**
+   * Collect everything held about an address
+   * @param {String} userId - Account owner
+   * @param {String} email - Data subject address
+   */
+  async exportData(userId, email) {
+    const normalized = suppressionService.normalizeEmail(email);
+
+    const contact = await Contact.findOne({ userId, email: normalized }).lean();
+    const analytics = await Analytics.find({ userId, email: this.emailMatcher(normalized) })
+      .sort({ timestamp: 1 })
+      .lean();
+
+    const jobs = await Job.find({
+      userId,
+      $or: [{ 'contacts.email': normalized }, { 'errorLog.email': normalized }]
+    }).select('campaignId batchNumber contacts errorLog createdAt').lean();
+
+    const jobEntries = [];
+    const errorLog = [];
+    jobs.forEach(job => {
+      job.contacts
+        .filter(entry => entry.email === normalized)
+        .forEach(entry => jobEntries.push({
+          jobId: job._id,
+          campaignId: job.campaignId,
+          batchNumber: job.batchNumber,
+          ...entry
+        }));
+      (job.errorLog || [])
+        .filter(entry => entry.email === normalized)
+        .forEach(entry => errorLog.push({
+          jobId: job._id,
+          campaignId: job.campaignId,
+          ...entry
+        }));
+    });
+
+    const deliveries = await Delivery.find({ userId, email: normalized })
+      .select('-__v')
+      .sort({ createdAt: 1 })
+      .lean();
+
+    // Row errors hold the address as it appeared in the imported file
+    const importErrors = await ImportRowError.find({
+      importId: { $in: await Import.distinct('_id', { userId }) },
+      email: this.emailMatcher(normalized)
+    }).select('-__v').sort({ importId: 1, row: 1 }).lean();
+
+    const suppression = await suppressionService.findSuppression(userId, normalized);
+
+    return {
+      email: normalized,
+      exportedAt: new Date(),
+      contact,
+      analytics,
+      jobs: jobEntries,
+      errorLog,
+      deliveries,
+      importErrors,
+      suppression: suppression ? suppression.toObject() : null
+    };
+  }
+
+  /**
+   * Erase an address: delete the contact, pseudonymize analytics and job
+   * rows, and leave a hashed suppression marker so it is never re-mailed
+   * @param {String} userId - Account owner
+   * @param {String} email - Data subject address
+   */
+  async eraseData(userId, email) {
+    const normalized = suppressionService.normalizeEmail(email);
+    const marker = suppressionService.erasedMarker(normalized);
+
+    const contactResult = await Contact.deleteMany({ userId, email: normalized });
+
+    const analyticsResult = await Analytics.updateMany(
+      { userId, email: this.emailMatcher(normalized) },
+      {
+        $set: { email: marker },
+        $unset: { contactId: '', metadata: '' }
+      }
+    );
+
+    const jobContactsResult = await Job.updateMany(
+      { userId, 'contacts.email': normalized },
+      { $set: { 'contacts.$[entry].email': marker, 'contacts.$[entry].name': '' } },
+      { arrayFilters: [{ 'entry.email': normalized }] }
+    );
+
+    // SMTP errors often quote the recipient address, so drop the text too
+    const errorLogResult = await Job.updateMany(
+      { userId, 'errorLog.email': normalized },
+      { $set: { 'errorLog.$[entry].email': marker, 'errorLog.$[entry].error': '[erased]' } },
+      { arrayFilters: [{ 'entry.email': normalized }] }
+    );
+
+    const deliveryResult = await Delivery.updateMany(
+      { userId, email: normalized },
+      { $set: { email: marker, error: '[erased]' } }
+    );
+
+    // Write errors may quote the address too
+    const importErrorResult = await ImportRowError.updateMany(
+      {
+        importId: { $in: await Import.distinct('_id', { userId }) },
+        email: this.emailMatcher(normalized)
+      },
+      { $set: { email: marker, message: '[erased]' } }
+    );
+
+    const seedListResult = await User.updateOne({ _id: userId }, { $pull: { seedList: normalized } });
+
+    await suppressionService.suppressErased(userId, normalized);
+
+    return {
+      email: normalized,
+      erasedAt: new Date(),
+      contactsDeleted: contactResult.deletedCount || 0,
+      analyticsPseudonymized: analyticsResult.modifiedCount || 0,
+      jobsPseudonymized: jobContactsResult.modifiedCount || 0,
+      errorLogsPseudonymized: errorLogResult.modifiedCount || 0,
+      deliveriesPseudonymized: deliveryResult.modifiedCount || 0,
+      importErrorsPseudonymized: importErrorResult.modifiedCount || 0,
+      removedFromSeedList: (seedListResult.modifiedCount || 0) > 0,
+      suppressionMarker: marker
+    };
+  }
+}
+
+module.exports = new PrivacyService();
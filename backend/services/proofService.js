@@ -0,0 +1,181 @@
+const mongoose = require('mongoose');
+const Contact = require('../models/Contact');
+const User = require('../models/User');
+const Analytics = require('../models/Analytics');
+const emailService = require('./emailService');
+const templateService = require('./templateService');
+const senderIdentityService = require('./senderIdentityService');
+const suppressionService = require('./suppressionService');
+const quotaService = require('./quotaService');
+
+const logger = {
+  info: (...args) => console.log('[PROOF]', ...args),
+  error: (...args) => console.error('[PROOF ERROR]', ...args)
+};
+
+const SEED_LIST_MAX = parseInt(process.env.SEED_LIST_MAX || '10');
+const TEST_SEND_MAX = 5;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Proof Service - Test sends of a campaign to the user's own verified
+ * addresses, and copies of every campaign to the user's seed list.
+ * Proofs are rendered like a real send but carry no tracking, unsubscribe
+ * link or complaint reference, and their Analytics events are tagged with
+ * `proof` so campaign stats ignore them.
+ */
+class ProofService {
+  normalizeList(emails) {
+    const list = Array.isArray(emails) ? emails : String(emails || '').split(/[\s,;]+/);
+    return [...new Set(list.map(email => String(email).trim().toLowerCase()).filter(Boolean))];
+  }
+
+  async getSeedList(userId) {
+    const user = await User.findById(userId).select('seedList');
+    return user ? user.seedList : [];
+  }
+
+  /**
+   * Replace the user's seed list
+   * @returns {Array} The saved list
+   */
+  async setSeedList(userId, emails) {
+    const list = this.normalizeList(emails);
+
+    const invalid = list.filter(email => !EMAIL_PATTERN.test(email));
+    if (invalid.length > 0) {
+      throw new Error(`Please provide valid emails: ${invalid.join(', ')}`);
+    }
+    if (list.length > SEED_LIST_MAX) {
+      throw new Error(`Please provide at most ${SEED_LIST_MAX} seed addresses`);
+    }
+
+    await User.updateOne({ _id: userId }, { $set: { seedList: list } });
+    return list;
+  }
+
+  /**
+   * Merge data for a proof: the chosen contact's, or the campaign's first
+   * recipient's, or just the proof address if the user has no contacts
+   */
+  async getSampleContext(campaign, userId, contactId, fallbackEmail) {
+    let contact = null;
+    if (contactId && mongoose.Types.ObjectId.isValid(contactId)) {
+      contact = await Contact.findOne({ _id: contactId, userId }).lean();
+      if (!contact) {
+        return null;
+      }
+    } else {
+      const batchProcessor = require('./batchProcessor');
+      const query = await batchProcessor.getRecipientQuery(userId, campaign.contactFilters || {});
+      contact = await Contact.findOne(query).sort({ _id: 1 }).lean();
+    }
+    return templateService.buildContext(contact || { email: fallbackEmail });
+  }
+
+  buildEmail(campaign, context, to, subjectPrefix = '') {
+    const content = templateService.renderEmail({
+      subject: campaign.subject,
+      text: campaign.body,
+      html: campaign.bodyHtml || campaign.body
+    }, context);
+
+    return {
+      from: campaign.fromName ? `${campaign.fromName} <${campaign.fromEmail}>` : campaign.fromEmail,
+      to,
+      subject: `${subjectPrefix}${content.subject}`,
+      text: content.text,
+      html: content.html,
+      replyTo: campaign.replyTo || campaign.fromEmail,
+      attachments: campaign.attachments || [],
+      userId: campaign.userId
+    };
+  }
+
+  /**
+   * Send one proof and record it in Analytics
+   * @returns {Object} { email, success, error }
+   */
+  async deliver(campaign, emailData, proof) {
+    if (!(await quotaService.reserve(campaign.userId))) {
+      return { email: emailData.to, success: false, error: 'Sending quota exceeded' };
+    }
+
+    const result = await emailService.sendEmail(emailData, 1);
+    if (!result.success) {
+      await quotaService.release(campaign.userId);
+    }
+
+    await Analytics.create({
+      campaignId: campaign._id,
+      userId: campaign.userId,
+      email: emailData.to,
+      event: result.success ? 'sent' : 'failed',
+      provider: result.success ? result.provider : undefined,
+      proof,
+      metadata: result.success ? { messageId: result.messageId } : { error: result.error }
+    });
+
+    return { email: emailData.to, success: result.success, error: result.error };
+  }
+
+  /**
+   * Send a test of the campaign to some of the user's verified addresses
+   * @param {Object} options - { emails, contactId } contactId picks the merge data
+   * @returns {Array|null} Per-address results, or null if the contact is not found
+   */
+  async sendTest(campaign, userId, { emails, contactId } = {}) {
+    const list = this.normalizeList(emails);
+    if (list.length === 0 || list.length > TEST_SEND_MAX) {
+      throw new Error(`Please provide between 1 and ${TEST_SEND_MAX} test addresses`);
+    }
+
+    for (const email of list) {
+      if (!(await senderIdentityService.isVerifiedSender(userId, email))) {
+        throw new Error(`Please provide verified addresses only; ${email} is not verified`);
+      }
+    }
+    await senderIdentityService.assertVerifiedSender(userId, campaign.fromEmail);
+
+    const results = [];
+    for (const email of list) {
+      const context = await this.getSampleContext(campaign, userId, contactId, email);
+      if (!context) {
+        return null;
+      }
+      results.push(await this.deliver(campaign, this.buildEmail(campaign, context, email, '[Test] '), 'test'));
+    }
+
+    return results;
+  }
+
+  /**
+   * Copy a campaign that just started sending to the user's seed list
+   */
+  async sendSeedCopies(campaign) {
+    const seeds = await this.getSeedList(campaign.userId);
+    if (seeds.length === 0) {
+      return [];
+    }
+
+    const results = [];
+
+    for (const email of seeds) {
+      try {
+        if (await suppressionService.isSuppressed(campaign.userId, email)) {
+          continue;
+        }
+        const context = templateService.buildContext({ email });
+        results.push(await this.deliver(campaign, this.buildEmail(campaign, context, email), 'seed'));
+      } catch (error) {
+        logger.error(`Seed copy of campaign ${campaign._id} to ${email} failed:`, error.message);
+      }
+    }
+
+    const sent = results.filter(result => result.success).length;
+    logger.info(`Sent ${sent} of ${seeds.length} seed copies of campaign ${campaign._id}`);
+    return results;
+  }
+}
+
+module.exports = new ProofService();
@@ -1,8 +1,20 @@
 const Bull = require('bull');
 const emailService = require('./emailService');
+const unsubscribeService = require('./unsubscribeService');
+const trackingService = require('./trackingService');
+const complaintService = require('./complaintService');
+const templateService = require('./templateService');
+const suppressionService = require('./suppressionService');
+const deliveryService = require('./deliveryService');
+const retryService = require('./retryService');
+const campaignStatsService = require('./campaignStatsService');
+const quotaService = require('./quotaService');
+const importService = require('./importService');
 const Job = require('../models/Job');
 const Campaign = require('../models/Campaign');
 const Analytics = require('../models/Analytics');
+const deliveryWindow = require('../utils/deliveryWindow');
+const { isPermanentFailure } = require('../utils/smtpErrors');
 
 const logger = {
   info: (...args) => console.log('[QUEUE]', ...args),
@@ -36,10 +48,19 @@ const emailQueue = new Bull('email-queue', {
   }
 });
 
+// Contact imports get their own queue so the email rate limiter never holds them
+const importQueue = new Bull('import-queue', {
+  redis: {
+    host: process.env.REDIS_HOST || 'localhost',
+    port: process.env.REDIS_PORT || 6379
+  }
+});
+
 // Concurrency and batching controls (tunable via env)
 const EMAIL_CONCURRENCY = parseInt(process.env.EMAIL_CONCURRENCY || '10');
 const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY || '2');
 const BATCH_ENQUEUE_SIZE = parseInt(process.env.BATCH_ENQUEUE_SIZE || '200');
+const IMPORT_CONCURRENCY = parseInt(process.env.IMPORT_CONCURRENCY || '1');
 
 // Feature toggles for speed vs. observability
 const ANALYTICS_ENABLED = String(process.env.ANALYTICS_ENABLED || 'true').toLowerCase() !== 'false';
@@ -50,56 +71,348 @@ const PROGRESS_BATCHING = String(process.env.PROGRESS_BATCHING || 'false').toLow
 const PROGRESS_BATCH_SIZE = parseInt(process.env.PROGRESS_BATCH_SIZE || '10');
 
 // In-memory cache for batched progress
-const progressCache = new Map(); // jobId -> { sent: number, failed: number, total: number }
+const progressCache = new Map(); // jobId -> { sent, failed, skipped, cancelled, total }
+
+// Jobs in these statuses still have emails to send
+const ACTIVE_JOB_STATUSES = ['pending', 'processing', 'paused'];
+
+const emptyProgress = (total = 0) => ({ sent: 0, failed: 0, skipped: 0, cancelled: 0, total });
 
 async function flushProgress(jobId) {
   const cached = progressCache.get(String(jobId));
   if (!cached) return;
-  const { sent, failed, total } = cached;
-  if (sent === 0 && failed === 0) return;
+  const { sent, failed, skipped, cancelled, total } = cached;
+  if (sent === 0 && failed === 0 && skipped === 0 && cancelled === 0) return;
   await Job.updateOne(
     { _id: jobId },
     {
-      $inc: { 'progress.sent': sent, 'progress.failed': failed },
+      $inc: {
+        'progress.sent': sent,
+        'progress.failed': failed,
+        'progress.skipped': skipped,
+        'progress.cancelled': cancelled
+      },
       ...(total ? { $set: { 'progress.total': total } } : {})
     }
   );
-  progressCache.set(String(jobId), { sent: 0, failed: 0, total });
+  progressCache.set(String(jobId), emptyProgress(total));
 }
 
-async function incProgress(jobId, { sent = 0, failed = 0, total = 0 }) {
+async function incProgress(jobId, { sent = 0, failed = 0, skipped = 0, cancelled = 0, total = 0 }) {
   if (!PROGRESS_BATCHING) {
     await Job.updateOne(
       { _id: jobId },
       {
-        $inc: { 'progress.sent': sent, 'progress.failed': failed },
+        $inc: {
+          'progress.sent': sent,
+          'progress.failed': failed,
+          'progress.skipped': skipped,
+          'progress.cancelled': cancelled
+        },
         ...(total ? { $set: { 'progress.total': total } } : {})
       }
     );
     return;
   }
   const key = String(jobId);
-  const existing = progressCache.get(key) || { sent: 0, failed: 0, total: 0 };
+  const existing = progressCache.get(key) || emptyProgress();
   const next = {
     sent: existing.sent + sent,
     failed: existing.failed + failed,
+    skipped: existing.skipped + skipped,
+    cancelled: existing.cancelled + cancelled,
     total: total || existing.total
   };
   progressCache.set(key, next);
-  const batchCount = next.sent + next.failed;
+  const batchCount = next.sent + next.failed + next.skipped + next.cancelled;
   if (batchCount >= PROGRESS_BATCH_SIZE) {
     await flushProgress(jobId);
   }
 }
 
+function emit(campaignId, event, payload) {
+  try {
+    const io = global.io;
+    if (io) {
+      io.to(`campaign-${campaignId}`).emit(event, payload);
+    }
+  } catch (_) {}
+}
+
+// After a progress update, mark the job completed once every email is
+// accounted for, and the campaign completed once no jobs remain
+async function finalizeJobIfDone(jobId, campaignId, expectedTotal) {
+  // Flush any batched progress before checking completion
+  await flushProgress(jobId);
+  const updatedJob = await Job.findById(jobId);
+  if (!updatedJob) return;
+
+  const { sent, failed } = updatedJob.progress;
+  const total = expectedTotal || updatedJob.progress.total || 0;
+  const processed = sent + failed + (updatedJob.progress.skipped || 0) + (updatedJob.progress.cancelled || 0);
+  const done = processed >= total && total > 0;
+  if (!done) {
+    return;
+  }
+
+  // Claim the completion so a job finished by several workers at once is
+  // only counted towards the campaign stats one time
+  const claimed = await Job.findOneAndUpdate(
+    { _id: jobId, completedAt: null },
+    { $set: { completedAt: new Date() } }
+  );
+  if (!claimed) {
+    return;
+  }
+  if (claimed.status !== 'cancelled') {
+    await Job.updateOne({ _id: jobId }, { $set: { status: 'completed' } });
+  }
+
+  // Rebuild campaign stats from the delivery ledger rather than adding this
+  // job's counts, so concurrent finalizers cannot double-count
+  await campaignStatsService.recompute(campaignId);
+
+  emit(campaignId, 'batch-completed', { campaignId, jobId, sent, failed });
+
+  // If no remaining jobs, mark campaign completed (a cancelled campaign stays cancelled)
+  const remaining = await Job.countDocuments({
+    campaignId,
+    status: { $in: ACTIVE_JOB_STATUSES }
+  });
+  if (remaining === 0) {
+    const completed = await Campaign.updateOne(
+      { _id: campaignId, status: { $in: ['sending', 'paused'] } },
+      { $set: { status: 'completed', completedAt: new Date() } }
+    );
+    if (completed.modifiedCount > 0) {
+      emit(campaignId, 'campaign-completed', { campaignId });
+    }
+  }
+}
+
+async function getCampaignStatus(campaignId) {
+  const campaign = await Campaign.findById(campaignId).select('status').lean();
+  return campaign ? campaign.status : null;
+}
+
+/**
+ * Stop work for contacts of a paused or cancelled campaign before it is sent.
+ * Paused: the contacts are added to the job's held list for resume.
+ * Cancelled: they are counted as cancelled so the job can still complete.
+ * @returns {String|null} 'held', 'cancelled', or null to go ahead and send
+ */
+async function holdIfStopped(jobId, campaignId, contactIds, total = 0) {
+  let status = await getCampaignStatus(campaignId);
+
+  if (status === 'paused') {
+    // Only hold while the job itself is paused; if it was resumed in the
+    // meantime the email goes out as normal
+    const held = await Job.updateOne(
+      { _id: jobId, status: 'paused' },
+      { $addToSet: { held: { $each: contactIds } } }
+    );
+    if (held.matchedCount > 0) {
+      return 'held';
+    }
+    status = await getCampaignStatus(campaignId);
+  }
+
+  if (status === 'cancelled') {
+    await incProgress(jobId, { cancelled: contactIds.length, total });
+    try {
+      await finalizeJobIfDone(jobId, campaignId, total);
+    } catch (_) {}
+    return 'cancelled';
+  }
+
+  return null;
+}
+
+// Deterministic Bull job ids, so a recipient or batch can be looked up in the
+// queue and is never queued twice at the same time
+const emailJobId = (jobId, contactId) => `email-${jobId}-${contactId}`;
+const batchJobId = (jobId) => `batch-${jobId}`;
+
+/**
+ * Whether a Bull job is still waiting, delayed or being worked on
+ */
+async function isQueued(queueJobId) {
+  const queued = await emailQueue.getJob(queueJobId);
+  if (!queued) return false;
+  const state = await queued.getState();
+  return !['completed', 'failed'].includes(state);
+}
+
+/**
+ * Add a send-email job unless the recipient is already queued. A finished
+ * job with the same id (e.g. one held while paused) is removed first.
+ */
+async function addEmailJob(data, opts) {
+  const id = emailJobId(data.jobId, data.contactId);
+  const existing = await emailQueue.getJob(id);
+  if (existing) {
+    const state = await existing.getState();
+    if (!['completed', 'failed'].includes(state)) {
+      return existing;
+    }
+    await existing.remove();
+  }
+  return await emailQueue.add('send-email', data, { ...opts, jobId: id });
+}
+
+/**
+ * Pause a campaign whose owner ran out of sending quota and hold the
+ * contacts that could not be sent; it can be resumed once the quota resets
+ * or is raised
+ */
+async function pauseForQuota(jobId, campaignId, contactIds, total = 0) {
+  const paused = await Campaign.findOneAndUpdate(
+    { _id: campaignId, status: 'sending' },
+    {
+      $set: {
+        status: 'paused',
+        pausedAt: new Date(),
+        lastError: 'Sending quota exceeded; resume the campaign once the quota resets or is raised'
+      }
+    }
+  );
+  if (paused) {
+    await Job.updateMany(
+      { campaignId, status: { $in: ['pending', 'processing'] } },
+      { $set: { status: 'paused' } }
+    );
+    logger.warn(`Paused campaign ${campaignId}: sending quota exceeded`);
+    emit(campaignId, 'campaign-paused', { campaignId, reason: 'quota' });
+  }
+
+  return await holdIfStopped(jobId, campaignId, contactIds, total);
+}
+
+/**
+ * Render and enqueue one send-email job per contact, in chunks. Checks the
+ * campaign between chunks so a pause or cancel stops the rest of the batch.
+ * @returns {Object} { enqueued, stopped }
+ */
+async function enqueueEmails({ jobId, campaignId, userId, contacts, campaignData, total }) {
+  // Enqueue emails in chunks to avoid massive single add bursts
+  const batchSize = BATCH_ENQUEUE_SIZE; // number of enqueues per chunk
+  for (let i = 0; i < contacts.length; i += batchSize) {
+    const stopped = await holdIfStopped(
+      jobId,
+      campaignId,
+      contacts.slice(i).map(contact => contact.contactId),
+      total
+    );
+    if (stopped) {
+      return { enqueued: i, stopped };
+    }
+
+    const batch = contacts.slice(i, i + batchSize);
+    const contextFor = await templateService.loadContexts(batch);
+    await deliveryService.markQueued(batch.map(contact => ({
+      userId,
+      campaignId,
+      contactId: contact.contactId,
+      email: contact.email
+    })), jobId);
+
+    const promises = batch.map(async (contact) => {
+      const content = templateService.renderEmail({
+        subject: campaignData.subject,
+        text: campaignData.body,
+        html: campaignData.bodyHtml || campaignData.body
+      }, contextFor(contact));
+
+      const recipient = {
+        userId,
+        campaignId,
+        contactId: contact.contactId,
+        email: contact.email
+      };
+
+      const emailData = {
+        from: `${campaignData.fromName} <${campaignData.fromEmail}>`,
+        to: contact.email,
+        subject: content.subject,
+        text: content.text,
+        html: trackingService.applyTracking(content.html, recipient, campaignData.tracking),
+        replyTo: campaignData.replyTo || campaignData.fromEmail,
+        attachments: campaignData.attachments || [],
+        unsubscribeUrl: unsubscribeService.getUnsubscribeUrl({ ...recipient, listIds: campaignData.listIds }),
+        campaignRef: complaintService.createReference(recipient)
+      };
+
+      // Add email to queue, held until the recipient's delivery window opens
+      const delay = deliveryWindow.getDelay(campaignData.deliveryWindow, contact.timezone);
+      await addEmailJob({
+        emailData,
+        jobId,
+        campaignId,
+        userId,
+        contactId: contact.contactId,
+        total
+      }, {
+        priority: 1,
+        delay,
+        attempts: parseInt(process.env.JOB_ATTEMPTS_EMAIL || process.env.JOB_ATTEMPTS || '1')
+      });
+    });
+
+    await Promise.all(promises);
+  }
+
+  return { enqueued: contacts.length, stopped: null };
+}
+
 // Process email jobs with configurable concurrency
 emailQueue.process('send-email', EMAIL_CONCURRENCY, async (job) => {
   const { emailData, jobId, campaignId, contactId, userId } = job.data;
 
   try {
-    const result = await emailService.sendEmail(emailData, 1);
+    // The campaign may have been paused or cancelled while this email waited
+    const stopped = await holdIfStopped(jobId, campaignId, [contactId], job.data.total || 0);
+    if (stopped) {
+      return { success: true, [stopped]: true };
+    }
+
+    const recipient = { userId, campaignId, contactId, email: emailData.to };
+
+    // The address may have been suppressed after the campaign was batched
+    if (await suppressionService.isSuppressed(userId, emailData.to)) {
+      await deliveryService.markSkipped(recipient, 'suppressed');
+      await incProgress(jobId, { skipped: 1, total: job.data.total || 0 });
+      try {
+        await finalizeJobIfDone(jobId, campaignId, job.data.total || 0);
+      } catch (_) {}
+      return { success: true, skipped: true, reason: 'suppressed' };
+    }
+
+    // Each email sent counts against the owner's quota
+    if (!(await quotaService.reserve(userId))) {
+      const stopped = await pauseForQuota(jobId, campaignId, [contactId], job.data.total || 0);
+      if (!stopped) {
+        throw new Error('Sending quota exceeded');
+      }
+      return { success: true, [stopped]: true, reason: 'quota' };
+    }
+
+    // Never send twice: another worker or an earlier run already owns this recipient
+    if (!(await deliveryService.claim(recipient, jobId))) {
+      await quotaService.release(userId);
+      await incProgress(jobId, { skipped: 1, total: job.data.total || 0 });
+      try {
+        await finalizeJobIfDone(jobId, campaignId, job.data.total || 0);
+      } catch (_) {}
+      return { success: true, skipped: true, reason: 'duplicate' };
+    }
+
+    // userId picks the owner's DKIM key (emails queued before it was stored lack it)
+    const result = await emailService.sendEmail({ ...emailData, userId }, 1);
 
     if (result.success) {
+      await deliveryService.markSent(recipient, result);
+      campaignStatsService.schedule(campaignId);
+
       // Update job progress (batched if enabled)
       await incProgress(jobId, { sent: 1, failed: 0, total: job.data.total || 0 });
 
@@ -134,54 +447,24 @@ emailQueue.process('send-email', EMAIL_CONCURRENCY, async (job) => {
         }
       }
 
-      // After progress update, check if job has completed and finalize if so
       try {
-        // Flush any batched progress before checking completion
-        await flushProgress(jobId);
-        const updatedJob = await Job.findById(jobId);
-        const total = job.data.total || updatedJob.progress.total || 0;
-        const done = (updatedJob.progress.sent + updatedJob.progress.failed) >= total && total > 0;
-        if (done && updatedJob.status !== 'completed') {
-          await Job.updateOne(
-            { _id: jobId, status: { $ne: 'completed' } },
-            { status: 'completed', completedAt: new Date() }
-          );
-
-          // Update campaign stats once per job completion
-          await Campaign.updateOne(
-            { _id: campaignId },
-            {
-              $inc: {
-                'stats.sent': updatedJob.progress.sent,
-                'stats.failed': updatedJob.progress.failed
-              },
-              $set: { 'stats.total': total }
-            }
-          );
-
-          // If no remaining jobs, mark campaign completed
-          const remaining = await Job.countDocuments({
-            campaignId,
-            status: { $in: ['pending', 'processing'] }
-          });
-          if (remaining === 0) {
-            await Campaign.updateOne(
-              { _id: campaignId },
-              { $set: { status: 'completed', completedAt: new Date() } }
-            );
-            try {
-              const io2 = global.io;
-              if (io2) {
-                io2.to(`campaign-${campaignId}`).emit('campaign-completed', { campaignId });
-              }
-            } catch (_) {}
-          }
-        }
+        await finalizeJobIfDone(jobId, campaignId, job.data.total || 0);
       } catch (_) {}
 
       return { success: true, result };
     } else {
-      // Handle failure
+      // Handle failure. Let Bull retry transient errors; only the last attempt counts as failed
+      const permanent = isPermanentFailure(result);
+      const lastAttempt = permanent || job.attemptsMade + 1 >= (job.opts.attempts || 1);
+      await deliveryService.markFailed(recipient, result.error, lastAttempt ? {} : { retryAt: new Date() });
+      await quotaService.release(userId);
+
+      if (!lastAttempt) {
+        throw new Error(result.error);
+      }
+
+      await retryService.recordFailure(jobId, recipient, result);
+      campaignStatsService.schedule(campaignId);
       await incProgress(jobId, { sent: 0, failed: 1, total: job.data.total || 0 });
       if (ANALYTICS_ENABLED) {
         await Analytics.create({
@@ -192,52 +475,21 @@ emailQueue.process('send-email', EMAIL_CONCURRENCY, async (job) => {
           event: 'failed',
           metadata: {
             error: result.error,
-            attempts: result.attempts
+            responseCode: result.responseCode,
+            permanent,
+            attempts: job.attemptsMade + 1
           }
         });
       }
 
-      // After progress update on failure, check if job has completed
       try {
-        const updatedJob = await Job.findById(jobId);
-        const total = job.data.total || updatedJob.progress.total || 0;
-        const done = (updatedJob.progress.sent + updatedJob.progress.failed) >= total && total > 0;
-        if (done && updatedJob.status !== 'completed') {
-          await Job.updateOne(
-            { _id: jobId, status: { $ne: 'completed' } },
-            { status: 'completed', completedAt: new Date() }
-          );
-
-          await Campaign.updateOne(
-            { _id: campaignId },
-            {
-              $inc: {
-                'stats.sent': updatedJob.progress.sent,
-                'stats.failed': updatedJob.progress.failed
-              },
-              $set: { 'stats.total': total }
-            }
-          );
-
-          const remaining = await Job.countDocuments({
-            campaignId,
-            status: { $in: ['pending', 'processing'] }
-          });
-          if (remaining === 0) {
-            await Campaign.updateOne(
-              { _id: campaignId },
-              { $set: { status: 'completed', completedAt: new Date() } }
-            );
-            try {
-              const io2 = global.io;
-              if (io2) {
-                io2.to(`campaign-${campaignId}`).emit('campaign-completed', { campaignId });
-              }
-            } catch (_) {}
-          }
-        }
+        await finalizeJobIfDone(jobId, campaignId, job.data.total || 0);
       } catch (_) {}
 
+      // Retrying a rejected address with Bull would only fail again
+      if (permanent) {
+        await job.discard();
+      }
       throw new Error(result.error);
     }
   } catch (error) {
@@ -256,125 +508,34 @@ emailQueue.process('send-batch', BATCH_CONCURRENCY, async (job) => {
       throw new Error('Job not found');
     }
 
-    // Update job status
-    await Job.updateOne({ _id: jobId }, { 
+    // Update job status (a batch paused before it started stays paused)
+    await Job.updateOne({ _id: jobId, status: 'pending' }, {
       status: 'processing',
       startedAt: new Date()
     });
 
     const totalContacts = contacts.length;
-
-    // Enqueue emails in chunks to avoid massive single add bursts
-    const batchSize = BATCH_ENQUEUE_SIZE; // number of enqueues per chunk
-    for (let i = 0; i < contacts.length; i += batchSize) {
-      const batch = contacts.slice(i, i + batchSize);
-      
-      const promises = batch.map(async (contact) => {
-        const emailData = {
-          from: `${campaignData.fromName} <${campaignData.fromEmail}>`,
-          to: contact.email,
-          subject: campaignData.subject,
-          text: campaignData.body,
-          html: campaignData.bodyHtml || campaignData.body,
-          replyTo: campaignData.replyTo || campaignData.fromEmail,
-          attachments: campaignData.attachments || []
-        };
-
-        // Add email to queue
-        await emailQueue.add('send-email', {
-          emailData,
-          jobId,
-          campaignId,
-          userId,
-          contactId: contact.contactId,
-          total: totalContacts
-        }, {
-          priority: 1,
-          attempts: parseInt(process.env.JOB_ATTEMPTS_EMAIL || process.env.JOB_ATTEMPTS || '1')
-        });
-      });
-
-      await Promise.all(promises);
-    }
+    const { stopped } = await enqueueEmails({
+      jobId,
+      campaignId,
+      userId,
+      contacts,
+      campaignData,
+      total: totalContacts
+    });
 
     // Short wait to allow last enqueues to register
     await new Promise(resolve => setTimeout(resolve, 200));
 
-    // Get actual progress from database
-    const updatedJob = await Job.findById(jobId);
-    const sentCount = updatedJob.progress.sent;
-    const failedCount = updatedJob.progress.failed;
-
-    // Update job status if all emails are processed
-    if (sentCount + failedCount >= totalContacts) {
-      await Job.updateOne(
-        { _id: jobId },
-        {
-          status: 'completed',
-          completedAt: new Date()
-        }
-      );
-
-      // Update campaign stats
-      await Campaign.updateOne(
-        { _id: campaignId },
-        {
-          $inc: {
-            'stats.sent': sentCount,
-            'stats.failed': failedCount
-          },
-          $set: {
-            'stats.total': totalContacts
-          }
-        }
-      );
-
-      // Emit completion event
-      try {
-        const io = global.io;
-        if (io) {
-          io.to(`campaign-${campaignId}`).emit('batch-completed', {
-            campaignId,
-            jobId,
-            sent: sentCount,
-            failed: failedCount
-          });
-        }
-      } catch (e) {
-        // Socket not available
-      }
-      
-      // If no remaining jobs for this campaign, mark campaign as completed
-      const remaining = await Job.countDocuments({
-        campaignId,
-        status: { $in: ['pending', 'processing'] }
-      });
-      if (remaining === 0) {
-        await Campaign.updateOne(
-          { _id: campaignId },
-          {
-            $set: {
-              status: 'completed',
-              completedAt: new Date()
-            }
-          }
-        );
-
-        // Emit campaign completion event
-        try {
-          const io = global.io;
-          if (io) {
-            io.to(`campaign-${campaignId}`).emit('campaign-completed', {
-              campaignId
-            });
-          }
-        } catch (e) {
-          // ignore socket errors
-        }
-      }
-    }
+    await finalizeJobIfDone(jobId, campaignId, totalContacts);
 
-    return { success: true, sent: sentCount, failed: failedCount };
+    const updatedJob = await Job.findById(jobId);
+    return {
+      success: true,
+      sent: updatedJob.progress.sent,
+      failed: updatedJob.progress.failed,
+      ...(stopped ? { [stopped]: true } : {})
+    };
   } catch (error) {
     await Job.updateOne(
       { _id: jobId },
@@ -401,11 +562,31 @@ emailQueue.on('stalled', (job) => {
 });
 
 // Add retry processor
-const retryService = require('./retryService');
 emailQueue.process('retry-failed-emails', async (job) => {
-  const { jobId } = job.data;
-  return await retryService.retryFailedEmails(jobId);
+  const { jobId, force } = job.data;
+  return await retryService.retryFailedEmails(jobId, { force });
+});
+
+// Contact import processor
+importQueue.process('import-contacts', IMPORT_CONCURRENCY, async (job) => {
+  const importJob = await importService.processImport(job.data.importId);
+  return importJob ? { status: importJob.status } : null;
 });
 
-module.exports = { emailQueue };
+importQueue.on('failed', (job, err) => {
+  logger.error(`Import job ${job.id} failed:`, err.message);
+});
+
+module.exports = {
+  emailQueue,
+  importQueue,
+  batchJobId,
+  emailJobId,
+  isQueued,
+  enqueueEmails,
+  holdIfStopped,
+  pauseForQuota,
+  finalizeJobIfDone,
+  ACTIVE_JOB_STATUSES
+};
 
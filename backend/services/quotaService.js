@@ -0,0 +1,197 @@
+const cron = require('node-cron');
+const User = require('../models/User');
+
+const logger = {
+  info: (...args) => console.log('[QUOTA]', ...args),
+  error: (...args) => console.error('[QUOTA ERROR]', ...args)
+};
+
+// Usage resets at the start of every UTC day, week (Monday) or month
+const PERIODS = ['daily', 'weekly', 'monthly'];
+
+class QuotaError extends Error {
+  constructor(usage, requested) {
+    super(`Sending quota exceeded: ${requested} emails requested, ${usage.remaining} of ${usage.emailsLimit} left until ${usage.nextReset.toISOString()}`);
+    this.name = 'QuotaError';
+    this.code = 'QUOTA_EXCEEDED';
+    this.usage = usage;
+    this.requested = requested;
+  }
+}
+
+/**
+ * Quota Service - Per-user sending quotas kept in User.apiUsage.
+ * Every email actually handed to the mail server counts once: campaigns are
+ * checked against the remaining quota before they start, and each worker
+ * reserves one email atomically right before sending.
+ */
+class QuotaService {
+  constructor() {
+    this.task = null;
+  }
+
+  getPeriod() {
+    const period = String(process.env.QUOTA_PERIOD || 'monthly').toLowerCase();
+    return PERIODS.includes(period) ? period : 'monthly';
+  }
+
+  /**
+   * Start of the quota period containing now (UTC)
+   */
+  getPeriodStart(now = new Date()) {
+    const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    const period = this.getPeriod();
+
+    if (period === 'weekly') {
+      start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+    } else if (period === 'monthly') {
+      start.setUTCDate(1);
+    }
+    return start;
+  }
+
+  getNextReset(now = new Date()) {
+    const next = this.getPeriodStart(now);
+    const period = this.getPeriod();
+
+    if (period === 'daily') {
+      next.setUTCDate(next.getUTCDate() + 1);
+    } else if (period === 'weekly') {
+      next.setUTCDate(next.getUTCDate() + 7);
+    } else {
+      next.setUTCMonth(next.getUTCMonth() + 1);
+    }
+    return next;
+  }
+
+  /**
+   * Zero the counter of users whose last reset was in an earlier period
+   * @param {Object} filter - Limit the reset to some users (defaults to all)
+   */
+  async resetExpired(filter = {}, now = new Date()) {
+    const result = await User.updateMany(
+      {
+        ...filter,
+        $or: [
+          { 'apiUsage.lastReset': { $lt: this.getPeriodStart(now) } },
+          { 'apiUsage.lastReset': { $exists: false } }
+        ]
+      },
+      { $set: { 'apiUsage.emailsSent': 0, 'apiUsage.lastReset': now } }
+    );
+    return result.modifiedCount || 0;
+  }
+
+  /**
+   * Current usage of a user, after applying any reset that is due
+   */
+  async getUsage(userId) {
+    await this.resetExpired({ _id: userId });
+    const user = await User.findById(userId).select('apiUsage');
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const { emailsSent, emailsLimit, lastReset } = user.apiUsage;
+    return {
+      emailsSent,
+      emailsLimit,
+      remaining: Math.max(0, emailsLimit - emailsSent),
+      lastReset,
+      nextReset: this.getNextReset(),
+      period: this.getPeriod()
+    };
+  }
+
+  /**
+   * Refuse up front when a send needs more emails than are left
+   * @throws {QuotaError}
+   */
+  async assertAvailable(userId, count) {
+    const usage = await this.getUsage(userId);
+    if (count > usage.remaining) {
+      throw new QuotaError(usage, count);
+    }
+    return usage;
+  }
+
+  /**
+   * Atomically take emails from the quota
+   * @returns {Boolean} false if that would go over the limit
+   */
+  async reserve(userId, count = 1) {
+    const take = () => User.updateOne(
+      {
+        _id: userId,
+        $expr: { $lte: [{ $add: ['$apiUsage.emailsSent', count] }, '$apiUsage.emailsLimit'] }
+      },
+      { $inc: { 'apiUsage.emailsSent': count } }
+    );
+
+    if ((await take()).modifiedCount > 0) {
+      return true;
+    }
+
+    // The counter may just be due for its periodic reset
+    if (await this.resetExpired({ _id: userId })) {
+      return (await take()).modifiedCount > 0;
+    }
+    return false;
+  }
+
+  /**
+   * Give back emails reserved for a send that did not go out
+   */
+  async release(userId, count = 1) {
+    await User.updateOne(
+      { _id: userId, 'apiUsage.emailsSent': { $gte: count } },
+      { $inc: { 'apiUsage.emailsSent': -count } }
+    );
+  }
+
+  /**
+   * Admin override of a user's limit and/or counter
+   * @param {Object} changes - { emailsLimit, emailsSent, reset }
+   */
+  async override(userId, { emailsLimit, emailsSent, reset } = {}) {
+    const $set = {};
+    if (emailsLimit !== undefined) $set['apiUsage.emailsLimit'] = Math.max(0, parseInt(emailsLimit) || 0);
+    if (emailsSent !== undefined) $set['apiUsage.emailsSent'] = Math.max(0, parseInt(emailsSent) || 0);
+    if (reset) {
+      $set['apiUsage.emailsSent'] = 0;
+      $set['apiUsage.lastReset'] = new Date();
+    }
+
+    return await User.findByIdAndUpdate(userId, { $set }, { new: true });
+  }
+
+  start() {
+    if (String(process.env.QUOTA_RESET_ENABLED || 'true').toLowerCase() === 'false' || this.task) {
+      return null;
+    }
+
+    const expression = process.env.QUOTA_RESET_CRON || '5 * * * *';
+    this.task = cron.schedule(expression, async () => {
+      try {
+        const reset = await this.resetExpired();
+        if (reset > 0) {
+          logger.info(`Reset ${this.getPeriod()} quota of ${reset} users`);
+        }
+      } catch (error) {
+        logger.error(error.message);
+      }
+    });
+
+    logger.info(`Resetting ${this.getPeriod()} quotas (${expression})`);
+    return this.task;
+  }
+
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+  }
+}
+
+module.exports = new QuotaService();
@@ -0,0 +1,288 @@
+const cron = require('node-cron');
+const Campaign = require('../models/Campaign');
+const Job = require('../models/Job');
+const Delivery = require('../models/Delivery');
+const Analytics = require('../models/Analytics');
+const batchProcessor = require('./batchProcessor');
+const campaignStatsService = require('./campaignStatsService');
+const {
+  batchJobId,
+  emailJobId,
+  isQueued,
+  enqueueEmails,
+  finalizeJobIfDone,
+  ACTIVE_JOB_STATUSES
+} = require('./queueService');
+
+const logger = {
+  info: (...args) => console.log('[RECONCILE]', ...args),
+  error: (...args) => console.error('[RECONCILE ERROR]', ...args)
+};
+
+// A job with no progress for this long and nothing left in the queue is stuck
+const STALE_MS = parseInt(process.env.RECONCILE_STALE_MINUTES || '15') * 60000;
+
+/**
+ * Reconciliation Service - Recovers campaigns left half-sent by a crash.
+ * Jobs that stopped making progress and have nothing left in the queue get
+ * their progress rebuilt from the delivery ledger (and legacy Analytics
+ * 'sent' events); only recipients that were never sent are queued again.
+ * Runs once at startup and then on a cron schedule.
+ */
+class ReconciliationService {
+  constructor() {
+    this.task = null;
+    this.running = false;
+  }
+
+  isEnabled() {
+    return String(process.env.RECONCILE_ENABLED || 'true').toLowerCase() !== 'false';
+  }
+
+  start() {
+    if (!this.isEnabled() || this.task) {
+      return null;
+    }
+
+    const expression = process.env.RECONCILE_CRON || '*/5 * * * *';
+    this.task = cron.schedule(expression, () => {
+      this.tick();
+    });
+
+    logger.info(`Checking for stuck jobs (${expression})`);
+    this.tick();
+    return this.task;
+  }
+
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+  }
+
+  /**
+   * Whether any of the job's work is still in the queue: its batch job, or
+   * a send-email job for one of its contacts (e.g. held for a delivery window)
+   */
+  async hasQueuedWork(job) {
+    if (await isQueued(batchJobId(job._id))) {
+      return true;
+    }
+    for (const contact of job.contacts) {
+      if (await isQueued(emailJobId(job._id, contact.contactId))) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Rebuild a job's progress from what actually happened to each contact
+   * @returns {Object} { progress, unsent } where unsent are Job.contacts entries
+   */
+  async rebuildProgress(job) {
+    const contactIds = job.contacts.map(contact => contact.contactId);
+    const deliveries = await Delivery.find({
+      campaignId: job.campaignId,
+      contactId: { $in: contactIds }
+    }).lean();
+    const byContact = new Map(deliveries.map(delivery => [String(delivery.contactId), delivery]));
+
+    // Batches sent before the delivery ledger existed only left Analytics events
+    const legacySent = new Set((await Analytics.find({
+      campaignId: job.campaignId,
+      contactId: { $in: contactIds },
+      event: 'sent'
+    }).distinct('contactId')).map(String));
+
+    const progress = { total: job.contacts.length, sent: 0, failed: 0, skipped: 0, cancelled: 0 };
+    const unsent = [];
+    const interrupted = [];
+
+    job.contacts.forEach(contact => {
+      const delivery = byContact.get(String(contact.contactId));
+      const ownedByJob = delivery && String(delivery.jobId) === String(job._id);
+
+      if (!delivery) {
+        if (legacySent.has(String(contact.contactId))) {
+          progress.sent++;
+        } else {
+          unsent.push(contact);
+        }
+        return;
+      }
+
+      switch (delivery.status) {
+        case 'sent':
+          // Sent by an earlier send of the campaign counts as a skipped duplicate here
+          if (ownedByJob) {
+            progress.sent++;
+          } else {
+            progress.skipped++;
+          }
+          break;
+        case 'skipped':
+          progress.skipped++;
+          break;
+        case 'failed':
+          if (ownedByJob) {
+            progress.failed++;
+          } else {
+            unsent.push(contact);
+          }
+          break;
+        case 'sending':
+          // The worker died mid-send, so whether it went out is unknown;
+          // never resend blindly, record it as failed instead
+          interrupted.push(contact.contactId);
+          progress.failed++;
+          break;
+        default:
+          unsent.push(contact);
+      }
+    });
+
+    if (interrupted.length) {
+      await Delivery.updateMany(
+        { campaignId: job.campaignId, contactId: { $in: interrupted }, status: 'sending' },
+        { $set: { status: 'failed', error: 'Interrupted while sending; delivery unknown' } }
+      );
+    }
+
+    return { progress, unsent };
+  }
+
+  /**
+   * Recover one stuck job
+   * @returns {Number} Recipients queued again
+   */
+  async reconcileJob(job) {
+    const campaign = await Campaign.findById(job.campaignId);
+    if (!campaign) {
+      await Job.updateOne({ _id: job._id }, { $set: { status: 'failed', completedAt: new Date() } });
+      return 0;
+    }
+
+    // Delayed or slow, not stuck
+    if (await this.hasQueuedWork(job)) {
+      return 0;
+    }
+
+    const { progress, unsent } = await this.rebuildProgress(job);
+
+    const update = { progress };
+    if (campaign.status === 'sending' && unsent.length) {
+      update.status = 'processing';
+      update.startedAt = job.startedAt || new Date();
+    } else if (campaign.status === 'paused' && unsent.length) {
+      update.status = 'paused';
+      update.held = unsent.map(contact => contact.contactId);
+    } else if (!['sending', 'paused'].includes(campaign.status)) {
+      // Cancelled (or otherwise finished) campaigns never send the rest
+      progress.cancelled = unsent.length;
+      update.status = 'cancelled';
+    }
+
+    // Only touch the job if nobody else recovered or advanced it meanwhile
+    const claimed = await Job.findOneAndUpdate(
+      { _id: job._id, updatedAt: job.updatedAt },
+      { $set: update }
+    );
+    if (!claimed) {
+      return 0;
+    }
+
+    if (update.status === 'processing') {
+      await enqueueEmails({
+        jobId: job._id,
+        campaignId: campaign._id,
+        userId: campaign.userId,
+        contacts: unsent,
+        campaignData: batchProcessor.getCampaignData(campaign),
+        total: progress.total
+      });
+      logger.info(`Re-queued ${unsent.length} unsent emails of job ${job._id}`);
+      return unsent.length;
+    }
+
+    await finalizeJobIfDone(job._id, campaign._id, progress.total);
+    return 0;
+  }
+
+  /**
+   * Campaigns still marked sending after every job finished (the process died
+   * before marking them) are completed; ones that never got any batches are
+   * put back to draft
+   */
+  async reconcileCampaigns(now = new Date()) {
+    const campaigns = await Campaign.find({
+      status: 'sending',
+      startedAt: { $lte: new Date(now.getTime() - STALE_MS) }
+    }).select('_id scheduledAt');
+
+    for (const campaign of campaigns) {
+      const jobs = await Job.countDocuments({ campaignId: campaign._id });
+
+      if (jobs === 0) {
+        // Scheduled campaigns are put back in the schedule by the scheduler
+        if (campaign.scheduledAt) continue;
+        await Campaign.updateOne(
+          { _id: campaign._id, status: 'sending' },
+          { $set: { status: 'draft', lastError: 'Sending was interrupted before any emails were queued' } }
+        );
+        logger.info(`Reset campaign ${campaign._id} that never started to draft`);
+        continue;
+      }
+
+      const active = await Job.countDocuments({
+        campaignId: campaign._id,
+        status: { $in: ACTIVE_JOB_STATUSES }
+      });
+      if (active === 0) {
+        await Campaign.updateOne(
+          { _id: campaign._id, status: 'sending' },
+          { $set: { status: 'completed', completedAt: new Date() } }
+        );
+        await campaignStatsService.recompute(campaign._id);
+        logger.info(`Marked finished campaign ${campaign._id} completed`);
+      }
+    }
+  }
+
+  /**
+   * One reconciliation pass; overlapping runs on the same instance are skipped
+   */
+  async tick(now = new Date()) {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      const stuck = await Job.find({
+        status: { $in: ['pending', 'processing'] },
+        updatedAt: { $lte: new Date(now.getTime() - STALE_MS) }
+      });
+
+      let requeued = 0;
+      for (const job of stuck) {
+        try {
+          requeued += await this.reconcileJob(job);
+        } catch (error) {
+          logger.error(`Failed to reconcile job ${job._id}:`, error.message);
+        }
+      }
+
+      await this.reconcileCampaigns(now);
+
+      if (stuck.length) {
+        logger.info(`Checked ${stuck.length} stuck jobs, re-queued ${requeued} emails`);
+      }
+    } catch (error) {
+      logger.error(error.message);
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = new ReconciliationService();
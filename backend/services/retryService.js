@@ -1,156 +1,387 @@
+const mongoose = require('mongoose');
+const cron = require('node-cron');
 const Job = require('../models/Job');
+const Campaign = require('../models/Campaign');
 const Analytics = require('../models/Analytics');
 const emailService = require('./emailService');
+const unsubscribeService = require('./unsubscribeService');
+const trackingService = require('./trackingService');
+const complaintService = require('./complaintService');
+const templateService = require('./templateService');
+const suppressionService = require('./suppressionService');
+const deliveryService = require('./deliveryService');
+const campaignStatsService = require('./campaignStatsService');
+const quotaService = require('./quotaService');
+const { isPermanentFailure } = require('../utils/smtpErrors');
+
+const logger = {
+  info: (...args) => console.log('[RETRY]', ...args),
+  error: (...args) => console.error('[RETRY ERROR]', ...args)
+};
+
+const MAX_RETRIES = parseInt(process.env.RETRY_MAX_ATTEMPTS || '3');
+const BASE_DELAY_MS = parseInt(process.env.RETRY_BASE_DELAY_MINUTES || '5') * 60000;
+
+// Failed emails of campaigns in these states are left alone
+const STOPPED_STATUSES = ['paused', 'cancelled'];
 
 /**
- * Retry Service - Handles retrying failed emails with exponential backoff
- * This ensures zero-error guarantee by automatically retrying failed sends
+ * Retry Service - Durable retries for failed campaign emails.
+ * Both send paths record failures in Job.errorLog; permanent (5xx) rejections
+ * are never retried, transient ones are retried by a cron with exponential
+ * backoff until RETRY_MAX_ATTEMPTS, or on demand per campaign.
  */
 class RetryService {
+  constructor() {
+    this.task = null;
+    this.running = false;
+  }
+
+  isEnabled() {
+    return String(process.env.RETRY_ENABLED || 'true').toLowerCase() !== 'false';
+  }
+
+  start() {
+    if (!this.isEnabled() || this.task) {
+      return null;
+    }
+
+    const expression = process.env.RETRY_CRON || '*/5 * * * *';
+    this.task = cron.schedule(expression, () => {
+      this.tick();
+    });
+
+    logger.info(`Retrying failed emails (${expression})`);
+    return this.task;
+  }
+
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+  }
+
+  /**
+   * Wait before retry number retryCount + 1: base, 2x base, 4x base, ...
+   */
+  getBackoff(retryCount) {
+    return BASE_DELAY_MS * Math.pow(2, retryCount);
+  }
+
+  /**
+   * Error log entries that may still be retried (and are due, if now is given)
+   */
+  retryableQuery(now) {
+    return {
+      resolved: { $ne: true },
+      permanent: { $ne: true },
+      retryCount: { $lt: MAX_RETRIES },
+      ...(now ? { nextRetryAt: { $lte: now } } : {})
+    };
+  }
+
+  /**
+   * Add a failed send to the job's error log
+   * @param {Object} recipient - { email, contactId }
+   * @param {Object} result - Failed result from emailService.sendEmail
+   * @returns {Boolean} Whether the failure is permanent
+   */
+  async recordFailure(jobId, recipient, result) {
+    const permanent = isPermanentFailure(result);
+    const nextRetryAt = permanent ? undefined : new Date(Date.now() + this.getBackoff(0));
+
+    await Job.updateOne(
+      { _id: jobId },
+      {
+        $push: {
+          errorLog: {
+            email: recipient.email,
+            contactId: recipient.contactId,
+            error: result.error,
+            responseCode: parseInt(result.responseCode) || undefined,
+            permanent,
+            retryCount: 0,
+            nextRetryAt
+          }
+        }
+      }
+    );
+
+    // Campaign stats count a failure only once no retry is left
+    if (nextRetryAt && recipient.campaignId) {
+      await deliveryService.markFailed(recipient, result.error, { retryAt: nextRetryAt });
+    }
+
+    return permanent;
+  }
+
   /**
    * Retry failed emails from a job
    * @param {String} jobId - The job ID to retry failed emails for
+   * @param {Object} options - { force } retries without waiting for the backoff
    */
-  async retryFailedEmails(jobId) {
-    try {
-      const job = await Job.findById(jobId);
-      if (!job) {
-        throw new Error('Job not found');
-      }
+  async retryFailedEmails(jobId, { force = false } = {}) {
+    const job = await Job.findById(jobId);
+    if (!job) {
+      throw new Error('Job not found');
+    }
 
-      if (job.errorLog.length === 0) {
-        return { message: 'No failed emails to retry', retried: 0 };
-      }
+    const campaign = await Campaign.findById(job.campaignId);
+    if (!campaign || STOPPED_STATUSES.includes(campaign.status)) {
+      return { message: 'Campaign is not being retried', retried: 0 };
+    }
 
-      const failedEmails = job.errorLog.filter(
-        error => error.retryCount < 3 && !error.resolved
-      );
+    const now = new Date();
+    const due = job.errorLog.filter(entry =>
+      !entry.resolved &&
+      !entry.permanent &&
+      entry.retryCount < MAX_RETRIES &&
+      (force || !entry.nextRetryAt || entry.nextRetryAt <= now)
+    );
 
-      if (failedEmails.length === 0) {
-        return { message: 'All failed emails have been retried maximum times', retried: 0 };
-      }
+    if (due.length === 0) {
+      return { message: 'No failed emails to retry', retried: 0 };
+    }
 
-      let retried = 0;
-      const retryPromises = failedEmails.map(async (errorLog) => {
-        try {
-          // Find the contact for this email
-          const contact = job.contacts.find(c => c.email === errorLog.email);
-          if (!contact) {
-            return;
-          }
+    const findContact = (entry) => job.contacts.find(contact => entry.contactId
+      ? String(contact.contactId) === String(entry.contactId)
+      : contact.email === entry.email);
+    const contextFor = await templateService.loadContexts(due.map(findContact).filter(Boolean));
+    const tracking = trackingService.getSettings(campaign.tracking);
 
-          // Get campaign data
-          const Campaign = require('../models/Campaign');
-          const campaign = await Campaign.findById(job.campaignId);
-          if (!campaign) {
-            return;
-          }
+    const resolve = (entry) => Job.updateOne(
+      { _id: jobId, 'errorLog._id': entry._id },
+      { $set: { 'errorLog.$.resolved': true, 'errorLog.$.resolvedAt': new Date() } }
+    );
 
-          const emailData = {
-            from: `${campaign.fromName} <${campaign.fromEmail}>`,
-            to: errorLog.email,
-            subject: campaign.subject,
-            text: campaign.body,
-            html: campaign.bodyHtml || campaign.body,
-            replyTo: campaign.replyTo || campaign.fromEmail,
-            attachments: campaign.attachments || []
-          };
-
-          // Retry sending
-          const result = await emailService.sendEmail(emailData, 3);
-
-          if (result.success) {
-            // Update error log
-            await Job.updateOne(
-              { _id: jobId, 'errorLog.email': errorLog.email },
-              {
-                $set: {
-                  'errorLog.$.resolved': true,
-                  'errorLog.$.retryCount': errorLog.retryCount + 1,
-                  'errorLog.$.resolvedAt': new Date()
-                },
-                $inc: { 'progress.sent': 1, 'progress.failed': -1 }
-              }
-            );
-
-            // Create analytics record
-            await Analytics.create({
-              campaignId: job.campaignId,
-              userId: job.userId,
-              contactId: contact.contactId,
-              email: errorLog.email,
-              event: 'sent',
-              provider: result.provider,
-              metadata: {
-                messageId: result.messageId,
-                retried: true
-              }
-            });
-
-            retried++;
-          } else {
-            await Job.updateOne(
-              { _id: jobId, 'errorLog.email': errorLog.email },
-              {
-                $set: {
-                  'errorLog.$.retryCount': errorLog.retryCount + 1,
-                  'errorLog.$.error': result.error
-                }
+    let retried = 0;
+    await Promise.all(due.map(async (entry) => {
+      try {
+        const contact = findContact(entry);
+        if (!contact) {
+          return;
+        }
+
+        const recipient = {
+          userId: job.userId,
+          campaignId: job.campaignId,
+          contactId: contact.contactId,
+          email: entry.email
+        };
+
+        // Nothing left to retry if the address was suppressed since
+        if (await suppressionService.isSuppressed(job.userId, entry.email)) {
+          await deliveryService.markSkipped(recipient, 'suppressed');
+          await resolve(entry);
+          return;
+        }
+
+        // Out of quota: leave the entry for a later run
+        if (!(await quotaService.reserve(job.userId))) {
+          return;
+        }
+
+        // Skip recipients that were sent some other way in the meantime
+        if (!(await deliveryService.claim(recipient, jobId))) {
+          await quotaService.release(job.userId);
+          await resolve(entry);
+          return;
+        }
+
+        const content = templateService.renderEmail({
+          subject: campaign.subject,
+          text: campaign.body,
+          html: campaign.bodyHtml || campaign.body
+        }, contextFor(contact));
+
+        const emailData = {
+          from: `${campaign.fromName} <${campaign.fromEmail}>`,
+          to: entry.email,
+          subject: content.subject,
+          text: content.text,
+          html: trackingService.applyTracking(content.html, recipient, tracking),
+          replyTo: campaign.replyTo || campaign.fromEmail,
+          attachments: campaign.attachments || [],
+          unsubscribeUrl: unsubscribeService.getUnsubscribeUrl({
+            ...recipient,
+            listIds: (campaign.contactFilters && campaign.contactFilters.listIds) || []
+          }),
+          campaignRef: complaintService.createReference(recipient),
+          userId: job.userId
+        };
+
+        const result = await emailService.sendEmail(emailData, 1);
+        const retryCount = entry.retryCount + 1;
+
+        if (result.success) {
+          await deliveryService.markSent(recipient, result);
+          await Job.updateOne(
+            { _id: jobId, 'errorLog._id': entry._id },
+            {
+              $set: {
+                'errorLog.$.resolved': true,
+                'errorLog.$.retryCount': retryCount,
+                'errorLog.$.resolvedAt': new Date()
+              },
+              $inc: { 'progress.sent': 1, 'progress.failed': -1 }
+            }
+          );
+
+          await Analytics.create({
+            campaignId: job.campaignId,
+            userId: job.userId,
+            contactId: contact.contactId,
+            email: entry.email,
+            event: 'sent',
+            provider: result.provider,
+            metadata: {
+              messageId: result.messageId,
+              retried: true
+            }
+          });
+
+          campaignStatsService.schedule(job.campaignId);
+          retried++;
+        } else {
+          const permanent = isPermanentFailure(result);
+          const exhausted = permanent || retryCount >= MAX_RETRIES;
+          const nextRetryAt = exhausted ? undefined : new Date(Date.now() + this.getBackoff(retryCount));
+          await deliveryService.markFailed(recipient, result.error, { retryAt: nextRetryAt });
+          await quotaService.release(job.userId);
+
+          await Job.updateOne(
+            { _id: jobId, 'errorLog._id': entry._id },
+            {
+              $set: {
+                'errorLog.$.retryCount': retryCount,
+                'errorLog.$.error': result.error,
+                'errorLog.$.responseCode': parseInt(result.responseCode) || undefined,
+                'errorLog.$.permanent': permanent,
+                'errorLog.$.nextRetryAt': nextRetryAt
               }
-            );
-          }
-        } catch (err) {
-          // Silent fail for individual email retries
+            }
+          );
         }
-      });
+      } catch (err) {
+        logger.error(`Retry of ${entry.email} in job ${jobId} failed:`, err.message);
+      }
+    }));
 
-      await Promise.all(retryPromises);
+    return {
+      message: `Retried ${retried} failed emails`,
+      retried,
+      total: due.length
+    };
+  }
+
+  /**
+   * Queue a retry run for a job, or run it here if the queue is unavailable
+   */
+  async enqueueRetry(jobId, { force = false } = {}) {
+    const { emailQueue } = require('./queueService');
 
-      return {
-        message: `Retried ${retried} failed emails`,
-        retried,
-        total: failedEmails.length
-      };
+    try {
+      await emailQueue.add('retry-failed-emails', { jobId, force }, {
+        // One pending retry run per job
+        jobId: `retry-${jobId}`,
+        attempts: 1,
+        removeOnComplete: true,
+        removeOnFail: true
+      });
     } catch (error) {
-      throw error;
+      await this.retryFailedEmails(jobId, { force });
     }
   }
 
   /**
-   * Schedule automatic retries for failed jobs
-   * This can be called by a cron job
+   * Queue retries for every job with failed emails whose backoff has passed.
+   * Called by the cron.
    */
-  async scheduleRetries() {
-    try {
-      const { emailQueue } = require('./queueService');
-      const failedJobs = await Job.find({
-        status: 'completed',
-        'errorLog': { $exists: true, $ne: [] }
-      });
+  async scheduleRetries(now = new Date()) {
+    const jobs = await Job.find({
+      errorLog: { $elemMatch: this.retryableQuery(now) }
+    }).select('_id');
 
-      for (const job of failedJobs) {
-        const unresolvedErrors = job.errorLog.filter(
-          error => error.retryCount < 3 && !error.resolved
-        );
-
-        if (unresolvedErrors.length > 0) {
-          // Add delay based on retry count (exponential backoff)
-          const maxRetryCount = Math.max(...unresolvedErrors.map(e => e.retryCount));
-          const delay = Math.pow(2, maxRetryCount) * 60000; // 1min, 2min, 4min
-
-          await emailQueue.add('retry-failed-emails', {
-            jobId: job._id
-          }, {
-            delay,
-            attempts: 1
-          });
+    for (const job of jobs) {
+      await this.enqueueRetry(job._id);
+    }
+
+    return jobs.length;
+  }
+
+  /**
+   * Retry all retryable failed emails of a campaign now, ignoring the backoff
+   */
+  async retryCampaign(campaignId) {
+    const summary = await this.getFailureSummary(campaignId);
+    const jobs = await Job.find({
+      campaignId,
+      errorLog: { $elemMatch: this.retryableQuery() }
+    }).select('_id');
+
+    for (const job of jobs) {
+      await this.enqueueRetry(job._id, { force: true });
+    }
+
+    return { jobs: jobs.length, emails: summary.retryable };
+  }
+
+  /**
+   * Unresolved failures of a campaign: retryable, permanent, and out of retries
+   */
+  async getFailureSummary(campaignId) {
+    const [summary] = await Job.aggregate([
+      { $match: { campaignId: new mongoose.Types.ObjectId(String(campaignId)) } },
+      { $unwind: '$errorLog' },
+      { $match: { 'errorLog.resolved': { $ne: true } } },
+      {
+        $group: {
+          _id: null,
+          permanent: { $sum: { $cond: ['$errorLog.permanent', 1, 0] } },
+          exhausted: {
+            $sum: {
+              $cond: [
+                { $and: [{ $ne: ['$errorLog.permanent', true] }, { $gte: ['$errorLog.retryCount', MAX_RETRIES] }] },
+                1,
+                0
+              ]
+            }
+          },
+          total: { $sum: 1 }
         }
       }
+    ]);
+
+    if (!summary) {
+      return { retryable: 0, permanent: 0, exhausted: 0 };
+    }
+
+    return {
+      retryable: summary.total - summary.permanent - summary.exhausted,
+      permanent: summary.permanent,
+      exhausted: summary.exhausted
+    };
+  }
+
+  /**
+   * One cron pass; overlapping ticks on the same instance are skipped
+   */
+  async tick() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      const scheduled = await this.scheduleRetries();
+      if (scheduled > 0) {
+        logger.info(`Queued retries for ${scheduled} jobs`);
+      }
     } catch (error) {
-      // Error handled silently
+      logger.error(error.message);
+    } finally {
+      this.running = false;
     }
   }
 }
 
 module.exports = new RetryService();
-
@@ -0,0 +1,138 @@
+const cron = require('node-cron');
+const Campaign = require('../models/Campaign');
+const Job = require('../models/Job');
+const batchProcessor = require('./batchProcessor');
+const templateService = require('./templateService');
+const preflightService = require('./preflightService');
+
+const logger = {
+  info: (...args) => console.log('[SCHEDULER]', ...args),
+  error: (...args) => console.error('[SCHEDULER ERROR]', ...args)
+};
+
+// A claimed campaign with no batches after this long was dropped by a crashed instance
+const STALE_CLAIM_MS = parseInt(process.env.SCHEDULER_STALE_MINUTES || '10') * 60000;
+
+/**
+ * Scheduler Service - Dispatches campaigns whose scheduledAt has passed.
+ * State lives in MongoDB, so campaigns that came due while the server was
+ * down are sent on the next tick, and every instance can run the scheduler:
+ * a campaign is claimed with an atomic status change before it is sent.
+ */
+class SchedulerService {
+  constructor() {
+    this.task = null;
+    this.running = false;
+  }
+
+  isEnabled() {
+    return String(process.env.SCHEDULER_ENABLED || 'true').toLowerCase() !== 'false';
+  }
+
+  start() {
+    if (!this.isEnabled() || this.task) {
+      return null;
+    }
+
+    const expression = process.env.SCHEDULER_CRON || '* * * * *';
+    this.task = cron.schedule(expression, () => {
+      this.tick();
+    });
+
+    logger.info(`Checking for due campaigns (${expression})`);
+    return this.task;
+  }
+
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+  }
+
+  /**
+   * Claim the next due campaign, or null if there is none
+   */
+  async claimNext(now = new Date()) {
+    return await Campaign.findOneAndUpdate(
+      { status: 'scheduled', scheduledAt: { $lte: now } },
+      { $set: { status: 'sending', startedAt: now, lastError: '' } },
+      { sort: { scheduledAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Put scheduled campaigns that were claimed but never batched back in the
+   * queue, e.g. when the instance that claimed them crashed
+   */
+  async recoverStaleClaims(now = new Date()) {
+    const stale = await Campaign.find({
+      status: 'sending',
+      scheduledAt: { $ne: null },
+      startedAt: { $lte: new Date(now.getTime() - STALE_CLAIM_MS) }
+    }).select('_id');
+
+    for (const campaign of stale) {
+      if (await Job.exists({ campaignId: campaign._id })) continue;
+
+      await Campaign.updateOne(
+        { _id: campaign._id, status: 'sending' },
+        { $set: { status: 'scheduled' } }
+      );
+      logger.info(`Re-queued stale scheduled campaign ${campaign._id}`);
+    }
+  }
+
+  /**
+   * Send a claimed campaign; failures put it back to draft with the reason
+   */
+  async dispatch(campaign) {
+    try {
+      const templateCheck = templateService.validate({
+        subject: campaign.subject,
+        body: campaign.body,
+        bodyHtml: campaign.bodyHtml
+      });
+      if (!templateCheck.valid) {
+        throw new Error(`Invalid merge tags: ${templateCheck.errors.map(error => error.message).join('; ')}`);
+      }
+
+      const preflight = await preflightService.run(campaign, campaign.userId, { checkLinks: false });
+      if (!preflight.canSend) {
+        throw new Error(`Preflight checks failed: ${preflightService.describeFailures(preflight)}`);
+      }
+
+      const { totalContacts } = await batchProcessor.dispatchCampaign(campaign);
+      logger.info(`Dispatched scheduled campaign ${campaign._id} to ${totalContacts} contacts`);
+    } catch (error) {
+      logger.error(`Failed to dispatch campaign ${campaign._id}:`, error.message);
+      await Campaign.updateOne(
+        { _id: campaign._id },
+        { $set: { status: 'draft', lastError: error.message } }
+      );
+    }
+  }
+
+  /**
+   * One scheduler pass; overlapping ticks on the same instance are skipped
+   */
+  async tick() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      await this.recoverStaleClaims();
+
+      let campaign;
+      while ((campaign = await this.claimNext())) {
+        await this.dispatch(campaign);
+      }
+    } catch (error) {
+      logger.error(error.message);
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = new SchedulerService();
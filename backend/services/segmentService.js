@@ -0,0 +1,279 @@
+const mongoose = require('mongoose');
+const Contact = require('../models/Contact');
+const Segment = require('../models/Segment');
+const Analytics = require('../models/Analytics');
+const User = require('../models/User');
+
+const GROUP_OPS = ['and', 'or', 'not'];
+const MAX_DEPTH = 5;
+const MAX_CONDITIONS = 50;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const METADATA_KEY_PATTERN = /^[A-Za-z0-9_-]+$/;
+// Engagement events and the Contact field holding each one's latest time
+const ENGAGEMENT_FIELDS = {
+  opened: 'engagement.lastOpenedAt',
+  clicked: 'engagement.lastClickedAt'
+};
+const ENGAGEMENT_EVENTS = Object.keys(ENGAGEMENT_FIELDS);
+const SYNC_CHUNK_SIZE = 1000;
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class SegmentRuleError extends Error {
+  constructor(message) {
+    super(`Invalid segment rules: ${message}`);
+    this.name = 'SegmentRuleError';
+    this.code = 'INVALID_SEGMENT';
+  }
+}
+
+const positiveDays = (days) => {
+  const value = Number(days);
+  if (!Number.isFinite(value) || value <= 0) {
+    throw new SegmentRuleError('days must be a positive number');
+  }
+  return value;
+};
+
+const validDate = (value) => {
+  const date = new Date(value);
+  if (!value || Number.isNaN(date.getTime())) {
+    throw new SegmentRuleError('a valid date is required');
+  }
+  return date;
+};
+
+/**
+ * Segment Service - Compiles segment rule trees into Contact queries.
+ *
+ * A tree is made of groups { op: 'and' | 'or' | 'not', rules: [...] }, where
+ * 'not' matches contacts matching none of its rules, and conditions:
+ *   { type: 'tag', operator: 'has' | 'notHas', value }
+ *   { type: 'metadata', key, operator: 'equals' | 'notEquals' | 'contains' | 'exists' | 'notExists', value }
+ *   { type: 'createdAt', operator: 'before' | 'after' | 'withinDays' | 'olderThanDays', value }
+ *   { type: 'engagement', event: 'opened' | 'clicked', operator: 'did' | 'didNot', days }
+ *   { type: 'bounce', value: 'none' | 'soft' | 'hard' | 'any', days (optional) }
+ * Relative dates are resolved when the query is compiled. Engagement is read
+ * from the latest open/click stored on each contact, not from Analytics.
+ */
+class SegmentService {
+  /**
+   * Check a rule tree's shape without touching the database
+   * @throws {SegmentRuleError}
+   */
+  validate(rules) {
+    let conditions = 0;
+
+    const visit = (node, depth) => {
+      if (!node || typeof node !== 'object') {
+        throw new SegmentRuleError('every rule must be an object');
+      }
+      if (node.op !== undefined) {
+        if (!GROUP_OPS.includes(node.op)) {
+          throw new SegmentRuleError(`unknown group operator ${node.op}`);
+        }
+        if (depth >= MAX_DEPTH) {
+          throw new SegmentRuleError(`groups can be nested at most ${MAX_DEPTH} deep`);
+        }
+        if (!Array.isArray(node.rules) || node.rules.length === 0) {
+          throw new SegmentRuleError('every group needs at least one rule');
+        }
+        node.rules.forEach(child => visit(child, depth + 1));
+        return;
+      }
+
+      conditions++;
+      if (conditions > MAX_CONDITIONS) {
+        throw new SegmentRuleError(`at most ${MAX_CONDITIONS} conditions are allowed`);
+      }
+      // Compiling a condition validates all of it
+      this.compileCondition(node);
+    };
+
+    visit(rules, 0);
+    return true;
+  }
+
+  /**
+   * Store an open or click on the contact for engagement conditions
+   */
+  async markEngaged(recipient, event, at = new Date()) {
+    if (!ENGAGEMENT_FIELDS[event] || !recipient.contactId) return;
+
+    await Contact.updateOne(
+      { _id: recipient.contactId, userId: recipient.userId },
+      { $max: { [ENGAGEMENT_FIELDS[event]]: at } }
+    );
+  }
+
+  /**
+   * Copy a user's engagement history from Analytics onto their contacts, once.
+   * markEngaged keeps it current from then on; $max makes a sync racing new
+   * events, or two syncs at once, harmless.
+   */
+  async syncEngagement(userId) {
+    const user = await User.findById(userId).select('engagementSyncedAt');
+    if (!user || user.engagementSyncedAt) return;
+
+    const cursor = Analytics.aggregate([
+      {
+        $match: {
+          userId: user._id,
+          event: { $in: ENGAGEMENT_EVENTS },
+          proof: null,
+          contactId: { $ne: null }
+        }
+      },
+      { $group: { _id: { contactId: '$contactId', event: '$event' }, last: { $max: '$timestamp' } } }
+    ]).allowDiskUse(true).cursor({ batchSize: SYNC_CHUNK_SIZE });
+
+    let ops = [];
+    const flush = async () => {
+      if (ops.length === 0) return;
+      await Contact.bulkWrite(ops, { ordered: false });
+      ops = [];
+    };
+
+    for await (const entry of cursor) {
+      ops.push({
+        updateOne: {
+          filter: { _id: entry._id.contactId, userId: user._id },
+          update: { $max: { [ENGAGEMENT_FIELDS[entry._id.event]]: entry.last } }
+        }
+      });
+      if (ops.length >= SYNC_CHUNK_SIZE) await flush();
+    }
+    await flush();
+
+    await User.updateOne({ _id: user._id }, { $set: { engagementSyncedAt: new Date() } });
+  }
+
+  usesEngagement(node) {
+    return node.op !== undefined
+      ? node.rules.some(child => this.usesEngagement(child))
+      : node.type === 'engagement';
+  }
+
+  compileCondition(node) {
+    switch (node.type) {
+      case 'tag': {
+        if (!node.value) throw new SegmentRuleError('tag conditions need a tag');
+        // Tags are strings; never pass an object through as a query operator
+        const tag = String(node.value);
+        if (node.operator === 'notHas') return { tags: { $ne: tag } };
+        if (node.operator && node.operator !== 'has') throw new SegmentRuleError(`unknown tag operator ${node.operator}`);
+        return { tags: tag };
+      }
+
+      case 'metadata': {
+        if (!METADATA_KEY_PATTERN.test(node.key || '')) {
+          throw new SegmentRuleError('metadata conditions need a field name (letters, digits, _ and -)');
+        }
+        const path = `metadata.${node.key}`;
+        const value = node.value === undefined || node.value === null ? '' : String(node.value);
+        switch (node.operator) {
+          case 'equals': return { [path]: value };
+          case 'notEquals': return { [path]: { $ne: value } };
+          case 'contains': return { [path]: { $regex: escapeRegex(value), $options: 'i' } };
+          case 'exists': return { [path]: { $exists: true, $ne: '' } };
+          case 'notExists': return { $or: [{ [path]: { $exists: false } }, { [path]: '' }] };
+          default: throw new SegmentRuleError(`unknown metadata operator ${node.operator}`);
+        }
+      }
+
+      case 'createdAt': {
+        switch (node.operator) {
+          case 'before': return { createdAt: { $lt: validDate(node.value) } };
+          case 'after': return { createdAt: { $gt: validDate(node.value) } };
+          case 'withinDays': return { createdAt: { $gte: new Date(Date.now() - positiveDays(node.value) * DAY_MS) } };
+          case 'olderThanDays': return { createdAt: { $lt: new Date(Date.now() - positiveDays(node.value) * DAY_MS) } };
+          default: throw new SegmentRuleError(`unknown created date operator ${node.operator}`);
+        }
+      }
+
+      case 'engagement': {
+        if (!ENGAGEMENT_EVENTS.includes(node.event)) {
+          throw new SegmentRuleError(`engagement event must be one of ${ENGAGEMENT_EVENTS.join(', ')}`);
+        }
+        const since = new Date(Date.now() - positiveDays(node.days) * DAY_MS);
+        if (node.operator && !['did', 'didNot'].includes(node.operator)) {
+          throw new SegmentRuleError(`unknown engagement operator ${node.operator}`);
+        }
+        const field = ENGAGEMENT_FIELDS[node.event];
+        return node.operator === 'didNot'
+          ? { $or: [{ [field]: { $exists: false } }, { [field]: { $lt: since } }] }
+          : { [field]: { $gte: since } };
+      }
+
+      case 'bounce': {
+        const since = node.days ? { $gte: new Date(Date.now() - positiveDays(node.days) * DAY_MS) } : { $exists: true };
+        switch (node.value) {
+          case 'none': return node.days
+            ? { $or: [{ 'bounceInfo.lastBouncedAt': { $exists: false } }, { 'bounceInfo.lastBouncedAt': { $lt: since.$gte } }] }
+            : { 'bounceInfo.lastBouncedAt': { $exists: false }, status: { $ne: 'bounced' } };
+          case 'soft': return { 'bounceInfo.lastType': 'soft', 'bounceInfo.lastBouncedAt': since };
+          case 'hard': return node.days
+            ? { 'bounceInfo.lastType': 'hard', 'bounceInfo.lastBouncedAt': since }
+            : { $or: [{ 'bounceInfo.lastType': 'hard' }, { status: 'bounced' }] };
+          case 'any': return { 'bounceInfo.lastBouncedAt': since };
+          default: throw new SegmentRuleError(`unknown bounce status ${node.value}`);
+        }
+      }
+
+      default:
+        throw new SegmentRuleError(`unknown condition type ${node.type}`);
+    }
+  }
+
+  /**
+   * Compile a rule tree into a Contact query fragment for one user
+   */
+  async compile(userId, rules) {
+    this.validate(rules);
+
+    if (this.usesEngagement(rules)) {
+      await this.syncEngagement(userId);
+    }
+
+    const build = (node) => {
+      if (node.op === undefined) {
+        return this.compileCondition(node);
+      }
+      const children = node.rules.map(build);
+      if (node.op === 'and') return { $and: children };
+      if (node.op === 'or') return { $or: children };
+      return { $nor: children };
+    };
+
+    return build(rules);
+  }
+
+  /**
+   * Query fragment for a saved segment
+   * @throws {Error} if the segment does not exist
+   */
+  async getQuery(userId, segmentId) {
+    const segment = mongoose.Types.ObjectId.isValid(segmentId)
+      ? await Segment.findOne({ _id: segmentId, userId })
+      : null;
+    if (!segment) {
+      throw new Error('Segment not found');
+    }
+    return await this.compile(userId, segment.rules);
+  }
+
+  /**
+   * How many contacts match, and how many of those can be mailed
+   */
+  async count(userId, rules) {
+    const query = { $and: [{ userId }, await this.compile(userId, rules)] };
+    const [total, active] = await Promise.all([
+      Contact.countDocuments(query),
+      Contact.countDocuments({ ...query, status: 'active' })
+    ]);
+    return { total, active };
+  }
+}
+
+module.exports = new SegmentService();
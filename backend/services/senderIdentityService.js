@@ -0,0 +1,238 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const SenderIdentity = require('../models/SenderIdentity');
+const emailService = require('./emailService');
+const tokenService = require('./tokenService');
+
+const TOKEN_PURPOSE = 'sender-verify';
+const VERIFY_TOKEN_EXPIRY = process.env.SENDER_VERIFY_EXPIRY || '3d';
+
+// Adding or re-verifying an address mails it at most once per cooldown, so
+// the endpoint cannot be used to flood someone else's inbox
+const RESEND_COOLDOWN_MS = parseInt(process.env.SENDER_VERIFY_RESEND_COOLDOWN_MINUTES || '15') * 60 * 1000;
+
+// TXT record a domain owner publishes to prove control: <prefix>=<token>
+const TXT_PREFIX = 'email-automation-verification';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DOMAIN_PATTERN = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+
+class SenderIdentityError extends Error {
+  constructor(email) {
+    super(`${email || 'The From address'} is not a verified sender. Verify the address or its domain first.`);
+    this.name = 'SenderIdentityError';
+    this.code = 'SENDER_NOT_VERIFIED';
+    this.email = email;
+  }
+}
+
+/**
+ * Sender Identity Service - Users prove they own a From address, either by
+ * clicking a signed link mailed to it, or for a whole domain by publishing a
+ * TXT record. Only addresses covered by a verified identity may send.
+ */
+class SenderIdentityService {
+  constructor() {
+    // DNS lookups go through this function so tests can replace it
+    this.resolveTxt = (hostname) => dns.promises.resolveTxt(hostname);
+  }
+
+  normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+  }
+
+  normalizeDomain(domain) {
+    return String(domain || '').trim().toLowerCase().replace(/\.$/, '');
+  }
+
+  domainOf(email) {
+    const normalized = this.normalizeEmail(email);
+    return normalized.slice(normalized.lastIndexOf('@') + 1);
+  }
+
+  getTxtRecord(identity) {
+    return {
+      type: 'TXT',
+      name: identity.value,
+      value: `${TXT_PREFIX}=${identity.verificationToken}`
+    };
+  }
+
+  /**
+   * Register a From address and mail it the verification link (unless one
+   * went out within the resend cooldown)
+   */
+  async addEmail(userId, email) {
+    const normalized = this.normalizeEmail(email);
+    if (!EMAIL_PATTERN.test(normalized)) {
+      throw new Error('Please provide a valid email');
+    }
+
+    const identity = await SenderIdentity.findOneAndUpdate(
+      { userId, type: 'email', value: normalized },
+      { $setOnInsert: { userId, type: 'email', value: normalized, status: 'pending' } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    if (identity.status !== 'verified') {
+      await this.sendVerification(identity);
+    }
+    return identity;
+  }
+
+  /**
+   * Register a domain; it is verified once its TXT record is found
+   */
+  async addDomain(userId, domain) {
+    const normalized = this.normalizeDomain(domain);
+    if (!DOMAIN_PATTERN.test(normalized)) {
+      throw new Error('Please provide a valid domain');
+    }
+
+    return await SenderIdentity.findOneAndUpdate(
+      { userId, type: 'domain', value: normalized },
+      {
+        $setOnInsert: {
+          userId,
+          type: 'domain',
+          value: normalized,
+          status: 'pending',
+          verificationToken: crypto.randomBytes(16).toString('hex')
+        }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  getVerifyUrl(identity) {
+    const token = tokenService.sign(TOKEN_PURPOSE, {
+      i: String(identity._id),
+      e: identity.value
+    }, { expiresIn: VERIFY_TOKEN_EXPIRY });
+
+    return tokenService.getPublicUrl(`/senders/confirm/${token}`);
+  }
+
+  /**
+   * Mail the verification link
+   * @returns {Object|null} The send result, or null if a link was already
+   * sent within the resend cooldown
+   */
+  async sendVerification(identity) {
+    // Claim the send atomically so concurrent requests mail one link
+    const cooldownStart = new Date(Date.now() - RESEND_COOLDOWN_MS);
+    const claimed = await SenderIdentity.updateOne(
+      { _id: identity._id, verificationSentAt: { $not: { $gt: cooldownStart } } },
+      { $set: { verificationSentAt: new Date() } }
+    );
+    if (claimed.modifiedCount === 0) {
+      return null;
+    }
+
+    const verifyUrl = this.getVerifyUrl(identity);
+    const from = process.env.SENDER_VERIFICATION_FROM || process.env.SMTP_USER;
+
+    const result = await emailService.sendEmail({
+      from,
+      to: identity.value,
+      subject: 'Verify your sender address',
+      text: `Someone asked to send email as ${identity.value}.\n\nIf that was you, confirm by opening this link:\n${verifyUrl}\n\nOtherwise you can ignore this email.`,
+      html: `<p>Someone asked to send email as <strong>${identity.value}</strong>.</p>` +
+        `<p>If that was you, confirm by clicking the link below:</p>` +
+        `<p><a href="${verifyUrl}">Verify this sender address</a></p>` +
+        `<p>Otherwise you can ignore this email.</p>`
+    }, 3);
+
+    if (!result.success) {
+      // Nothing went out, so the user may try again straight away
+      await SenderIdentity.updateOne({ _id: identity._id }, { $unset: { verificationSentAt: 1 } });
+      throw new Error(`Failed to send verification email: ${result.error}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Verify an email identity from the signed link
+   * @returns {Object|null} The identity, or null if the token is invalid
+   */
+  async confirm(token) {
+    const decoded = tokenService.verify(TOKEN_PURPOSE, token);
+    if (!decoded || !decoded.i) {
+      return null;
+    }
+
+    const identity = await SenderIdentity.findOne({ _id: decoded.i, type: 'email', value: decoded.e });
+    if (!identity) {
+      return null;
+    }
+
+    if (identity.status !== 'verified') {
+      identity.status = 'verified';
+      identity.verifiedAt = new Date();
+      await identity.save();
+    }
+    return identity;
+  }
+
+  /**
+   * Look up the domain's TXT records and verify it if ours is there
+   */
+  async checkDomain(identity) {
+    const expected = this.getTxtRecord(identity).value;
+    let found = false;
+    let lastError = '';
+
+    try {
+      const records = await this.resolveTxt(identity.value);
+      // Long TXT records come back split into chunks
+      found = records.some(chunks => [].concat(chunks).join('') === expected);
+      if (!found) {
+        lastError = `TXT record ${expected} not found on ${identity.value}`;
+      }
+    } catch (error) {
+      lastError = `DNS lookup failed: ${error.code || error.message}`;
+    }
+
+    const now = new Date();
+    const $set = { lastCheckedAt: now, lastError };
+    if (found && identity.status !== 'verified') {
+      $set.status = 'verified';
+      $set.verifiedAt = now;
+    }
+
+    return await SenderIdentity.findOneAndUpdate({ _id: identity._id }, { $set }, { new: true });
+  }
+
+  /**
+   * Whether the user may send as this address: the address itself or its
+   * domain has been verified
+   */
+  async isVerifiedSender(userId, email) {
+    const normalized = this.normalizeEmail(email);
+    if (!EMAIL_PATTERN.test(normalized)) {
+      return false;
+    }
+
+    const identity = await SenderIdentity.exists({
+      userId,
+      status: 'verified',
+      $or: [
+        { type: 'email', value: normalized },
+        { type: 'domain', value: this.domainOf(normalized) }
+      ]
+    });
+    return !!identity;
+  }
+
+  /**
+   * @throws {SenderIdentityError} if the user may not send as this address
+   */
+  async assertVerifiedSender(userId, email) {
+    if (!(await this.isVerifiedSender(userId, email))) {
+      throw new SenderIdentityError(email);
+    }
+  }
+}
+
+module.exports = new SenderIdentityService();
@@ -0,0 +1,222 @@
+const Contact = require('../models/Contact');
+const SignupForm = require('../models/SignupForm');
+const User = require('../models/User');
+const emailService = require('./emailService');
+const tokenService = require('./tokenService');
+const suppressionService = require('./suppressionService');
+const consentService = require('./consentService');
+const senderIdentityService = require('./senderIdentityService');
+const { escapeHtml } = require('../utils/publicPage');
+
+const TOKEN_PURPOSE = 'subscribe-confirm';
+const CONFIRM_TOKEN_EXPIRY = process.env.SUBSCRIBE_CONFIRM_EXPIRY || '7d';
+// A pending contact is sent at most one confirmation email per cooldown
+const RESEND_COOLDOWN_MS = parseInt(process.env.SUBSCRIBE_RESEND_COOLDOWN_MINUTES || '15') * 60 * 1000;
+
+/**
+ * Subscription Service - Double opt-in workflow for hosted signup forms.
+ * A signup creates a pending contact and mails a signed confirm link; the
+ * contact only becomes active once the page behind that link is submitted.
+ */
+class SubscriptionService {
+  getFormUrl(formId) {
+    return tokenService.getPublicUrl(`/subscribe/${formId}`);
+  }
+
+  /**
+   * Plain HTML form markup, used by the hosted page and as the embed snippet
+   */
+  buildFormMarkup(form) {
+    const nameField = form.collectName
+      ? `<input type="text" name="name" placeholder="Your name" style="display:block;width:100%;margin-bottom:8px;padding:8px;box-sizing:border-box;">`
+      : '';
+
+    return `<form method="POST" action="${this.getFormUrl(form._id)}" style="max-width:360px;">
+  ${nameField}
+  <input type="email" name="email" required placeholder="you@example.com" style="display:block;width:100%;margin-bottom:8px;padding:8px;box-sizing:border-box;">
+  <button type="submit" style="background:#0284c7;color:#fff;border:0;padding:10px 20px;border-radius:6px;cursor:pointer;">Subscribe</button>
+</form>`;
+  }
+
+  getConfirmUrl(form, contact) {
+    const token = tokenService.sign(TOKEN_PURPOSE, {
+      f: String(form._id),
+      c: String(contact._id),
+      e: contact.email
+    }, { expiresIn: CONFIRM_TOKEN_EXPIRY });
+
+    return tokenService.getPublicUrl(`/subscribe/confirm/${token}`);
+  }
+
+  /**
+   * Handle a form submission
+   * @param {Object} form - SignupForm document
+   * @param {Object} submission - { email, name, ip, userAgent }
+   * @returns {Object} { status } where status is 'pending', 'already-subscribed' or 'blocked'
+   */
+  async subscribe(form, { email, name, ip, userAgent }) {
+    const normalized = suppressionService.normalizeEmail(email);
+
+    const suppression = await suppressionService.findSuppression(form.userId, normalized);
+    if (suppressionService.blocksOptIn(suppression)) {
+      return { status: 'blocked' };
+    }
+
+    let contact = await Contact.findOne({ userId: form.userId, email: normalized });
+    if (contact && contact.status === 'active') {
+      await Contact.updateOne({ _id: contact._id }, { $addToSet: { tags: form.tag } });
+      return { status: 'already-subscribed' };
+    }
+
+    if (contact && ['bounced', 'invalid'].includes(contact.status)) {
+      return { status: 'blocked' };
+    }
+
+    const cooldownStart = new Date(Date.now() - RESEND_COOLDOWN_MS);
+    if (contact && contact.status === 'pending' && contact.consent && contact.consent.confirmationSentAt > cooldownStart) {
+      return { status: 'pending' };
+    }
+
+    // Checked before the contact is touched, nothing can be confirmed without the email
+    const sender = await this.getSender(form);
+
+    const consent = {
+      source: 'form',
+      formId: form._id,
+      ip,
+      userAgent,
+      timestamp: new Date()
+    };
+
+    const event = consentService.buildEvent('requested', {
+      source: 'form',
+      formId: form._id,
+      ip,
+      userAgent
+    });
+
+    if (contact) {
+      contact.status = 'pending';
+      contact.consent = consent;
+      contact.consentHistory.push(event);
+      if (name && !contact.name) contact.name = name;
+      if (!contact.tags.includes(form.tag)) contact.tags.push(form.tag);
+      await contact.save();
+    } else {
+      contact = await Contact.create({
+        userId: form.userId,
+        email: normalized,
+        name: name || '',
+        tags: [form.tag],
+        status: 'pending',
+        consent,
+        consentHistory: [event]
+      });
+    }
+
+    await SignupForm.updateOne({ _id: form._id }, { $inc: { 'stats.submissions': 1 } });
+
+    // Claimed atomically so simultaneous submissions send a single email
+    const claimed = await Contact.updateOne(
+      { _id: contact._id, 'consent.confirmationSentAt': { $not: { $gt: cooldownStart } } },
+      { $set: { 'consent.confirmationSentAt': new Date() } }
+    );
+    if (claimed.modifiedCount === 0) {
+      return { status: 'pending' };
+    }
+
+    try {
+      await this.sendConfirmation(form, contact, sender);
+    } catch (error) {
+      // Let the visitor try again rather than wait out the cooldown
+      await Contact.updateOne({ _id: contact._id }, { $unset: { 'consent.confirmationSentAt': 1 } });
+      throw error;
+    }
+
+    return { status: 'pending' };
+  }
+
+  /**
+   * From address of a form's confirmation emails: the form's own, else the
+   * owner's account email, either way only if it is a verified sender
+   * @throws {SenderIdentityError}
+   */
+  async getSender(form) {
+    const owner = await User.findById(form.userId);
+    const email = form.fromEmail || (owner && owner.email);
+    await senderIdentityService.assertVerifiedSender(form.userId, email);
+
+    return { email, name: form.fromName || (owner && owner.name) || '' };
+  }
+
+  async sendConfirmation(form, contact, sender) {
+    const { email: senderEmail, name: senderName } = sender || await this.getSender(form);
+    const confirmUrl = this.getConfirmUrl(form, contact);
+
+    // The name comes from the public form, so it is escaped for the HTML part
+    const greeting = contact.name ? `Hi ${contact.name},` : 'Hi,';
+    const htmlGreeting = contact.name ? `Hi ${escapeHtml(contact.name)},` : 'Hi,';
+    const result = await emailService.sendEmail({
+      from: senderName ? `${senderName} <${senderEmail}>` : senderEmail,
+      to: contact.email,
+      subject: form.confirmationSubject,
+      text: `${greeting}\n\nPlease confirm your subscription by opening this link:\n${confirmUrl}\n\nIf you did not sign up, you can ignore this email.`,
+      html: `<p>${htmlGreeting}</p><p>Please confirm your subscription by clicking the link below:</p>` +
+        `<p><a href="${confirmUrl}">Confirm my subscription</a></p>` +
+        `<p>If you did not sign up, you can ignore this email.</p>`,
+      replyTo: senderEmail,
+      userId: form.userId
+    }, 3);
+
+    if (!result.success) {
+      throw new Error(`Failed to send confirmation email: ${result.error}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Confirm a pending subscription from the signed link
+   * @param {String} token - Token taken from the confirm URL
+   * @param {Object} evidence - { ip, userAgent } of the confirming request
+   * @returns {Object|null} { contact, form } or null if the token is invalid
+   */
+  async confirm(token, { ip, userAgent } = {}) {
+    const decoded = tokenService.verify(TOKEN_PURPOSE, token);
+    if (!decoded || !decoded.c) {
+      return null;
+    }
+
+    const form = await SignupForm.findById(decoded.f);
+    const contact = await Contact.findById(decoded.c);
+    if (!form || !contact || contact.email !== decoded.e) {
+      return null;
+    }
+
+    if (contact.status === 'pending') {
+      const event = consentService.buildEvent('granted', {
+        source: 'form',
+        lawfulBasis: 'consent',
+        formId: form._id,
+        ip,
+        userAgent
+      });
+
+      contact.status = 'active';
+      contact.set('consent.lawfulBasis', 'consent');
+      contact.set('consent.confirmedAt', event.timestamp);
+      contact.set('consent.confirmedIp', ip);
+      contact.set('consent.confirmedUserAgent', userAgent);
+      contact.consentHistory.push(event);
+      await contact.save();
+
+      // A confirmed opt-in supersedes an earlier unsubscribe
+      await suppressionService.liftForOptIn(contact.userId, contact.email);
+      await SignupForm.updateOne({ _id: form._id }, { $inc: { 'stats.confirmations': 1 } });
+    }
+
+    return { contact, form };
+  }
+}
+
+module.exports = new SubscriptionService();
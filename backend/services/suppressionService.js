@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+const Suppression = require('../models/Suppression');
+
+// Erased data subjects are suppressed by hash so the raw address is not kept
+const ERASED_PREFIX = 'erased:';
+
+// A suppression is only ever replaced by a stronger reason, so a later
+// unsubscribe or erasure never hides a bounce or complaint
+const REASON_STRENGTH = ['unsubscribed', 'manual', 'erased', 'bounced', 'complained'];
+
+// The only reason a fresh, confirmed opt-in supersedes
+const OPT_IN_LIFTABLE = ['unsubscribed'];
+
+const strongerReason = (a, b) => (REASON_STRENGTH.indexOf(a) >= REASON_STRENGTH.indexOf(b) ? a : b);
+
+/**
+ * Suppression Service - Account-wide list of addresses that must never be
+ * mailed again, checked at every send entry point
+ */
+class SuppressionService {
+  normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+  }
+
+  /**
+   * Marker stored in place of the address after a GDPR erasure
+   */
+  erasedMarker(email) {
+    const hash = crypto.createHash('sha256').update(this.normalizeEmail(email)).digest('hex');
+    return `${ERASED_PREFIX}${hash}`;
+  }
+
+  /**
+   * Replace any suppression for the address with a hashed erasure marker,
+   * keeping its reason if that blocks more than the erasure does
+   */
+  async suppressErased(userId, email) {
+    const normalized = this.normalizeEmail(email);
+    const existing = await Suppression.findOne({ userId, email: normalized });
+
+    const marker = await this.suppress(userId, this.erasedMarker(email), {
+      reason: existing ? strongerReason(existing.reason, 'erased') : 'erased',
+      source: 'erasure'
+    });
+    await Suppression.deleteOne({ userId, email: normalized });
+
+    return marker;
+  }
+
+  /**
+   * Add (or refresh) a suppression for an address; an existing, stronger
+   * reason is kept
+   * @param {String} userId - Owner of the suppression list
+   * @param {String} email - Address to suppress
+   * @param {Object} options - { reason, source }
+   */
+  async suppress(userId, email, { reason = 'manual', source = 'manual' } = {}) {
+    const normalized = this.normalizeEmail(email);
+    if (!normalized) {
+      throw new Error('Email is required');
+    }
+
+    try {
+      return await Suppression.findOneAndUpdate(
+        { userId, email: normalized, reason: { $in: this.replaceableReasons(reason) } },
+        {
+          $set: { reason, source, suppressedAt: new Date() },
+          $setOnInsert: { userId, email: normalized }
+        },
+        { upsert: true, new: true, runValidators: true }
+      );
+    } catch (error) {
+      // The upsert collided with a suppression for a stronger reason
+      if (error.code === 11000) {
+        return await Suppression.findOne({ userId, email: normalized });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Reasons a suppression for `reason` may overwrite; upserts filtered on
+   * these fail with a duplicate key error when a stronger one exists
+   */
+  replaceableReasons(reason) {
+    return REASON_STRENGTH.slice(0, REASON_STRENGTH.indexOf(reason) + 1);
+  }
+
+  /**
+   * Whether a suppression keeps a fresh opt-in from being accepted
+   */
+  blocksOptIn(suppression) {
+    return !!suppression && !OPT_IN_LIFTABLE.includes(suppression.reason);
+  }
+
+  /**
+   * Lift suppressions that a fresh, confirmed opt-in supersedes (an earlier
+   * unsubscribe); bounces, complaints, manual blocks and erasures are kept
+   */
+  async liftForOptIn(userId, email) {
+    const result = await Suppression.deleteMany({
+      userId,
+      email: this.normalizeEmail(email),
+      reason: { $in: OPT_IN_LIFTABLE }
+    });
+    return result.deletedCount > 0;
+  }
+
+  async isSuppressed(userId, email) {
+    const found = await Suppression.exists({
+      userId,
+      email: { $in: [this.normalizeEmail(email), this.erasedMarker(email)] }
+    });
+    return !!found;
+  }
+
+  /**
+   * Get the suppression record for an address, or null
+   */
+  async findSuppression(userId, email) {
+    return await Suppression.findOne({
+      userId,
+      email: { $in: [this.normalizeEmail(email), this.erasedMarker(email)] }
+    });
+  }
+
+  /**
+   * Get a matcher for the suppressed addresses of a user
+   * @returns {Object} { has(email) } checking raw addresses and erasure markers
+   */
+  async getSuppressedSet(userId) {
+    const emails = new Set(await Suppression.distinct('email', { userId }));
+    const hasErased = [...emails].some(email => email.startsWith(ERASED_PREFIX));
+
+    return {
+      size: emails.size,
+      has: (email) => emails.has(this.normalizeEmail(email)) ||
+        (hasErased && emails.has(this.erasedMarker(email)))
+    };
+  }
+}
+
+module.exports = new SuppressionService();
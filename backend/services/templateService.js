@@ -0,0 +1,377 @@
+const mongoose = require('mongoose');
+const Contact = require('../models/Contact');
+const { escapeHtml } = require('../utils/publicPage');
+
+// Top-level variables available to every template
+const KNOWN_VARIABLES = ['name', 'firstName', 'email', 'phone', 'tags', 'metadata'];
+
+// Parsed templates are reused across the recipients of a campaign
+const CACHE_LIMIT = 100;
+
+const TAG_PATTERN = /{{\s*([\s\S]*?)\s*}}/g;
+const PATH_PATTERN = /^(@index|@first|@last|this(\.[\w-]+)*|[A-Za-z_][\w-]*(\.[\w-]+)*)$/;
+
+class TemplateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TemplateError';
+  }
+}
+
+// Editors such as Quill HTML-encode quotes and ampersands inside the tags
+const decodeEntities = (value) => value
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, "'")
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&amp;/g, '&');
+
+/**
+ * Parse the inside of a {{ ... }} output tag: a path with an optional
+ * fallback, e.g. `metadata.company | "your company"`
+ */
+const parseOutput = (expression) => {
+  const match = expression.match(/^([^|]+?)\s*(?:\|\s*(?:"([^"]*)"|'([^']*)'))?$/);
+  const path = match ? match[1].trim() : expression;
+  if (!match || !PATH_PATTERN.test(path)) {
+    throw new TemplateError(`Invalid merge tag "{{${expression}}}"`);
+  }
+  const fallback = match[2] !== undefined ? match[2] : match[3];
+  return { type: 'var', path, fallback };
+};
+
+/**
+ * Template Service - Small logic-light template language for per-recipient
+ * personalization of campaign subjects and bodies:
+ *
+ *   {{name}}  {{metadata.company | "there"}}
+ *   {{#if metadata.plan}}...{{else}}...{{/if}}   {{#unless tags}}...{{/unless}}
+ *   {{#each tags}}{{this}}{{#unless @last}}, {{/unless}}{{/each}}
+ *
+ * Values are HTML-escaped when rendering HTML. Metadata values are stored as
+ * strings, so #each treats a string as a comma-separated list.
+ */
+class TemplateService {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  get knownVariables() {
+    return KNOWN_VARIABLES;
+  }
+
+  /**
+   * Parse a template into a node tree
+   * @throws {TemplateError} on malformed tags or unbalanced blocks
+   */
+  parse(source) {
+    const root = { type: 'root', children: [] };
+    const stack = [root];
+    let current = root.children;
+    let lastIndex = 0;
+    let match;
+
+    const text = String(source || '');
+    TAG_PATTERN.lastIndex = 0;
+
+    while ((match = TAG_PATTERN.exec(text)) !== null) {
+      if (match.index > lastIndex) {
+        current.push({ type: 'text', value: text.slice(lastIndex, match.index) });
+      }
+      lastIndex = TAG_PATTERN.lastIndex;
+
+      const tag = decodeEntities(match[1]).trim();
+      const block = stack[stack.length - 1];
+
+      if (tag.startsWith('#')) {
+        const [keyword, ...rest] = tag.slice(1).trim().split(/\s+/);
+        const path = rest.join(' ');
+        if (!['if', 'unless', 'each'].includes(keyword)) {
+          throw new TemplateError(`Unknown block "{{#${keyword}}}"`);
+        }
+        if (!PATH_PATTERN.test(path)) {
+          throw new TemplateError(`Block "{{#${keyword}}}" needs a variable, e.g. {{#${keyword} metadata.plan}}`);
+        }
+        const node = { type: keyword, path, children: [], inverse: [] };
+        current.push(node);
+        stack.push(node);
+        current = node.children;
+      } else if (tag.startsWith('/')) {
+        const keyword = tag.slice(1).trim();
+        if (block.type !== keyword) {
+          throw new TemplateError(block.type === 'root'
+            ? `Unexpected "{{/${keyword}}}" without a matching opening tag`
+            : `Expected "{{/${block.type}}}" but found "{{/${keyword}}}"`);
+        }
+        stack.pop();
+        const parent = stack[stack.length - 1];
+        current = parent.inElse ? parent.inverse : parent.children;
+      } else if (tag === 'else') {
+        if (block.type === 'root' || block.inElse) {
+          throw new TemplateError('Unexpected "{{else}}"');
+        }
+        block.inElse = true;
+        current = block.inverse;
+      } else {
+        current.push(parseOutput(tag));
+      }
+    }
+
+    if (stack.length > 1) {
+      throw new TemplateError(`Missing "{{/${stack[stack.length - 1].type}}}"`);
+    }
+
+    if (lastIndex < text.length) {
+      current.push({ type: 'text', value: text.slice(lastIndex) });
+    }
+
+    return root;
+  }
+
+  compile(source) {
+    const key = String(source || '');
+    if (this.cache.has(key)) {
+      return this.cache.get(key);
+    }
+
+    const tree = this.parse(key);
+    if (this.cache.size >= CACHE_LIMIT) {
+      this.cache.clear();
+    }
+    this.cache.set(key, tree);
+    return tree;
+  }
+
+  /**
+   * Resolve a dotted path: this / @index against the innermost loop,
+   * everything else against the recipient context
+   */
+  lookup(path, context, scopes) {
+    const scope = scopes[scopes.length - 1];
+
+    if (path.startsWith('@')) {
+      return scope ? scope[path] : undefined;
+    }
+
+    let value;
+    let segments = path.split('.');
+
+    if (segments[0] === 'this') {
+      value = scope ? scope.this : context;
+      segments = segments.slice(1);
+    } else {
+      value = context;
+    }
+
+    for (const segment of segments) {
+      if (value === undefined || value === null) return undefined;
+      value = value instanceof Map ? value.get(segment) : value[segment];
+    }
+
+    return value;
+  }
+
+  isTruthy(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    if (typeof value === 'string') return value.trim().length > 0;
+    return !!value;
+  }
+
+  toList(value) {
+    if (Array.isArray(value)) return value;
+    if (typeof value === 'string') {
+      return value.split(',').map(item => item.trim()).filter(Boolean);
+    }
+    return [];
+  }
+
+  stringify(value) {
+    if (value === undefined || value === null) return '';
+    if (Array.isArray(value)) return value.join(', ');
+    return String(value);
+  }
+
+  renderNodes(nodes, context, options, scopes) {
+    let output = '';
+
+    for (const node of nodes) {
+      if (node.type === 'text') {
+        output += node.value;
+      } else if (node.type === 'var') {
+        let value = this.stringify(this.lookup(node.path, context, scopes));
+        if (value === '' && node.fallback !== undefined) {
+          value = node.fallback;
+        }
+        output += options.escape ? escapeHtml(value) : value;
+      } else if (node.type === 'if' || node.type === 'unless') {
+        const truthy = this.isTruthy(this.lookup(node.path, context, scopes));
+        const branch = truthy === (node.type === 'if') ? node.children : node.inverse;
+        output += this.renderNodes(branch, context, options, scopes);
+      } else if (node.type === 'each') {
+        const items = this.toList(this.lookup(node.path, context, scopes));
+        if (items.length === 0) {
+          output += this.renderNodes(node.inverse, context, options, scopes);
+          continue;
+        }
+        items.forEach((item, index) => {
+          output += this.renderNodes(node.children, context, options, [...scopes, {
+            this: item,
+            '@index': index,
+            '@first': index === 0,
+            '@last': index === items.length - 1
+          }]);
+        });
+      }
+    }
+
+    return output;
+  }
+
+  /**
+   * Render a template for one recipient
+   * @param {String} source - Template text
+   * @param {Object} context - Recipient context from buildContext()
+   * @param {Object} options - { escape } HTML-escape values (default false)
+   */
+  render(source, context = {}, options = {}) {
+    if (!source || !String(source).includes('{{')) {
+      return source;
+    }
+    return this.renderNodes(this.compile(source).children, context, { escape: !!options.escape }, []);
+  }
+
+  /**
+   * Render the personalized parts of an email
+   * @param {Object} parts - { subject, text, html }
+   * @param {Object} context - Recipient context
+   */
+  renderEmail({ subject, text, html }, context) {
+    return {
+      subject: this.render(subject, context),
+      text: this.render(text, context),
+      html: this.render(html, context, { escape: true })
+    };
+  }
+
+  /**
+   * Build the template context for a contact (document, lean object or
+   * the { email, name } entries stored on Job.contacts)
+   */
+  buildContext(contact = {}) {
+    const metadata = contact.metadata instanceof Map
+      ? Object.fromEntries(contact.metadata)
+      : (contact.metadata || {});
+    const name = contact.name || '';
+
+    return {
+      name,
+      firstName: name.trim().split(/\s+/)[0] || '',
+      email: contact.email || '',
+      phone: contact.phone || '',
+      tags: contact.tags || [],
+      metadata
+    };
+  }
+
+  /**
+   * Load template contexts for a batch of recipients, keyed by contact id.
+   * Recipients whose contact no longer exists fall back to the batch entry.
+   * @param {Array} recipients - [{ contactId, email, name }]
+   * @returns {Function} contact => context
+   */
+  async loadContexts(recipients) {
+    const ids = recipients
+      .map(recipient => recipient.contactId)
+      .filter(id => id && mongoose.Types.ObjectId.isValid(id));
+
+    const contacts = ids.length > 0
+      ? await Contact.find({ _id: { $in: ids } }).select('email name phone tags metadata').lean()
+      : [];
+    const byId = new Map(contacts.map(contact => [String(contact._id), contact]));
+
+    return (recipient) => this.buildContext(byId.get(String(recipient.contactId)) || recipient);
+  }
+
+  /**
+   * Collect every variable path a node tree refers to
+   */
+  collectVariables(nodes, variables = [], inLoop = false) {
+    for (const node of nodes) {
+      if (node.type === 'var' || node.type === 'if' || node.type === 'unless' || node.type === 'each') {
+        variables.push({ path: node.path, inLoop });
+      }
+      if (node.children) {
+        this.collectVariables(node.children, variables, inLoop || node.type === 'each');
+        this.collectVariables(node.inverse, variables, inLoop || node.type === 'each');
+      }
+    }
+    return variables;
+  }
+
+  /**
+   * Distinct metadata keys across a user's contacts
+   */
+  async getMetadataKeys(userId) {
+    const result = await Contact.aggregate([
+      { $match: { userId: new mongoose.Types.ObjectId(String(userId)), metadata: { $exists: true } } },
+      { $project: { keys: { $objectToArray: '$metadata' } } },
+      { $unwind: '$keys' },
+      { $group: { _id: '$keys.k' } },
+      { $limit: 1000 }
+    ]);
+    return result.map(item => item._id);
+  }
+
+  /**
+   * Check templates for syntax errors and variables that no contact can fill
+   * @param {Object} fields - e.g. { subject, body, bodyHtml }
+   * @param {Array} metadataKeys - Known metadata keys (see getMetadataKeys)
+   * @returns {Object} { valid, errors, unknownVariables, variables }
+   */
+  validate(fields, metadataKeys = []) {
+    const errors = [];
+    const unknownVariables = [];
+    const variables = new Set();
+    const knownMetadata = new Set(metadataKeys);
+
+    Object.entries(fields).forEach(([field, source]) => {
+      if (!source) return;
+
+      let tree;
+      try {
+        tree = this.parse(source);
+      } catch (error) {
+        errors.push({ field, message: error.message });
+        return;
+      }
+
+      this.collectVariables(tree.children).forEach(({ path, inLoop }) => {
+        variables.add(path);
+
+        const [root, key] = path.split('.');
+        let known;
+        if (root === 'this' || root.startsWith('@')) {
+          known = inLoop;
+        } else if (root === 'metadata') {
+          known = !key || knownMetadata.has(key);
+        } else {
+          known = KNOWN_VARIABLES.includes(root) && !key;
+        }
+
+        if (!known && !unknownVariables.some(item => item.field === field && item.variable === path)) {
+          unknownVariables.push({ field, variable: path });
+        }
+      });
+    });
+
+    return {
+      valid: errors.length === 0,
+      errors,
+      unknownVariables,
+      variables: [...variables]
+    };
+  }
+}
+
+module.exports = new TemplateService();
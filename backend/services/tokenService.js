@@ -0,0 +1,52 @@
+const jwt = require('jsonwebtoken');
+
+/**
+ * Token Service - Signs and verifies the tokens embedded in public links
+ * that recipients click without logging in. Every token is bound to a
+ * purpose (JWT audience) so a token issued for one link type cannot be
+ * replayed against another route.
+ */
+class TokenService {
+  getSecret() {
+    const secret = process.env.LINK_SIGNING_SECRET || process.env.JWT_SECRET;
+    if (!secret) {
+      throw new Error('LINK_SIGNING_SECRET or JWT_SECRET must be configured to sign links');
+    }
+    return secret;
+  }
+
+  /**
+   * Sign a payload for a given purpose
+   * @param {String} purpose - e.g. 'unsubscribe'
+   * @param {Object} payload - Claims to embed in the token
+   * @param {Object} options - Extra jsonwebtoken sign options (expiresIn, ...)
+   */
+  sign(purpose, payload, options = {}) {
+    return jwt.sign(payload, this.getSecret(), {
+      ...options,
+      audience: purpose
+    });
+  }
+
+  /**
+   * Verify a token for a given purpose, returns the decoded payload or null
+   */
+  verify(purpose, token) {
+    try {
+      return jwt.verify(token, this.getSecret(), { audience: purpose });
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Build an absolute URL to a public API route
+   * @param {String} pathname - Path below /api, e.g. '/unsubscribe/abc'
+   */
+  getPublicUrl(pathname) {
+    const base = (process.env.PUBLIC_API_URL || `http://localhost:${process.env.PORT || 5000}/api`).replace(/\/$/, '');
+    return `${base}${pathname}`;
+  }
+}
+
+module.exports = new TokenService();
@@ -0,0 +1,195 @@
+const Analytics = require('../models/Analytics');
+const campaignStatsService = require('./campaignStatsService');
+const segmentService = require('./segmentService');
+const tokenService = require('./tokenService');
+
+const OPEN_PURPOSE = 'track-open';
+const CLICK_PURPOSE = 'track-click';
+
+// Transparent 1x1 GIF served for every open request
+const PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+const ANCHOR_HREF = /(<a\b[^>]*?\bhref\s*=\s*)(["'])(.*?)\2/gi;
+
+/**
+ * Tracking Service - Rewrites outgoing HTML with signed click-redirect links
+ * and a per-recipient open pixel, and records the resulting opened/clicked
+ * events when recipients hit the public tracking routes.
+ */
+class TrackingService {
+  get pixel() {
+    return PIXEL;
+  }
+
+  /**
+   * Resolve the per-campaign tracking switches (both on unless disabled)
+   */
+  getSettings(tracking) {
+    return {
+      opens: !tracking || tracking.opens !== false,
+      clicks: !tracking || tracking.clicks !== false
+    };
+  }
+
+  recipientClaims({ userId, campaignId, contactId, email }) {
+    return {
+      u: String(userId),
+      m: String(campaignId),
+      c: contactId ? String(contactId) : undefined,
+      e: email
+    };
+  }
+
+  getOpenUrl(recipient) {
+    const token = tokenService.sign(OPEN_PURPOSE, this.recipientClaims(recipient));
+    return tokenService.getPublicUrl(`/track/open/${token}.gif`);
+  }
+
+  /**
+   * The destination URL is part of the signed token, so the redirect route
+   * cannot be abused as an open redirect
+   */
+  getClickUrl(recipient, url) {
+    const token = tokenService.sign(CLICK_PURPOSE, { ...this.recipientClaims(recipient), l: url });
+    return tokenService.getPublicUrl(`/track/click/${token}`);
+  }
+
+  /**
+   * Only plain http(s) links are rewritten; mailto:, tel:, anchors and
+   * links marked with data-no-track are left alone
+   */
+  isTrackableUrl(url) {
+    return /^https?:\/\//i.test(url);
+  }
+
+  /**
+   * Apply click and open tracking to one recipient's HTML body
+   * @param {String} html - Rendered HTML body
+   * @param {Object} recipient - { userId, campaignId, contactId, email }
+   * @param {Object} tracking - Campaign tracking switches { opens, clicks }
+   */
+  applyTracking(html, recipient, tracking) {
+    if (!html || !recipient || !recipient.campaignId) {
+      return html;
+    }
+
+    const settings = this.getSettings(tracking);
+    let output = html;
+
+    if (settings.clicks) {
+      output = output.replace(ANCHOR_HREF, (match, prefix, quote, href) => {
+        const url = href.trim().replace(/&amp;/g, '&');
+        if (!this.isTrackableUrl(url) || /\bdata-no-track\b/i.test(match)) {
+          return match;
+        }
+        return `${prefix}${quote}${this.getClickUrl(recipient, url)}${quote}`;
+      });
+    }
+
+    if (settings.opens) {
+      const pixel = `<img src="${this.getOpenUrl(recipient)}" width="1" height="1" alt="" style="display:block;border:0;width:1px;height:1px;" />`;
+      output = /<\/body>/i.test(output)
+        ? output.replace(/<\/body>/i, `${pixel}</body>`)
+        : `${output}${pixel}`;
+    }
+
+    return output;
+  }
+
+  decodeToken(purpose, token) {
+    const payload = tokenService.verify(purpose, token);
+    if (!payload || !payload.u || !payload.m || !payload.e) {
+      return null;
+    }
+
+    return {
+      userId: payload.u,
+      campaignId: payload.m,
+      contactId: payload.c,
+      email: payload.e,
+      url: payload.l
+    };
+  }
+
+  /**
+   * Decode a click token, returns the recipient with its destination url or null
+   */
+  decodeClick(token) {
+    const recipient = this.decodeToken(CLICK_PURPOSE, token);
+    if (!recipient || !recipient.url || !this.isTrackableUrl(recipient.url)) {
+      return null;
+    }
+    return recipient;
+  }
+
+  /**
+   * Store the event; Campaign.stats counts unique recipients and is rebuilt
+   * from these events. Returns whether this was the recipient's first.
+   */
+  async recordEvent(event, recipient, metadata = {}) {
+    const { userId, campaignId, contactId, email } = recipient;
+    const isFirst = !(await Analytics.exists({ campaignId, email, event }));
+
+    await Analytics.create({
+      campaignId,
+      userId,
+      contactId,
+      email,
+      event,
+      metadata
+    });
+    await segmentService.markEngaged(recipient, event);
+
+    if (isFirst) {
+      campaignStatsService.schedule(campaignId);
+    }
+
+    return isFirst;
+  }
+
+  /**
+   * Record an open from the tracking pixel
+   * @returns {Object|null} recipient or null for an invalid token
+   */
+  async recordOpen(token, { ip, userAgent } = {}) {
+    const recipient = this.decodeToken(OPEN_PURPOSE, token);
+    if (!recipient) {
+      return null;
+    }
+
+    await this.recordEvent('opened', recipient, {
+      ip: ip || '',
+      userAgent: userAgent || ''
+    });
+
+    return recipient;
+  }
+
+  /**
+   * Record a click and return the destination URL
+   * @returns {Object|null} recipient (with url) or null for an invalid token
+   */
+  async recordClick(token, { ip, userAgent } = {}) {
+    const recipient = this.decodeClick(token);
+    if (!recipient) {
+      return null;
+    }
+
+    const metadata = {
+      url: recipient.url,
+      ip: ip || '',
+      userAgent: userAgent || ''
+    };
+
+    await this.recordEvent('clicked', recipient, metadata);
+
+    // A click proves the message was opened even when images were blocked
+    if (!(await Analytics.exists({ campaignId: recipient.campaignId, email: recipient.email, event: 'opened' }))) {
+      await this.recordEvent('opened', recipient, { ...metadata, inferred: 'click' });
+    }
+
+    return recipient;
+  }
+}
+
+module.exports = new TrackingService();
@@ -0,0 +1,141 @@
+const Contact = require('../models/Contact');
+const Analytics = require('../models/Analytics');
+const List = require('../models/List');
+const tokenService = require('./tokenService');
+const suppressionService = require('./suppressionService');
+const consentService = require('./consentService');
+const listService = require('./listService');
+
+const TOKEN_PURPOSE = 'unsubscribe';
+
+/**
+ * Unsubscribe Service - Issues per-recipient unsubscribe links and applies
+ * unsubscribe requests coming from the footer link or from a mailbox
+ * provider's one-click (RFC 8058) POST. Links of campaigns sent to lists
+ * unsubscribe from those lists only, unless the recipient opts out of
+ * everything.
+ */
+class UnsubscribeService {
+  /**
+   * Create the signed token for one recipient of a campaign
+   */
+  createToken({ userId, campaignId, contactId, email, listIds }) {
+    return tokenService.sign(TOKEN_PURPOSE, {
+      u: String(userId),
+      m: campaignId ? String(campaignId) : undefined,
+      c: contactId ? String(contactId) : undefined,
+      e: email,
+      l: listIds && listIds.length ? listIds.map(String) : undefined
+    });
+  }
+
+  getUnsubscribeUrl(recipient) {
+    return tokenService.getPublicUrl(`/unsubscribe/${this.createToken(recipient)}`);
+  }
+
+  /**
+   * Decode a token without applying it, returns null if it is invalid
+   */
+  decodeToken(token) {
+    const decoded = tokenService.verify(TOKEN_PURPOSE, token);
+    if (!decoded || !decoded.u || !decoded.e) {
+      return null;
+    }
+
+    return {
+      userId: decoded.u,
+      campaignId: decoded.m,
+      contactId: decoded.c,
+      email: decoded.e,
+      listIds: Array.isArray(decoded.l) ? decoded.l : []
+    };
+  }
+
+  /**
+   * Lists a decoded token unsubscribes from that still exist
+   */
+  async getLists(recipient) {
+    if (!recipient.listIds.length) {
+      return [];
+    }
+    return await List.find({ _id: { $in: recipient.listIds }, userId: recipient.userId }).select('name');
+  }
+
+  /**
+   * Record the unsubscribe against the campaign whose link was used
+   */
+  async recordEvent(recipient, contact, metadata) {
+    if (!contact || !recipient.campaignId) {
+      return;
+    }
+    await Analytics.create({
+      campaignId: recipient.campaignId,
+      userId: recipient.userId,
+      contactId: contact._id,
+      email: contact.email,
+      event: 'unsubscribed',
+      metadata
+    });
+  }
+
+  /**
+   * Apply an unsubscribe request
+   * @param {String} token - Token taken from the unsubscribe URL
+   * @param {Object} metadata - Extra analytics metadata (method, ip, ...)
+   */
+  async unsubscribe(token, metadata = {}, { scope = 'lists' } = {}) {
+    const recipient = this.decodeToken(token);
+    if (!recipient) {
+      return null;
+    }
+
+    // Links of list campaigns leave just those lists, as long as any still exist
+    const lists = scope === 'all' ? [] : await this.getLists(recipient);
+    if (lists.length) {
+      const contact = await listService.unsubscribe(recipient.userId, lists.map(list => list._id), recipient.email);
+      // Analytics metadata only holds strings
+      await this.recordEvent(recipient, contact, { ...metadata, lists: lists.map(list => String(list._id)).join(',') });
+
+      return {
+        ...recipient,
+        scope: 'lists',
+        lists: lists.map(list => list.name),
+        alreadyUnsubscribed: !contact
+      };
+    }
+
+    const contact = await Contact.findOneAndUpdate(
+      {
+        userId: recipient.userId,
+        email: recipient.email.toLowerCase(),
+        status: { $ne: 'unsubscribed' }
+      },
+      {
+        $set: { status: 'unsubscribed', 'consent.withdrawnAt': new Date() },
+        $push: {
+          consentHistory: consentService.buildEvent('withdrawn', {
+            source: metadata.method === 'one-click' ? 'one-click' : 'unsubscribe-link'
+          })
+        }
+      },
+      { new: true }
+    );
+
+    // Suppress the address even if the contact has since been deleted
+    await suppressionService.suppress(recipient.userId, recipient.email, {
+      reason: 'unsubscribed',
+      source: metadata.method === 'one-click' ? 'one-click' : 'unsubscribe-link'
+    });
+
+    // Only record the event the first time, repeated clicks are no-ops
+    await this.recordEvent(recipient, contact, metadata);
+
+    return {
+      ...recipient,
+      scope: 'all',
+      alreadyUnsubscribed: !contact
+    };
+  }
+}
+
+module.exports = new UnsubscribeService();
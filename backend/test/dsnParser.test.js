@@ -0,0 +1,93 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const dsnParser = require('../services/dsnParser');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'dsn', name));
+
+describe('dsnParser.parse', () => {
+  it('parses a hard bounce with the original headers', () => {
+    const report = dsnParser.parse(fixture('hard-bounce.eml'));
+
+    assert.equal(report.reportingMta, 'mx.sender.test');
+    assert.equal(report.originalMessageId, 'campaign-1.abc123@sender.test');
+    assert.equal(report.recipients.length, 1);
+
+    const [recipient] = report.recipients;
+    assert.equal(recipient.email, 'nobody@example.com');
+    assert.equal(recipient.action, 'failed');
+    assert.equal(recipient.status, '5.1.1');
+    assert.match(recipient.diagnosticCode, /User unknown/);
+    assert.equal(recipient.type, 'hard');
+    assert.equal(dsnParser.getBounces(report).length, 1);
+  });
+
+  it('treats a delay notification as a soft bounce', () => {
+    const report = dsnParser.parse(fixture('soft-bounce-delayed.eml'));
+
+    assert.equal(report.originalMessageId, 'campaign-1.def456@sender.test');
+    assert.deepEqual(
+      report.recipients.map(({ email, action, status, type }) => ({ email, action, status, type })),
+      [{ email: 'busy@example.org', action: 'delayed', status: '4.4.1', type: 'soft' }]
+    );
+  });
+
+  it('treats a full mailbox as a soft bounce despite the 5.x.x status', () => {
+    const report = dsnParser.parse(fixture('soft-bounce-mailbox-full.eml'));
+
+    assert.equal(report.recipients[0].status, '5.2.2');
+    assert.equal(report.recipients[0].type, 'soft');
+  });
+
+  it('reads every recipient of a report nested in multipart/mixed', () => {
+    const report = dsnParser.parse(fixture('multipart-report-multiple.eml'));
+
+    assert.equal(report.reportingMta, 'relay.example.com');
+    assert.equal(report.originalMessageId, 'campaign-3.bbb222@sender.test');
+    assert.deepEqual(
+      report.recipients.map(({ email, action, type }) => ({ email, action, type })),
+      [
+        { email: 'gone@example.com', action: 'failed', type: 'hard' },
+        { email: 'quota@example.com', action: 'failed', type: 'soft' },
+        { email: 'ok@example.com', action: 'delivered', type: 'soft' }
+      ]
+    );
+
+    // Delivered notifications are not bounces
+    assert.deepEqual(dsnParser.getBounces(report).map(recipient => recipient.email), ['gone@example.com', 'quota@example.com']);
+  });
+
+  it('accepts CRLF line endings', () => {
+    const lf = fixture('hard-bounce.eml').toString('utf8');
+    const crlf = lf.replace(/\n/g, '\r\n');
+
+    assert.deepEqual(dsnParser.parse(crlf), dsnParser.parse(lf));
+  });
+
+  it('returns null for a message that is not a DSN', () => {
+    const report = dsnParser.parse(fixture('not-a-dsn.eml'));
+
+    assert.equal(report, null);
+    assert.deepEqual(dsnParser.getBounces(report), []);
+  });
+});
+
+describe('dsnParser.classify', () => {
+  it('classifies permanent failures as hard', () => {
+    assert.equal(dsnParser.classify('failed', '5.1.1'), 'hard');
+    assert.equal(dsnParser.classify('failed', '5.4.4'), 'hard');
+  });
+
+  it('classifies transient failures and non-address 5.x.x statuses as soft', () => {
+    assert.equal(dsnParser.classify('failed', '4.2.2'), 'soft');
+    assert.equal(dsnParser.classify('failed', '5.2.2'), 'soft');
+    assert.equal(dsnParser.classify('failed', '5.7.1'), 'soft');
+    assert.equal(dsnParser.classify('delayed', '5.1.1'), 'soft');
+  });
+
+  it('falls back to the SMTP reply code without a status', () => {
+    assert.equal(dsnParser.classify('failed', '', 'smtp; 550 No such user'), 'hard');
+    assert.equal(dsnParser.classify('failed', undefined, 'smtp; 451 Try again later'), 'soft');
+  });
+});
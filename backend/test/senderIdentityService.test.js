@@ -0,0 +1,142 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const SenderIdentity = require('../models/SenderIdentity');
+const emailService = require('../services/emailService');
+const senderIdentityService = require('../services/senderIdentityService');
+
+const domainIdentity = () => new SenderIdentity({
+  userId: '64b000000000000000000001',
+  type: 'domain',
+  value: 'sender.test',
+  status: 'pending',
+  verificationToken: 'abc123'
+});
+
+const emailIdentity = () => new SenderIdentity({
+  userId: '64b000000000000000000001',
+  type: 'email',
+  value: 'me@sender.test',
+  status: 'pending'
+});
+
+describe('senderIdentityService.checkDomain', () => {
+  const originalResolveTxt = senderIdentityService.resolveTxt;
+  let saved;
+
+  beforeEach(() => {
+    saved = null;
+    // Return the update the service asked for instead of writing it
+    mock.method(SenderIdentity, 'findOneAndUpdate', async (filter, update) => {
+      saved = update.$set;
+      return { ...filter, ...update.$set };
+    });
+  });
+
+  afterEach(() => {
+    senderIdentityService.resolveTxt = originalResolveTxt;
+    mock.restoreAll();
+  });
+
+  it('verifies the domain when its TXT record is published', async () => {
+    const lookups = [];
+    senderIdentityService.resolveTxt = async (hostname) => {
+      lookups.push(hostname);
+      return [['v=spf1 -all'], ['email-automation-verification=abc123']];
+    };
+
+    await senderIdentityService.checkDomain(domainIdentity());
+
+    assert.deepEqual(lookups, ['sender.test']);
+    assert.equal(saved.status, 'verified');
+    assert.ok(saved.verifiedAt instanceof Date);
+    assert.equal(saved.lastError, '');
+  });
+
+  it('joins TXT records that come back split into chunks', async () => {
+    senderIdentityService.resolveTxt = async () => [['email-automation-', 'verification=abc123']];
+
+    await senderIdentityService.checkDomain(domainIdentity());
+
+    assert.equal(saved.status, 'verified');
+  });
+
+  it('stays pending when the record is missing', async () => {
+    senderIdentityService.resolveTxt = async () => [['email-automation-verification=other']];
+
+    await senderIdentityService.checkDomain(domainIdentity());
+
+    assert.equal(saved.status, undefined);
+    assert.match(saved.lastError, /TXT record email-automation-verification=abc123 not found on sender\.test/);
+  });
+
+  it('records DNS failures instead of throwing', async () => {
+    senderIdentityService.resolveTxt = async () => {
+      throw Object.assign(new Error('queryTxt ENOTFOUND sender.test'), { code: 'ENOTFOUND' });
+    };
+
+    await senderIdentityService.checkDomain(domainIdentity());
+
+    assert.equal(saved.status, undefined);
+    assert.equal(saved.lastError, 'DNS lookup failed: ENOTFOUND');
+  });
+});
+
+describe('senderIdentityService.sendVerification', () => {
+  let lastSentAt;
+  let sendEmail;
+
+  beforeEach(() => {
+    lastSentAt = undefined;
+    // Mirror the atomic claim on verificationSentAt in memory
+    mock.method(SenderIdentity, 'updateOne', async (filter, update) => {
+      if (update.$unset) {
+        lastSentAt = undefined;
+        return { modifiedCount: 1 };
+      }
+      const cooldownStart = filter.verificationSentAt.$not.$gt;
+      if (lastSentAt && lastSentAt > cooldownStart) {
+        return { modifiedCount: 0 };
+      }
+      lastSentAt = update.$set.verificationSentAt;
+      return { modifiedCount: 1 };
+    });
+    sendEmail = mock.method(emailService, 'sendEmail', async () => ({ success: true, messageId: 'm1' }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('mails the link once within the resend cooldown', async () => {
+    const identity = emailIdentity();
+
+    assert.ok(await senderIdentityService.sendVerification(identity));
+    assert.equal(await senderIdentityService.sendVerification(identity), null);
+
+    assert.equal(sendEmail.mock.callCount(), 1);
+    assert.equal(sendEmail.mock.calls[0].arguments[0].to, 'me@sender.test');
+  });
+
+  it('sends again once the cooldown has passed', async () => {
+    const identity = emailIdentity();
+    await senderIdentityService.sendVerification(identity);
+
+    lastSentAt = new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+    assert.ok(await senderIdentityService.sendVerification(identity));
+    assert.equal(sendEmail.mock.callCount(), 2);
+  });
+
+  it('releases the cooldown when the email could not be sent', async () => {
+    const identity = emailIdentity();
+    sendEmail.mock.mockImplementation(async () => ({ success: false, error: 'SMTP down' }));
+
+    await assert.rejects(senderIdentityService.sendVerification(identity), /SMTP down/);
+
+    sendEmail.mock.mockImplementation(async () => ({ success: true }));
+    assert.ok(await senderIdentityService.sendVerification(identity));
+  });
+});
@@ -0,0 +1,62 @@
+// Delivery window helpers: work out how long to hold a recipient's email so it
+// arrives between startHour and endHour in the recipient's own timezone
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Whether a value is an IANA timezone name the runtime understands
+ */
+const isValidTimezone = (timezone) => {
+  if (!timezone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Minutes since local midnight for an instant in a timezone
+ */
+const getLocalMinutes = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hour: 'numeric',
+    minute: 'numeric',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const hour = parseInt(parts.find(part => part.type === 'hour').value);
+  const minute = parseInt(parts.find(part => part.type === 'minute').value);
+  return hour * 60 + minute;
+};
+
+/**
+ * Milliseconds to wait before sending so the email lands inside the window
+ * @param {Object} window - { enabled, startHour, endHour, timezone } from the campaign
+ * @param {String} timezone - Recipient timezone; falls back to the window's default
+ * @param {Date} now - Reference time (defaults to the current time)
+ * @returns {Number} 0 when the recipient is already inside the window
+ */
+const getDelay = (window, timezone, now = new Date()) => {
+  if (!window || !window.enabled) return 0;
+
+  const start = Math.max(0, Math.min(23, parseInt(window.startHour))) * 60;
+  const end = Math.max(1, Math.min(24, parseInt(window.endHour))) * 60;
+  if (Number.isNaN(start) || Number.isNaN(end) || start === end) return 0;
+
+  const zone = [timezone, window.timezone].find(isValidTimezone) || 'UTC';
+  const local = getLocalMinutes(now, zone);
+
+  // Windows may wrap past midnight, e.g. 22:00-06:00
+  const inside = start < end
+    ? local >= start && local < end
+    : local >= start || local < end;
+  if (inside) return 0;
+
+  const minutesUntilStart = (start - local + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  return minutesUntilStart * 60000 - now.getSeconds() * 1000 - now.getMilliseconds();
+};
+
+module.exports = { isValidTimezone, getLocalMinutes, getDelay };
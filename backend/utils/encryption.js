@@ -0,0 +1,35 @@
+const crypto = require('crypto');
+
+// Symmetric encryption for secrets stored in MongoDB (AES-256-GCM).
+// Values look like v1:<iv>:<auth tag>:<ciphertext>, all base64.
+
+const VERSION = 'v1';
+
+const getKey = () => {
+  const secret = process.env.ENCRYPTION_KEY || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('ENCRYPTION_KEY or JWT_SECRET must be configured to encrypt secrets');
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+};
+
+const encrypt = (plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+  return [VERSION, iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':');
+};
+
+const decrypt = (value) => {
+  const [version, iv, tag, ciphertext] = String(value || '').split(':');
+  if (version !== VERSION || !iv || !tag || !ciphertext) {
+    throw new Error('Unsupported encrypted value');
+  }
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+};
+
+module.exports = { encrypt, decrypt };
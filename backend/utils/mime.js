@@ -0,0 +1,142 @@
+// Minimal MIME helpers for machine-generated reports (DSN bounces, ARF
+// complaints). These messages are small and well structured, so a simple
+// splitter is enough and keeps the parsers easy to test with raw fixtures.
+
+/**
+ * Parse a header block into a lowercase-keyed object, unfolding continuation
+ * lines. Repeated headers keep the first value.
+ */
+const parseHeaders = (text) => {
+  const headers = {};
+  const unfolded = String(text || '').replace(/\r\n/g, '\n').replace(/\n[ \t]+/g, ' ');
+
+  unfolded.split('\n').forEach(line => {
+    const index = line.indexOf(':');
+    if (index <= 0) return;
+    const name = line.slice(0, index).trim().toLowerCase();
+    const value = line.slice(index + 1).trim();
+    if (!(name in headers)) {
+      headers[name] = value;
+    }
+  });
+
+  return headers;
+};
+
+/**
+ * Split a raw message into its header block and body
+ */
+const splitMessage = (raw) => {
+  const text = Buffer.isBuffer(raw) ? raw.toString('utf8') : String(raw || '');
+  const normalized = text.replace(/\r\n/g, '\n');
+  const separator = normalized.indexOf('\n\n');
+
+  if (separator === -1) {
+    return { headers: parseHeaders(normalized), body: '' };
+  }
+
+  return {
+    headers: parseHeaders(normalized.slice(0, separator)),
+    body: normalized.slice(separator + 2)
+  };
+};
+
+/**
+ * Parse a Content-Type header into { type, params }
+ */
+const parseContentType = (value) => {
+  const [type, ...rest] = String(value || 'text/plain').split(';');
+  const params = {};
+
+  rest.forEach(param => {
+    const index = param.indexOf('=');
+    if (index === -1) return;
+    const key = param.slice(0, index).trim().toLowerCase();
+    params[key] = param.slice(index + 1).trim().replace(/^"(.*)"$/, '$1');
+  });
+
+  return { type: type.trim().toLowerCase(), params };
+};
+
+const decodeBody = (body, encoding) => {
+  const transfer = String(encoding || '').toLowerCase();
+
+  if (transfer === 'base64') {
+    return Buffer.from(body.replace(/\s+/g, ''), 'base64').toString('utf8');
+  }
+
+  if (transfer === 'quoted-printable') {
+    return body
+      .replace(/=\n/g, '')
+      .replace(/=([0-9A-F]{2})/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+  }
+
+  return body;
+};
+
+/**
+ * Flatten a message into its leaf parts, descending into nested multiparts
+ * @returns {Array} [{ contentType, params, headers, body }]
+ */
+const getParts = (raw) => {
+  const { headers, body } = splitMessage(raw);
+  const { type, params } = parseContentType(headers['content-type']);
+
+  if (type.startsWith('multipart/') && params.boundary) {
+    const delimiter = `--${params.boundary}`;
+    const sections = body.split(delimiter).slice(1);
+    const parts = [];
+
+    for (const section of sections) {
+      // The closing delimiter is followed by "--"
+      if (section.startsWith('--')) break;
+      parts.push(...getParts(section.replace(/^[ \t]*\n/, '')));
+    }
+
+    return parts;
+  }
+
+  return [{
+    contentType: type,
+    params,
+    headers,
+    body: decodeBody(body, headers['content-transfer-encoding'])
+  }];
+};
+
+/**
+ * Parse a report body made of header-style field groups separated by blank
+ * lines (message/delivery-status, message/feedback-report)
+ * @returns {Array} Field groups, each a lowercase-keyed object
+ */
+const parseFieldGroups = (text) => String(text || '')
+  .replace(/\r\n/g, '\n')
+  .split(/\n\s*\n/)
+  .map(group => parseHeaders(group))
+  .filter(group => Object.keys(group).length > 0);
+
+/**
+ * Extract a bare address from values like "rfc822; user@example.com" or
+ * "Name <user@example.com>"
+ */
+const extractAddress = (value) => {
+  const text = String(value || '');
+  const withoutType = text.includes(';') ? text.slice(text.indexOf(';') + 1) : text;
+  const bracketed = withoutType.match(/<([^>]+)>/);
+  return (bracketed ? bracketed[1] : withoutType).trim().toLowerCase();
+};
+
+/**
+ * Strip angle brackets from a Message-ID
+ */
+const normalizeMessageId = (value) => String(value || '').trim().replace(/^<|>$/g, '');
+
+module.exports = {
+  parseHeaders,
+  splitMessage,
+  parseContentType,
+  getParts,
+  parseFieldGroups,
+  extractAddress,
+  normalizeMessageId
+};
@@ -0,0 +1,25 @@
+// Minimal HTML pages for public (unauthenticated) routes that recipients open in a browser
+
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const renderPage = (title, message, extra = '') => `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${title}</title>
+</head>
+<body style="font-family: Arial, sans-serif; background: #f9fafb; color: #111827;">
+  <div style="max-width: 480px; margin: 80px auto; background: #fff; padding: 32px; border-radius: 8px; text-align: center;">
+    <h1 style="font-size: 22px;">${title}</h1>
+    <p style="color: #4b5563;">${message}</p>
+    ${extra}
+  </div>
+</body>
+</html>`;
+
+module.exports = { escapeHtml, renderPage };
@@ -0,0 +1,28 @@
+// Classify send failures so only errors that may go away on their own are retried
+
+// 5xx replies that still mean "try again later" in practice (mailbox full)
+const TRANSIENT_RESPONSE_CODES = [552];
+
+// nodemailer codes for messages refused before any server reply, e.g. a malformed address
+const PERMANENT_ERROR_CODES = ['EENVELOPE'];
+
+/**
+ * Whether a failed send should not be retried
+ * @param {Object} failure - { responseCode, code } as returned by emailService.sendEmail
+ * @returns {Boolean} true for 5xx rejections; 4xx replies, network errors and
+ * unknown errors are treated as transient
+ */
+const isPermanentFailure = (failure = {}) => {
+  const responseCode = parseInt(failure.responseCode);
+
+  if (responseCode >= 500 && responseCode < 600) {
+    return !TRANSIENT_RESPONSE_CODES.includes(responseCode);
+  }
+  if (responseCode >= 400 && responseCode < 500) {
+    return false;
+  }
+
+  return PERMANENT_ERROR_CODES.includes(failure.code);
+};
+
+module.exports = { isPermanentFailure };
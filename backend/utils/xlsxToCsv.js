@@ -0,0 +1,58 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+
+// Reading a workbook is synchronous and can take far more memory than the
+// file itself, so it runs in a worker thread with its own heap limit and
+// never blocks the API's event loop
+const WORKER_MEMORY_MB = parseInt(process.env.IMPORT_XLSX_WORKER_MEMORY_MB || '1024');
+
+if (!isMainThread && workerData && workerData.xlsxToCsv) {
+  const xlsx = require('xlsx');
+  const { filePath, csvPath, sheetRows } = workerData;
+
+  // Dense sheets take far less memory than the default cell map
+  const workbook = xlsx.readFile(filePath, { dense: true, sheetRows });
+  const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+  // !fullref is the whole sheet's range when sheetRows cut it short
+  const ref = worksheet && (worksheet['!fullref'] || worksheet['!ref']);
+  const range = ref ? xlsx.utils.decode_range(ref) : null;
+
+  const output = fs.createWriteStream(csvPath);
+  output.on('finish', () => parentPort.postMessage({ totalRows: range ? range.e.r - range.s.r : 0 }));
+  output.on('error', (error) => { throw error; });
+  xlsx.stream.to_csv(worksheet || {}, { blankrows: false }).pipe(output);
+}
+
+/**
+ * Write the first sheet of a workbook to a temporary CSV file
+ * @param {Object} options - { sheetRows } to read only the first rows
+ * @returns {Promise<Object>} { csvPath, totalRows } - the caller removes csvPath
+ */
+const xlsxToCsv = (filePath, { sheetRows } = {}) => new Promise((resolve, reject) => {
+  const csvPath = path.join(os.tmpdir(), `xlsx-${crypto.randomBytes(8).toString('hex')}.csv`);
+  const worker = new Worker(__filename, {
+    workerData: { xlsxToCsv: true, filePath, csvPath, sheetRows },
+    resourceLimits: { maxOldGenerationSizeMb: WORKER_MEMORY_MB }
+  });
+
+  let result = null;
+  let failure = null;
+  worker.once('message', (message) => { result = message; });
+  worker.once('error', (error) => {
+    failure = error.code === 'ERR_WORKER_OUT_OF_MEMORY'
+      ? new Error('The spreadsheet is too large to read, save it as CSV instead')
+      : error;
+  });
+  worker.once('exit', (code) => {
+    if (result && !failure) {
+      return resolve({ csvPath, ...result });
+    }
+    fs.rm(csvPath, { force: true }, () => {});
+    reject(failure || new Error(`Spreadsheet worker exited with code ${code}`));
+  });
+});
+
+module.exports = { xlsxToCsv };
@@ -11,6 +11,7 @@ import Campaigns from './components/Campaigns/Campaigns';
 import CampaignDetail from './components/Campaigns/CampaignDetail';
 import CreateCampaign from './components/Campaigns/CreateCampaign';
 import Analytics from './components/Analytics/Analytics';
+import Senders from './components/Senders/Senders';
 import Navbar from './components/Layout/Navbar';
 import PrivateRoute from './components/Auth/PrivateRoute';
 
@@ -81,6 +82,14 @@ function AppContent() {
               </PrivateRoute>
             }
           />
+          <Route
+            path="/senders"
+            element={
+              <PrivateRoute>
+                <Senders />
+              </PrivateRoute>
+            }
+          />
           <Route path="/" element={<Navigate to={user ? "/dashboard" : "/login"} />} />
         </Routes>
         <Toaster position="top-right" />
@@ -8,6 +8,13 @@ import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, Responsi
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
 const SOCKET_URL = process.env.REACT_APP_SOCKET_URL || 'http://localhost:5000';
 
+// Value for a datetime-local input, in the browser's timezone
+const toLocalInputValue = (date) => {
+  const value = new Date(date);
+  value.setMinutes(value.getMinutes() - value.getTimezoneOffset());
+  return value.toISOString().slice(0, 16);
+};
+
 const CampaignDetail = () => {
   const { id } = useParams();
   const navigate = useNavigate();
@@ -16,12 +23,28 @@ const CampaignDetail = () => {
   const [analytics, setAnalytics] = useState(null);
   const [loading, setLoading] = useState(true);
   const [sending, setSending] = useState(false);
+  const [scheduleAt, setScheduleAt] = useState('');
+  const [scheduling, setScheduling] = useState(false);
+  const [controlling, setControlling] = useState(false);
+  const [failures, setFailures] = useState(null);
+  const [retrying, setRetrying] = useState(false);
+  const [preflight, setPreflight] = useState(null);
+  const [checking, setChecking] = useState(false);
+  const [showTest, setShowTest] = useState(false);
+  const [testEmails, setTestEmails] = useState('');
+  const [testContactId, setTestContactId] = useState('');
+  const [sampleContacts, setSampleContacts] = useState([]);
+  const [testing, setTesting] = useState(false);
 
   const fetchCampaign = useCallback(async () => {
     try {
       const response = await axios.get(`${API_URL}/campaigns/${id}`);
       setCampaign(response.data.campaign);
+      if (response.data.campaign.scheduledAt) {
+        setScheduleAt(toLocalInputValue(response.data.campaign.scheduledAt));
+      }
       setBatches(response.data.batches?.jobs || []);
+      setFailures(response.data.failures || null);
     } catch (error) {
       toast.error('Failed to load campaign');
       navigate('/campaigns');
@@ -77,6 +100,15 @@ const CampaignDetail = () => {
       }
     });
 
+    ['campaign-paused', 'campaign-resumed', 'campaign-cancelled'].forEach((event) => {
+      socket.on(event, (data) => {
+        if (data.campaignId === id) {
+          fetchCampaign();
+          fetchAnalytics();
+        }
+      });
+    });
+
     return () => {
       socket.disconnect();
     };
@@ -93,13 +125,22 @@ const CampaignDetail = () => {
     }
   }, [campaign?.status, fetchCampaign, fetchAnalytics]);
 
-  const handleSend = async () => {
-    if (!window.confirm('Are you sure you want to send this campaign?')) {
-      return;
+  const handlePreflight = async () => {
+    try {
+      setChecking(true);
+      const response = await axios.get(`${API_URL}/campaigns/${id}/preflight`);
+      setPreflight(response.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to run pre-send checks');
+    } finally {
+      setChecking(false);
     }
+  };
 
+  const handleSend = async () => {
     try {
       setSending(true);
+      setPreflight(null);
       // Optimistically reflect sending state
       setCampaign((prev) => prev ? { ...prev, status: 'sending' } : prev);
       await axios.post(`${API_URL}/campaigns/${id}/send`);
@@ -112,6 +153,128 @@ const CampaignDetail = () => {
     }
   };
 
+  const handleSchedule = async () => {
+    if (!scheduleAt) {
+      toast.error('Pick a date and time');
+      return;
+    }
+
+    try {
+      setScheduling(true);
+      const response = await axios.post(`${API_URL}/campaigns/${id}/schedule`, {
+        scheduledAt: new Date(scheduleAt).toISOString(),
+      });
+      setCampaign(response.data);
+      toast.success(`Campaign scheduled for ${new Date(response.data.scheduledAt).toLocaleString()}`);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to schedule campaign');
+    } finally {
+      setScheduling(false);
+    }
+  };
+
+  const handleCancelSchedule = async () => {
+    if (!window.confirm('Cancel the scheduled send? The campaign will go back to draft.')) {
+      return;
+    }
+
+    try {
+      setScheduling(true);
+      const response = await axios.delete(`${API_URL}/campaigns/${id}/schedule`);
+      setCampaign(response.data);
+      setScheduleAt('');
+      toast.success('Schedule cancelled');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to cancel schedule');
+    } finally {
+      setScheduling(false);
+    }
+  };
+
+  const handleControl = async (action, successMessage) => {
+    try {
+      setControlling(true);
+      const response = await axios.post(`${API_URL}/campaigns/${id}/${action}`);
+      setCampaign(response.data.campaign);
+      toast.success(successMessage);
+      fetchCampaign();
+    } catch (error) {
+      toast.error(error.response?.data?.message || `Failed to ${action} campaign`);
+    } finally {
+      setControlling(false);
+    }
+  };
+
+  const handlePause = () => handleControl('pause', 'Campaign paused');
+
+  const handleResume = () => handleControl('resume', 'Campaign resumed');
+
+  const handleCancelSend = () => {
+    if (!window.confirm('Cancel this campaign? Emails that have not been sent yet will be dropped and it cannot be resumed.')) {
+      return;
+    }
+    handleControl('cancel', 'Campaign cancelled');
+  };
+
+  const handleRecomputeStats = async () => {
+    try {
+      const response = await axios.post(`${API_URL}/campaigns/${id}/recompute-stats`);
+      setCampaign((prev) => prev ? { ...prev, stats: { ...prev.stats, ...response.data.stats } } : prev);
+      toast.success('Stats recalculated');
+      fetchAnalytics();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to recalculate stats');
+    }
+  };
+
+  const handleOpenTest = async () => {
+    setShowTest(!showTest);
+    if (showTest) return;
+
+    try {
+      const [sendersRes, contactsRes] = await Promise.all([
+        axios.get(`${API_URL}/senders?status=verified`),
+        axios.get(`${API_URL}/contacts?limit=50`),
+      ]);
+      const verified = sendersRes.data.filter((sender) => sender.type === 'email').map((sender) => sender.value);
+      if (!testEmails && verified.length > 0) {
+        setTestEmails(verified[0]);
+      }
+      setSampleContacts(contactsRes.data.contacts || []);
+    } catch (error) {
+      toast.error('Failed to load test send options');
+    }
+  };
+
+  const handleSendTest = async () => {
+    try {
+      setTesting(true);
+      const response = await axios.post(`${API_URL}/campaigns/${id}/test`, {
+        emails: testEmails,
+        contactId: testContactId || undefined,
+      });
+      toast.success(response.data.message);
+      fetchAnalytics();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to send test');
+    } finally {
+      setTesting(false);
+    }
+  };
+
+  const handleRetryFailed = async () => {
+    try {
+      setRetrying(true);
+      const response = await axios.post(`${API_URL}/campaigns/${id}/retry-failed`);
+      toast.success(response.data.message);
+      fetchCampaign();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to retry emails');
+    } finally {
+      setRetrying(false);
+    }
+  };
+
   if (loading) {
     return (
       <div className="min-h-screen flex items-center justify-center">
@@ -128,7 +291,8 @@ const CampaignDetail = () => {
     total: acc.total + batch.progress.total,
     sent: acc.sent + batch.progress.sent,
     failed: acc.failed + batch.progress.failed,
-  }), { total: 0, sent: 0, failed: 0 });
+    cancelled: acc.cancelled + (batch.progress.cancelled || 0),
+  }), { total: 0, sent: 0, failed: 0, cancelled: 0 });
 
   const progressPercent = totalProgress.total > 0 
     ? Math.round((totalProgress.sent / totalProgress.total) * 100) 
@@ -148,19 +312,153 @@ const CampaignDetail = () => {
             <h1 className="text-3xl font-bold text-gray-900 dark:text-white">{campaign.name}</h1>
             <p className="mt-2 text-gray-600 dark:text-gray-400">{campaign.subject}</p>
           </div>
-          {campaign.status === 'draft' && (
-            <button
-              onClick={handleSend}
-              disabled={sending}
-              className="px-6 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 disabled:opacity-50"
-            >
-              {sending ? 'Sending...' : 'Send Campaign'}
-            </button>
+          {(campaign.status === 'draft' || campaign.status === 'scheduled') && (
+            <div className="flex flex-col items-end space-y-2">
+              <button
+                onClick={handlePreflight}
+                disabled={sending || checking}
+                className="px-6 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 disabled:opacity-50"
+              >
+                {sending ? 'Sending...' : checking ? 'Checking...' : campaign.status === 'scheduled' ? 'Send Now' : 'Send Campaign'}
+              </button>
+              <div className="flex items-center space-x-2">
+                <input
+                  type="datetime-local"
+                  value={scheduleAt}
+                  onChange={(e) => setScheduleAt(e.target.value)}
+                  className="px-3 py-2 border border-gray-300 rounded-md text-sm dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                />
+                <button
+                  onClick={handleSchedule}
+                  disabled={scheduling}
+                  className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 bg-white hover:bg-gray-50 dark:bg-gray-700 dark:text-gray-300 dark:border-gray-600 disabled:opacity-50"
+                >
+                  {campaign.status === 'scheduled' ? 'Reschedule' : 'Schedule'}
+                </button>
+                {campaign.status === 'scheduled' && (
+                  <button
+                    onClick={handleCancelSchedule}
+                    disabled={scheduling}
+                    className="px-4 py-2 text-red-600 hover:text-red-700 disabled:opacity-50"
+                  >
+                    Cancel Schedule
+                  </button>
+                )}
+              </div>
+            </div>
+          )}
+          {(campaign.status === 'sending' || campaign.status === 'paused') && (
+            <div className="flex items-center space-x-2">
+              {campaign.status === 'sending' ? (
+                <button
+                  onClick={handlePause}
+                  disabled={controlling}
+                  className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 bg-white hover:bg-gray-50 dark:bg-gray-700 dark:text-gray-300 dark:border-gray-600 disabled:opacity-50"
+                >
+                  Pause
+                </button>
+              ) : (
+                <button
+                  onClick={handleResume}
+                  disabled={controlling}
+                  className="px-6 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 disabled:opacity-50"
+                >
+                  Resume
+                </button>
+              )}
+              <button
+                onClick={handleCancelSend}
+                disabled={controlling}
+                className="px-4 py-2 text-red-600 hover:text-red-700 disabled:opacity-50"
+              >
+                Cancel Campaign
+              </button>
+            </div>
           )}
         </div>
+        {preflight && (
+          <div className="mt-4 bg-white dark:bg-gray-800 rounded-lg shadow p-6">
+            <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">Pre-send Checklist</h3>
+            <ul className="space-y-3">
+              {preflight.checks.map((item) => (
+                <li key={item.key} className="flex items-start">
+                  <span className={`mr-3 px-2 py-0.5 text-xs font-semibold rounded-full uppercase ${
+                    item.status === 'pass' ? 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200' :
+                    item.status === 'warn' ? 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200' :
+                    'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200'
+                  }`}>
+                    {item.status}
+                  </span>
+                  <div className="text-sm">
+                    <p className="font-medium text-gray-900 dark:text-white">{item.label}</p>
+                    <p className="text-gray-600 dark:text-gray-400">{item.message}</p>
+                    {Array.isArray(item.details) && item.status !== 'pass' && (
+                      <ul className="mt-1 text-xs text-gray-500 dark:text-gray-400 list-disc list-inside">
+                        {item.details.slice(0, 10).map((detail, index) => (
+                          <li key={index} className="break-all">
+                            {typeof detail === 'string'
+                              ? detail
+                              : detail.href
+                                ? `${detail.href}: ${detail.problem}`
+                                : detail.variable
+                                  ? `{{${detail.variable}}} in ${detail.field}`
+                                  : detail.message}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ul>
+            <div className="mt-6 flex justify-end items-center space-x-2">
+              {!preflight.canSend && (
+                <span className="text-sm text-red-600 dark:text-red-400 mr-2">Fix the failed checks before sending</span>
+              )}
+              <button
+                onClick={() => setPreflight(null)}
+                className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 bg-white hover:bg-gray-50 dark:bg-gray-700 dark:text-gray-300 dark:border-gray-600"
+              >
+                Close
+              </button>
+              <button
+                onClick={handleSend}
+                disabled={!preflight.canSend || sending}
+                className="px-6 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 disabled:opacity-50"
+              >
+                Send to {preflight.recipients} recipients
+              </button>
+            </div>
+          </div>
+        )}
+        {campaign.status === 'paused' && (
+          <p className="mt-4 text-sm text-yellow-700 dark:text-yellow-300">
+            Paused{campaign.pausedAt && ` since ${new Date(campaign.pausedAt).toLocaleString()}`}. Emails not yet sent are held until you resume.
+          </p>
+        )}
+        {campaign.status === 'scheduled' && campaign.scheduledAt && (
+          <p className="mt-4 text-sm text-yellow-700 dark:text-yellow-300">
+            Scheduled for {new Date(campaign.scheduledAt).toLocaleString()}
+            {campaign.deliveryWindow?.enabled &&
+              `, delivered between ${campaign.deliveryWindow.startHour}:00 and ${campaign.deliveryWindow.endHour}:00 recipient time`}
+          </p>
+        )}
+        {campaign.lastError && (
+          <div className="mt-4 rounded-md bg-red-50 dark:bg-red-900 p-3 text-sm text-red-800 dark:text-red-200">
+            Last send attempt failed: {campaign.lastError}
+          </div>
+        )}
       </div>
 
       {/* Status and Stats */}
+      <div className="flex justify-end mb-2">
+        <button
+          onClick={handleRecomputeStats}
+          className="text-sm text-primary-600 hover:text-primary-700 dark:text-primary-400"
+        >
+          Recalculate stats
+        </button>
+      </div>
       <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-8">
         <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-4">
           <p className="text-sm text-gray-600 dark:text-gray-400">Status</p>
@@ -181,7 +479,7 @@ const CampaignDetail = () => {
       </div>
 
       {/* Progress Bar */}
-      {campaign.status === 'sending' && (
+      {(campaign.status === 'sending' || campaign.status === 'paused' || totalProgress.cancelled > 0) && (
         <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-6 mb-8">
           <div className="flex justify-between items-center mb-2">
             <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Sending Progress</h3>
@@ -196,7 +494,31 @@ const CampaignDetail = () => {
           <div className="mt-2 flex justify-between text-sm text-gray-600 dark:text-gray-400">
             <span>Sent: {totalProgress.sent} / {totalProgress.total}</span>
             <span>Failed: {totalProgress.failed}</span>
+            {totalProgress.cancelled > 0 && <span>Cancelled: {totalProgress.cancelled}</span>}
+          </div>
+        </div>
+      )}
+
+      {/* Failed Emails */}
+      {failures && (failures.retryable > 0 || failures.permanent > 0 || failures.exhausted > 0) && (
+        <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-6 mb-8 flex justify-between items-center">
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Failed Emails</h3>
+            <p className="mt-1 text-sm text-gray-600 dark:text-gray-400">
+              {failures.retryable} can be retried (retried automatically with backoff)
+              {failures.exhausted > 0 && `, ${failures.exhausted} out of retries`}
+              {failures.permanent > 0 && `, ${failures.permanent} permanently rejected`}
+            </p>
           </div>
+          {failures.retryable > 0 && campaign.status !== 'paused' && campaign.status !== 'cancelled' && (
+            <button
+              onClick={handleRetryFailed}
+              disabled={retrying}
+              className="px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 disabled:opacity-50"
+            >
+              {retrying ? 'Retrying...' : `Retry Failed (${failures.retryable})`}
+            </button>
+          )}
         </div>
       )}
 
@@ -216,6 +538,14 @@ const CampaignDetail = () => {
             <span className="font-medium text-gray-700 dark:text-gray-300 w-32">Subject:</span>
             <span className="text-gray-600 dark:text-gray-400">{campaign.subject}</span>
           </div>
+          {campaign.template?.templateId && (
+            <div className="flex">
+              <span className="font-medium text-gray-700 dark:text-gray-300 w-32">Template:</span>
+              <span className="text-gray-600 dark:text-gray-400">
+                {campaign.template.name} (version {campaign.template.version})
+              </span>
+            </div>
+          )}
         </div>
         <div className="mt-4">
           <h3 className="font-medium text-gray-700 dark:text-gray-300 mb-2">Email Body:</h3>
@@ -226,11 +556,67 @@ const CampaignDetail = () => {
         </div>
       </div>
 
+      {/* Test Send */}
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-6 mb-8">
+        <div className="flex justify-between items-center">
+          <div>
+            <h2 className="text-xl font-bold text-gray-900 dark:text-white">Test Send</h2>
+            <p className="mt-1 text-sm text-gray-600 dark:text-gray-400">
+              Preview the campaign in a real inbox. Tests and seed-list copies are not counted in the stats.
+              {analytics?.proofs && (analytics.proofs.test || analytics.proofs.seed) && (
+                ` Sent so far: ${analytics.proofs.test?.sent || 0} tests, ${analytics.proofs.seed?.sent || 0} seed copies.`
+              )}
+            </p>
+          </div>
+          <button
+            onClick={handleOpenTest}
+            className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 bg-white hover:bg-gray-50 dark:bg-gray-700 dark:text-gray-300 dark:border-gray-600"
+          >
+            {showTest ? 'Close' : 'Send Test'}
+          </button>
+        </div>
+        {showTest && (
+          <div className="mt-4 grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">Send to (verified addresses)</label>
+              <input
+                value={testEmails}
+                onChange={(e) => setTestEmails(e.target.value)}
+                className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                placeholder="you@example.com, colleague@example.com"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">Merge data from</label>
+              <select
+                value={testContactId}
+                onChange={(e) => setTestContactId(e.target.value)}
+                className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+              >
+                <option value="">No sample contact</option>
+                {sampleContacts.map((contact) => (
+                  <option key={contact._id} value={contact._id}>
+                    {contact.name ? `${contact.name} <${contact.email}>` : contact.email}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <button
+              onClick={handleSendTest}
+              disabled={testing || !testEmails}
+              className="px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 disabled:opacity-50"
+            >
+              {testing ? 'Sending...' : 'Send Test'}
+            </button>
+          </div>
+        )}
+      </div>
+
       {/* Analytics */}
       {analytics && (
         <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-6 mb-8">
           <h2 className="text-xl font-bold text-gray-900 dark:text-white mb-4">Analytics</h2>
-          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+          <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4 mb-6">
             <div>
               <p className="text-sm text-gray-600 dark:text-gray-400">Opened</p>
               <p className="text-2xl font-bold text-purple-600">{analytics.stats?.events?.opened || 0}</p>
@@ -247,6 +633,14 @@ const CampaignDetail = () => {
               <p className="text-sm text-gray-600 dark:text-gray-400">Failed</p>
               <p className="text-2xl font-bold text-orange-600">{analytics.stats?.events?.failed || 0}</p>
             </div>
+            <div>
+              <p className="text-sm text-gray-600 dark:text-gray-400">Complaints</p>
+              <p className="text-2xl font-bold text-pink-600">{analytics.stats?.events?.complained || 0}</p>
+            </div>
+            <div>
+              <p className="text-sm text-gray-600 dark:text-gray-400">Complaint rate</p>
+              <p className="text-2xl font-bold text-pink-600">{((analytics.stats?.complaintRate || 0) * 100).toFixed(2)}%</p>
+            </div>
           </div>
           {analytics.timeline && analytics.timeline.length > 0 && (
             <ResponsiveContainer width="100%" height={300}>
@@ -260,6 +654,29 @@ const CampaignDetail = () => {
               </LineChart>
             </ResponsiveContainer>
           )}
+          {analytics.links && analytics.links.length > 0 && (
+            <div className="mt-6">
+              <h3 className="font-medium text-gray-700 dark:text-gray-300 mb-2">Link clicks</h3>
+              <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+                <thead>
+                  <tr>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase">URL</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 dark:text-gray-400 uppercase">Clicks</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 dark:text-gray-400 uppercase">Unique</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                  {analytics.links.map((link) => (
+                    <tr key={link.url}>
+                      <td className="px-4 py-2 text-gray-900 dark:text-white break-all">{link.url}</td>
+                      <td className="px-4 py-2 text-right text-gray-900 dark:text-white">{link.clicks}</td>
+                      <td className="px-4 py-2 text-right text-gray-900 dark:text-white">{link.uniqueClicks}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
         </div>
       )}
 
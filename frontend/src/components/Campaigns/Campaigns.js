@@ -79,6 +79,7 @@ const Campaigns = () => {
           <option value="sending">Sending</option>
           <option value="completed">Completed</option>
           <option value="paused">Paused</option>
+          <option value="cancelled">Cancelled</option>
           <option value="failed">Failed</option>
         </select>
       </div>
@@ -127,6 +128,11 @@ const Campaigns = () => {
                     </span>
                   </div>
                   <p className="mt-2 text-gray-600 dark:text-gray-400">{campaign.subject}</p>
+                  {campaign.status === 'scheduled' && campaign.scheduledAt && (
+                    <p className="mt-1 text-sm text-yellow-700 dark:text-yellow-300">
+                      Scheduled for {new Date(campaign.scheduledAt).toLocaleString()}
+                    </p>
+                  )}
                   <div className="mt-4 flex space-x-6 text-sm text-gray-500 dark:text-gray-400">
                     <span>Total: {campaign.stats?.total || 0}</span>
                     <span>Sent: {campaign.stats?.sent || 0}</span>
@@ -1,5 +1,5 @@
-import React, { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
 import ReactQuill from 'react-quill';
 import 'react-quill/dist/quill.snow.css';
 import axios from 'axios';
@@ -17,17 +17,178 @@ const CreateCampaign = () => {
     fromEmail: '',
     fromName: '',
     replyTo: '',
+    contactFilters: {
+      requireConsent: false,
+      listIds: [],
+      segmentId: '',
+    },
+    tracking: {
+      opens: true,
+      clicks: true,
+    },
+    deliveryWindow: {
+      enabled: false,
+      startHour: 9,
+      endHour: 17,
+      timezone: Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC',
+    },
   });
   const [saving, setSaving] = useState(false);
+  const [validating, setValidating] = useState(false);
+  const [templateCheck, setTemplateCheck] = useState(null);
+  const [templates, setTemplates] = useState([]);
+  const [selectedTemplate, setSelectedTemplate] = useState(null);
+  const [savingTemplate, setSavingTemplate] = useState(false);
+  const [senders, setSenders] = useState([]);
+  const [segments, setSegments] = useState([]);
+  const [lists, setLists] = useState([]);
+
+  const fetchTemplates = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_URL}/templates`);
+      setTemplates(response.data);
+    } catch (error) {
+      // The picker is optional; campaigns can still be written from scratch
+    }
+  }, []);
+
+  const fetchSenders = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_URL}/senders?status=verified`);
+      setSenders(response.data);
+    } catch (error) {
+      // Only used for suggestions; the server checks the From address anyway
+    }
+  }, []);
+
+  const fetchSegments = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_URL}/segments`);
+      setSegments(response.data);
+    } catch (error) {
+      // Without segments the campaign goes to all active contacts
+    }
+  }, []);
+
+  const fetchLists = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_URL}/lists`);
+      setLists(response.data);
+    } catch (error) {
+      // Without lists the campaign goes to all active contacts
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchTemplates();
+    fetchSenders();
+    fetchSegments();
+    fetchLists();
+  }, [fetchTemplates, fetchSenders, fetchSegments, fetchLists]);
+
+  const toggleList = (listId) => {
+    const { listIds } = formData.contactFilters;
+    setFormData({
+      ...formData,
+      contactFilters: {
+        ...formData.contactFilters,
+        listIds: listIds.includes(listId) ? listIds.filter((id) => id !== listId) : [...listIds, listId],
+      },
+    });
+  };
+
+  const handleTemplateSelect = (e) => {
+    const template = templates.find((t) => t._id === e.target.value) || null;
+    setSelectedTemplate(template);
+
+    if (!template || !template.current) {
+      setFormData({ ...formData, templateId: undefined, templateVersion: undefined });
+      return;
+    }
+
+    setFormData({
+      ...formData,
+      subject: template.current.subject || formData.subject,
+      body: template.current.body,
+      bodyHtml: template.current.bodyHtml || template.current.body,
+      templateId: template._id,
+      templateVersion: template.current.version,
+    });
+  };
+
+  const handleSaveTemplate = async () => {
+    const content = {
+      subject: formData.subject,
+      body: formData.body,
+      bodyHtml: formData.bodyHtml,
+    };
+
+    if (!content.body) {
+      toast.error('Write the email body before saving it as a template');
+      return;
+    }
+
+    setSavingTemplate(true);
+    try {
+      let template;
+      if (selectedTemplate) {
+        const response = await axios.put(`${API_URL}/templates/${selectedTemplate._id}`, content);
+        template = response.data;
+        toast.success(`Saved "${template.name}" version ${template.currentVersion}`);
+      } else {
+        const name = window.prompt('Template name');
+        if (!name) return;
+        const response = await axios.post(`${API_URL}/templates`, { ...content, name });
+        template = response.data;
+        toast.success(`Template "${template.name}" created`);
+      }
+
+      const current = template.versions[template.versions.length - 1];
+      const summary = { ...template, current };
+      setTemplates([summary, ...templates.filter((t) => t._id !== template._id)]);
+      setSelectedTemplate(summary);
+      setFormData({ ...formData, templateId: template._id, templateVersion: template.currentVersion });
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save template');
+    } finally {
+      setSavingTemplate(false);
+    }
+  };
 
   const handleChange = (e) => {
     setFormData({ ...formData, [e.target.name]: e.target.value });
   };
 
+  const handleWindowChange = (field, value) => {
+    setFormData({
+      ...formData,
+      deliveryWindow: { ...formData.deliveryWindow, [field]: value },
+    });
+  };
+
   const handleBodyChange = (value) => {
     setFormData({ ...formData, body: value, bodyHtml: value });
   };
 
+  const handleValidate = async () => {
+    setValidating(true);
+    try {
+      const response = await axios.post(`${API_URL}/campaigns/validate`, {
+        subject: formData.subject,
+        body: formData.body,
+        bodyHtml: formData.bodyHtml,
+      });
+      setTemplateCheck(response.data);
+      if (response.data.valid && response.data.unknownVariables.length === 0) {
+        toast.success('All merge tags look good');
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to check merge tags');
+    } finally {
+      setValidating(false);
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setSaving(true);
@@ -51,6 +212,35 @@ const CreateCampaign = () => {
       </div>
 
       <form onSubmit={handleSubmit} className="bg-white dark:bg-gray-800 rounded-lg shadow p-6 space-y-6">
+        <div>
+          <label htmlFor="template" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+            Template
+          </label>
+          <div className="mt-1 flex space-x-2">
+            <select
+              id="template"
+              value={selectedTemplate?._id || ''}
+              onChange={handleTemplateSelect}
+              className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+            >
+              <option value="">Start from scratch</option>
+              {templates.map((template) => (
+                <option key={template._id} value={template._id}>
+                  {template.name} (v{template.currentVersion})
+                </option>
+              ))}
+            </select>
+            <button
+              type="button"
+              onClick={handleSaveTemplate}
+              disabled={savingTemplate}
+              className="shrink-0 px-4 py-2 border border-gray-300 rounded-md text-gray-700 bg-white hover:bg-gray-50 dark:bg-gray-700 dark:text-gray-300 dark:border-gray-600 disabled:opacity-50"
+            >
+              {savingTemplate ? 'Saving...' : selectedTemplate ? 'Save as new version' : 'Save as template'}
+            </button>
+          </div>
+        </div>
+
         <div>
           <label htmlFor="name" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
             Campaign Name
@@ -92,11 +282,23 @@ const CreateCampaign = () => {
               id="fromEmail"
               name="fromEmail"
               required
+              list="verified-senders"
               value={formData.fromEmail}
               onChange={handleChange}
               className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
               placeholder="john@example.com"
             />
+            <datalist id="verified-senders">
+              {senders.filter((sender) => sender.type === 'email').map((sender) => (
+                <option key={sender._id} value={sender.value} />
+              ))}
+            </datalist>
+            <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+              {senders.some((sender) => sender.type === 'domain')
+                ? `Any address at ${senders.filter((sender) => sender.type === 'domain').map((sender) => sender.value).join(', ')} or a verified address. `
+                : 'Must be a verified address. '}
+              <Link to="/senders" className="text-primary-600 hover:text-primary-700 dark:text-primary-400">Manage senders</Link>
+            </p>
           </div>
         </div>
 
@@ -141,6 +343,182 @@ const CreateCampaign = () => {
             onChange={handleBodyChange}
             className="dark:text-white"
           />
+          <div className="mt-2 flex items-start justify-between">
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              Personalize with merge tags, e.g. {'{{firstName | "there"}}'}, {'{{metadata.company}}'},{' '}
+              {'{{#if metadata.plan}}...{{else}}...{{/if}}'} or {'{{#each tags}}{{this}}{{/each}}'}.
+            </p>
+            <button
+              type="button"
+              onClick={handleValidate}
+              disabled={validating}
+              className="ml-4 shrink-0 text-sm text-primary-600 hover:text-primary-700 disabled:opacity-50"
+            >
+              {validating ? 'Checking...' : 'Check merge tags'}
+            </button>
+          </div>
+          {templateCheck && (templateCheck.errors.length > 0 || templateCheck.unknownVariables.length > 0) && (
+            <div className="mt-2 rounded-md bg-yellow-50 dark:bg-yellow-900 p-3 text-sm text-yellow-800 dark:text-yellow-200">
+              {templateCheck.errors.map((error) => (
+                <p key={`${error.field}-${error.message}`}>
+                  <strong>{error.field}:</strong> {error.message}
+                </p>
+              ))}
+              {templateCheck.unknownVariables.map((item) => (
+                <p key={`${item.field}-${item.variable}`}>
+                  <strong>{item.field}:</strong> unknown variable {`{{${item.variable}}}`}
+                </p>
+              ))}
+              {templateCheck.availableVariables.length > 0 && (
+                <p className="mt-1 text-xs">Available: {templateCheck.availableVariables.join(', ')}</p>
+              )}
+            </div>
+          )}
+        </div>
+
+        <div>
+          <label htmlFor="segment" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+            Recipients
+          </label>
+          <select
+            id="segment"
+            value={formData.contactFilters.segmentId}
+            onChange={(e) =>
+              setFormData({
+                ...formData,
+                contactFilters: { ...formData.contactFilters, segmentId: e.target.value },
+              })
+            }
+            className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+          >
+            <option value="">{formData.contactFilters.listIds.length > 0 ? 'No segment' : 'All active contacts'}</option>
+            {segments.map((segment) => (
+              <option key={segment._id} value={segment._id}>{segment.name}</option>
+            ))}
+          </select>
+          {lists.length > 0 && (
+            <div className="mt-2 flex flex-wrap gap-x-4 gap-y-1">
+              {lists.map((list) => (
+                <label key={list._id} className="flex items-center text-sm text-gray-700 dark:text-gray-300">
+                  <input
+                    type="checkbox"
+                    checked={formData.contactFilters.listIds.includes(list._id)}
+                    onChange={() => toggleList(list._id)}
+                    className="h-4 w-4 mr-2 text-primary-600 border-gray-300 rounded"
+                  />
+                  {list.name} ({list.counts.subscribed})
+                </label>
+              ))}
+            </div>
+          )}
+          <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+            Send to subscribers of the checked lists and/or a saved segment, or <Link to="/contacts" className="text-primary-600 hover:text-primary-700 dark:text-primary-400">manage them under Contacts</Link>. Unsubscribe links of list campaigns only leave those lists.
+          </p>
+        </div>
+
+        <div className="flex items-center">
+          <input
+            type="checkbox"
+            id="requireConsent"
+            checked={formData.contactFilters.requireConsent}
+            onChange={(e) =>
+              setFormData({
+                ...formData,
+                contactFilters: { ...formData.contactFilters, requireConsent: e.target.checked },
+              })
+            }
+            className="h-4 w-4 text-primary-600 border-gray-300 rounded"
+          />
+          <label htmlFor="requireConsent" className="ml-2 text-sm text-gray-700 dark:text-gray-300">
+            Only send to contacts with a recorded lawful basis (consent not withdrawn)
+          </label>
+        </div>
+
+        <div className="flex items-center space-x-6">
+          <div className="flex items-center">
+            <input
+              type="checkbox"
+              id="trackOpens"
+              checked={formData.tracking.opens}
+              onChange={(e) =>
+                setFormData({
+                  ...formData,
+                  tracking: { ...formData.tracking, opens: e.target.checked },
+                })
+              }
+              className="h-4 w-4 text-primary-600 border-gray-300 rounded"
+            />
+            <label htmlFor="trackOpens" className="ml-2 text-sm text-gray-700 dark:text-gray-300">
+              Track opens
+            </label>
+          </div>
+          <div className="flex items-center">
+            <input
+              type="checkbox"
+              id="trackClicks"
+              checked={formData.tracking.clicks}
+              onChange={(e) =>
+                setFormData({
+                  ...formData,
+                  tracking: { ...formData.tracking, clicks: e.target.checked },
+                })
+              }
+              className="h-4 w-4 text-primary-600 border-gray-300 rounded"
+            />
+            <label htmlFor="trackClicks" className="ml-2 text-sm text-gray-700 dark:text-gray-300">
+              Track link clicks
+            </label>
+          </div>
+        </div>
+
+        <div>
+          <div className="flex items-center">
+            <input
+              type="checkbox"
+              id="deliveryWindow"
+              checked={formData.deliveryWindow.enabled}
+              onChange={(e) => handleWindowChange('enabled', e.target.checked)}
+              className="h-4 w-4 text-primary-600 border-gray-300 rounded"
+            />
+            <label htmlFor="deliveryWindow" className="ml-2 text-sm text-gray-700 dark:text-gray-300">
+              Only deliver during these hours in each recipient's timezone
+            </label>
+          </div>
+          {formData.deliveryWindow.enabled && (
+            <div className="mt-2 ml-6 flex flex-wrap items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+              <span>From</span>
+              <select
+                value={formData.deliveryWindow.startHour}
+                onChange={(e) => handleWindowChange('startHour', parseInt(e.target.value))}
+                className="px-2 py-1 border border-gray-300 rounded-md dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+              >
+                {Array.from({ length: 24 }, (_, hour) => (
+                  <option key={hour} value={hour}>{`${hour}:00`}</option>
+                ))}
+              </select>
+              <span>to</span>
+              <select
+                value={formData.deliveryWindow.endHour}
+                onChange={(e) => handleWindowChange('endHour', parseInt(e.target.value))}
+                className="px-2 py-1 border border-gray-300 rounded-md dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+              >
+                {Array.from({ length: 24 }, (_, i) => i + 1).map((hour) => (
+                  <option key={hour} value={hour}>{`${hour}:00`}</option>
+                ))}
+              </select>
+              <span>Default timezone</span>
+              <input
+                type="text"
+                value={formData.deliveryWindow.timezone}
+                onChange={(e) => handleWindowChange('timezone', e.target.value)}
+                className="px-2 py-1 border border-gray-300 rounded-md dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                placeholder="Europe/Berlin"
+              />
+              <p className="w-full text-xs text-gray-500 dark:text-gray-400">
+                Contacts without a timezone use the default timezone.
+              </p>
+            </div>
+          )}
         </div>
 
         <div className="flex justify-end space-x-4">
@@ -34,6 +34,9 @@ const ContactList = ({ contacts, loading, onDelete, page, totalPages, onPageChan
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">
                 Tags
               </th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">
+                Consent
+              </th>
               <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">
                 Actions
               </th>
@@ -42,7 +45,7 @@ const ContactList = ({ contacts, loading, onDelete, page, totalPages, onPageChan
           <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
             {contacts.length === 0 ? (
               <tr>
-                <td colSpan="6" className="px-6 py-8 text-center text-gray-500 dark:text-gray-400">
+                <td colSpan="7" className="px-6 py-8 text-center text-gray-500 dark:text-gray-400">
                   No contacts found. Upload a CSV or XLSX file to get started.
                 </td>
               </tr>
@@ -67,6 +70,8 @@ const ContactList = ({ contacts, loading, onDelete, page, totalPages, onPageChan
                           ? 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200'
                           : contact.status === 'unsubscribed'
                           ? 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200'
+                          : contact.status === 'pending'
+                          ? 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200'
                           : 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-200'
                       }`}
                     >
@@ -94,6 +99,17 @@ const ContactList = ({ contacts, loading, onDelete, page, totalPages, onPageChan
                       '-'
                     )}
                   </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">
+                    {contact.consent?.withdrawnAt ? (
+                      <span className="text-red-600 dark:text-red-400">Withdrawn</span>
+                    ) : contact.consent?.lawfulBasis ? (
+                      <span title={contact.consent.source ? `Source: ${contact.consent.source}` : undefined}>
+                        {contact.consent.lawfulBasis.replace(/_/g, ' ')}
+                      </span>
+                    ) : (
+                      '-'
+                    )}
+                  </td>
                   <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
                     <button
                       onClick={() => onDelete(contact._id)}
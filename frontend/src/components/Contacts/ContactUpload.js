@@ -1,13 +1,36 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { useDropzone } from 'react-dropzone';
 import axios from 'axios';
 import toast from 'react-hot-toast';
+import ImportMapping from './ImportMapping';
 
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
 
-const ContactUpload = ({ onUpload }) => {
+const LAWFUL_BASES = [
+  { value: '', label: 'Lawful basis: not recorded' },
+  { value: 'consent', label: 'Consent' },
+  { value: 'contract', label: 'Contract' },
+  { value: 'legitimate_interests', label: 'Legitimate interests' },
+  { value: 'legal_obligation', label: 'Legal obligation' },
+  { value: 'vital_interests', label: 'Vital interests' },
+  { value: 'public_task', label: 'Public task' },
+];
+
+const ContactUpload = ({ onImportStarted }) => {
   const [uploading, setUploading] = useState(false);
   const [progress, setProgress] = useState(0);
+  const [lawfulBasis, setLawfulBasis] = useState('');
+  const [lists, setLists] = useState([]);
+  const [listId, setListId] = useState('');
+  const [preview, setPreview] = useState(null);
+
+  useEffect(() => {
+    axios.get(`${API_URL}/lists`)
+      .then((response) => setLists(response.data))
+      .catch(() => {
+        // Uploading into a list is optional
+      });
+  }, []);
 
   const onDrop = async (acceptedFiles) => {
     if (acceptedFiles.length === 0) return;
@@ -20,7 +43,8 @@ const ContactUpload = ({ onUpload }) => {
       setUploading(true);
       setProgress(0);
 
-      const response = await axios.post(`${API_URL}/upload/contacts`, formData, {
+      // Step one: upload the file and get its columns for mapping
+      const response = await axios.post(`${API_URL}/upload/contacts/preview`, formData, {
         headers: {
           'Content-Type': 'multipart/form-data',
         },
@@ -30,15 +54,7 @@ const ContactUpload = ({ onUpload }) => {
         },
       });
 
-      if (response.status === 207) {
-        toast.success(`Imported ${response.data.imported} contacts (${response.data.errors} duplicates skipped)`);
-      } else {
-        toast.success(`Successfully imported ${response.data.imported} contacts`);
-      }
-
-      if (onUpload) {
-        onUpload();
-      }
+      setPreview(response.data);
     } catch (error) {
       toast.error(error.response?.data?.message || 'Failed to upload contacts');
     } finally {
@@ -47,6 +63,15 @@ const ContactUpload = ({ onUpload }) => {
     }
   };
 
+  const handleImported = (response) => {
+    setPreview(null);
+    toast.success(`Importing ${response.data.import.fileName} in the background`);
+
+    if (onImportStarted) {
+      onImportStarted(response.data.import);
+    }
+  };
+
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
     onDrop,
     accept: {
@@ -59,6 +84,38 @@ const ContactUpload = ({ onUpload }) => {
 
   return (
     <div className="mb-4">
+      {preview && (
+        <ImportMapping
+          preview={preview}
+          lawfulBasis={lawfulBasis}
+          listId={listId}
+          onClose={() => setPreview(null)}
+          onImported={handleImported}
+        />
+      )}
+      <select
+        value={lawfulBasis}
+        onChange={(e) => setLawfulBasis(e.target.value)}
+        disabled={uploading}
+        className="mb-2 block w-full px-3 py-2 text-sm border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+      >
+        {LAWFUL_BASES.map((basis) => (
+          <option key={basis.value} value={basis.value}>{basis.label}</option>
+        ))}
+      </select>
+      {lists.length > 0 && (
+        <select
+          value={listId}
+          onChange={(e) => setListId(e.target.value)}
+          disabled={uploading}
+          className="mb-2 block w-full px-3 py-2 text-sm border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+        >
+          <option value="">Don't add to a list</option>
+          {lists.map((list) => (
+            <option key={list._id} value={list._id}>Add to list: {list.name}</option>
+          ))}
+        </select>
+      )}
       <div
         {...getRootProps()}
         className={`border-2 border-dashed rounded-lg p-6 cursor-pointer transition-colors ${
@@ -3,6 +3,12 @@ import axios from 'axios';
 import toast from 'react-hot-toast';
 import ContactUpload from './ContactUpload';
 import ContactList from './ContactList';
+import ImportHistory from './ImportHistory';
+import Lists from './Lists';
+import Segments from './Segments';
+import SuppressionList from './SuppressionList';
+import SignupForms from './SignupForms';
+import DataPrivacy from './DataPrivacy';
 
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
 
@@ -13,6 +19,7 @@ const Contacts = () => {
   const [totalPages, setTotalPages] = useState(1);
   const [stats, setStats] = useState({ total: 0, byStatus: {} });
   const [refresh, setRefresh] = useState(0);
+  const [activeTab, setActiveTab] = useState('contacts');
 
   const fetchContacts = useCallback(async () => {
     try {
@@ -41,6 +48,8 @@ const Contacts = () => {
     fetchStats();
   }, [fetchContacts, fetchStats, refresh]);
 
+  const handleImportFinished = useCallback(() => setRefresh((prev) => prev + 1), []);
+
   const handleDelete = async (id) => {
     if (!window.confirm('Are you sure you want to delete this contact?')) {
       return;
@@ -84,7 +93,7 @@ const Contacts = () => {
           >
             Delete All
           </button>
-          <ContactUpload onUpload={() => setRefresh((prev) => prev + 1)} />
+          <ContactUpload onImportStarted={() => setActiveTab('imports')} />
         </div>
       </div>
 
@@ -108,14 +117,49 @@ const Contacts = () => {
         </div>
       </div>
 
-      <ContactList
-        contacts={contacts}
-        loading={loading}
-        onDelete={handleDelete}
-        page={page}
-        totalPages={totalPages}
-        onPageChange={setPage}
-      />
+      {/* Tabs */}
+      <div className="mb-4 border-b border-gray-200 dark:border-gray-700">
+        <nav className="-mb-px flex space-x-8">
+          {[
+            { key: 'contacts', label: 'Contacts' },
+            { key: 'imports', label: 'Imports' },
+            { key: 'lists', label: 'Lists' },
+            { key: 'segments', label: 'Segments' },
+            { key: 'suppressions', label: 'Suppression List' },
+            { key: 'forms', label: 'Signup Forms' },
+            { key: 'privacy', label: 'Data Privacy' },
+          ].map((tab) => (
+            <button
+              key={tab.key}
+              onClick={() => setActiveTab(tab.key)}
+              className={`py-2 px-1 border-b-2 text-sm font-medium ${
+                activeTab === tab.key
+                  ? 'border-primary-500 text-gray-900 dark:text-white'
+                  : 'border-transparent text-gray-500 hover:border-gray-300 hover:text-gray-700 dark:text-gray-300 dark:hover:text-white'
+              }`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </nav>
+      </div>
+
+      {activeTab === 'contacts' && (
+        <ContactList
+          contacts={contacts}
+          loading={loading}
+          onDelete={handleDelete}
+          page={page}
+          totalPages={totalPages}
+          onPageChange={setPage}
+        />
+      )}
+      {activeTab === 'imports' && <ImportHistory onComplete={handleImportFinished} />}
+      {activeTab === 'lists' && <Lists />}
+      {activeTab === 'segments' && <Segments />}
+      {activeTab === 'suppressions' && <SuppressionList />}
+      {activeTab === 'forms' && <SignupForms />}
+      {activeTab === 'privacy' && <DataPrivacy onErase={() => setRefresh((prev) => prev + 1)} />}
     </div>
   );
 };
@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+const DataPrivacy = ({ onErase }) => {
+  const [email, setEmail] = useState('');
+  const [working, setWorking] = useState(false);
+  const [lastErasure, setLastErasure] = useState(null);
+
+  const handleExport = async () => {
+    if (!email) return;
+
+    try {
+      setWorking(true);
+      const response = await axios.get(`${API_URL}/privacy/export`, { params: { email } });
+      const blob = new Blob([JSON.stringify(response.data, null, 2)], { type: 'application/json' });
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `data-export-${email}.json`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+      toast.success('Export downloaded');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to export data');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleErase = async () => {
+    if (!email) return;
+    if (!window.confirm(`Permanently erase all data for ${email}? This cannot be undone.`)) {
+      return;
+    }
+
+    try {
+      setWorking(true);
+      const response = await axios.post(`${API_URL}/privacy/erase`, { email, confirm: true });
+      setLastErasure(response.data);
+      toast.success('Data erased');
+      setEmail('');
+      if (onErase) {
+        onErase();
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to erase data');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-6 space-y-4">
+      <div>
+        <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Data subject requests</h2>
+        <p className="text-sm text-gray-600 dark:text-gray-400">
+          Export everything held about an address, or erase it. Erased addresses stay on the suppression list as a hash
+          so they are never mailed again.
+        </p>
+      </div>
+      <div className="flex flex-col md:flex-row gap-2">
+        <input
+          type="email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          placeholder="person@example.com"
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+        />
+        <button
+          onClick={handleExport}
+          disabled={working || !email}
+          className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 dark:bg-gray-700 dark:text-gray-300 dark:border-gray-600"
+        >
+          Export Data
+        </button>
+        <button
+          onClick={handleErase}
+          disabled={working || !email}
+          className="px-4 py-2 rounded-md bg-red-600 text-white hover:bg-red-700 disabled:opacity-50"
+        >
+          Erase Data
+        </button>
+      </div>
+      {lastErasure && (
+        <div className="text-sm text-gray-600 dark:text-gray-400 border-t border-gray-200 dark:border-gray-700 pt-4">
+          <p>
+            Erased {lastErasure.email}: {lastErasure.contactsDeleted} contact(s) deleted,{' '}
+            {lastErasure.analyticsPseudonymized} analytics event(s), {lastErasure.jobsPseudonymized} job(s),{' '}
+            {lastErasure.errorLogsPseudonymized} error log(s), {lastErasure.deliveriesPseudonymized || 0} delivery record(s) and{' '}
+            {lastErasure.importErrorsPseudonymized || 0} import error(s) pseudonymized.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DataPrivacy;
@@ -0,0 +1,322 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { io } from 'socket.io-client';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+const SOCKET_URL = process.env.REACT_APP_SOCKET_URL || 'http://localhost:5000';
+
+const ACTIVE_STATUSES = ['queued', 'processing'];
+
+const STATUS_STYLES = {
+  queued: 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-200',
+  processing: 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200',
+  completed: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200',
+  failed: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200',
+  cancelled: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200',
+};
+
+const formatSize = (bytes) => {
+  if (!bytes) return '0 KB';
+  if (bytes < 1024 * 1024) return `${Math.ceil(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Spreadsheets report progress in rows, CSV files in bytes read
+const percentDone = (item) => {
+  if (item.status === 'completed') return 100;
+  if (item.totalRows) return Math.min(100, Math.round((item.progress.processed * 100) / item.totalRows));
+  if (item.fileSize) return Math.min(100, Math.round(((item.bytesRead || 0) * 100) / item.fileSize));
+  return 0;
+};
+
+const ImportErrors = ({ item }) => {
+  const [errors, setErrors] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [stored, setStored] = useState(0);
+
+  const fetchErrors = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`${API_URL}/imports/${item._id}/errors`, { params: { page, limit: 20 } });
+      setErrors(response.data.errors);
+      setStored(response.data.pagination.total);
+      setTotalPages(response.data.pagination.pages || 1);
+    } catch (error) {
+      toast.error('Failed to load import errors');
+    } finally {
+      setLoading(false);
+    }
+  }, [item._id, page]);
+
+  useEffect(() => {
+    fetchErrors();
+  }, [fetchErrors]);
+
+  const handleDownload = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/imports/${item._id}/errors`, {
+        params: { format: 'csv' },
+        responseType: 'blob',
+      });
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: 'text/csv' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `import-errors-${item.fileName}.csv`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      toast.error('Failed to download import errors');
+    }
+  };
+
+  return (
+    <div className="mt-4 space-y-3">
+      <div className="flex justify-between items-center text-sm">
+        <p className="text-gray-500 dark:text-gray-400">
+          {stored < item.progress.failed
+            ? `Showing the first ${stored} of ${item.progress.failed} rows that failed`
+            : `${item.progress.failed} rows failed`}
+        </p>
+        <button
+          onClick={handleDownload}
+          className="text-primary-600 hover:text-primary-700 dark:text-primary-400"
+        >
+          Download CSV
+        </button>
+      </div>
+
+      {loading ? (
+        <p className="text-sm text-center text-gray-500 dark:text-gray-400">Loading...</p>
+      ) : (
+        <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+          <thead>
+            <tr className="text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase">
+              <th className="py-2 pr-4">Line</th>
+              <th className="py-2 pr-4">Email</th>
+              <th className="py-2">Error</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+            {errors.map((error) => (
+              <tr key={error._id}>
+                <td className="py-2 pr-4 text-gray-500 dark:text-gray-400">{error.row}</td>
+                <td className="py-2 pr-4 text-gray-900 dark:text-white">{error.email || '-'}</td>
+                <td className="py-2 text-red-600 dark:text-red-400">{error.message}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {totalPages > 1 && (
+        <div className="flex justify-center items-center gap-3 text-sm">
+          <button
+            disabled={page <= 1}
+            onClick={() => setPage(page - 1)}
+            className="px-3 py-1 border border-gray-300 rounded-md disabled:opacity-50 dark:border-gray-600 dark:text-gray-300"
+          >
+            Previous
+          </button>
+          <span className="text-gray-600 dark:text-gray-400">Page {page} of {totalPages}</span>
+          <button
+            disabled={page >= totalPages}
+            onClick={() => setPage(page + 1)}
+            className="px-3 py-1 border border-gray-300 rounded-md disabled:opacity-50 dark:border-gray-600 dark:text-gray-300"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const ImportHistory = ({ onComplete }) => {
+  const [imports, setImports] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [openErrors, setOpenErrors] = useState(null);
+  const socketRef = useRef(null);
+
+  const fetchImports = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`${API_URL}/imports`, { params: { page, limit: 20 } });
+      setImports(response.data.imports);
+      setTotalPages(response.data.pagination.pages || 1);
+    } catch (error) {
+      toast.error('Failed to load imports');
+    } finally {
+      setLoading(false);
+    }
+  }, [page]);
+
+  useEffect(() => {
+    fetchImports();
+  }, [fetchImports]);
+
+  // One connection for the tab; progress events update the matching row
+  useEffect(() => {
+    const socket = io(SOCKET_URL);
+    socketRef.current = socket;
+
+    const update = (data) => {
+      setImports((current) => current.map((item) => (
+        item._id === data.importId ? { ...item, ...data } : item
+      )));
+    };
+
+    socket.on('import-progress', update);
+    ['import-completed', 'import-failed', 'import-cancelled'].forEach((event) => {
+      socket.on(event, (data) => {
+        update(data);
+        if (event === 'import-completed') {
+          toast.success(`Import finished: ${data.progress.imported} new, ${data.progress.updated} updated, ${data.progress.failed} failed`);
+        } else if (event === 'import-failed') {
+          toast.error(`Import failed: ${data.lastError}`);
+        }
+        if (onComplete) {
+          onComplete();
+        }
+      });
+    });
+
+    return () => {
+      socket.disconnect();
+      socketRef.current = null;
+    };
+  }, [onComplete]);
+
+  const activeIds = imports
+    .filter((item) => ACTIVE_STATUSES.includes(item.status))
+    .map((item) => item._id)
+    .join(',');
+
+  useEffect(() => {
+    if (!socketRef.current || !activeIds) return;
+    activeIds.split(',').forEach((id) => socketRef.current.emit('join-import', id));
+  }, [activeIds]);
+
+  const handleCancel = async (item) => {
+    if (!window.confirm(`Cancel importing ${item.fileName}? Contacts imported so far are kept.`)) {
+      return;
+    }
+
+    try {
+      await axios.post(`${API_URL}/imports/${item._id}/cancel`);
+      toast.success('Import cancelled');
+      fetchImports();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to cancel import');
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex justify-end">
+        <button
+          onClick={fetchImports}
+          className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 bg-white hover:bg-gray-50 dark:bg-gray-700 dark:text-gray-300 dark:border-gray-600"
+        >
+          Refresh
+        </button>
+      </div>
+
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow overflow-hidden">
+        {loading && imports.length === 0 ? (
+          <p className="p-6 text-center text-gray-500 dark:text-gray-400">Loading...</p>
+        ) : imports.length === 0 ? (
+          <p className="p-6 text-center text-gray-500 dark:text-gray-400">No imports yet</p>
+        ) : (
+          <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+            {imports.map((item) => {
+              const percent = percentDone(item);
+              const active = ACTIVE_STATUSES.includes(item.status);
+              return (
+                <li key={item._id} className="p-4">
+                  <div className="flex justify-between items-center">
+                    <div>
+                      <p className="font-medium text-gray-900 dark:text-white">
+                        {item.fileName}
+                        <span className={`ml-2 px-2 py-0.5 text-xs rounded ${STATUS_STYLES[item.status]}`}>
+                          {item.status}
+                        </span>
+                      </p>
+                      <p className="text-sm text-gray-500 dark:text-gray-400">
+                        {new Date(item.createdAt).toLocaleString()} · {formatSize(item.fileSize)}
+                        {item.totalRows ? ` · ${item.totalRows} rows` : ''}
+                      </p>
+                    </div>
+                    <div className="flex items-center gap-3 text-sm">
+                      {item.progress.failed > 0 && (
+                        <button
+                          onClick={() => setOpenErrors(openErrors === item._id ? null : item._id)}
+                          className="text-primary-600 hover:text-primary-700 dark:text-primary-400"
+                        >
+                          {openErrors === item._id ? 'Hide errors' : 'Errors'}
+                        </button>
+                      )}
+                      {active && (
+                        <button
+                          onClick={() => handleCancel(item)}
+                          className="text-red-600 hover:text-red-900 dark:text-red-400 dark:hover:text-red-300"
+                        >
+                          Cancel
+                        </button>
+                      )}
+                    </div>
+                  </div>
+
+                  {active && (
+                    <div className="mt-3 w-full bg-gray-200 dark:bg-gray-700 rounded-full h-2">
+                      <div className="bg-primary-600 h-2 rounded-full" style={{ width: `${percent}%` }}></div>
+                    </div>
+                  )}
+
+                  <p className="mt-2 text-sm text-gray-600 dark:text-gray-300">
+                    {item.progress.processed} rows read: {item.progress.imported} new, {item.progress.updated} updated,{' '}
+                    {item.progress.unchanged} unchanged, {item.progress.failed} failed
+                    {item.options?.listId ? `, ${item.progress.addedToList} added to the list` : ''}
+                  </p>
+                  {item.lastError && (
+                    <p className="mt-1 text-sm text-red-600 dark:text-red-400">{item.lastError}</p>
+                  )}
+
+                  {openErrors === item._id && <ImportErrors item={item} />}
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+
+      {totalPages > 1 && (
+        <div className="flex justify-center items-center gap-3 text-sm">
+          <button
+            disabled={page <= 1}
+            onClick={() => setPage(page - 1)}
+            className="px-3 py-1 border border-gray-300 rounded-md disabled:opacity-50 dark:border-gray-600 dark:text-gray-300"
+          >
+            Previous
+          </button>
+          <span className="text-gray-600 dark:text-gray-400">Page {page} of {totalPages}</span>
+          <button
+            disabled={page >= totalPages}
+            onClick={() => setPage(page + 1)}
+            className="px-3 py-1 border border-gray-300 rounded-md disabled:opacity-50 dark:border-gray-600 dark:text-gray-300"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ImportHistory;
@@ -0,0 +1,216 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+const METADATA_PREFIX = 'metadata:';
+
+const TARGETS = [
+  { value: '', label: 'Skip column' },
+  { value: 'email', label: 'Email' },
+  { value: 'name', label: 'Name' },
+  { value: 'phone', label: 'Phone' },
+  { value: 'tags', label: 'Tags (comma-separated)' },
+  { value: 'timezone', label: 'Timezone' },
+  { value: METADATA_PREFIX, label: 'Custom field' },
+];
+
+const formatSize = (bytes) => (bytes < 1024 * 1024
+  ? `${Math.ceil(bytes / 1024)} KB`
+  : `${(bytes / (1024 * 1024)).toFixed(1)} MB`);
+
+const selectClass = 'px-2 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white';
+
+// Second step of an import: map the previewed file's columns, then import it
+const ImportMapping = ({ preview, lawfulBasis, listId, onClose, onImported }) => {
+  const [mapping, setMapping] = useState(preview.suggestedMapping);
+  const [presets, setPresets] = useState([]);
+  const [presetId, setPresetId] = useState('');
+  const [savePresetAs, setSavePresetAs] = useState('');
+  const [updateExisting, setUpdateExisting] = useState(false);
+  const [importing, setImporting] = useState(false);
+
+  useEffect(() => {
+    axios.get(`${API_URL}/upload/presets`)
+      .then((response) => setPresets(response.data))
+      .catch(() => {
+        // Presets are optional
+      });
+  }, []);
+
+  const setTarget = (header, target) => setMapping({ ...mapping, [header]: target });
+
+  const applyPreset = (id) => {
+    setPresetId(id);
+    const preset = presets.find((item) => item._id === id);
+    if (!preset) return;
+
+    const next = { ...mapping };
+    preset.columns.forEach((column) => {
+      if (column.header in next) next[column.header] = column.target;
+    });
+    setMapping(next);
+  };
+
+  const handleDeletePreset = async () => {
+    if (!window.confirm('Delete this mapping preset?')) {
+      return;
+    }
+
+    try {
+      await axios.delete(`${API_URL}/upload/presets/${presetId}`);
+      setPresets(presets.filter((preset) => preset._id !== presetId));
+      setPresetId('');
+    } catch (error) {
+      toast.error('Failed to delete preset');
+    }
+  };
+
+  const handleImport = async () => {
+    setImporting(true);
+
+    try {
+      const response = await axios.post(`${API_URL}/upload/contacts/import`, {
+        uploadId: preview.uploadId,
+        fileName: preview.fileName,
+        mapping,
+        lawfulBasis: lawfulBasis || undefined,
+        listId: listId || undefined,
+        updateExisting,
+        savePresetAs: savePresetAs.trim() || undefined,
+      });
+      onImported(response);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to start import');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const hasEmail = Object.values(mapping).filter((target) => target === 'email').length === 1;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 p-4">
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl w-full max-w-3xl max-h-full overflow-y-auto p-6 space-y-4">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Map columns</h2>
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            {preview.fileName}: {preview.totalRows ? `${preview.totalRows} rows` : formatSize(preview.fileSize)}.
+            Choose what each column becomes.
+          </p>
+        </div>
+
+        {presets.length > 0 && (
+          <div className="flex items-center gap-2">
+            <select value={presetId} onChange={(e) => applyPreset(e.target.value)} className={selectClass}>
+              <option value="">Apply a saved mapping...</option>
+              {presets.map((preset) => (
+                <option key={preset._id} value={preset._id}>{preset.name}</option>
+              ))}
+            </select>
+            {presetId && (
+              <button
+                onClick={handleDeletePreset}
+                className="text-sm text-red-600 hover:text-red-900 dark:text-red-400 dark:hover:text-red-300"
+              >
+                Delete preset
+              </button>
+            )}
+          </div>
+        )}
+
+        <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+          <thead>
+            <tr className="text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase">
+              <th className="py-2 pr-4">Column</th>
+              <th className="py-2 pr-4">Sample values</th>
+              <th className="py-2">Import as</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+            {preview.headers.map((header) => {
+              const target = mapping[header] || '';
+              const isMetadata = target.startsWith(METADATA_PREFIX);
+              return (
+                <tr key={header}>
+                  <td className="py-2 pr-4 font-medium text-gray-900 dark:text-white">{header}</td>
+                  <td className="py-2 pr-4 text-gray-500 dark:text-gray-400 truncate max-w-xs">
+                    {preview.sampleRows.map((row) => row[header]).filter(Boolean).slice(0, 3).join(', ')}
+                  </td>
+                  <td className="py-2">
+                    <div className="flex gap-2">
+                      <select
+                        value={isMetadata ? METADATA_PREFIX : target}
+                        onChange={(e) => setTarget(
+                          header,
+                          e.target.value === METADATA_PREFIX
+                            ? `${METADATA_PREFIX}${header.replace(/[^A-Za-z0-9_-]+/g, '_')}`
+                            : e.target.value
+                        )}
+                        className={selectClass}
+                      >
+                        {TARGETS.map((option) => (
+                          <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                      </select>
+                      {isMetadata && (
+                        <input
+                          value={target.slice(METADATA_PREFIX.length)}
+                          onChange={(e) => setTarget(header, `${METADATA_PREFIX}${e.target.value}`)}
+                          className={`${selectClass} w-36`}
+                          placeholder="field_name"
+                        />
+                      )}
+                    </div>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+
+        {!hasEmail && (
+          <p className="text-sm text-red-600 dark:text-red-400">Map exactly one column to Email.</p>
+        )}
+
+        <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+          <input
+            type="checkbox"
+            checked={updateExisting}
+            onChange={(e) => setUpdateExisting(e.target.checked)}
+            className="h-4 w-4 text-primary-600 border-gray-300 rounded"
+          />
+          Update contacts that already exist with the values in this file
+        </label>
+
+        <div className="flex flex-wrap justify-between items-center gap-3">
+          <input
+            value={savePresetAs}
+            onChange={(e) => setSavePresetAs(e.target.value)}
+            className={`${selectClass} py-2`}
+            placeholder="Save mapping as preset (optional)"
+          />
+          <div className="flex gap-2">
+            <button
+              onClick={onClose}
+              disabled={importing}
+              className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 bg-white hover:bg-gray-50 dark:bg-gray-700 dark:text-gray-300 dark:border-gray-600"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleImport}
+              disabled={importing || !hasEmail}
+              className="px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 disabled:opacity-50"
+            >
+              {importing ? 'Starting...' : 'Start import'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportMapping;
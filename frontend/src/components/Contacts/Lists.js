@@ -0,0 +1,344 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+const inputClass = 'mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white';
+
+const ListMembers = ({ list, onChange }) => {
+  const [members, setMembers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [status, setStatus] = useState('');
+  const [emails, setEmails] = useState('');
+  const [adding, setAdding] = useState(false);
+
+  const fetchMembers = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`${API_URL}/lists/${list._id}/contacts`, {
+        params: { page, limit: 20, status: status || undefined },
+      });
+      setMembers(response.data.contacts);
+      setTotalPages(response.data.pagination.pages || 1);
+    } catch (error) {
+      toast.error('Failed to load list members');
+    } finally {
+      setLoading(false);
+    }
+  }, [list._id, page, status]);
+
+  useEffect(() => {
+    fetchMembers();
+  }, [fetchMembers]);
+
+  const refresh = () => {
+    fetchMembers();
+    onChange();
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    const addresses = emails.split(/[\s,;]+/).map((email) => email.trim()).filter(Boolean);
+    if (addresses.length === 0) return;
+
+    setAdding(true);
+    try {
+      const response = await axios.post(`${API_URL}/lists/${list._id}/contacts`, { emails: addresses });
+      toast.success(response.data.message);
+      if (response.data.notFound.length > 0) {
+        toast.error(`Not in your contacts: ${response.data.notFound.join(', ')}`);
+      }
+      setEmails('');
+      refresh();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to add contacts');
+    } finally {
+      setAdding(false);
+    }
+  };
+
+  const handleStatus = async (member, newStatus) => {
+    try {
+      await axios.put(`${API_URL}/lists/${list._id}/contacts/${member._id}`, { status: newStatus });
+      refresh();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update member');
+    }
+  };
+
+  const handleRemove = async (member) => {
+    if (!window.confirm(`Remove ${member.email} from ${list.name}? The contact is kept.`)) {
+      return;
+    }
+
+    try {
+      await axios.delete(`${API_URL}/lists/${list._id}/contacts`, { data: { contactIds: [member._id] } });
+      refresh();
+    } catch (error) {
+      toast.error('Failed to remove contact from list');
+    }
+  };
+
+  return (
+    <div className="mt-4 space-y-3">
+      <form onSubmit={handleAdd} className="flex gap-2 items-start">
+        <textarea
+          rows={2}
+          value={emails}
+          onChange={(e) => setEmails(e.target.value)}
+          className={`${inputClass} mt-0 flex-1 text-sm`}
+          placeholder="Add existing contacts by email, separated by commas or new lines"
+        />
+        <button
+          type="submit"
+          disabled={adding}
+          className="px-3 py-2 text-sm bg-primary-600 text-white rounded-md hover:bg-primary-700 disabled:opacity-50"
+        >
+          {adding ? 'Adding...' : 'Add'}
+        </button>
+      </form>
+
+      <div className="flex justify-end">
+        <select
+          value={status}
+          onChange={(e) => {
+            setStatus(e.target.value);
+            setPage(1);
+          }}
+          className="px-2 py-1 text-sm border border-gray-300 rounded-md dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+        >
+          <option value="">All members</option>
+          <option value="subscribed">Subscribed</option>
+          <option value="unsubscribed">Unsubscribed</option>
+        </select>
+      </div>
+
+      {loading ? (
+        <p className="text-sm text-center text-gray-500 dark:text-gray-400">Loading...</p>
+      ) : members.length === 0 ? (
+        <p className="text-sm text-center text-gray-500 dark:text-gray-400">No members</p>
+      ) : (
+        <ul className="divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+          {members.map((member) => (
+            <li key={member._id} className="py-2 flex justify-between items-center">
+              <div>
+                <span className="text-gray-900 dark:text-white">{member.email}</span>
+                {member.name && <span className="ml-2 text-gray-500 dark:text-gray-400">{member.name}</span>}
+                <span
+                  className={`ml-2 px-2 py-0.5 text-xs rounded ${
+                    member.membership?.status === 'subscribed'
+                      ? 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200'
+                      : 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200'
+                  }`}
+                >
+                  {member.membership?.status}
+                </span>
+                {member.status !== 'active' && (
+                  <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">(contact {member.status})</span>
+                )}
+              </div>
+              <div className="flex gap-3">
+                {member.membership?.status === 'subscribed' ? (
+                  <button
+                    onClick={() => handleStatus(member, 'unsubscribed')}
+                    className="text-gray-600 hover:text-gray-900 dark:text-gray-300 dark:hover:text-white"
+                  >
+                    Unsubscribe
+                  </button>
+                ) : (
+                  <button
+                    onClick={() => {
+                      if (window.confirm(`Resubscribe ${member.email} to ${list.name}? Only do this with their consent.`)) {
+                        handleStatus(member, 'subscribed');
+                      }
+                    }}
+                    className="text-gray-600 hover:text-gray-900 dark:text-gray-300 dark:hover:text-white"
+                  >
+                    Resubscribe
+                  </button>
+                )}
+                {/* Unsubscribed memberships stay so the contact cannot be re-added */}
+                {member.membership?.status === 'subscribed' && (
+                  <button
+                    onClick={() => handleRemove(member)}
+                    className="text-red-600 hover:text-red-900 dark:text-red-400 dark:hover:text-red-300"
+                  >
+                    Remove
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {totalPages > 1 && (
+        <div className="flex justify-center items-center gap-3 text-sm">
+          <button
+            disabled={page <= 1}
+            onClick={() => setPage(page - 1)}
+            className="px-3 py-1 border border-gray-300 rounded-md disabled:opacity-50 dark:border-gray-600 dark:text-gray-300"
+          >
+            Previous
+          </button>
+          <span className="text-gray-600 dark:text-gray-400">Page {page} of {totalPages}</span>
+          <button
+            disabled={page >= totalPages}
+            onClick={() => setPage(page + 1)}
+            className="px-3 py-1 border border-gray-300 rounded-md disabled:opacity-50 dark:border-gray-600 dark:text-gray-300"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const Lists = () => {
+  const [lists, setLists] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showCreate, setShowCreate] = useState(false);
+  const [formData, setFormData] = useState({ name: '', description: '' });
+  const [saving, setSaving] = useState(false);
+  const [openList, setOpenList] = useState(null);
+
+  const fetchLists = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`${API_URL}/lists`);
+      setLists(response.data);
+    } catch (error) {
+      toast.error('Failed to load lists');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchLists();
+  }, [fetchLists]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    try {
+      await axios.post(`${API_URL}/lists`, formData);
+      toast.success('List created');
+      setFormData({ name: '', description: '' });
+      setShowCreate(false);
+      fetchLists();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to create list');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (list) => {
+    if (!window.confirm(`Delete the list ${list.name}? Its contacts are kept.`)) {
+      return;
+    }
+
+    try {
+      await axios.delete(`${API_URL}/lists/${list._id}`);
+      toast.success('List deleted');
+      if (openList === list._id) setOpenList(null);
+      fetchLists();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete list');
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex justify-end">
+        <button
+          onClick={() => setShowCreate(!showCreate)}
+          className="px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700"
+        >
+          {showCreate ? 'Close' : 'New List'}
+        </button>
+      </div>
+
+      {showCreate && (
+        <form onSubmit={handleCreate} className="bg-white dark:bg-gray-800 rounded-lg shadow p-6 space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">List Name</label>
+              <input
+                required
+                value={formData.name}
+                onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                className={inputClass}
+                placeholder="Newsletter"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">Description</label>
+              <input
+                value={formData.description}
+                onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+          </div>
+          <div className="flex justify-end">
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Create List'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow overflow-hidden">
+        {loading ? (
+          <p className="p-6 text-center text-gray-500 dark:text-gray-400">Loading...</p>
+        ) : lists.length === 0 ? (
+          <p className="p-6 text-center text-gray-500 dark:text-gray-400">No lists yet</p>
+        ) : (
+          <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+            {lists.map((list) => (
+              <li key={list._id} className="p-4">
+                <div className="flex justify-between items-center">
+                  <div>
+                    <p className="font-medium text-gray-900 dark:text-white">{list.name}</p>
+                    <p className="text-sm text-gray-500 dark:text-gray-400">
+                      {list.counts.subscribed} subscribed, {list.counts.unsubscribed} unsubscribed
+                      {list.description && ` · ${list.description}`}
+                    </p>
+                  </div>
+                  <div className="flex items-center gap-3 text-sm">
+                    <button
+                      onClick={() => setOpenList(openList === list._id ? null : list._id)}
+                      className="text-primary-600 hover:text-primary-700 dark:text-primary-400"
+                    >
+                      {openList === list._id ? 'Hide members' : 'Members'}
+                    </button>
+                    <button
+                      onClick={() => handleDelete(list)}
+                      className="text-red-600 hover:text-red-900 dark:text-red-400 dark:hover:text-red-300"
+                    >
+                      Delete
+                    </button>
+                  </div>
+                </div>
+                {openList === list._id && <ListMembers list={list} onChange={fetchLists} />}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Lists;
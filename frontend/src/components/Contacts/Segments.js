@@ -0,0 +1,386 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+const inputClass = 'px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white';
+
+// Maximum group nesting accepted by the API
+const MAX_DEPTH = 5;
+
+const defaultConditions = {
+  tag: { type: 'tag', operator: 'has', value: '' },
+  metadata: { type: 'metadata', key: '', operator: 'equals', value: '' },
+  createdAt: { type: 'createdAt', operator: 'withinDays', value: 30 },
+  engagement: { type: 'engagement', event: 'opened', operator: 'did', days: 30 },
+  bounce: { type: 'bounce', value: 'none' },
+};
+
+const conditionTypes = [
+  { value: 'tag', label: 'Tag' },
+  { value: 'metadata', label: 'Custom field' },
+  { value: 'createdAt', label: 'Date added' },
+  { value: 'engagement', label: 'Engagement' },
+  { value: 'bounce', label: 'Bounce status' },
+];
+
+const groupLabels = {
+  and: 'All of',
+  or: 'Any of',
+  not: 'None of',
+};
+
+const emptyGroup = () => ({ op: 'and', rules: [{ ...defaultConditions.tag }] });
+
+const Condition = ({ rule, onChange }) => {
+  const set = (changes) => onChange({ ...rule, ...changes });
+
+  switch (rule.type) {
+    case 'tag':
+      return (
+        <>
+          <select value={rule.operator} onChange={(e) => set({ operator: e.target.value })} className={inputClass}>
+            <option value="has">has tag</option>
+            <option value="notHas">does not have tag</option>
+          </select>
+          <input value={rule.value} onChange={(e) => set({ value: e.target.value })} className={inputClass} placeholder="vip" />
+        </>
+      );
+    case 'metadata':
+      return (
+        <>
+          <input value={rule.key} onChange={(e) => set({ key: e.target.value })} className={inputClass} placeholder="field" />
+          <select value={rule.operator} onChange={(e) => set({ operator: e.target.value })} className={inputClass}>
+            <option value="equals">equals</option>
+            <option value="notEquals">does not equal</option>
+            <option value="contains">contains</option>
+            <option value="exists">is set</option>
+            <option value="notExists">is not set</option>
+          </select>
+          {!['exists', 'notExists'].includes(rule.operator) && (
+            <input value={rule.value} onChange={(e) => set({ value: e.target.value })} className={inputClass} />
+          )}
+        </>
+      );
+    case 'createdAt': {
+      const relative = ['withinDays', 'olderThanDays'].includes(rule.operator);
+      return (
+        <>
+          <select
+            value={rule.operator}
+            onChange={(e) => {
+              const operator = e.target.value;
+              const nowRelative = ['withinDays', 'olderThanDays'].includes(operator);
+              set({ operator, value: nowRelative === relative ? rule.value : (nowRelative ? 30 : '') });
+            }}
+            className={inputClass}
+          >
+            <option value="withinDays">in the last</option>
+            <option value="olderThanDays">more than</option>
+            <option value="after">after</option>
+            <option value="before">before</option>
+          </select>
+          {relative ? (
+            <>
+              <input type="number" min="1" value={rule.value} onChange={(e) => set({ value: e.target.value })} className={`${inputClass} w-20`} />
+              <span className="text-sm text-gray-600 dark:text-gray-400">{rule.operator === 'olderThanDays' ? 'days ago' : 'days'}</span>
+            </>
+          ) : (
+            <input type="date" value={rule.value} onChange={(e) => set({ value: e.target.value })} className={inputClass} />
+          )}
+        </>
+      );
+    }
+    case 'engagement':
+      return (
+        <>
+          <select value={rule.operator} onChange={(e) => set({ operator: e.target.value })} className={inputClass}>
+            <option value="did">has</option>
+            <option value="didNot">has not</option>
+          </select>
+          <select value={rule.event} onChange={(e) => set({ event: e.target.value })} className={inputClass}>
+            <option value="opened">opened</option>
+            <option value="clicked">clicked</option>
+          </select>
+          <span className="text-sm text-gray-600 dark:text-gray-400">in the last</span>
+          <input type="number" min="1" value={rule.days} onChange={(e) => set({ days: e.target.value })} className={`${inputClass} w-20`} />
+          <span className="text-sm text-gray-600 dark:text-gray-400">days</span>
+        </>
+      );
+    case 'bounce':
+      return (
+        <>
+          <select value={rule.value} onChange={(e) => set({ value: e.target.value })} className={inputClass}>
+            <option value="none">has not bounced</option>
+            <option value="soft">soft bounced</option>
+            <option value="hard">hard bounced</option>
+            <option value="any">bounced</option>
+          </select>
+          <span className="text-sm text-gray-600 dark:text-gray-400">in the last</span>
+          <input
+            type="number"
+            min="1"
+            value={rule.days || ''}
+            onChange={(e) => set({ days: e.target.value || undefined })}
+            className={`${inputClass} w-20`}
+            placeholder="any"
+          />
+          <span className="text-sm text-gray-600 dark:text-gray-400">days</span>
+        </>
+      );
+    default:
+      return null;
+  }
+};
+
+const RuleGroup = ({ group, onChange, onRemove, depth = 0 }) => {
+  const updateRule = (index, rule) => {
+    onChange({ ...group, rules: group.rules.map((item, i) => (i === index ? rule : item)) });
+  };
+
+  const removeRule = (index) => {
+    onChange({ ...group, rules: group.rules.filter((_, i) => i !== index) });
+  };
+
+  return (
+    <div className={`space-y-2 ${depth > 0 ? 'border-l-2 border-primary-300 dark:border-primary-700 pl-4' : ''}`}>
+      <div className="flex items-center gap-2">
+        <select value={group.op} onChange={(e) => onChange({ ...group, op: e.target.value })} className={inputClass}>
+          {Object.entries(groupLabels).map(([op, label]) => (
+            <option key={op} value={op}>{label}</option>
+          ))}
+        </select>
+        <span className="text-sm text-gray-600 dark:text-gray-400">these conditions</span>
+        {onRemove && (
+          <button type="button" onClick={onRemove} className="ml-auto text-sm text-red-600 hover:text-red-900 dark:text-red-400">
+            Remove group
+          </button>
+        )}
+      </div>
+
+      {group.rules.map((rule, index) => (
+        <div key={index}>
+          {rule.op ? (
+            <RuleGroup
+              group={rule}
+              depth={depth + 1}
+              onChange={(updated) => updateRule(index, updated)}
+              onRemove={() => removeRule(index)}
+            />
+          ) : (
+            <div className="flex flex-wrap items-center gap-2">
+              <select
+                value={rule.type}
+                onChange={(e) => updateRule(index, { ...defaultConditions[e.target.value] })}
+                className={inputClass}
+              >
+                {conditionTypes.map((type) => (
+                  <option key={type.value} value={type.value}>{type.label}</option>
+                ))}
+              </select>
+              <Condition rule={rule} onChange={(updated) => updateRule(index, updated)} />
+              {group.rules.length > 1 && (
+                <button type="button" onClick={() => removeRule(index)} className="text-sm text-red-600 hover:text-red-900 dark:text-red-400">
+                  Remove
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      ))}
+
+      <div className="flex gap-3 text-sm">
+        <button
+          type="button"
+          onClick={() => onChange({ ...group, rules: [...group.rules, { ...defaultConditions.tag }] })}
+          className="text-primary-600 hover:text-primary-700 dark:text-primary-400"
+        >
+          + Condition
+        </button>
+        {depth < MAX_DEPTH - 1 && (
+          <button
+            type="button"
+            onClick={() => onChange({ ...group, rules: [...group.rules, emptyGroup()] })}
+            className="text-primary-600 hover:text-primary-700 dark:text-primary-400"
+          >
+            + Group
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const Segments = () => {
+  const [segments, setSegments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const fetchSegments = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`${API_URL}/segments`);
+      setSegments(response.data);
+    } catch (error) {
+      toast.error('Failed to load segments');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSegments();
+  }, [fetchSegments]);
+
+  // Live count of matching contacts while the rules are edited
+  const rules = editing?.rules;
+  useEffect(() => {
+    if (!rules) {
+      setPreview(null);
+      return undefined;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await axios.post(`${API_URL}/segments/preview`, { rules });
+        setPreview(response.data);
+      } catch (error) {
+        setPreview({ error: error.response?.data?.message || 'Failed to count contacts' });
+      }
+    }, 500);
+
+    return () => clearTimeout(timer);
+  }, [rules]);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    try {
+      const { _id, name, description, rules } = editing;
+      if (_id) {
+        await axios.put(`${API_URL}/segments/${_id}`, { name, description, rules });
+      } else {
+        await axios.post(`${API_URL}/segments`, { name, description, rules });
+      }
+      toast.success('Segment saved');
+      setEditing(null);
+      fetchSegments();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save segment');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    if (!window.confirm('Delete this segment? Contacts in it are kept.')) {
+      return;
+    }
+
+    try {
+      await axios.delete(`${API_URL}/segments/${id}`);
+      toast.success('Segment deleted');
+      fetchSegments();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete segment');
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex justify-end">
+        <button
+          onClick={() => setEditing(editing ? null : { name: '', description: '', rules: emptyGroup() })}
+          className="px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700"
+        >
+          {editing ? 'Close' : 'New Segment'}
+        </button>
+      </div>
+
+      {editing && (
+        <form onSubmit={handleSave} className="bg-white dark:bg-gray-800 rounded-lg shadow p-6 space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">Segment Name</label>
+              <input
+                required
+                value={editing.name}
+                onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                className={`${inputClass} mt-1 block w-full py-2`}
+                placeholder="Engaged customers"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">Description</label>
+              <input
+                value={editing.description}
+                onChange={(e) => setEditing({ ...editing, description: e.target.value })}
+                className={`${inputClass} mt-1 block w-full py-2`}
+              />
+            </div>
+          </div>
+
+          <RuleGroup group={editing.rules} onChange={(rules) => setEditing({ ...editing, rules })} />
+
+          <div className="flex justify-between items-center">
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+              {!preview
+                ? 'Counting contacts...'
+                : preview.error
+                  ? <span className="text-red-600 dark:text-red-400">{preview.error}</span>
+                  : `${preview.total} contacts match (${preview.active} active)`}
+            </p>
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save Segment'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow overflow-hidden">
+        {loading ? (
+          <p className="p-6 text-center text-gray-500 dark:text-gray-400">Loading...</p>
+        ) : segments.length === 0 ? (
+          <p className="p-6 text-center text-gray-500 dark:text-gray-400">No segments yet</p>
+        ) : (
+          <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+            {segments.map((segment) => (
+              <li key={segment._id} className="p-4 flex justify-between items-center">
+                <div>
+                  <p className="font-medium text-gray-900 dark:text-white">{segment.name}</p>
+                  {segment.description && (
+                    <p className="text-sm text-gray-500 dark:text-gray-400">{segment.description}</p>
+                  )}
+                </div>
+                <div className="flex items-center gap-3 text-sm">
+                  <button
+                    onClick={() => setEditing({ ...segment, description: segment.description || '' })}
+                    className="text-primary-600 hover:text-primary-700 dark:text-primary-400"
+                  >
+                    Edit
+                  </button>
+                  <button
+                    onClick={() => handleDelete(segment._id)}
+                    className="text-red-600 hover:text-red-900 dark:text-red-400 dark:hover:text-red-300"
+                  >
+                    Delete
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Segments;
@@ -0,0 +1,235 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+const emptyForm = {
+  name: '',
+  tag: '',
+  title: 'Subscribe to our newsletter',
+  description: '',
+  collectName: true,
+  fromName: '',
+  fromEmail: '',
+  redirectUrl: '',
+};
+
+const inputClass = 'mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white';
+
+const SignupForms = () => {
+  const [forms, setForms] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showCreate, setShowCreate] = useState(false);
+  const [formData, setFormData] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+  const [embedFor, setEmbedFor] = useState(null);
+
+  const fetchForms = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`${API_URL}/forms`);
+      setForms(response.data);
+    } catch (error) {
+      toast.error('Failed to load signup forms');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchForms();
+  }, [fetchForms]);
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData({ ...formData, [name]: type === 'checkbox' ? checked : value });
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    try {
+      await axios.post(`${API_URL}/forms`, formData);
+      toast.success('Signup form created');
+      setFormData(emptyForm);
+      setShowCreate(false);
+      fetchForms();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to create signup form');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggle = async (form) => {
+    try {
+      await axios.put(`${API_URL}/forms/${form._id}`, { active: !form.active });
+      fetchForms();
+    } catch (error) {
+      toast.error('Failed to update signup form');
+    }
+  };
+
+  const handleDelete = async (id) => {
+    if (!window.confirm('Delete this signup form? Contacts it collected are kept.')) {
+      return;
+    }
+
+    try {
+      await axios.delete(`${API_URL}/forms/${id}`);
+      toast.success('Signup form deleted');
+      fetchForms();
+    } catch (error) {
+      toast.error('Failed to delete signup form');
+    }
+  };
+
+  const copyToClipboard = async (text) => {
+    try {
+      await navigator.clipboard.writeText(text);
+      toast.success('Copied to clipboard');
+    } catch (error) {
+      toast.error('Failed to copy');
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex justify-end">
+        <button
+          onClick={() => setShowCreate(!showCreate)}
+          className="px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700"
+        >
+          {showCreate ? 'Close' : 'New Signup Form'}
+        </button>
+      </div>
+
+      {showCreate && (
+        <form onSubmit={handleCreate} className="bg-white dark:bg-gray-800 rounded-lg shadow p-6 space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">Form Name</label>
+              <input name="name" required value={formData.name} onChange={handleChange} className={inputClass} placeholder="Website footer" />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">Tag</label>
+              <input name="tag" required value={formData.tag} onChange={handleChange} className={inputClass} placeholder="newsletter" />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">Title</label>
+              <input name="title" value={formData.title} onChange={handleChange} className={inputClass} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">Description</label>
+              <input name="description" value={formData.description} onChange={handleChange} className={inputClass} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">Confirmation From Name</label>
+              <input name="fromName" value={formData.fromName} onChange={handleChange} className={inputClass} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">Confirmation From Email</label>
+              <input type="email" name="fromEmail" value={formData.fromEmail} onChange={handleChange} className={inputClass} placeholder="Defaults to your account email, if verified" />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">Redirect After Confirm</label>
+              <input type="url" name="redirectUrl" value={formData.redirectUrl} onChange={handleChange} className={inputClass} placeholder="https://example.com/thanks" />
+            </div>
+            <div className="flex items-center mt-6">
+              <input type="checkbox" id="collectName" name="collectName" checked={formData.collectName} onChange={handleChange} className="mr-2" />
+              <label htmlFor="collectName" className="text-sm text-gray-700 dark:text-gray-300">Ask for name</label>
+            </div>
+          </div>
+          <div className="flex justify-end">
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Create Form'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow overflow-hidden">
+        {loading ? (
+          <p className="p-6 text-center text-gray-500 dark:text-gray-400">Loading...</p>
+        ) : forms.length === 0 ? (
+          <p className="p-6 text-center text-gray-500 dark:text-gray-400">No signup forms yet</p>
+        ) : (
+          <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+            {forms.map((form) => (
+              <li key={form._id} className="p-4">
+                <div className="flex justify-between items-center">
+                  <div>
+                    <p className="font-medium text-gray-900 dark:text-white">
+                      {form.name}
+                      <span className="ml-2 px-2 py-1 text-xs bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200 rounded">
+                        {form.tag}
+                      </span>
+                      {!form.active && (
+                        <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">(inactive)</span>
+                      )}
+                    </p>
+                    <p className="text-sm text-gray-500 dark:text-gray-400">
+                      {form.stats?.submissions || 0} signups, {form.stats?.confirmations || 0} confirmed
+                    </p>
+                  </div>
+                  <div className="flex items-center gap-3 text-sm">
+                    <a
+                      href={form.hostedUrl}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="text-primary-600 hover:text-primary-700 dark:text-primary-400"
+                    >
+                      Open
+                    </a>
+                    <button
+                      onClick={() => setEmbedFor(embedFor === form._id ? null : form._id)}
+                      className="text-primary-600 hover:text-primary-700 dark:text-primary-400"
+                    >
+                      Embed
+                    </button>
+                    <button
+                      onClick={() => handleToggle(form)}
+                      className="text-gray-600 hover:text-gray-900 dark:text-gray-300 dark:hover:text-white"
+                    >
+                      {form.active ? 'Disable' : 'Enable'}
+                    </button>
+                    <button
+                      onClick={() => handleDelete(form._id)}
+                      className="text-red-600 hover:text-red-900 dark:text-red-400 dark:hover:text-red-300"
+                    >
+                      Delete
+                    </button>
+                  </div>
+                </div>
+                {embedFor === form._id && (
+                  <div className="mt-3">
+                    <textarea
+                      readOnly
+                      rows={6}
+                      value={form.embedCode}
+                      className="w-full font-mono text-xs p-2 border border-gray-300 rounded-md dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                    />
+                    <button
+                      onClick={() => copyToClipboard(form.embedCode)}
+                      className="mt-2 px-3 py-1 text-sm border border-gray-300 rounded-md text-gray-700 bg-white hover:bg-gray-50 dark:bg-gray-700 dark:text-gray-300 dark:border-gray-600"
+                    >
+                      Copy embed code
+                    </button>
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SignupForms;
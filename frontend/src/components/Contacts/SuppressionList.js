@@ -0,0 +1,246 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+const reasonStyles = {
+  unsubscribed: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200',
+  bounced: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200',
+  complained: 'bg-purple-100 text-purple-800 dark:bg-purple-900 dark:text-purple-200',
+  manual: 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-200',
+};
+
+const SuppressionList = () => {
+  const [suppressions, setSuppressions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [total, setTotal] = useState(0);
+  const [search, setSearch] = useState('');
+  const [newEmail, setNewEmail] = useState('');
+  const [refresh, setRefresh] = useState(0);
+  const fileInputRef = useRef(null);
+
+  const fetchSuppressions = useCallback(async () => {
+    try {
+      setLoading(true);
+      const params = new URLSearchParams({ page, limit: 50 });
+      if (search) params.append('search', search);
+      const response = await axios.get(`${API_URL}/suppressions?${params.toString()}`);
+      setSuppressions(response.data.suppressions);
+      setTotalPages(response.data.pagination?.pages || 1);
+      setTotal(response.data.pagination?.total || 0);
+    } catch (error) {
+      toast.error('Failed to load suppression list');
+    } finally {
+      setLoading(false);
+    }
+  }, [page, search]);
+
+  useEffect(() => {
+    fetchSuppressions();
+  }, [fetchSuppressions, refresh]);
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!newEmail) return;
+
+    try {
+      await axios.post(`${API_URL}/suppressions`, { email: newEmail, reason: 'manual' });
+      toast.success('Address suppressed');
+      setNewEmail('');
+      setRefresh((prev) => prev + 1);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to suppress address');
+    }
+  };
+
+  const handleRemove = async (id) => {
+    if (!window.confirm('Remove this address from the suppression list? It may be mailed again.')) {
+      return;
+    }
+
+    try {
+      await axios.delete(`${API_URL}/suppressions/${id}`);
+      toast.success('Suppression removed');
+      setRefresh((prev) => prev + 1);
+    } catch (error) {
+      toast.error('Failed to remove suppression');
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const formData = new FormData();
+    formData.append('file', file);
+
+    try {
+      const response = await axios.post(`${API_URL}/suppressions/import`, formData, {
+        headers: { 'Content-Type': 'multipart/form-data' },
+      });
+      toast.success(`Imported ${response.data.total} suppressed addresses`);
+      setRefresh((prev) => prev + 1);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to import suppression list');
+    } finally {
+      e.target.value = '';
+    }
+  };
+
+  const handleExport = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/suppressions/export`, { responseType: 'blob' });
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: 'text/csv' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', 'suppressions.csv');
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      toast.error('Failed to export suppression list');
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow overflow-hidden">
+      <div className="p-4 flex flex-col md:flex-row md:items-center md:justify-between gap-4 border-b border-gray-200 dark:border-gray-700">
+        <form onSubmit={handleAdd} className="flex gap-2">
+          <input
+            type="email"
+            value={newEmail}
+            onChange={(e) => setNewEmail(e.target.value)}
+            placeholder="address@example.com"
+            className="px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+          />
+          <button
+            type="submit"
+            className="px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700"
+          >
+            Suppress
+          </button>
+        </form>
+        <div className="flex items-center gap-2">
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => {
+              setSearch(e.target.value);
+              setPage(1);
+            }}
+            placeholder="Search"
+            className="px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+          />
+          <input ref={fileInputRef} type="file" accept=".csv" className="hidden" onChange={handleImport} />
+          <button
+            onClick={() => fileInputRef.current && fileInputRef.current.click()}
+            className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 bg-white hover:bg-gray-50 dark:bg-gray-700 dark:text-gray-300 dark:border-gray-600"
+          >
+            Import CSV
+          </button>
+          <button
+            onClick={handleExport}
+            className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 bg-white hover:bg-gray-50 dark:bg-gray-700 dark:text-gray-300 dark:border-gray-600"
+          >
+            Export CSV
+          </button>
+        </div>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+          <thead className="bg-gray-50 dark:bg-gray-700">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">
+                Email
+              </th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">
+                Reason
+              </th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">
+                Source
+              </th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">
+                Suppressed
+              </th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">
+                Actions
+              </th>
+            </tr>
+          </thead>
+          <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
+            {loading ? (
+              <tr>
+                <td colSpan="5" className="px-6 py-4 text-center text-gray-500 dark:text-gray-400">
+                  Loading...
+                </td>
+              </tr>
+            ) : suppressions.length === 0 ? (
+              <tr>
+                <td colSpan="5" className="px-6 py-4 text-center text-gray-500 dark:text-gray-400">
+                  No suppressed addresses
+                </td>
+              </tr>
+            ) : (
+              suppressions.map((entry) => (
+                <tr key={entry._id}>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-white">{entry.email}</td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${reasonStyles[entry.reason] || reasonStyles.manual}`}>
+                      {entry.reason}
+                    </span>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">{entry.source}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">
+                    {new Date(entry.suppressedAt).toLocaleString()}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                    <button
+                      onClick={() => handleRemove(entry._id)}
+                      className="text-red-600 hover:text-red-900 dark:text-red-400 dark:hover:text-red-300"
+                    >
+                      Remove
+                    </button>
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="bg-gray-50 dark:bg-gray-700 px-4 py-3 flex items-center justify-between border-t border-gray-200 dark:border-gray-600">
+        <p className="text-sm text-gray-700 dark:text-gray-300">
+          {total} suppressed {total === 1 ? 'address' : 'addresses'}
+        </p>
+        {totalPages > 1 && (
+          <div className="flex gap-2">
+            <button
+              onClick={() => setPage(page - 1)}
+              disabled={page === 1}
+              className="px-3 py-1 border border-gray-300 text-sm rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed dark:bg-gray-800 dark:text-gray-300 dark:border-gray-600"
+            >
+              Previous
+            </button>
+            <span className="text-sm text-gray-700 dark:text-gray-300 self-center">
+              Page {page} of {totalPages}
+            </span>
+            <button
+              onClick={() => setPage(page + 1)}
+              disabled={page === totalPages}
+              className="px-3 py-1 border border-gray-300 text-sm rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed dark:bg-gray-800 dark:text-gray-300 dark:border-gray-600"
+            >
+              Next
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SuppressionList;
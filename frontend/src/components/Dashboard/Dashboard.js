@@ -15,6 +15,7 @@ const Dashboard = () => {
   });
   const [recentCampaigns, setRecentCampaigns] = useState([]);
   const [chartData, setChartData] = useState([]);
+  const [usage, setUsage] = useState(null);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
@@ -23,10 +24,11 @@ const Dashboard = () => {
 
   const fetchDashboardData = async () => {
     try {
-      const [contactsRes, campaignsRes, analyticsRes] = await Promise.all([
+      const [contactsRes, campaignsRes, analyticsRes, usageRes] = await Promise.all([
         axios.get(`${API_URL}/contacts/stats`),
         axios.get(`${API_URL}/campaigns?limit=5`),
-        axios.get(`${API_URL}/analytics/overview`)
+        axios.get(`${API_URL}/analytics/overview`),
+        axios.get(`${API_URL}/auth/usage`)
       ]);
 
       setStats({
@@ -37,6 +39,7 @@ const Dashboard = () => {
       });
 
       setRecentCampaigns(campaignsRes.data.campaigns || []);
+      setUsage(usageRes.data);
 
       // Prepare chart data
       if (analyticsRes.data.dailyStats) {
@@ -133,6 +136,28 @@ const Dashboard = () => {
         </div>
       </div>
 
+      {/* Sending Quota */}
+      {usage && (
+        <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-6 mb-8">
+          <div className="flex justify-between items-center mb-2">
+            <h2 className="text-xl font-bold text-gray-900 dark:text-white">Sending Quota</h2>
+            <span className="text-sm text-gray-600 dark:text-gray-400">
+              {usage.emailsSent.toLocaleString()} / {usage.emailsLimit.toLocaleString()} emails this {usage.period === 'daily' ? 'day' : usage.period === 'weekly' ? 'week' : 'month'}
+            </span>
+          </div>
+          <div className="w-full bg-gray-200 dark:bg-gray-700 rounded-full h-3">
+            <div
+              className={`h-3 rounded-full ${usage.remaining === 0 ? 'bg-red-600' : usage.emailsSent / usage.emailsLimit >= 0.8 ? 'bg-yellow-500' : 'bg-primary-600'}`}
+              style={{ width: `${usage.emailsLimit > 0 ? Math.min(100, (usage.emailsSent / usage.emailsLimit) * 100) : 100}%` }}
+            ></div>
+          </div>
+          <div className="mt-2 flex justify-between text-sm text-gray-500 dark:text-gray-400">
+            <span>{usage.remaining.toLocaleString()} remaining</span>
+            <span>Resets {new Date(usage.nextReset).toLocaleString()}</span>
+          </div>
+        </div>
+      )}
+
       {/* Chart */}
       {chartData.length > 0 && (
         <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-6 mb-8">
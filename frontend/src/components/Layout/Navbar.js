@@ -69,6 +69,16 @@ const Navbar = () => {
               >
                 Analytics
               </Link>
+              <Link
+                to="/senders"
+                className={`inline-flex items-center px-1 pt-1 border-b-2 text-sm font-medium ${
+                  isActive('/senders')
+                    ? 'border-primary-500 text-gray-900 dark:text-white'
+                    : 'border-transparent text-gray-500 hover:border-gray-300 hover:text-gray-700 dark:text-gray-300 dark:hover:text-white'
+                }`}
+              >
+                Senders
+              </Link>
             </div>
           </div>
           <div className="flex items-center space-x-4">